@@ -2,77 +2,683 @@
 /**
  * PredictMe Agent SDK — CLI
  *
- * Usage: predictme <command> [args]
+ * Usage: predictme <command> [args] [flags]
+ *        predictme <command> --help      Flags and examples for one command
  *
  *   balance                     Show TEST/BONUS balances
- *   odds <asset>                Current grids & odds (BTC/ETH/SOL)
- *   bet <asset> <amount> [strategy] <commentary>
+ *   odds [asset]                Current grids & odds (BTC/ETH/SOL)
+ *   bet [asset] [amount] [strategy] [commentary...]
  *                               Place a bet with reasoning
- *   run <asset> <amount> [strategy] [rounds] <commentary>
- *                               Continuous trading loop
+ *   run [asset] [amount] [strategy] [rounds] [commentary...]
+ *                               Continuous trading loop, one bet per round (rounds=0: until Ctrl+C).
+ *                               <asset> may list several: BTC,ETH,SOL
+ *   start [file]                Run the bot described by predictme.config.json (or .js)
+ *   validate-config [file]      Check a config file without running it
+ *   onboard [email] [agentName]  Register, wait for approval and save the API key
+ *   profile [list|add|use|remove] [name]
+ *                               Manage named agent profiles
  *   status <agentId>            Check agent status (no key needed)
  *   feed [asset] [limit]        Browse agent reasoning feed (no key needed)
  *   leaderboard                 Agent rankings (no key needed)
  *   me                          Agent profile & stats
  *   bets [limit]                Bet history
+ *   pnl                         PnL of tracked bets by asset, strategy and time slot
+ *   dashboard [asset]           Live terminal view: grid ladder, positions, PnL, feed, rank
+ *   lint-commentary <text...>   Score commentary locally, with improvement hints
+ *   mock-server [port] [seed]   Run a local mock API for offline development
+ *   backtest <file> [strategy] [amount] [slot]
+ *                               Replay a recorded dataset through a strategy
+ *   record [assets...]          Record odds snapshots to a replayable dataset
  *
- * Env: PREDICTME_API_KEY=pm_agent_...
+ * Positionals are kept for compatibility; flags (--asset, --amount, --strategy,
+ * --commentary, --slot, --expiry, --balance, --var, ...) say the same thing
+ * without guessing. Global flags:
+ *
+ * --dry-run: paper trade against real odds; nothing is staked and the nonce is untouched.
+ * --format json|ndjson|csv|table: machine-readable output on stdout (messages go to stderr)
+ * --fields a,b.c: output only these fields (implies --format json if no format is given)
+ * --profile name: use this agent profile's key, URL and nonce file (or set PREDICTME_PROFILE)
+ *
+ * Exit codes: 0 ok, 1 error, 2 usage, 3 auth, 4 retry later (rate limit, timeout,
+ * network, 5xx), 5 bet rejected, 6 other API error.
+ *
+ * Env: PREDICTME_API_KEY=pm_agent_... or PREDICTME_PROFILE=<name>
  */
 
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
 const { PredictMeAgent } = require('./lib/api');
-const { validate, renderTemplate } = require('./lib/commentary');
-const { pickGrid } = require('./lib/strategy');
+const { validate, renderTemplate, scoreBreakdown } = require('./lib/commentary');
+const { pickGrid, resolveStrategy } = require('./lib/strategy');
+const { parse: parseTemplate } = require('./lib/template');
+const { MockServer } = require('./lib/mock-server');
+const { backtest, loadDataset } = require('./lib/backtest');
+const { OddsRecorder } = require('./lib/recorder');
+const { MultiAssetRunner } = require('./lib/runner');
+const { SettlementTracker } = require('./lib/settlement');
+const { Dashboard } = require('./lib/dashboard');
+const { UsageError, ConfigError } = require('./lib/errors');
+const { formatOutput, RecordWriter, exitCodeFor, parseFields, FORMATS, EXIT_CODES } = require('./lib/output');
+const { parseArgs, helpText, parseRange, parseSlot, parseVar, parseSince } = require('./lib/args');
+const { loadAgentConfig, createRunner, CONFIG_FILES } = require('./lib/agent-config');
+const { ProfileStore, maskKey, isExposed } = require('./lib/profiles');
+const { Onboarding } = require('./lib/onboarding');
+const { fetchAll, MAX_PAGE_SIZE } = require('./lib/paginate');
+const { resolveProfile, parseEnvFile, DEFAULT_API_URL } = require('./lib/config');
+
+const GLOBAL_FLAGS = {
+  format: { choices: FORMATS, description: 'Machine-readable output on stdout (messages go to stderr)' },
+  fields: { value: 'a,b.c', parse: parseFields, description: 'Output only these fields (implies --format json)' },
+  'dry-run': { type: 'boolean', description: 'Paper trade against real odds; nothing is staked' },
+  profile: { value: 'name', description: 'Agent profile to use (default: PREDICTME_PROFILE, see `predictme profile`)' },
+  help: { type: 'boolean', alias: 'h', description: 'Show help for the command' },
+};
+
+const STRATEGY_FLAG = { value: 'expr', description: 'Strategy name or expression, e.g. "filter(odds<4,value)"' };
+const SLOT_FLAG = { value: 'next|mid|far|n', parse: parseSlot, description: 'Only grids of this time slot (n = 0-based index)' };
+const EXPIRY_FLAG = { value: 'min:max', parse: parseRange, description: 'Only grids expiring in min..max seconds' };
+
+const BET_FLAGS = {
+  asset: { value: 'asset', description: 'BTC, ETH or SOL' },
+  amount: { type: 'number', min: 0, value: 'n', description: 'Stake (default: 1)' },
+  strategy: STRATEGY_FLAG,
+  commentary: { alias: 'm', value: 'text', description: 'Commentary or template, instead of the trailing words' },
+  slot: SLOT_FLAG,
+  expiry: EXPIRY_FLAG,
+  balance: { choices: ['TEST', 'BONUS'], description: 'Balance to stake (default: TEST)' },
+  var: { value: 'key=value', multiple: true, parse: parseVar, description: 'Extra template variable' },
+};
+
+const COMMANDS = {
+  balance: { usage: 'balance', summary: 'Show TEST/BONUS balances' },
+  odds: {
+    usage: 'odds [asset]',
+    summary: 'Current grids & odds (BTC/ETH/SOL)',
+    flags: { asset: { value: 'asset', description: 'Asset (default: BTC)' } },
+  },
+  bet: {
+    usage: 'bet [asset] [amount] [strategy] [commentary...]',
+    summary: 'Place a bet with reasoning',
+    details: [
+      'The third word counts as the strategy only if it names one; use --strategy or',
+      '--commentary when the commentary itself starts with a strategy name.',
+    ],
+    flags: BET_FLAGS,
+    examples: [
+      'bet BTC 1 value "BTC testing $95k support with RSI at 28, expecting bounce"',
+      'bet --asset ETH --amount 2 --slot far --balance BONUS -m "ETH {direction} into {strikeMin}-{strikeMax} at {odds}x"',
+      'bet BTC 1 --strategy edge --var thesis="funding flipped negative" -m "BTC {thesis}, edge {edge} at {odds}x"',
+    ],
+  },
+  run: {
+    usage: 'run [asset] [amount] [strategy] [rounds] [commentary...]',
+    summary: 'Continuous trading loop, one bet per round',
+    details: ['<asset> may list several: BTC,ETH,SOL. rounds = 0 runs until Ctrl+C.'],
+    flags: {
+      ...BET_FLAGS,
+      asset: { value: 'assets', description: 'Asset, or several comma-separated (default: BTC)' },
+      rounds: { type: 'integer', min: 0, value: 'n', description: 'Rounds to run, 0 = until Ctrl+C (default: 5)' },
+    },
+    examples: ['run BTC,ETH 1 value 0 "Round {round}: {asset} at {price|fixed:0}, {odds}x odds"', 'run --asset SOL --expiry 30:90 --rounds 20 -m "SOL {direction} at {odds}x, {secondsToExpiry}s out"'],
+  },
+  start: {
+    usage: 'start [file]',
+    summary: 'Run the bot described by a config file',
+    details: [`<file> defaults to ${CONFIG_FILES.join(' or ')} in the current directory.`],
+    flags: { rounds: { type: 'integer', min: 0, value: 'n', description: 'Rounds to run, 0 = until Ctrl+C (default: schedule.rounds)' } },
+    examples: ['start', 'start bots/eth-underdog.config.json --dry-run --rounds 10'],
+  },
+  profile: {
+    usage: 'profile [list|add|use|remove] [name]',
+    summary: 'Manage named agent profiles (key, URL and nonce file per agent)',
+    details: [
+      'Profiles are stored in ~/.predictme/profiles.json (readable only by you), or kept in a',
+      '.env.<name> file in the project. add reads the key from stdin unless --key is given.',
+    ],
+    flags: {
+      key: { value: 'pm_agent_...', description: 'API key (add; visible in the process list, prefer stdin)' },
+      url: { value: 'url', description: 'API base URL (add)' },
+      'nonce-path': { value: 'file', description: 'Nonce file (add; default: ~/.predictme/<name>.nonce)' },
+      'ledger-path': { value: 'file', description: 'PnL ledger (add; default: .predictme-ledger.<name>.ndjson)' },
+      force: { type: 'boolean', description: 'Replace an existing profile (add)' },
+    },
+    examples: ['profile add alice < alice.key', 'profile use alice', 'bet BTC 1 value "..." --profile bob', 'profile list --format json'],
+  },
+  onboard: {
+    usage: 'onboard [email] [agentName]',
+    summary: 'Register an agent and save its API key as soon as it is approved',
+    details: [
+      'Registers, optionally claims the agent with a tweet, then polls for approval and writes',
+      'the one-time API key to .env (or the --profile) the moment it appears. Asks for anything',
+      "missing on a terminal. If interrupted, run it again to resume; it won't register twice.",
+    ],
+    flags: {
+      email: { value: 'address', description: 'Email to register with' },
+      name: { value: 'agentName', description: 'Agent name' },
+      description: { value: 'text', description: 'Agent description' },
+      twitter: { value: 'handle', description: 'Twitter/X handle' },
+      tweet: { value: 'url', description: 'Tweet URL to claim (verify) the agent with' },
+      env: { value: 'file', description: '.env file to save the key to (default: .env)' },
+      url: { value: 'url', description: 'API base URL (default: PREDICTME_API_URL)' },
+      force: { type: 'boolean', description: 'Replace an existing key or profile' },
+    },
+    examples: ['onboard you@example.com MyBot --twitter mybot', 'onboard you@example.com AliceBot --profile alice --tweet https://x.com/alice/status/123'],
+  },
+  'validate-config': {
+    usage: 'validate-config [file]',
+    summary: 'Check a config file without running it',
+    details: ['Exits 2 and lists every problem when the config is invalid.'],
+  },
+  status: { usage: 'status <agentId>', summary: 'Check agent status (no key needed)' },
+  feed: {
+    usage: 'feed [asset] [limit]',
+    summary: 'Browse agent reasoning feed (no key needed)',
+    flags: {
+      asset: { value: 'asset', description: 'Only this asset' },
+      limit: { type: 'integer', min: 1, value: 'n', description: 'Entries (default: 20)' },
+      all: { type: 'boolean', description: 'Every entry, fetched page by page' },
+      since: { value: 'time', parse: parseSince, description: 'Only entries since then: a date, or 30m, 24h...' },
+    },
+  },
+  leaderboard: {
+    usage: 'leaderboard',
+    summary: 'Agent rankings (no key needed)',
+    flags: {
+      limit: { type: 'integer', min: 1, value: 'n', default: 20, description: 'Entries' },
+      all: { type: 'boolean', description: 'The whole leaderboard, fetched page by page (ignores --limit)' },
+    },
+  },
+  me: { usage: 'me', summary: 'Agent profile & stats' },
+  bets: {
+    usage: 'bets [limit]',
+    summary: 'Bet history',
+    flags: {
+      limit: { type: 'integer', min: 1, value: 'n', description: 'Bets (default: 20)' },
+      status: { choices: ['all', 'pending', 'settled'], description: 'Only bets with this status' },
+      all: { type: 'boolean', description: 'Every bet, fetched page by page' },
+      since: { value: 'time', parse: parseSince, description: 'Only bets placed since then: a date, or 24h, 7d...' },
+    },
+    examples: ['bets --all --status settled --format csv', 'bets --since 24h'],
+  },
+  pnl: { usage: 'pnl', summary: 'PnL of tracked bets by asset, strategy and time slot' },
+  dashboard: {
+    usage: 'dashboard [asset]',
+    summary: 'Live terminal view: grid ladder, positions, PnL, feed, rank',
+    flags: { asset: { value: 'asset', description: 'Asset (default: BTC)' } },
+  },
+  'lint-commentary': {
+    usage: 'lint-commentary <text...>',
+    summary: 'Score commentary locally, with improvement hints',
+    flags: { min: { type: 'integer', value: 'score', description: 'Exit 1 when the score is below this' } },
+  },
+  'mock-server': {
+    usage: 'mock-server [port] [seed]',
+    summary: 'Run a local mock API for offline development',
+    flags: {
+      port: { type: 'integer', min: 0, value: 'n', description: 'Port (default: 3001)' },
+      seed: { type: 'integer', value: 'n', description: 'Random seed (default: 1)' },
+    },
+  },
+  backtest: {
+    usage: 'backtest <file> [strategy] [amount] [slot]',
+    summary: 'Replay a recorded dataset through a strategy',
+    flags: {
+      strategy: STRATEGY_FLAG,
+      amount: { type: 'number', min: 0, value: 'n', description: 'Stake per bet (default: 1)' },
+      slot: SLOT_FLAG,
+      expiry: EXPIRY_FLAG,
+      asset: { value: 'assets', description: 'Only these assets, comma-separated' },
+    },
+    examples: ['backtest data/ --strategy "filter(odds<4,edge)" --slot next'],
+  },
+  record: {
+    usage: 'record [assets...]',
+    summary: 'Record odds snapshots to a replayable dataset',
+    flags: {
+      out: { value: 'dir', default: 'data', description: 'Output directory' },
+      gzip: { type: 'boolean', description: 'Gzip the files' },
+    },
+  },
+};
+
+/** Run an argument check, reporting its failure as a usage error. */
+function usage(fn) {
+  try {
+    return fn();
+  } catch (e) {
+    throw e instanceof UsageError ? e : new UsageError(e.message);
+  }
+}
+
+function isStrategy(word) {
+  try {
+    resolveStrategy(word);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * pickAndBet parameters from bet/run flags, falling back to the positional
+ * [asset] [amount] [strategy] ([rounds]) [commentary...].
+ */
+function betArgs(flags, positionals, { rounds = false } = {}) {
+  const pos = positionals.slice();
+  const asset = flags.asset || pos.shift();
+  let amount = flags.amount;
+  if (amount === undefined) amount = pos.length && /^\d+(\.\d+)?$/.test(pos[0]) ? Number(pos.shift()) : 1;
+
+  // With -m, leftover words can't be commentary; without it the last words always are
+  const explicit = flags.commentary !== undefined;
+  const spare = () => (explicit ? pos.length > 0 : pos.length > 1);
+  let strategy = flags.strategy;
+  if (!strategy && spare() && !(rounds && /^\d+$/.test(pos[0]))) {
+    // A leftover word must be the strategy; otherwise only a word that names one is
+    if (explicit || isStrategy(pos[0])) strategy = pos.shift();
+  }
+  strategy = strategy || 'balanced';
+  usage(() => resolveStrategy(strategy)); // Fail on unknown names and bad expressions now
+
+  const out = { asset, amount, strategy };
+  if (rounds) {
+    let n = flags.rounds;
+    if (n === undefined) n = spare() && /^\d+$/.test(pos[0]) ? parseInt(pos.shift(), 10) : 5;
+    out.rounds = n === 0 ? Infinity : n;
+  }
+  if (explicit && pos.length) throw new UsageError(`Unexpected argument "${pos[0]}" (the commentary is already given with --commentary)`);
+  out.commentary = explicit ? flags.commentary : pos.join(' ');
+
+  if (flags.slot !== undefined && flags.expiry) throw new UsageError('--slot and --expiry can\'t be combined');
+  if (flags.slot !== undefined) out.timeSlot = flags.slot;
+  if (flags.expiry) out.expiryRange = flags.expiry;
+  if (flags.balance) out.balanceType = flags.balance;
+  if (flags.var) out.templateContext = Object.fromEntries(flags.var);
+  return out;
+}
+
+/** Ask a question on the terminal. */
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise((resolve) =>
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    })
+  );
+}
+
+/**
+ * Fetch a list endpoint. One request covers the usual case; --all, --since
+ * or a limit bigger than a page walk the pages instead, and the entries come
+ * back in the same `{ success, data }` shape as a single response. --since
+ * without a limit means everything since then.
+ * @param {{ all?: boolean, since?: number, limit?: number, fallback: number }} opts - `limit` only if given
+ * @param {function(number): Promise<object>} fetchOne - One request for `limit` entries
+ * @param {function(object): AsyncIterable<object>} iterate - The endpoint's iterator
+ * @returns {Promise<{ success: boolean, data: object[] }>}
+ */
+async function listEntries({ all, since, limit, fallback }, fetchOne, iterate) {
+  const max = all || (since != null && !limit) ? Infinity : limit || fallback;
+  if (since == null && max <= MAX_PAGE_SIZE) return fetchOne(max);
+  return { success: true, data: await fetchAll(iterate({ since, max, pageSize: Math.min(max, MAX_PAGE_SIZE) })) };
+}
+
+/** Read a secret from stdin: piped in, or typed at a prompt. */
+function readSecret(prompt) {
+  if (process.stdin.isTTY) return ask(prompt);
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => (data += chunk));
+    process.stdin.on('end', () => resolve(data.trim()));
+    process.stdin.on('error', reject);
+  });
+}
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+/** A validated agent config, one line per market plus schedule, risk and logging. */
+function describeConfig(config) {
+  const sizing = (s) => (s.type === 'fixed' ? `$${s.amount}` : s.type === 'percent' ? `${s.percent}% of balance` : `kelly x${s.fraction || 0.25}`);
+  const lines = config.markets.map((m) => {
+    const strategy = typeof m.strategy === 'function' ? m.strategy.name || 'custom' : m.strategy;
+    let line = `  ${m.asset.padEnd(5)} ${strategy}  ${m.amount != null ? `$${m.amount}` : sizing(config.sizing)}`;
+    if (m.timeSlot !== undefined) line += `  slot=${m.timeSlot}`;
+    if (m.expiryRange) line += `  expiry=${m.expiryRange.join(':')}s`;
+    return line;
+  });
+  const { rounds, hours } = config.schedule;
+  const hhmm = (min) => `${String(Math.floor(min / 60)).padStart(2, '0')}:${String(min % 60).padStart(2, '0')}`;
+  lines.push(`  Schedule: ${rounds === Infinity ? 'until stopped' : `${rounds} rounds`}${hours ? `, ${hhmm(hours.from)}-${hhmm(hours.to)} UTC` : ''}`);
+  if (config.risk) lines.push(`  Risk: ${Object.entries(config.risk).map(([k, v]) => `${k}=${v}`).join(' ') || 'defaults'}`);
+  lines.push(`  Balance: ${config.balanceType}${config.logging.file ? `, events to ${config.logging.file} (${config.logging.format})` : ''}`);
+  return lines;
+}
+
+/** Top-level help: every command's usage and summary. */
+function mainHelp() {
+  const lines = ['PredictMe Agent SDK', '', 'Usage: predictme <command> [args] [flags]', ''];
+  for (const spec of Object.values(COMMANDS)) {
+    if (spec.usage.length <= 27) lines.push(`  ${spec.usage.padEnd(28)}${spec.summary}`);
+    else lines.push(`  ${spec.usage}`, `  ${' '.repeat(28)}${spec.summary}`);
+  }
+  lines.push(
+    '',
+    "Run 'predictme <command> --help' for a command's flags.",
+    'Global: --format json|ndjson|csv|table  --fields orderId,odds,grid.odds  --dry-run  --profile name',
+    'Exit codes: 0 ok, 1 error, 2 usage, 3 auth, 4 retry later, 5 bet rejected, 6 other API error',
+    '',
+    'Env: PREDICTME_API_KEY=pm_agent_... or PREDICTME_PROFILE=<name>',
+    '',
+    'Strategies: balanced, underdog, favorite, value, edge, ev, or combined with --strategy:',
+    '  filter(odds<4,value)  fallback(edge,balanced)  weighted(edge:0.7,value:0.3)  vote(a,b,c)  skipIf(rsi>70,value)  hedge(value,1)',
+    '',
+    'Commentary (required, 20-500 chars):',
+    '  GOOD: "BTC testing $95k support with RSI at 28, expecting bounce"',
+    '  BAD:  "bullish" — too short',
+    '',
+    'Template vars: {round}, {price}, {asset}, {odds}, {gridLevel}, {strategy}, {strikeMin}, {strikeMax},',
+    '  {impliedProbability}, {secondsToExpiry}, {direction}, {modelProbability} and {edge} (edge/ev strategies),',
+    '  {leg}, {legs} (multi-grid bets), and any --var key=value',
+    '  Indicators (once enough rounds are seen): {rsi}, {sma20}, {ema20}, {ema50}, {macd}, {bbUpper}, {bbLower}, {atr}, {volatility}',
+    'Template syntax: {price|fixed:0}  {#if odds>3}...{else}...{/if}  {#pick}a{|}b{/pick}'
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Trade until the runner stops, reporting every bet, abstention, error and
+ * settlement; then print a summary. Shared by `run` and `start`.
+ * @param {PredictMeAgent} agent
+ * @param {MultiAssetRunner} runner
+ * @param {object} options
+ * @param {string|null} options.format - Record format for events, or null for text lines
+ * @param {string[]|null} [options.fields]
+ * @param {NodeJS.WritableStream} [options.out=process.stdout] - Where events go
+ * @param {Function} options.log - Progress and summary messages
+ * @param {boolean} [options.dryRun]
+ */
+async function trade(agent, runner, { format, fields, out = process.stdout, log, dryRun }) {
+  const say = (...args) => out.write(`${args.join(' ')}\n`);
+  // Text logs to a file keep errors next to the bets they belong to
+  const warn = out === process.stdout ? console.error : say;
+  const strategyOf = (asset) => {
+    const { strategy } = runner.markets.find((m) => m.asset === asset);
+    return typeof strategy === 'function' ? strategy.name || 'custom' : strategy;
+  };
+  const tracker = new SettlementTracker(agent);
+  // Ledger writes still in flight; the last round's must land before pending() is read
+  const tracking = new Set();
+  // With --format, one record per event: bet (each leg), abstained, error, settled
+  const writer =
+    format &&
+    new RecordWriter({
+      format,
+      fields,
+      out,
+      columns: ['event', 'round', 'asset', 'orderId', 'gridId', 'amount', 'odds', 'newBalance', 'qualityScore', 'result', 'profit', 'error', 'code'],
+    });
+  const betError = (a, round, gridId, e) => {
+    if (writer) writer.write({ event: 'error', round, asset: a, gridId, error: e.message, code: e.code });
+    else warn(`Round ${round} ${a}: ${gridId ? `leg ${gridId} failed: ` : ''}${e.message}`);
+  };
+  runner.on('skipped', ({ count }) => warn(`Skipped ${count} round(s)`));
+  // Announce trading hours starting and ending rather than every idle round
+  let idle = false;
+  runner.on('idle', () => {
+    if (!idle) log('Outside trading hours; waiting');
+    idle = true;
+  });
+  runner.on('round', (ctx) => {
+    if (idle && runner.when(ctx)) {
+      idle = false;
+      log('Trading hours started');
+    }
+  });
+  runner.on('bet', (a, r, ctx) => {
+    for (const leg of r.results || [r]) {
+      const d = leg.data || {};
+      if (writer) {
+        const { orderId, gridId, amount: staked, odds, newBalance, qualityScore } = d;
+        writer.write({ event: 'bet', round: ctx.index + 1, asset: a, orderId, gridId, amount: staked, odds, newBalance, qualityScore });
+      } else {
+        let output = `Round ${ctx.index + 1} ${a}: orderId=${d.orderId} grid=${d.gridId} odds=${d.odds} balance=${d.newBalance}`;
+        if (d.qualityScore != null) output += ` quality=${d.qualityScore}`;
+        say(output);
+      }
+      const write = tracker
+        .track(leg, { strategy: strategyOf(a) })
+        .catch((e) => warn(`Ledger write failed: ${e.message}`))
+        .finally(() => tracking.delete(write));
+      tracking.add(write);
+    }
+    for (const f of r.failed || []) betError(a, ctx.index + 1, f.gridId, f.error);
+  });
+  runner.on('abstained', (a, r, ctx) => {
+    if (writer) writer.write({ event: 'abstained', round: ctx.index + 1, asset: a });
+    else say(`Round ${ctx.index + 1} ${a}: abstained`);
+  });
+  runner.on('betError', (a, e, ctx) => betError(a, ctx.index + 1, null, e));
+  tracker.on('settled', (b) => {
+    if (writer) return writer.write({ event: 'settled', asset: b.asset, orderId: b.orderId, gridId: b.gridId, result: b.result, profit: b.profit });
+    const profit = b.profit >= 0 ? `+$${b.profit.toFixed(2)}` : `-$${Math.abs(b.profit).toFixed(2)}`;
+    say(`Settled ${b.asset} ${b.orderId}: ${b.result} ${profit}`);
+  });
+  tracker.on('error', (e) => warn(`Settlement check failed: ${e.message}`));
+
+  tracker.start();
+  const summary = await runner.start();
+  await Promise.all(tracking);
+  await tracker.stop();
+  // Paper positions only live in this process, so settle them before exiting
+  if (dryRun && tracker.pending().length) {
+    const wait = Math.max(...tracker.pending().map((b) => b.expiryAt || 0)) + 1000 - Date.now();
+    if (wait > 0) {
+      log(`Waiting ${Math.ceil(wait / 1000)}s for simulated positions to settle (Ctrl+C to skip)...`);
+      // The runner's own handler is gone by now; Ctrl+C ends the wait, not the process
+      let skip;
+      const skipped = new Promise((r) => (skip = r));
+      process.once('SIGINT', skip);
+      let timer;
+      await Promise.race([new Promise((r) => (timer = setTimeout(r, wait))), skipped]);
+      clearTimeout(timer);
+      process.removeListener('SIGINT', skip);
+    }
+    await tracker.poll();
+  }
+
+  if (writer) writer.end();
+
+  log(`\n${summary.rounds} rounds, ${summary.skipped} skipped (${summary.reason})`);
+  for (const [a, st] of Object.entries(summary.assets)) {
+    log(
+      `  ${a}: ${st.bets} bets, ${st.abstained} abstained, $${st.staked.toFixed(2)} staked, ${st.errors} errors, ${st.busy} busy, avg odds ${st.avgOdds.toFixed(2)}x`
+    );
+  }
+  const pending = tracker.pending().length;
+  if (runner.trader.tripped) log(`  Circuit breaker: ${runner.trader.tripped}`);
+  if (pending) log(`  ${pending} bet(s) still pending — see 'predictme pnl' later`);
+  const bal = await agent.getBalance();
+  log('\nFinal balance:', bal.data);
+  return summary;
 }
 
 async function main() {
-  const agent = new PredictMeAgent();
   const cmd = process.argv[2];
-  const args = process.argv.slice(3);
 
   if (!cmd || cmd === '--help' || cmd === '-h') {
-    console.error('PredictMe Agent SDK');
-    console.error('');
-    console.error('Usage: predictme <command> [args]');
-    console.error('');
-    console.error('  balance                     Show balances');
-    console.error('  odds <asset>                Current grids (BTC/ETH/SOL)');
-    console.error('  bet <asset> <amount> [strategy] <commentary>');
-    console.error('  run <asset> <amount> [strategy] [rounds] <commentary>');
-    console.error('  status <agentId>            Check agent status');
-    console.error('  feed [asset] [limit]        Browse reasoning feed');
-    console.error('  leaderboard                 Agent rankings');
-    console.error('  me                          Agent profile');
-    console.error('  bets [limit]                Bet history');
-    console.error('');
-    console.error('Env: PREDICTME_API_KEY=pm_agent_...');
-    console.error('');
-    console.error('Commentary (required, 20-500 chars):');
-    console.error('  GOOD: "BTC testing $95k support with RSI at 28, expecting bounce"');
-    console.error('  BAD:  "bullish" — too short');
-    console.error('');
-    console.error('Template vars: {round}, {price}, {asset}, {odds}, {gridLevel}, {strategy}');
-    process.exit(1);
+    // Asked-for help goes to stdout; help shown because the command is missing is a usage error
+    (cmd ? console.log : console.error)(mainHelp());
+    process.exit(cmd ? EXIT_CODES.OK : EXIT_CODES.USAGE);
   }
 
+  let format = null;
   try {
+    if (cmd === 'help') {
+      const name = process.argv[3];
+      if (name && !COMMANDS[name]) throw new UsageError(`Unknown command: ${name}. Run 'predictme --help' for usage.`);
+      console.log(name ? helpText('predictme', name, COMMANDS[name], GLOBAL_FLAGS) : mainHelp());
+      return;
+    }
+    const spec = COMMANDS[cmd];
+    if (!spec) throw new UsageError(`Unknown command: ${cmd}. Run 'predictme --help' for usage.`);
+    // --help wins over any other problem with the arguments
+    if (process.argv.includes('--help') || process.argv.includes('-h')) {
+      console.log(helpText('predictme', cmd, spec, GLOBAL_FLAGS));
+      return;
+    }
+    const { flags, positionals: args } = parseArgs(process.argv.slice(3), spec, GLOBAL_FLAGS);
+    const { dryRun, fields } = flags;
+    format = flags.format || (fields ? 'json' : null);
+
+    // With --format, stdout carries only the data; progress messages go to stderr
+    const log = format ? console.error : console.log;
+    const print = (data, human) => {
+      if (!format) return human();
+      const out = formatOutput(data, { format, fields });
+      if (out) console.log(out);
+    };
+    const dump = (r) => () => console.log(JSON.stringify(r, null, 2));
+
+    // ----- Profiles (before creating the agent, so a broken profile can be fixed) -----
+
+    if (cmd === 'profile') {
+      const [action = 'list', name, ...rest] = args;
+      if (rest.length) throw new UsageError(`Unexpected argument "${rest[0]}"`);
+      if (action !== 'list' && !name) throw new UsageError(`Usage: predictme profile ${action} <name>`);
+      const store = new ProfileStore();
+
+      if (action === 'list') {
+        const active = resolveProfile({ profile: flags.profile, store });
+        const rows = new Map();
+        for (const p of store.list()) {
+          rows.set(p.name, { name: p.name, active: false, apiKey: maskKey(p.apiKey), apiUrl: p.apiUrl || DEFAULT_API_URL, source: store.filePath });
+        }
+        // A project's .env.<name> wins over a stored profile of the same name, as in loadConfig
+        const envFiles = fs.readdirSync(process.cwd()).filter((f) => /^\.env\.[A-Za-z0-9][\w-]*$/.test(f) && f !== '.env.example');
+        for (const file of envFiles) {
+          const vars = parseEnvFile(file);
+          const n = file.slice('.env.'.length);
+          rows.set(n, { name: n, active: false, apiKey: maskKey(vars.PREDICTME_API_KEY || vars.PREDICTME_AGENT_API_KEY), apiUrl: vars.PREDICTME_API_URL || DEFAULT_API_URL, source: file });
+        }
+        if (rows.has(active)) rows.get(active).active = true;
+        for (const file of [store.filePath, ...envFiles]) {
+          if (isExposed(file)) console.error(`Warning: ${file} is readable by other users; run chmod 600 ${file}`);
+        }
+        const list = Array.from(rows.values()).sort((a, b) => a.name.localeCompare(b.name));
+        print(list, () => {
+          if (!list.length) return console.log("No profiles yet. Add one with 'predictme profile add <name>'.");
+          const width = (key) => Math.max(...list.map((p) => String(p[key] || '(no key)').length));
+          for (const p of list) {
+            console.log(`${p.active ? '*' : ' '} ${p.name.padEnd(width('name'))}  ${(p.apiKey || '(no key)').padEnd(width('apiKey'))}  ${p.apiUrl.padEnd(width('apiUrl'))}  ${p.source}`);
+          }
+          if (!active) console.log('\nNo profile active: using PREDICTME_API_KEY from the environment or .env');
+        });
+        return;
+      }
+      if (action === 'add') {
+        const apiKey = flags.key || (await readSecret(`API key for ${name}: `));
+        if (!/^pm_agent_\w+$/.test(apiKey)) throw new UsageError('Expected an agent API key (pm_agent_...)');
+        store.add(name, { apiKey, apiUrl: flags.url, noncePath: flags.noncePath, ledgerPath: flags.ledgerPath }, { force: flags.force });
+        log(`Saved profile ${name} to ${store.filePath}${store.current() === name ? ' (current)' : ''}`);
+        return;
+      }
+      // .env.<name> profiles belong to the project; they're picked with --profile and edited by hand
+      if ((action === 'use' || action === 'remove') && !store.get(name) && fs.existsSync(`.env.${name}`)) {
+        throw new UsageError(
+          action === 'use'
+            ? `${name} is defined in .env.${name}; select it with --profile ${name} or PREDICTME_PROFILE=${name}`
+            : `${name} is defined in .env.${name}; delete that file to remove it`
+        );
+      }
+      if (action === 'use') {
+        store.use(name);
+        log(`Using profile ${name}`);
+        const active = resolveProfile({ profile: flags.profile, store });
+        if (active !== name) log(`Note: ${active ? `profile ${active} is selected by --profile or PREDICTME_PROFILE` : 'PREDICTME_API_KEY in the environment or .env'} takes precedence here`);
+        return;
+      }
+      if (action === 'remove') {
+        store.remove(name);
+        log(`Removed profile ${name}`);
+        return;
+      }
+      throw new UsageError(`Unknown profile action "${action}". Use list, add, use or remove.`);
+    }
+
+    if (cmd === 'onboard') {
+      if (args.length > 2) throw new UsageError(`Unexpected argument "${args[2]}"`);
+      const target = flags.profile || process.env.PREDICTME_PROFILE;
+      // Registration needs no key, and the target profile usually doesn't exist yet
+      const onboarding = new Onboarding(new PredictMeAgent({ profile: null, apiUrl: flags.url }), {
+        profile: target,
+        envPath: flags.env,
+        force: flags.force,
+      });
+      const interactive = process.stdin.isTTY && !format;
+      const resuming = onboarding.pending();
+      const params = { email: flags.email || args[0], agentName: flags.name || args[1] };
+      if (!resuming) {
+        onboarding.checkTarget(); // Before asking anything
+        params.email = params.email || (interactive ? await ask('Email: ') : '');
+        params.agentName = params.agentName || (interactive ? await ask('Agent name: ') : '');
+        if (!params.email || !params.agentName) throw new UsageError("Usage: predictme onboard <email> <agentName> (see 'predictme onboard --help')");
+        params.description = flags.description;
+        params.twitterHandle = flags.twitter;
+      }
+      params.tweetUrl = flags.tweet;
+      if (!params.tweetUrl && interactive && !(resuming && resuming.claimed)) {
+        params.tweetUrl = (await ask('Tweet URL to verify your agent (optional, Enter to skip): ')) || undefined;
+      }
+
+      onboarding.on('resumed', (st) => {
+        log(`Resuming onboarding of ${st.agentName} (${st.agentId}), started ${st.startedAt}`);
+        log(`The API key will be saved to ${onboarding.target()} as soon as it's issued.`);
+      });
+      onboarding.on('registered', (r) => {
+        log(`Registered ${r.agentName} (${r.agentId}), status: ${r.status}`);
+        log(`The API key will be saved to ${onboarding.target()} as soon as it's issued.`);
+        log(`Progress is saved in ${path.basename(onboarding.statePath)}; if this stops, run 'predictme onboard' again to resume.`);
+      });
+      onboarding.on('claimed', (r) => log(`Claimed with tweet: verification level ${r.verificationLevel}`));
+      onboarding.on('status', ({ status, nextPollMs }) => log(`Waiting for approval (${status}), next check in ${Math.round(nextPollMs / 1000)}s`));
+      onboarding.on('retry', (e, ms) => console.error(`Status check failed (${e.message}), retrying in ${Math.round(ms / 1000)}s`));
+      const stop = () => onboarding.stop();
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+
+      const r = await onboarding.run(params);
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      print(r, () => {
+        console.log(`\n✓ ${r.agentName} is approved; API key saved to ${r.target}\n`);
+        console.log(`  Try it: predictme balance${target ? ` --profile ${target}` : ''}`);
+      });
+      return;
+    }
+
+    const agent = new PredictMeAgent({ dryRun, profile: flags.profile });
+
     // ----- Public commands (no auth) -----
 
     if (cmd === 'status') {
       const agentId = args[0];
-      if (!agentId) throw new Error('Usage: predictme status <agentId>');
+      if (!agentId) throw new UsageError('Usage: predictme status <agentId>');
       const r = await agent.getStatus(agentId);
-      console.log(JSON.stringify(r, null, 2));
+      print(r.data, dump(r));
       return;
     }
 
     if (cmd === 'feed') {
-      const asset = args[0] && args[0] !== 'all' ? args[0] : undefined;
-      const limit = parseInt(args[1], 10) || 20;
-      const r = await agent.getCommentary({ limit, asset: asset?.toUpperCase() });
+      const assetArg = flags.asset || args[0];
+      const asset = assetArg && assetArg !== 'all' ? assetArg : undefined;
+      const r = await listEntries(
+        { all: flags.all, since: flags.since, limit: flags.limit || parseInt(args[1], 10), fallback: 20 },
+        (limit) => agent.getCommentary({ limit, asset: asset?.toUpperCase() }),
+        (opts) => agent.iterCommentary({ ...opts, asset: asset?.toUpperCase() })
+      );
       const entries = r.data || [];
+      if (format) return print(entries);
       if (!entries.length) {
         console.log('No commentary yet.');
         return;
@@ -92,8 +698,13 @@ async function main() {
     }
 
     if (cmd === 'leaderboard') {
-      const r = await agent.getLeaderboard({ limit: 20 });
+      const r = await listEntries(
+        { all: flags.all, limit: flags.limit },
+        (limit) => agent.getLeaderboard({ limit }),
+        (opts) => agent.iterLeaderboard(opts)
+      );
       const entries = r.data || [];
+      if (format) return print(entries);
       if (!entries.length) {
         console.log('No agents on leaderboard yet.');
         return;
@@ -108,88 +719,292 @@ async function main() {
       return;
     }
 
+    if (cmd === 'lint-commentary') {
+      const min = flags.min != null ? flags.min : null;
+      const text = args.join(' ');
+      if (!text) throw new UsageError('Usage: predictme lint-commentary "<text>" [--min N]');
+
+      const v = validate(text);
+      const r = scoreBreakdown(text);
+      // A failed check exits 1 without cutting off piped output
+      const failed = !v.valid || (min != null && r.score < min);
+      if (failed) process.exitCode = EXIT_CODES.ERROR;
+      if (format) return print({ valid: v.valid, error: v.valid ? null : v.error.split('\n')[0], ...r });
+      const bar = (c) => `${String(c.points).padStart(2)}/${c.max}`;
+      console.log(`\n  Score ${r.score}/100${r.badge ? ` [${r.badge}]` : ''}\n`);
+      console.log(`  Length          ${bar(r.length)}  ${r.length.value} chars`);
+      console.log(`  Unique words    ${bar(r.uniqueWords)}  ${r.uniqueWords.value} words`);
+      console.log(`  Technical terms ${bar(r.technicalTerms)}  ${r.technicalTerms.terms.join(', ') || 'none'}`);
+      if (!v.valid) console.log(`\n  ✗ ${v.error.split('\n')[0]}`);
+      if (r.hints.length) {
+        console.log('\n  To improve:');
+        for (const h of r.hints) console.log(`  - ${h}`);
+      }
+      console.log('');
+      return;
+    }
+
+    if (cmd === 'mock-server') {
+      const port = flags.port != null ? flags.port : parseInt(args[0], 10) || 3001;
+      const seed = flags.seed != null ? flags.seed : parseInt(args[1], 10) || 1;
+      const server = new MockServer({ seed });
+      const url = await server.listen(port);
+      print({ url, apiKey: server.apiKey, seed }, () => {
+        console.log(`Mock PredictMe API listening (seed=${seed})\n`);
+        console.log(`  PREDICTME_API_URL=${url}`);
+        console.log(`  PREDICTME_API_KEY=${server.apiKey}\n`);
+      });
+      log('Press Ctrl+C to stop.');
+      const stop = () => server.close().then(() => process.exit(0));
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+      return;
+    }
+
+    if (cmd === 'backtest') {
+      const [file, ...rest] = args;
+      if (!file) throw new UsageError('Usage: predictme backtest <file> [strategy] [amount] [slot]');
+      const strategy = flags.strategy || (rest.length && !/^\d/.test(rest[0]) && isStrategy(rest[0]) ? rest.shift() : 'balanced');
+      usage(() => resolveStrategy(strategy));
+      const amount = flags.amount || (rest.length && /^\d+(\.\d+)?$/.test(rest[0]) ? Number(rest.shift()) : 1);
+      const timeSlot = flags.slot !== undefined ? flags.slot : rest.length ? usage(() => parseSlot(rest.shift())) : undefined;
+      if (rest.length) throw new UsageError(`Unexpected argument "${rest[0]}"`);
+      if (timeSlot !== undefined && flags.expiry) throw new UsageError("--slot and --expiry can't be combined");
+      const assets = flags.asset ? flags.asset.split(',').map((a) => a.trim().toUpperCase()).filter(Boolean) : undefined;
+
+      const r = backtest(loadDataset(file), { strategy, amount, timeSlot, expiryRange: flags.expiry, assets });
+      if (format) {
+        // Same layout as `pnl`: a total row, then one row per slot and per asset
+        const { trades, bySlot, byAsset, ...total } = r;
+        const rows = [{ group: 'total', key: 'total', ...total }];
+        for (const [group, stats] of [['slot', bySlot], ['asset', byAsset]]) {
+          for (const [key, b] of Object.entries(stats)) {
+            rows.push({ group, key, ...b, losses: b.bets - b.wins, roi: b.staked ? (b.pnl / b.staked) * 100 : 0 });
+          }
+        }
+        return print(rows);
+      }
+      const money = (n) => (n >= 0 ? `+$${n.toFixed(2)}` : `-$${Math.abs(n).toFixed(2)}`);
+      console.log(`\n  Backtest — ${strategy} $${amount}${timeSlot !== undefined ? ` slot=${timeSlot}` : ''}\n`);
+      console.log(`  Bets         ${r.bets} (${r.wins} won, ${r.losses} lost)`);
+      console.log(`  Win rate     ${r.winRate.toFixed(1)}%`);
+      console.log(`  PnL          ${money(r.pnl)} on $${r.staked.toFixed(2)} staked (ROI ${r.roi.toFixed(1)}%)`);
+      console.log(`  Max drawdown $${r.maxDrawdown.toFixed(2)}`);
+      console.log(`  Sharpe       ${r.sharpe.toFixed(3)} per bet`);
+      if (r.skipped || r.unsettled) console.log(`  Skipped      ${r.skipped} (no grids), ${r.unsettled} (no settlement price)`);
+      console.log('\n  By slot:');
+      for (const [slot, b] of Object.entries(r.bySlot)) {
+        console.log(`  #${slot.padEnd(3)} ${String(b.bets).padStart(5)} bets  ${b.winRate.toFixed(1).padStart(5)}% win  ${money(b.pnl)}`);
+      }
+      console.log('');
+      return;
+    }
+
     // ----- Authenticated commands -----
 
     if (cmd === 'balance') {
       const r = await agent.getBalance();
-      console.log(JSON.stringify(r, null, 2));
+      print(r.data, dump(r));
       return;
     }
 
     if (cmd === 'me') {
       const r = await agent.getProfile();
-      console.log(JSON.stringify(r, null, 2));
+      print(r.data, dump(r));
       return;
     }
 
     if (cmd === 'odds') {
-      const asset = args[0] || 'BTC';
+      const asset = flags.asset || args[0] || 'BTC';
       const r = await agent.getOdds(asset);
-      console.log(JSON.stringify(r, null, 2));
+      const d = r.data || {};
+      print((d.grids || []).map((g) => ({ currentPrice: d.currentPrice, ...g })), dump(r));
+      return;
+    }
+
+    if (cmd === 'record') {
+      const assets = args.map((a) => a.toUpperCase());
+      const recorder = new OddsRecorder(agent, { assets: assets.length ? assets : ['BTC'], outDir: flags.out, gzip: !!flags.gzip });
+      const writer = format && new RecordWriter({ format, fields, columns: ['event', 'ts', 'asset', 'currentPrice', 'grids', 'reason', 'error'] });
+      recorder.on('odds', (r) => {
+        if (writer) writer.write({ event: 'odds', ts: r.ts, asset: r.asset, currentPrice: r.currentPrice, grids: r.grids.length });
+        else console.log(`${new Date(r.ts).toISOString()} ${r.asset} ${r.currentPrice} (${r.grids.length} grids)`);
+      });
+      recorder.on('gap', (r) => {
+        if (writer) writer.write({ event: 'gap', ts: r.ts, asset: r.asset, reason: r.reason, error: r.error });
+        else console.error(`${new Date(r.ts).toISOString()} ${r.asset} GAP (${r.reason})${r.error ? ': ' + r.error : ''}`);
+      });
+      recorder.on('error', (e) => console.error(`Write failed: ${e.message}`));
+
+      log(`Recording ${recorder.assets.join(', ')} to ${recorder.fileFor(Date.now())}`);
+      recorder.start();
+      const stop = () =>
+        recorder.stop().then(() => {
+          if (writer) writer.end();
+          process.exit(0);
+        });
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
       return;
     }
 
     if (cmd === 'bets') {
-      const limit = parseInt(args[0], 10) || 20;
-      const r = await agent.getBets({ limit });
-      console.log(JSON.stringify(r, null, 2));
+      const r = await listEntries(
+        { all: flags.all, since: flags.since, limit: flags.limit || parseInt(args[0], 10), fallback: 20 },
+        (limit) => agent.getBets({ limit, status: flags.status }),
+        (opts) => agent.iterBets({ ...opts, status: flags.status })
+      );
+      print(r.data || [], dump(r));
+      return;
+    }
+
+    if (cmd === 'dashboard') {
+      const dashboard = new Dashboard(agent, { asset: flags.asset || args[0] || 'BTC' });
+      if (!format) {
+        await dashboard.start();
+        return;
+      }
+      // One summary record per round instead of the screen
+      const writer = new RecordWriter({ format, fields });
+      dashboard.on('error', (e) => console.error(e.message));
+      const snapshot = async () => writer.write(dashboard.summary(await dashboard.refresh()));
+      await dashboard.runner.start(snapshot);
+      writer.end();
+      return;
+    }
+
+    if (cmd === 'pnl') {
+      const tracker = new SettlementTracker(agent);
+      // Pick up results for bets that settled since the last run
+      if (tracker.pending().length && agent.apiKey) {
+        await tracker.poll().catch((e) => console.error(`Could not check pending bets: ${e.message}`));
+      }
+      const r = tracker.ledger.summary();
+      if (format) {
+        const rows = [{ group: 'total', key: 'total', ...r.total }];
+        for (const [group, stats] of [['asset', r.byAsset], ['strategy', r.byStrategy], ['slot', r.bySlot]]) {
+          for (const [key, b] of Object.entries(stats)) rows.push({ group, key, ...b });
+        }
+        return print(r.total.bets ? rows : []);
+      }
+      if (!r.total.bets) {
+        console.log(`No bets in ${tracker.ledger.filePath} yet.`);
+        return;
+      }
+      const money = (n) => (n >= 0 ? `+$${n.toFixed(2)}` : `-$${Math.abs(n).toFixed(2)}`);
+      const row = (label, b) =>
+        `  ${label.padEnd(10)} ${String(b.settled).padStart(5)} settled  ${b.winRate.toFixed(1).padStart(5)}% win  ${money(b.pnl).padStart(10)}  ROI ${b.roi.toFixed(1)}%${b.pending ? `  (${b.pending} pending)` : ''}`;
+
+      console.log(`\n  PnL — ${tracker.ledger.filePath}\n`);
+      console.log(row('Total', r.total));
+      console.log(`  Staked     $${r.total.staked.toFixed(2)}, paid out $${r.total.payout.toFixed(2)}`);
+      for (const [title, group, fmt] of [
+        ['By asset', r.byAsset, (k) => k],
+        ['By strategy', r.byStrategy, (k) => k],
+        ['By slot', r.bySlot, (k) => `#${k}`],
+      ]) {
+        console.log(`\n  ${title}:`);
+        for (const [k, b] of Object.entries(group)) console.log(row(fmt(k), b));
+      }
+      console.log('');
       return;
     }
 
     if (cmd === 'bet') {
-      const [asset, amountStr, strategyName, ...commentaryParts] = args;
-      if (!asset) throw new Error('Usage: predictme bet <asset> <amount> [strategy] <commentary>');
-      const amount = amountStr || '1.00';
-      const strategy = strategyName || 'balanced';
-      const commentary = commentaryParts.join(' ');
+      const params = betArgs(flags, args);
+      if (!params.asset) throw new UsageError("Usage: predictme bet <asset> <amount> [strategy] <commentary> (see 'predictme bet --help')");
+      const { strategy } = params;
 
-      const r = await agent.pickAndBet({ asset, amount, strategy, commentary });
-      console.log(JSON.stringify(r, null, 2));
+      const r = await agent.pickAndBet(params);
+      if (r.abstained) {
+        print([{ status: 'abstained', ...r.data }], () => console.log(`Strategy ${strategy} sat this round out; no bet placed`));
+        return;
+      }
+      // A paper position can't settle once this process exits, so don't ledger it
+      if (!dryRun) {
+        const tracker = new SettlementTracker(agent);
+        for (const leg of r.results || [r]) await tracker.track(leg, { strategy });
+      }
+      for (const f of r.failed || []) console.error(`Leg ${f.gridId} failed: ${f.error.message}`);
+      // Some legs of a multi-grid bet failed: exit with the first failure's code
+      if (r.failed && r.failed.length) process.exitCode = exitCodeFor(r.failed[0].error);
+      print(
+        [
+          ...(r.results || [r]).map((leg) => ({ status: 'placed', ...leg.data })),
+          ...(r.failed || []).map((f) => ({ status: 'failed', gridId: f.gridId, error: f.error.message, code: f.error.code })),
+        ],
+        () => console.log(JSON.stringify(r.results ? { ...r, failed: r.failed.map((f) => ({ gridId: f.gridId, error: f.error.message })) } : r, null, 2))
+      );
       return;
     }
 
     if (cmd === 'run') {
-      const [asset, amountStr, strategyName, roundsStr, ...commentaryParts] = args;
-      const asset_ = asset || 'BTC';
-      const amount = amountStr || '1';
-      const strategy = strategyName || 'balanced';
-      const rounds = Math.min(parseInt(roundsStr || '5', 10) || 5, 50);
-      const template = commentaryParts.join(' ');
+      const { asset, rounds, commentary: template, ...params } = betArgs(flags, args, { rounds: true });
+      const assets = (asset || 'BTC').split(',').map((a) => a.trim().toUpperCase()).filter(Boolean);
+      const twice = assets.find((a, i) => assets.indexOf(a) !== i);
+      if (twice) throw new UsageError(`${twice} is listed twice`);
+      const { amount, strategy } = params;
 
       const v = validate(template);
-      if (!v.valid) throw new Error(v.error);
-
-      console.log(`Running ${rounds} rounds: ${asset_} $${amount} strategy=${strategy}`);
-      console.log(`Commentary template: "${template}"\n`);
-
-      for (let i = 0; i < rounds; i++) {
-        try {
-          const r = await agent.pickAndBet({
-            asset: asset_,
-            amount,
-            strategy,
-            commentary: template,
-            templateContext: { round: String(i + 1) },
-          });
-          const d = r.data || {};
-          let output = `Round ${i + 1}: orderId=${d.orderId} grid=${d.gridId} odds=${d.odds} balance=${d.newBalance}`;
-          if (d.qualityScore != null) output += ` quality=${d.qualityScore}`;
-          console.log(output);
-        } catch (e) {
-          console.error(`Round ${i + 1}: ${e.message}`);
-        }
-        if (i < rounds - 1) await sleep(11000);
-      }
+      if (!v.valid) throw new UsageError(v.error);
+      usage(() => parseTemplate(template)); // Fail on syntax errors now rather than every round
+
+      if (dryRun) log('DRY RUN — bets are simulated against live odds, nothing is staked\n');
+      log(`Running ${rounds === Infinity ? 'until Ctrl+C' : `${rounds} rounds`}: ${assets.join(', ')} $${amount} strategy=${strategy}`);
+      log(`Commentary template: "${template}"\n`);
+
+      const markets = assets.map((a) => ({ ...params, asset: a, commentary: template }));
+      const runner = new MultiAssetRunner(agent, { markets, maxRounds: rounds });
+      await trade(agent, runner, { format, fields, log, dryRun });
+      return;
+    }
+
+    if (cmd === 'start') {
+      if (args.length > 1) throw new UsageError(`Unexpected argument "${args[1]}"`);
+      const config = loadAgentConfig(args[0]);
+      const paper = dryRun || !!config.agent.dryRun;
+      const bot = new PredictMeAgent({ ...config.agent, dryRun: paper, profile: flags.profile || config.agent.profile });
+      // --format beats the config's logging.format; either way events can go to logging.file
+      const events = format || (config.logging.format === 'text' ? null : config.logging.format);
+      const out = config.logging.file ? fs.createWriteStream(config.logging.file, { flags: 'a' }) : process.stdout;
+      const say = events && out === process.stdout ? console.error : console.log;
+
+      const maxRounds = flags.rounds === undefined ? undefined : flags.rounds === 0 ? Infinity : flags.rounds;
+      const runner = createRunner(bot, config, { maxRounds });
+      if (paper) say('DRY RUN — bets are simulated against live odds, nothing is staked\n');
+      say(`Starting ${config.name || 'agent'} from ${config.file}`);
+      say(`${describeConfig(config).join('\n')}\n`);
+      await trade(bot, runner, { format: events, fields, out, log: say, dryRun: paper });
+      if (out !== process.stdout) await new Promise((r) => out.end(r));
+      return;
+    }
 
-      const bal = await agent.getBalance();
-      console.log('\nFinal balance:', bal.data);
+    if (cmd === 'validate-config') {
+      if (args.length > 1) throw new UsageError(`Unexpected argument "${args[1]}"`);
+      let config;
+      try {
+        config = loadAgentConfig(args[0]);
+      } catch (e) {
+        if (!format || !(e instanceof ConfigError)) throw e;
+        process.exitCode = exitCodeFor(e);
+        return print({ file: e.file, valid: false, errors: e.errors });
+      }
+      print({ file: config.file, valid: true, errors: [] }, () => {
+        console.log(`✓ ${config.file}${config.name ? ` (${config.name})` : ''} is valid\n`);
+        console.log(describeConfig(config).join('\n'));
+      });
       return;
     }
 
-    throw new Error(`Unknown command: ${cmd}. Run 'predictme --help' for usage.`);
+    throw new UsageError(`Unknown command: ${cmd}. Run 'predictme --help' for usage.`);
   } catch (e) {
-    console.error(e.message);
-    process.exit(1);
+    // JSON formats get a parseable error on stderr
+    if (format === 'json' || format === 'ndjson') {
+      console.error(JSON.stringify({ error: { code: e.code || null, message: e.message, status: e.status != null ? e.status : undefined } }));
+    } else {
+      console.error(e.message);
+    }
+    process.exit(exitCodeFor(e));
   }
 }
 
@@ -1,51 +1,53 @@
 /**
- * Continuous Trading — Loop through rounds with error recovery.
+ * Continuous Trading — One bet per round with error recovery.
+ *
+ * Runs until Ctrl+C. AgentRunner aligns each bet to the real round
+ * boundaries (derived from the grids' expiryAt), so there's no drift and
+ * no double-betting within a round.
  *
  * Run: node examples/continuous-trading.js
  */
 
-const { PredictMeAgent } = require('../lib/api');
-
-const ROUNDS = 10;
-const INTERVAL_MS = 11000; // 11s (slightly more than 10s round)
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+const { PredictMeAgent, AgentRunner, RateLimitError, InsufficientBalanceError } = require('../lib/api');
 
 async function main() {
   const agent = new PredictMeAgent();
+  const runner = new AgentRunner(agent, { asset: 'BTC', offsetMs: 1500 });
+  let resumeAt = 0;
 
-  console.log(`Starting ${ROUNDS} rounds of BTC trading...\n`);
+  runner.on('skipped', ({ count }) => console.log(`  Skipped ${count} round(s)`));
+
+  console.log('Starting BTC trading (Ctrl+C to stop)...\n');
+
+  const summary = await runner.start(async ({ index }) => {
+    if (Date.now() < resumeAt) return;
 
-  for (let i = 0; i < ROUNDS; i++) {
     try {
       const result = await agent.pickAndBet({
         asset: 'BTC',
         amount: '1.00',
         strategy: 'value',
         commentary: 'Round {round}: Value strategy at {price}, scanning for mispriced grids with {odds}x odds',
-        templateContext: { round: String(i + 1) },
+        templateContext: { round: String(index + 1) },
       });
 
       const d = result.data || {};
-      console.log(`Round ${i + 1}: ${d.orderId} | ${d.odds}x | balance=$${d.newBalance} | quality=${d.qualityScore}`);
+      console.log(`Round ${index + 1}: ${d.orderId} | ${d.odds}x | balance=$${d.newBalance} | quality=${d.qualityScore}`);
     } catch (e) {
-      console.error(`Round ${i + 1} failed: ${e.message}`);
+      console.error(`Round ${index + 1} failed: ${e.message}`);
 
-      // Back off on rate limit or insufficient balance
-      if (e.message.includes('rate') || e.message.includes('balance')) {
-        console.log('  Backing off 30s...');
-        await sleep(30000);
-        continue;
+      // Sit out rounds on rate limit (honoring Retry-After) or insufficient balance
+      if (e instanceof RateLimitError || e instanceof InsufficientBalanceError) {
+        const wait = (e instanceof RateLimitError && e.retryAfter) || 30000;
+        console.log(`  Backing off ${Math.round(wait / 1000)}s...`);
+        resumeAt = Date.now() + wait;
       }
     }
+  });
 
-    if (i < ROUNDS - 1) await sleep(INTERVAL_MS);
-  }
-
+  console.log(`\nStopped after ${summary.rounds} rounds (${summary.reason})`);
   const balance = await agent.getBalance();
-  console.log('\nFinal balance:', balance.data);
+  console.log('Final balance:', balance.data);
 }
 
 main().catch(console.error);
@@ -0,0 +1,466 @@
+/**
+ * Declarative agent config: a bot's whole behavior in one reviewable file.
+ *
+ * `predictme start` reads predictme.config.json (or predictme.config.js,
+ * which may also use functions as strategies) from the working directory:
+ *
+ *   {
+ *     "name": "btc-eth-value",
+ *     "assets": ["BTC", "ETH"],
+ *     "strategy": "filter(odds<4,value)",
+ *     "sizing": { "type": "percent", "percent": 1 },
+ *     "timeSlot": "mid",
+ *     "commentary": [
+ *       "{asset} {direction} into {strikeMin}-{strikeMax} at {odds}x, {secondsToExpiry}s out",
+ *       "{asset} at {price|fixed:0}: {strategy} picks {odds}x, implied {impliedProbability}"
+ *     ],
+ *     "markets": { "ETH": { "strategy": "underdog", "timeSlot": "far" } },
+ *     "schedule": { "rounds": 0, "hours": "08:00-20:00" },
+ *     "risk": { "maxStake": 5, "dailyLossLimit": 50, "stopLoss": 100 },
+ *     "logging": { "format": "ndjson", "file": "bot.log" }
+ *   }
+ *
+ * validateAgentConfig() checks every key and reports all problems at once in
+ * a ConfigError, each prefixed with its key path. Unknown keys are errors
+ * (with a suggestion), so a typo can't quietly fall back to a default.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./errors');
+const { validate } = require('./commentary');
+const { parse: parseTemplate } = require('./template');
+const { resolveStrategy } = require('./strategy');
+const { parseRange, parseSlot, ASSETS } = require('./args');
+const { RiskManager } = require('./risk');
+const { MultiAssetRunner } = require('./runner');
+
+const CONFIG_FILES = ['predictme.config.json', 'predictme.config.js'];
+
+/** Keys a `markets` entry may override. */
+const MARKET_KEYS = ['strategy', 'amount', 'timeSlot', 'expiryRange', 'commentary', 'templateContext'];
+const TOP_KEYS = [
+  'name',
+  'profile',
+  'assets',
+  ...MARKET_KEYS,
+  'sizing',
+  'balanceType',
+  'markets',
+  'schedule',
+  'risk',
+  'logging',
+  'dryRun',
+  'minQuality',
+  'lowQuality',
+  'rejectDuplicates',
+  'ledgerPath',
+];
+const SCHEDULE_KEYS = ['rounds', 'offsetMs', 'hours'];
+const RISK_KEYS = ['minStake', 'maxStake', 'maxExposurePerRound', 'maxExposurePerAsset', 'dailyLossLimit', 'stopLoss', 'takeProfit'];
+const SIZING_KEYS = { fixed: ['amount'], percent: ['percent'], kelly: ['fraction', 'probability'] };
+const LOG_FORMATS = ['text', 'ndjson', 'csv'];
+
+function isObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/** Edit distance, for "did you mean" hints. */
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Collects problems under a key path prefix.
+ * @private
+ */
+class Checker {
+  constructor(errors = [], prefix = '') {
+    this.errors = errors;
+    this.prefix = prefix;
+  }
+
+  at(key) {
+    return new Checker(this.errors, typeof key === 'number' ? `${this.prefix}[${key}]` : this.prefix ? `${this.prefix}.${key}` : key);
+  }
+
+  fail(message) {
+    this.errors.push(this.prefix ? `${this.prefix}: ${message}` : message);
+    return undefined;
+  }
+
+  /** Report keys of `obj` that aren't in `allowed`. */
+  keys(obj, allowed) {
+    for (const key of Object.keys(obj)) {
+      if (allowed.includes(key)) continue;
+      const near = allowed.find((k) => k.toLowerCase() === key.toLowerCase()) || allowed.find((k) => distance(k, key) <= 2);
+      this.at(key).fail(`unknown key${near ? ` (did you mean "${near}"?)` : ''}`);
+    }
+  }
+
+  number(v, { min = 0, max, integer = false, positive = false } = {}) {
+    if (typeof v !== 'number' || !Number.isFinite(v)) return this.fail(`expected a number, got ${JSON.stringify(v)}`);
+    if (integer && !Number.isInteger(v)) return this.fail(`expected a whole number, got ${v}`);
+    if (positive && v <= 0) return this.fail(`must be greater than 0, got ${v}`);
+    if (v < min) return this.fail(`must be at least ${min}, got ${v}`);
+    if (max != null && v > max) return this.fail(`must be at most ${max}, got ${v}`);
+    return v;
+  }
+
+  string(v) {
+    if (typeof v !== 'string' || !v.trim()) return this.fail(`expected a non-empty string, got ${JSON.stringify(v)}`);
+    return v;
+  }
+
+  boolean(v) {
+    if (typeof v !== 'boolean') return this.fail(`expected true or false, got ${JSON.stringify(v)}`);
+    return v;
+  }
+
+  oneOf(v, choices) {
+    const match = choices.find((c) => String(c).toLowerCase() === String(v).toLowerCase());
+    if (match === undefined) return this.fail(`expected one of ${choices.join(', ')}, got ${JSON.stringify(v)}`);
+    return match;
+  }
+
+  /** Run a parser that throws on bad input. */
+  parse(fn) {
+    try {
+      return fn();
+    } catch (err) {
+      return this.fail(err.message.split('\n')[0]);
+    }
+  }
+}
+
+/**
+ * Check the per-market keys (top level or a `markets` entry).
+ * @private
+ */
+function checkMarket(raw, c) {
+  const out = {};
+  if (raw.strategy !== undefined) {
+    const s = raw.strategy;
+    if (typeof s === 'function') out.strategy = s;
+    else if (c.at('strategy').string(s) !== undefined) {
+      if (c.at('strategy').parse(() => resolveStrategy(s)) !== undefined) out.strategy = s;
+    }
+  }
+  if (raw.amount !== undefined) out.amount = c.at('amount').number(raw.amount, { positive: true });
+  if (raw.timeSlot !== undefined) {
+    const v = raw.timeSlot;
+    out.timeSlot = typeof v === 'number' ? c.at('timeSlot').number(v, { integer: true }) : c.at('timeSlot').parse(() => parseSlot(String(v)));
+  }
+  if (raw.expiryRange !== undefined) {
+    const v = raw.expiryRange;
+    const ec = c.at('expiryRange');
+    if (typeof v === 'string') out.expiryRange = ec.parse(() => parseRange(v));
+    else if (Array.isArray(v) && v.length === 2 && v.every((n) => typeof n === 'number' && n >= 0)) {
+      out.expiryRange = v[0] > v[1] ? ec.fail(`min (${v[0]}) is greater than max (${v[1]})`) : v;
+    } else ec.fail(`expected [min, max] seconds or "min:max", got ${JSON.stringify(v)}`);
+  }
+  if (raw.timeSlot !== undefined && raw.expiryRange !== undefined) c.fail("timeSlot and expiryRange can't be combined");
+  if (raw.commentary !== undefined) out.commentary = checkCommentary(raw.commentary, c.at('commentary'));
+  if (raw.templateContext !== undefined) {
+    const tc = c.at('templateContext');
+    if (!isObject(raw.templateContext)) tc.fail('expected an object of template variables');
+    else {
+      for (const [k, v] of Object.entries(raw.templateContext)) {
+        if (!['string', 'number', 'boolean'].includes(typeof v)) tc.at(k).fail('expected a string, number or boolean');
+      }
+      out.templateContext = raw.templateContext;
+    }
+  }
+  return out;
+}
+
+/**
+ * A commentary template, or several to pick from at random each bet.
+ * @private
+ */
+function checkCommentary(raw, c) {
+  const list = Array.isArray(raw) ? raw : [raw];
+  if (list.length === 0) return c.fail('expected at least one template');
+  let ok = true;
+  list.forEach((t, i) => {
+    const tc = Array.isArray(raw) ? c.at(i) : c;
+    if (tc.string(t) === undefined) {
+      ok = false;
+      return;
+    }
+    const v = validate(t);
+    if (!v.valid) {
+      ok = false;
+      tc.fail(v.error.split('\n')[0]);
+    } else if (tc.parse(() => parseTemplate(t)) === undefined) ok = false;
+  });
+  if (!ok) return undefined;
+  return list.length === 1 ? list[0] : `{#pick}${list.join('{|}')}{/pick}`;
+}
+
+/**
+ * Parse "HH:MM-HH:MM" (UTC) into minutes of the day.
+ * @private
+ */
+function parseHours(value) {
+  const m = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(value);
+  const from = m && parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+  const to = m && parseInt(m[3], 10) * 60 + parseInt(m[4], 10);
+  if (!m || from > 1440 || to > 1440 || parseInt(m[2], 10) > 59 || parseInt(m[4], 10) > 59) {
+    throw new Error(`expected "HH:MM-HH:MM" (UTC), e.g. "08:00-20:00", got ${JSON.stringify(value)}`);
+  }
+  if (from === to) throw new Error('start and end are the same; leave hours out to trade around the clock');
+  return { from, to };
+}
+
+/**
+ * Whether a time falls inside trading hours. Windows may wrap midnight
+ * ("22:00-06:00").
+ * @param {{ from: number, to: number }|null} hours - Minutes of the UTC day
+ * @param {number} [ts=Date.now()]
+ * @returns {boolean}
+ */
+function inHours(hours, ts = Date.now()) {
+  if (!hours) return true;
+  const d = new Date(ts);
+  const m = d.getUTCHours() * 60 + d.getUTCMinutes();
+  return hours.from < hours.to ? m >= hours.from && m < hours.to : m >= hours.from || m < hours.to;
+}
+
+/**
+ * Validate a raw config object and normalize it.
+ * @param {object} raw - Parsed predictme.config.json, or a predictme.config.js export
+ * @param {object} [options]
+ * @param {string} [options.file] - Where it came from, for error messages and to resolve logging.file against
+ * @returns {object} `{ name, file, markets, schedule, sizing, risk, balanceType, logging, agent }`,
+ *   where `markets` are MultiAssetRunner markets and `agent` holds PredictMeAgent options
+ * @throws {ConfigError} Listing every problem found
+ */
+function validateAgentConfig(raw, options = {}) {
+  const file = options.file || null;
+  const c = new Checker();
+  if (!isObject(raw)) {
+    throw new ConfigError(`${file || 'Config'}: expected an object at the top level`, ['expected an object at the top level'], file);
+  }
+  c.keys(raw, TOP_KEYS);
+
+  const name = raw.name !== undefined ? c.at('name').string(raw.name) : undefined;
+
+  let assets = [];
+  const ac = c.at('assets');
+  const rawAssets = typeof raw.assets === 'string' ? raw.assets.split(',') : raw.assets;
+  if (rawAssets === undefined) ac.fail('required, e.g. ["BTC"]');
+  else if (!Array.isArray(rawAssets) || rawAssets.length === 0) ac.fail('expected a non-empty list of assets, e.g. ["BTC", "ETH"]');
+  else {
+    rawAssets.forEach((a, i) => {
+      const asset = typeof a === 'string' ? ac.at(i).oneOf(a.trim(), ASSETS) : ac.at(i).fail(`expected an asset symbol, got ${JSON.stringify(a)}`);
+      if (asset === undefined) return;
+      if (assets.includes(asset)) ac.at(i).fail(`${a} is listed twice`);
+      else assets.push(asset);
+    });
+  }
+
+  const base = checkMarket(raw, c);
+
+  let sizing = null;
+  if (raw.sizing !== undefined) {
+    const sc = c.at('sizing');
+    const s = raw.sizing;
+    if (!isObject(s)) sc.fail('expected an object, e.g. { "type": "percent", "percent": 1 }');
+    else {
+      const type = sc.at('type').oneOf(s.type, Object.keys(SIZING_KEYS));
+      if (type) {
+        sc.keys(s, ['type', ...SIZING_KEYS[type]]);
+        sizing = { type };
+        if (type === 'fixed') sizing.amount = sc.at('amount').number(s.amount, { positive: true });
+        if (type === 'percent') sizing.percent = sc.at('percent').number(s.percent, { positive: true, max: 100 });
+        if (type === 'kelly') {
+          if (s.fraction !== undefined) sizing.fraction = sc.at('fraction').number(s.fraction, { positive: true, max: 1 });
+          if (s.probability !== undefined) {
+            if (typeof s.probability === 'function') sizing.probability = s.probability;
+            else sc.at('probability').fail('expected a function (grid) => probability (predictme.config.js only)');
+          }
+        }
+      }
+    }
+    if (raw.amount !== undefined) c.at('amount').fail('use either amount or sizing, not both');
+  }
+  const balanceType = raw.balanceType !== undefined ? c.at('balanceType').oneOf(raw.balanceType, ['TEST', 'BONUS']) : undefined;
+
+  const overrides = {};
+  if (raw.markets !== undefined) {
+    const mc = c.at('markets');
+    if (!isObject(raw.markets)) mc.fail('expected an object keyed by asset, e.g. { "ETH": { "strategy": "underdog" } }');
+    else {
+      for (const [asset, m] of Object.entries(raw.markets)) {
+        const ec = mc.at(asset);
+        if (!assets.includes(asset.toUpperCase())) ec.fail(`${asset} is not in assets`);
+        else if (!isObject(m)) ec.fail(`expected an object with any of ${MARKET_KEYS.join(', ')}`);
+        else {
+          ec.keys(m, MARKET_KEYS);
+          overrides[asset.toUpperCase()] = checkMarket(m, ec);
+        }
+      }
+    }
+  }
+
+  if (raw.commentary === undefined && !assets.every((a) => overrides[a] && overrides[a].commentary !== undefined)) {
+    c.at('commentary').fail('required: a template, or a list of templates to pick from');
+  }
+
+  const schedule = { rounds: Infinity, offsetMs: undefined, hours: null };
+  if (raw.schedule !== undefined) {
+    const sc = c.at('schedule');
+    if (!isObject(raw.schedule)) sc.fail('expected an object');
+    else {
+      const s = raw.schedule;
+      sc.keys(s, SCHEDULE_KEYS);
+      if (s.rounds !== undefined) {
+        const n = sc.at('rounds').number(s.rounds, { integer: true });
+        if (n !== undefined) schedule.rounds = n === 0 ? Infinity : n;
+      }
+      if (s.offsetMs !== undefined) schedule.offsetMs = sc.at('offsetMs').number(s.offsetMs, { integer: true, max: 9000 });
+      if (s.hours !== undefined) schedule.hours = sc.at('hours').parse(() => parseHours(s.hours)) || null;
+    }
+  }
+
+  let risk = null;
+  if (raw.risk !== undefined) {
+    const rc = c.at('risk');
+    if (!isObject(raw.risk)) rc.fail('expected an object');
+    else {
+      rc.keys(raw.risk, RISK_KEYS);
+      risk = {};
+      for (const key of RISK_KEYS) {
+        if (raw.risk[key] !== undefined) risk[key] = rc.at(key).number(raw.risk[key], { positive: key !== 'minStake' });
+      }
+    }
+  }
+
+  const logging = { format: 'text', file: null };
+  if (raw.logging !== undefined) {
+    const lc = c.at('logging');
+    if (!isObject(raw.logging)) lc.fail('expected an object, e.g. { "format": "ndjson", "file": "bot.log" }');
+    else {
+      lc.keys(raw.logging, ['format', 'file']);
+      if (raw.logging.format !== undefined) logging.format = lc.at('format').oneOf(raw.logging.format, LOG_FORMATS);
+      if (raw.logging.file !== undefined) logging.file = lc.at('file').string(raw.logging.file) || null;
+      // Relative to the config file, not wherever the bot happens to be started
+      if (logging.file && file) logging.file = path.resolve(path.dirname(file), logging.file);
+    }
+  }
+
+  const agent = {};
+  if (raw.profile !== undefined) agent.profile = c.at('profile').string(raw.profile);
+  if (raw.dryRun !== undefined) agent.dryRun = c.at('dryRun').boolean(raw.dryRun);
+  if (raw.minQuality !== undefined) agent.minQuality = c.at('minQuality').number(raw.minQuality, { max: 100 });
+  if (raw.lowQuality !== undefined) agent.lowQuality = c.at('lowQuality').oneOf(raw.lowQuality, ['reject', 'enrich']);
+  if (raw.rejectDuplicates !== undefined) agent.rejectDuplicates = c.at('rejectDuplicates').boolean(raw.rejectDuplicates);
+  if (raw.ledgerPath !== undefined) agent.ledgerPath = c.at('ledgerPath').string(raw.ledgerPath);
+
+  if (c.errors.length) {
+    const where = file || 'Config';
+    const count = c.errors.length === 1 ? '1 problem' : `${c.errors.length} problems`;
+    throw new ConfigError(`${where}: ${count}\n${c.errors.map((e) => `  - ${e}`).join('\n')}`, c.errors, file);
+  }
+
+  const markets = assets.map((asset) => {
+    const o = overrides[asset] || {};
+    const m = { asset, strategy: 'balanced', ...base };
+    // A market that picks its own slot or expiry window replaces the inherited one
+    if (o.timeSlot !== undefined || o.expiryRange !== undefined) {
+      delete m.timeSlot;
+      delete m.expiryRange;
+    }
+    Object.assign(m, o);
+    if (base.templateContext && o.templateContext) m.templateContext = { ...base.templateContext, ...o.templateContext };
+    if (m.amount === undefined && !sizing) m.amount = 1;
+    if (balanceType) m.balanceType = balanceType;
+    return m;
+  });
+  return { name: name || null, file, markets, schedule, sizing, risk, balanceType: balanceType || 'TEST', logging, agent };
+}
+
+/**
+ * The config file in a directory, if there is one.
+ * @param {string} [dir=process.cwd()]
+ * @returns {string|null}
+ */
+function findConfigFile(dir = process.cwd()) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+/**
+ * Load and validate a config file (.json, or .js exporting the config object).
+ * @param {string} [file] - Default: findConfigFile()
+ * @returns {object} See validateAgentConfig()
+ * @throws {ConfigError}
+ */
+function loadAgentConfig(file) {
+  const target = file || findConfigFile();
+  if (!target) throw new ConfigError(`No config file found. Create ${CONFIG_FILES.join(' or ')}, or pass a path.`);
+  const resolved = path.resolve(target);
+  if (!fs.existsSync(resolved)) throw new ConfigError(`Config file not found: ${target}`, null, target);
+
+  let raw;
+  if (/\.(c?js)$/.test(resolved)) {
+    try {
+      raw = require(resolved);
+    } catch (err) {
+      throw new ConfigError(`${target}: ${err.message.split('\n')[0]}`, null, target);
+    }
+  } else if (resolved.endsWith('.json')) {
+    const text = fs.readFileSync(resolved, 'utf8');
+    try {
+      raw = JSON.parse(text);
+    } catch (err) {
+      // Point at the line instead of a character offset
+      const pos = /position (\d+)/.exec(err.message);
+      const line = pos ? text.slice(0, parseInt(pos[1], 10)).split('\n').length : null;
+      throw new ConfigError(`${target}${line ? `:${line}` : ''}: invalid JSON (${err.message})`, null, target);
+    }
+  } else {
+    throw new ConfigError(`${target}: config files must be .json or .js`, null, target);
+  }
+  return validateAgentConfig(raw, { file: target });
+}
+
+/**
+ * A MultiAssetRunner for a validated config. Bets go through a RiskManager
+ * when the config has `risk` or `sizing`; rounds outside `schedule.hours`
+ * are idle.
+ * @param {import('./api').PredictMeAgent} agent
+ * @param {object} config - From loadAgentConfig() / validateAgentConfig()
+ * @param {object} [options]
+ * @param {number} [options.maxRounds] - Overrides schedule.rounds
+ * @param {boolean} [options.handleSignals=true]
+ * @returns {MultiAssetRunner} With the RiskManager (if any) as `runner.trader`
+ */
+function createRunner(agent, config, options = {}) {
+  const trader =
+    config.risk || config.sizing
+      ? new RiskManager(agent, { ...config.risk, sizing: config.sizing || undefined, balanceType: config.balanceType })
+      : agent;
+  const { hours } = config.schedule;
+  return new MultiAssetRunner(agent, {
+    markets: config.markets,
+    trader,
+    offsetMs: config.schedule.offsetMs,
+    maxRounds: options.maxRounds != null ? options.maxRounds : config.schedule.rounds,
+    handleSignals: options.handleSignals,
+    when: hours ? (ctx) => inHours(hours, ctx.roundStart) : undefined,
+  });
+}
+
+module.exports = { loadAgentConfig, validateAgentConfig, findConfigFile, createRunner, inHours, CONFIG_FILES };
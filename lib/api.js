@@ -4,48 +4,187 @@
  * Core client class wrapping all 14 Agent API endpoints.
  * Zero external dependencies.
  *
+ * Events:
+ *   request        ({ method, path, requestId })
+ *   response       ({ method, path, requestId, durationMs, body })
+ *   error          (err, { method, path, requestId, durationMs }) — only emitted if listened to
+ *   gridSelected   ({ asset, currentPrice, strategy, grids, candidates, grid, allocations, indicators })
+ *   abstained      ({ asset, currentPrice, strategy, candidates, indicators }) — the strategy sat the round out
+ *   beforeBet      (bet, ctx) — before middleware runs
+ *   betPlaced      (res, bet, ctx)
+ *   nonceRecovered ({ rejected, expectedNonce, nonce })
+ *
+ * Middleware registered with use() runs before every bet and can modify or
+ * veto it (see use()).
+ *
  * @example
  * const { PredictMeAgent } = require('predictme-agent-sdk');
  * const agent = new PredictMeAgent({ apiKey: 'pm_agent_...' });
  * const odds = await agent.getOdds('BTC');
  */
 
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { request } = require('./http');
 const { loadConfig } = require('./config');
-const { NonceManager } = require('./nonce');
-const { validate, renderTemplate } = require('./commentary');
-const { pickGrid } = require('./strategy');
-
-class PredictMeAgent {
+const { NonceManager, FileNonceStore, MemoryNonceStore } = require('./nonce');
+const { validate, renderTemplate, scoreBreakdown, enrich, CommentaryHistory } = require('./commentary');
+const { gridContext } = require('./template');
+const { PriceHistory } = require('./indicators');
+const { pickGrid, filterGrids, toAllocations } = require('./strategy');
+const { MockServer } = require('./mock-server');
+const { backtest, loadDataset } = require('./backtest');
+const { loadAgentConfig, validateAgentConfig } = require('./agent-config');
+const { OddsRecorder } = require('./recorder');
+const { RiskManager } = require('./risk');
+const { AgentRunner, MultiAssetRunner } = require('./runner');
+const { SettlementTracker, Ledger } = require('./settlement');
+const { PaperAccount } = require('./paper');
+const { Dashboard } = require('./dashboard');
+const { Onboarding } = require('./onboarding');
+const { paginate, fetchAll } = require('./paginate');
+const {
+  PredictMeError,
+  PredictMeHttpError,
+  RateLimitError,
+  TimeoutError,
+  AuthenticationError,
+  AgentNotApprovedError,
+  InsufficientBalanceError,
+  RoundClosedError,
+  GridNotFoundError,
+  InvalidNonceError,
+  CommentaryRejectedError,
+  ValidationError,
+  NoGridsError,
+  RiskLimitError,
+  BetVetoedError,
+  TemplateError,
+  UsageError,
+  ConfigError,
+} = require('./errors');
+
+class PredictMeAgent extends EventEmitter {
   /**
    * @param {object} [options]
+   * @param {string} [options.profile] - Named profile to load the key, URL and nonce file from
+   *   (default: PREDICTME_PROFILE, unless apiKey is given; null ignores profiles; see loadConfig
+   *   in lib/config.js)
    * @param {string} [options.apiKey] - Agent API key (pm_agent_...)
    * @param {string} [options.apiUrl] - API base URL
    * @param {string} [options.noncePath] - Path to nonce persistence file
+   * @param {object} [options.nonceStore] - Custom nonce store (see lib/nonce.js), e.g. shared across hosts
+   * @param {string} [options.ledgerPath] - PnL ledger file used by SettlementTracker
+   * @param {number} [options.timeout=15000] - Per-request timeout (ms)
+   * @param {number} [options.retries=2] - Max retries for idempotent requests and 429s
+   * @param {number} [options.minQuality] - Default minimum commentary quality score for bets (see placeBet)
+   * @param {'reject'|'enrich'} [options.lowQuality='reject'] - What to do with commentary below minQuality
+   * @param {boolean} [options.rejectDuplicates=false] - Reject commentary too similar to one of our recent bets
+   * @param {object} [options.commentaryHistory] - CommentaryHistory options (`size`, `threshold`)
+   * @param {object} [options.indicators] - PriceHistory options (`barMs`, `maxBars`) for the per-asset price history
+   * @param {boolean|object} [options.dryRun=false] - Paper trading: odds are real, but bets are booked
+   *   against a simulated balance instead of being sent (see lib/paper.js). Pass
+   *   `{ balances: { TEST, BONUS } }` to set the starting balance.
    */
   constructor(options = {}) {
-    const config = loadConfig();
+    super();
+    // A key passed in is the whole answer: no profile gets to swap in its nonce file and ledger
+    const config = loadConfig({ profile: options.apiKey && options.profile === undefined ? null : options.profile });
+    this.profile = config.profile;
     this.apiKey = options.apiKey || config.apiKey;
     this.apiUrl = options.apiUrl || config.apiUrl;
-    this.nonce = new NonceManager(options.noncePath || config.noncePath);
+    this.nonce = new NonceManager(options.noncePath || config.noncePath, { store: options.nonceStore });
+    this.dryRun = !!options.dryRun;
+    this.paper = this.dryRun ? new PaperAccount(typeof options.dryRun === 'object' ? options.dryRun : {}) : null;
+    // Keep paper results out of the real PnL ledger
+    this.ledgerPath = options.ledgerPath || (this.dryRun ? config.ledgerPath.replace(/(\.ndjson)?$/, '.dry-run$1') : config.ledgerPath);
+    this.httpOptions = { timeout: options.timeout, retries: options.retries };
+    this._queue = Promise.resolve();
+    this.minQuality = options.minQuality;
+    this.lowQuality = options.lowQuality || 'reject';
+    this.rejectDuplicates = !!options.rejectDuplicates;
+    this.commentaryHistory = new CommentaryHistory(options.commentaryHistory);
+    this.indicatorOptions = options.indicators || {};
+    this._priceHistory = new Map();
+    this._middleware = [];
+    this.nonce.on('recover', (e) => this.emit('nonceRecovered', e));
+  }
+
+  /**
+   * Add bet middleware. Each bet passes through every middleware in order
+   * before it is validated and sent. A middleware receives the bet
+   * (`{ gridId, amount, balanceType, commentary, strategy }`) and a context
+   * (`{ asset, grid, grids, currentPrice }` when called via pickAndBet) and may:
+   *   - return nothing to pass the bet on unchanged (mutating it is fine),
+   *   - return an object to replace the bet,
+   *   - return false to veto it (placeBet throws BetVetoedError),
+   *   - throw to abort with its own error.
+   * @param {(bet: object, ctx: object) => any} fn - May be async
+   * @returns {this}
+   */
+  use(fn) {
+    if (typeof fn !== 'function') throw new TypeError('Middleware must be a function');
+    this._middleware.push(fn);
+    return this;
   }
 
   /** @private */
   _auth() {
-    if (!this.apiKey) throw new Error('API key required. Set PREDICTME_API_KEY in .env');
+    if (!this.apiKey) {
+      throw new AuthenticationError(this.profile ? `Profile ${this.profile} has no API key` : 'API key required. Set PREDICTME_API_KEY in .env or add a profile (predictme profile add <name>)');
+    }
     return { Authorization: `Bearer ${this.apiKey}` };
   }
 
+  /**
+   * Run `fn` after every previously queued call has settled.
+   * @private
+   */
+  _serial(fn) {
+    const run = this._queue.then(() => fn());
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
   /** @private */
   _get(path, auth = false) {
-    const headers = auth ? this._auth() : {};
-    return request('GET', `${this.apiUrl}${path}`, null, headers);
+    return this._request('GET', path, null, auth);
   }
 
   /** @private */
   _post(path, body, auth = false) {
-    const headers = auth ? this._auth() : {};
-    return request('POST', `${this.apiUrl}${path}`, body, headers);
+    return this._request('POST', path, body, auth);
+  }
+
+  /** @private */
+  async _request(method, path, body, auth) {
+    const requestId = crypto.randomUUID();
+    const headers = { 'X-Request-Id': requestId, ...(auth ? this._auth() : {}) };
+    const info = { method, path, requestId };
+    this.emit('request', info);
+    const started = Date.now();
+    try {
+      const res = await request(method, `${this.apiUrl}${path}`, body, headers, this.httpOptions);
+      this.emit('response', { ...info, durationMs: Date.now() - started, body: res });
+      return res;
+    } catch (err) {
+      // An unhandled 'error' event would crash the process, so only emit when observed
+      if (this.listenerCount('error') > 0) this.emit('error', err, { ...info, durationMs: Date.now() - started });
+      throw err;
+    }
+  }
+
+  /**
+   * Run the bet through the middleware chain.
+   * @private
+   */
+  async _applyMiddleware(bet, ctx) {
+    for (const fn of this._middleware) {
+      const out = await fn(bet, ctx);
+      if (out === false) throw new BetVetoedError(`Bet on ${bet.gridId} vetoed by middleware${fn.name ? ` ${fn.name}` : ''}`, bet);
+      if (out && typeof out === 'object') bet = out;
+    }
+    return bet;
   }
 
   // =========================================================================
@@ -111,10 +250,12 @@ class PredictMeAgent {
    * Get commentary feed.
    * @param {object} [params]
    * @param {number} [params.limit=20]
+   * @param {number} [params.offset=0]
    * @param {string} [params.asset] - Filter by asset (BTC, ETH, SOL)
    */
-  async getCommentary({ limit = 20, asset } = {}) {
+  async getCommentary({ limit = 20, offset = 0, asset } = {}) {
     const p = new URLSearchParams({ limit: String(limit) });
+    if (offset) p.set('offset', String(offset));
     if (asset) p.set('asset', asset);
     return this._get(`/commentary?${p}`);
   }
@@ -123,9 +264,10 @@ class PredictMeAgent {
    * Get recent agent activity (bets without commentary).
    * @param {object} [params]
    * @param {number} [params.limit=20]
+   * @param {number} [params.offset=0]
    */
-  async getRecentActivity({ limit = 20 } = {}) {
-    return this._get(`/recent-activity?limit=${limit}`);
+  async getRecentActivity({ limit = 20, offset = 0 } = {}) {
+    return this._get(`/recent-activity?limit=${limit}${offset ? `&offset=${offset}` : ''}`);
   }
 
   // =========================================================================
@@ -137,8 +279,12 @@ class PredictMeAgent {
     return this._get('/me', true);
   }
 
-  /** Get TEST and BONUS balances. */
+  /** Get TEST and BONUS balances (simulated in dry-run mode). */
   async getBalance() {
+    if (this.paper) {
+      await this._seedPaper();
+      return this.paper.balance();
+    }
     return this._get('/balance', true);
   }
 
@@ -147,7 +293,73 @@ class PredictMeAgent {
    * @param {string} asset - BTC, ETH, or SOL
    */
   async getOdds(asset = 'BTC') {
-    return this._get(`/odds/${asset}`, true);
+    const res = await this._get(`/odds/${asset}`, true);
+    if (res && res.data) this.priceHistory(asset).add(res.data.currentPrice);
+    if (this.paper) this.paper.observe(asset, res && res.data);
+    return res;
+  }
+
+  /**
+   * Price history and indicators for an asset, fed by every getOdds call.
+   * @param {string} asset
+   * @returns {PriceHistory}
+   */
+  priceHistory(asset) {
+    const key = asset.toUpperCase();
+    if (!this._priceHistory.has(key)) this._priceHistory.set(key, new PriceHistory(this.indicatorOptions));
+    return this._priceHistory.get(key);
+  }
+
+  /**
+   * Start the paper balance from the real one (or the defaults without a key).
+   * @private
+   */
+  async _seedPaper() {
+    if (this.paper.balances) return;
+    let balances = { TEST: 1000, BONUS: 100 };
+    if (this.apiKey) {
+      const res = await this._get('/balance', true).catch(() => null);
+      const d = res && res.data;
+      if (d && d.TEST != null) balances = { TEST: parseFloat(d.TEST) || 0, BONUS: parseFloat(d.BONUS) || 0 };
+    }
+    if (!this.paper.balances) this.paper.balances = balances;
+  }
+
+  /**
+   * Apply the minQuality and duplicate checks to commentary.
+   * @private
+   * @returns {string} The commentary, enriched if needed
+   * @throws {CommentaryRejectedError}
+   */
+  _checkQuality(commentary, { minQuality, lowQuality, rejectDuplicates, context }) {
+    if (rejectDuplicates) {
+      const dup = this.commentaryHistory.findDuplicate(commentary);
+      if (dup) {
+        const err = new CommentaryRejectedError(
+          `Commentary is ${Math.round(dup.similarity * 100)}% similar to a recent bet's ("${dup.text.slice(0, 60)}..."); vary the wording`
+        );
+        err.duplicateOf = dup.text;
+        throw err;
+      }
+    }
+    if (minQuality == null) return commentary;
+
+    let report = scoreBreakdown(commentary);
+    if (report.score < minQuality && lowQuality === 'enrich') {
+      const { grid, currentPrice, asset, strategy, indicators } = context;
+      const market = grid ? { ...gridContext(grid, currentPrice), odds: grid.odds } : {};
+      commentary = enrich(commentary, minQuality, { ...market, asset, price: currentPrice, strategy, indicators });
+      report = scoreBreakdown(commentary);
+    }
+    if (report.score < minQuality) {
+      const err = new CommentaryRejectedError(
+        `Commentary quality ${report.score} is below minQuality ${minQuality}. ${report.hints.join('. ')}`
+      );
+      err.qualityScore = report.score;
+      err.hints = report.hints;
+      throw err;
+    }
+    return commentary;
   }
 
   /**
@@ -158,40 +370,67 @@ class PredictMeAgent {
    * @param {'TEST'|'BONUS'} [params.balanceType='TEST']
    * @param {string} params.commentary - Required, 20–500 chars
    * @param {string} [params.strategy]
+   * @param {number} [params.minQuality] - Minimum local quality score (0–100); overrides the agent default
+   * @param {'reject'|'enrich'} [params.lowQuality] - Below minQuality: throw, or append the bet's actual numbers (see enrich) until it passes
+   * @param {boolean} [params.rejectDuplicates] - Throw if the commentary nearly repeats a recent bet's
+   * @param {object} [ctx] - Context passed to middleware and bet events
+   * @throws {BetVetoedError|CommentaryRejectedError|ValidationError|InsufficientBalanceError|RoundClosedError|InvalidNonceError|AgentNotApprovedError}
    */
-  async placeBet({ gridId, amount, balanceType = 'TEST', commentary, strategy }) {
+  async placeBet({ gridId, amount, balanceType = 'TEST', commentary, strategy, minQuality, lowQuality, rejectDuplicates }, ctx = {}) {
+    let bet = { gridId, amount, balanceType, commentary, strategy };
+    this.emit('beforeBet', bet, ctx);
+    bet = await this._applyMiddleware(bet, ctx);
+    ({ gridId, amount, balanceType = 'TEST', commentary, strategy } = bet);
+
     // Validate commentary client-side
     const v = validate(commentary);
-    if (!v.valid) throw new Error(v.error);
+    if (!v.valid) throw new CommentaryRejectedError(v.error);
+    commentary = this._checkQuality(commentary, {
+      minQuality: minQuality != null ? minQuality : this.minQuality,
+      lowQuality: lowQuality || this.lowQuality,
+      rejectDuplicates: rejectDuplicates != null ? rejectDuplicates : this.rejectDuplicates,
+      context: { ...ctx, strategy },
+    });
 
     // Validate balance type
     if (balanceType === 'REAL') {
-      throw new Error('Agents cannot use REAL balance. Use TEST or BONUS.');
+      throw new ValidationError('Agents cannot use REAL balance. Use TEST or BONUS.');
     }
 
-    const nonce = this.nonce.next();
     const body = {
       gridId,
       amount: String(amount),
       balanceType,
-      nonce,
       commentary: commentary.substring(0, 500),
     };
     if (strategy) body.strategy = strategy;
 
-    try {
-      const res = await this._post('/bet', body, true);
+    if (this.paper) {
+      await this._seedPaper();
+      const res = this.paper.placeBet(body);
+      this.commentaryHistory.add(body.commentary);
+      this.emit('betPlaced', res, body, ctx);
       return res;
-    } catch (err) {
-      // Auto-recover from nonce mismatch
-      if (err.body && err.body.expectedNonce != null) {
-        this.nonce.set(err.body.expectedNonce);
+    }
+
+    // Bets go out one at a time, so concurrent callers (e.g. several assets
+    // trading at once) can't deliver nonces to the server out of order
+    return this._serial(async () => {
+      body.nonce = await this.nonce.nextAsync();
+      let res;
+      try {
+        res = await this._post('/bet', body, true);
+      } catch (err) {
+        // Auto-recover from nonce mismatch (emits 'nonceRecovered')
+        if (!(err instanceof InvalidNonceError) || err.expectedNonce == null) throw err;
         // Retry once with corrected nonce
-        body.nonce = this.nonce.next();
-        return this._post('/bet', body, true);
+        body.nonce = await this.nonce.recover(body.nonce, err.expectedNonce);
+        res = await this._post('/bet', body, true);
       }
-      throw err;
-    }
+      this.commentaryHistory.add(body.commentary);
+      this.emit('betPlaced', res, body, ctx);
+      return res;
+    });
   }
 
   /**
@@ -202,97 +441,275 @@ class PredictMeAgent {
    * @param {'all'|'settled'|'pending'} [params.status='all']
    */
   async getBets({ limit = 50, offset = 0, status = 'all' } = {}) {
+    if (this.paper) {
+      // Fetch a fresh snapshot for positions waiting to settle
+      for (const asset of this.paper.unsettledAssets()) await this.getOdds(asset).catch(() => {});
+      return this.paper.getBets({ limit, offset, status });
+    }
     return this._get(`/bets?limit=${limit}&offset=${offset}&status=${status}`, true);
   }
 
+  // =========================================================================
+  // Paging
+  // =========================================================================
+  //
+  // iterX() walks every page of a list endpoint; fetchAllX() collects it into
+  // an array. Both take the endpoint's filters plus paginate()'s options:
+  // pageSize, offset, max, maxPages and (except the leaderboard) since.
+
+  /**
+   * Bet history, newest first, fetched a page at a time.
+   * @param {object} [params]
+   * @param {'all'|'settled'|'pending'} [params.status='all']
+   * @param {Date|number|string} [params.since] - Stop at bets placed before this
+   * @returns {AsyncGenerator<object>}
+   * @example
+   * for await (const bet of agent.iterBets({ status: 'settled' })) console.log(bet.orderId);
+   */
+  iterBets({ status, ...options } = {}) {
+    return paginate((p) => this.getBets({ ...p, status }), { ...options, timeKey: 'createdAt', key: 'orderId' });
+  }
+
+  /**
+   * Leaderboard, top-ranked first, fetched a page at a time.
+   * @param {object} [options] - Paging options (no `since`: entries have no timestamp)
+   * @returns {AsyncGenerator<object>}
+   */
+  iterLeaderboard(options = {}) {
+    return paginate((p) => this.getLeaderboard(p), { ...options, key: 'agentId' });
+  }
+
+  /**
+   * Commentary feed, newest first, fetched a page at a time.
+   * @param {object} [params]
+   * @param {string} [params.asset]
+   * @param {Date|number|string} [params.since]
+   * @returns {AsyncGenerator<object>}
+   */
+  iterCommentary({ asset, ...options } = {}) {
+    return paginate((p) => this.getCommentary({ ...p, asset }), { ...options, timeKey: 'timestamp' });
+  }
+
+  /**
+   * Recent agent activity, newest first, fetched a page at a time.
+   * @param {object} [options] - Paging options, including `since`
+   * @returns {AsyncGenerator<object>}
+   */
+  iterRecentActivity(options = {}) {
+    return paginate((p) => this.getRecentActivity(p), { ...options, timeKey: 'timestamp' });
+  }
+
+  /** Every bet matching iterBets(params), as an array. */
+  async fetchAllBets(params) {
+    return fetchAll(this.iterBets(params));
+  }
+
+  /** The whole leaderboard (or its first `max` entries), as an array. */
+  async fetchAllLeaderboard(options) {
+    return fetchAll(this.iterLeaderboard(options));
+  }
+
+  /** Every commentary entry matching iterCommentary(params), as an array. */
+  async fetchAllCommentary(params) {
+    return fetchAll(this.iterCommentary(params));
+  }
+
+  /** Every activity entry matching iterRecentActivity(options), as an array. */
+  async fetchAllRecentActivity(options) {
+    return fetchAll(this.iterRecentActivity(options));
+  }
+
   // =========================================================================
   // Convenience methods
   // =========================================================================
 
   /**
    * High-level: fetch odds, pick grid via strategy, place bet.
+   *
+   * If the strategy returns null, nothing is placed and the result is
+   * `{ success: true, abstained: true, data: { asset, currentPrice, strategy } }`.
+   * If it returns several `{ grid, amount }` allocations, each is placed in
+   * turn with its own commentary ({leg} of {legs}) and the result aggregates
+   * them: `{ success, data: { orders, amount, newBalance }, results, failed }`,
+   * where `failed` lists `{ gridId, error }` for legs that couldn't be placed
+   * (it throws only if every leg failed).
+   *
    * @param {object} params
    * @param {string} [params.asset='BTC']
-   * @param {string|number} [params.amount='1.00']
+   * @param {string|number|Function} [params.amount='1.00'] - Stake, or `(grid, { asset, currentPrice, amount }) => stake`
+   *   (may be async; `amount` is the allocation's own stake, if it has one)
    * @param {'TEST'|'BONUS'} [params.balanceType='TEST']
-   * @param {string|Function} [params.strategy='balanced']
-   * @param {string} params.commentary - Required commentary or template
+   * @param {string|Function} [params.strategy='balanced'] - Name, combinator expression like `filter(odds<4,value)`,
+   *   or `(grids, currentPrice, indicators) => grid | null | Array<{ grid, amount }>`
+   * @param {string} params.commentary - Required commentary or template; indicator values ({rsi}, {ema20}, ...) are available
    * @param {object} [params.templateContext] - Extra variables for template
    * @param {'next'|'mid'|'far'|number} [params.timeSlot] - Time slot filter: 'next' (soonest), 'mid' (~60s), 'far' (latest), or slot index (0-based)
    * @param {[number, number]} [params.expiryRange] - Filter by seconds until expiry [minSec, maxSec]
+   * @param {number} [params.minQuality] - See placeBet
+   * @param {'reject'|'enrich'} [params.lowQuality] - See placeBet
+   * @param {boolean} [params.rejectDuplicates] - See placeBet; {#pick} templates are re-rendered a few times first
+   * @throws {NoGridsError|TemplateError} Plus everything placeBet throws
    */
-  async pickAndBet({ asset = 'BTC', amount = '1.00', balanceType = 'TEST', strategy = 'balanced', commentary, templateContext = {}, timeSlot, expiryRange }) {
+  async pickAndBet({
+    asset = 'BTC',
+    amount = '1.00',
+    balanceType = 'TEST',
+    strategy = 'balanced',
+    commentary,
+    templateContext = {},
+    timeSlot,
+    expiryRange,
+    minQuality,
+    lowQuality,
+    rejectDuplicates,
+  }) {
     const oddsRes = await this.getOdds(asset);
     const grids = oddsRes?.data?.grids;
     const currentPrice = oddsRes?.data?.currentPrice;
 
     if (!grids || grids.length === 0) {
-      throw new Error(`No grids available for ${asset}`);
+      throw new NoGridsError(`No grids available for ${asset}`);
     }
 
     // Filter grids by time dimension (timeSlot takes priority over expiryRange)
-    let filteredGrids = grids;
-
-    if (timeSlot !== undefined) {
-      // Group grids by their slot time
-      const slotMap = new Map();
-      for (const g of grids) {
-        const slotKey = Math.floor(g.expiryAt / 10000);
-        if (!slotMap.has(slotKey)) slotMap.set(slotKey, []);
-        slotMap.get(slotKey).push(g);
-      }
-      const slotKeys = Array.from(slotMap.keys()).sort((a, b) => a - b);
-
-      let targetKey;
-      if (timeSlot === 'next') {
-        targetKey = slotKeys[0];
-      } else if (timeSlot === 'mid') {
-        targetKey = slotKeys[Math.floor(slotKeys.length / 2)];
-      } else if (timeSlot === 'far') {
-        targetKey = slotKeys[slotKeys.length - 1];
-      } else if (typeof timeSlot === 'number') {
-        const idx = Math.max(0, Math.min(timeSlot, slotKeys.length - 1));
-        targetKey = slotKeys[idx];
-      }
+    const filteredGrids = filterGrids(grids, { timeSlot, expiryRange });
 
-      if (targetKey !== undefined && slotMap.has(targetKey)) {
-        filteredGrids = slotMap.get(targetKey);
-      }
-    } else if (expiryRange && Array.isArray(expiryRange) && expiryRange.length === 2) {
-      const now = Date.now();
-      const [minSec, maxSec] = expiryRange;
-      filteredGrids = grids.filter((g) => {
-        const secsUntilExpiry = (g.expiryAt - now) / 1000;
-        return secsUntilExpiry >= minSec && secsUntilExpiry <= maxSec;
-      });
+    if (filteredGrids.length === 0) {
+      throw new NoGridsError(`No grids available for ${asset} in the specified time range`);
     }
 
-    if (filteredGrids.length === 0) {
-      throw new Error(`No grids available for ${asset} in the specified time range`);
+    const indicators = this.priceHistory(asset).snapshot();
+    const allocations = toAllocations(pickGrid(filteredGrids, currentPrice, strategy, indicators));
+    if (allocations.length === 0) {
+      this.emit('abstained', { asset, currentPrice, strategy, candidates: filteredGrids, indicators });
+      return { success: true, abstained: true, data: { asset, currentPrice, strategy: typeof strategy === 'string' ? strategy : 'custom' } };
+    }
+    this.emit('gridSelected', {
+      asset,
+      currentPrice,
+      strategy,
+      grids,
+      candidates: filteredGrids,
+      grid: allocations[0].grid,
+      allocations,
+      indicators,
+    });
+
+    const params = { asset, amount, balanceType, strategy, commentary, templateContext, minQuality, lowQuality, rejectDuplicates };
+    const shared = { currentPrice, indicators, candidates: filteredGrids, legs: allocations.length };
+    if (allocations.length === 1) return this._betAllocation(allocations[0], 0, params, shared);
+
+    // Legs go out one after another, so each gets the next nonce in order
+    const results = [];
+    const failed = [];
+    for (let i = 0; i < allocations.length; i++) {
+      try {
+        results.push(await this._betAllocation(allocations[i], i, params, shared));
+      } catch (err) {
+        const grid = allocations[i].grid;
+        failed.push({ gridId: grid.gridIdStr || grid.gridId, error: err });
+      }
     }
+    if (results.length === 0) throw failed[0].error;
+
+    const orders = results.map((r) => r.data || {});
+    return {
+      success: failed.length === 0,
+      data: {
+        orders,
+        amount: orders.reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0).toFixed(2),
+        newBalance: orders[orders.length - 1].newBalance,
+      },
+      results,
+      failed,
+    };
+  }
 
-    const chosen = pickGrid(filteredGrids, currentPrice, strategy);
-    const gridParts = (chosen.gridIdStr || '').split('_');
+  /**
+   * Render commentary for one allocation and place it.
+   * @private
+   */
+  async _betAllocation({ grid, amount: allocated }, leg, params, { currentPrice, indicators, candidates, legs }) {
+    const { asset, amount, balanceType, strategy, commentary, templateContext, minQuality, lowQuality } = params;
+    const gridParts = (grid.gridIdStr || '').split('_');
     const gridLevel = gridParts.length >= 3 ? gridParts[2] : '0';
 
-    // Render commentary template if it contains variables
-    const rendered = renderTemplate(commentary, {
+    // Render commentary template (throws TemplateError on unknown variables)
+    const vars = {
+      ...indicators,
       ...templateContext,
+      ...gridContext(grid, currentPrice),
       price: currentPrice,
       asset,
-      odds: chosen.odds,
+      odds: grid.odds,
       gridLevel,
       strategy: typeof strategy === 'string' ? strategy : 'custom',
-    });
+      leg: leg + 1,
+      legs,
+    };
+    // Later legs share the first one's reasoning, so only the first is checked for duplicates
+    const rejectDuplicates = leg === 0 ? params.rejectDuplicates : false;
+    let rendered = renderTemplate(commentary, vars);
+    // Give {#pick} phrasings a few chances to avoid repeating a recent bet
+    const dedupe = rejectDuplicates != null ? rejectDuplicates : this.rejectDuplicates;
+    for (let i = 0; dedupe && i < 5 && this.commentaryHistory.findDuplicate(rendered); i++) {
+      rendered = renderTemplate(commentary, vars);
+    }
 
-    return this.placeBet({
-      gridId: chosen.gridIdStr || chosen.gridId,
-      amount,
-      balanceType,
-      commentary: rendered,
-      strategy: typeof strategy === 'string' ? strategy : undefined,
-    });
+    const stake = typeof amount === 'function' ? await amount(grid, { asset, currentPrice, amount: allocated }) : allocated ?? amount;
+
+    return this.placeBet(
+      {
+        gridId: grid.gridIdStr || grid.gridId,
+        amount: stake,
+        balanceType,
+        commentary: rendered,
+        strategy: typeof strategy === 'string' ? strategy : undefined,
+        minQuality,
+        lowQuality,
+        rejectDuplicates,
+      },
+      { asset, currentPrice, grids: candidates, grid, indicators }
+    );
   }
 }
 
-module.exports = { PredictMeAgent };
+module.exports = {
+  PredictMeAgent,
+  MockServer,
+  backtest,
+  loadDataset,
+  loadAgentConfig,
+  validateAgentConfig,
+  OddsRecorder,
+  RiskManager,
+  AgentRunner,
+  MultiAssetRunner,
+  SettlementTracker,
+  Ledger,
+  PaperAccount,
+  Dashboard,
+  Onboarding,
+  PriceHistory,
+  NonceManager,
+  FileNonceStore,
+  MemoryNonceStore,
+  PredictMeError,
+  PredictMeHttpError,
+  RateLimitError,
+  TimeoutError,
+  AuthenticationError,
+  AgentNotApprovedError,
+  InsufficientBalanceError,
+  RoundClosedError,
+  GridNotFoundError,
+  InvalidNonceError,
+  CommentaryRejectedError,
+  ValidationError,
+  NoGridsError,
+  RiskLimitError,
+  BetVetoedError,
+  TemplateError,
+  UsageError,
+  ConfigError,
+};
@@ -0,0 +1,219 @@
+/**
+ * Command-line argument parsing for the CLI.
+ *
+ * A command spec lists its flags and describes its positionals:
+ *
+ *   {
+ *     usage: 'bet [asset] [amount] [strategy] [commentary...]',
+ *     summary: 'Place a bet',
+ *     flags: {
+ *       amount: { type: 'number', value: 'n', description: 'Stake' },
+ *       var: { multiple: true, value: 'key=value', parse: parseVar, description: '...' },
+ *     },
+ *   }
+ *
+ * Flags are `--name value`, `--name=value` or, for booleans, just `--name`;
+ * an `alias` adds a short form (`-m value`). Kebab-case names come back
+ * camelCased (`--dry-run` → `dryRun`). Everything else is a positional, as
+ * is anything after `--` and words like `-5%` that start with a digit.
+ *
+ * Values are checked against the flag's `type` (string, number, integer,
+ * boolean), `choices` and `parse` function. Every failure throws UsageError
+ * naming the flag.
+ */
+
+const { UsageError } = require('./errors');
+
+function camel(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Convert and check one flag value.
+ * @private
+ */
+function convert(name, def, raw) {
+  const flag = `--${name}`;
+  let v = raw;
+  if (def.type === 'number' || def.type === 'integer') {
+    v = Number(raw);
+    if (raw === '' || !Number.isFinite(v)) throw new UsageError(`${flag}: expected a number, got "${raw}"`);
+    if (def.type === 'integer' && !Number.isInteger(v)) throw new UsageError(`${flag}: expected a whole number, got "${raw}"`);
+    if (def.min != null && v < def.min) throw new UsageError(`${flag}: must be at least ${def.min}, got ${raw}`);
+  }
+  if (def.choices) {
+    const match = def.choices.find((c) => String(c).toLowerCase() === String(v).toLowerCase());
+    if (match === undefined) throw new UsageError(`${flag}: expected one of ${def.choices.join(', ')}, got "${raw}"`);
+    v = match;
+  }
+  if (def.parse) {
+    try {
+      v = def.parse(v);
+    } catch (err) {
+      if (err instanceof UsageError) throw err;
+      throw new UsageError(`${flag}: ${err.message}`);
+    }
+  }
+  return v;
+}
+
+/**
+ * Parse arguments against a command spec.
+ * @param {string[]} argv - Arguments after the command name
+ * @param {object} spec - Command spec (see above)
+ * @param {object} [globalFlags] - Flags every command accepts
+ * @returns {{ flags: object, positionals: string[] }} Flags by camelCased name,
+ *   with defaults applied; `multiple` flags are arrays
+ * @throws {UsageError}
+ */
+function parseArgs(argv, spec, globalFlags = {}) {
+  const defs = { ...globalFlags, ...spec.flags };
+  const aliases = {};
+  for (const [name, def] of Object.entries(defs)) if (def.alias) aliases[def.alias] = name;
+
+  const flags = {};
+  const positionals = [];
+  const set = (name, def, value) => {
+    const key = camel(name);
+    if (def.multiple) (flags[key] = flags[key] || []).push(value);
+    else if (flags[key] !== undefined) throw new UsageError(`--${name} given more than once`);
+    else flags[key] = value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!/^-[a-zA-Z-]/.test(arg) || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let inline;
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      if (eq !== -1) inline = arg.slice(eq + 1);
+    } else {
+      name = aliases[arg.slice(1)];
+      if (!name) throw new UsageError(`Unknown flag ${arg}`);
+    }
+    const def = defs[name];
+    if (!def) throw new UsageError(`Unknown flag --${name}`);
+
+    if (def.type === 'boolean') {
+      if (inline !== undefined && inline !== 'true' && inline !== 'false') {
+        throw new UsageError(`--${name}: expected true or false, got "${inline}"`);
+      }
+      set(name, def, inline !== 'false');
+      continue;
+    }
+    let raw = inline;
+    if (raw === undefined) {
+      raw = argv[i + 1];
+      if (raw === undefined || (raw.startsWith('--') && raw.length > 2)) {
+        throw new UsageError(`--${name} needs a value${def.value ? ` (${def.value})` : ''}`);
+      }
+      i++;
+    }
+    set(name, def, convert(name, def, raw));
+  }
+
+  for (const [name, def] of Object.entries(defs)) {
+    const key = camel(name);
+    if (flags[key] === undefined && def.default !== undefined) flags[key] = def.default;
+  }
+  return { flags, positionals };
+}
+
+/**
+ * Help text for a command.
+ * @param {string} prog - Program name, e.g. 'predictme'
+ * @param {string} name - Command name
+ * @param {object} spec - Command spec
+ * @param {object} [globalFlags]
+ * @returns {string}
+ */
+function helpText(prog, name, spec, globalFlags = {}) {
+  const flagLines = (defs) => {
+    const rows = Object.entries(defs).map(([n, def]) => {
+      let left = `--${n}`;
+      if (def.alias) left = `-${def.alias}, ${left}`;
+      if (def.type !== 'boolean') left += ` <${def.value || (def.choices ? def.choices.join('|') : def.type || 'value')}>`;
+      let desc = def.description || '';
+      if (def.multiple) desc += ' (repeatable)';
+      if (def.default !== undefined && def.type !== 'boolean') desc += ` (default: ${def.default})`;
+      return [left, desc];
+    });
+    const width = Math.max(...rows.map(([l]) => l.length)) + 2;
+    return rows.map(([l, d]) => `  ${l.padEnd(width)}${d}`.trimEnd());
+  };
+
+  const lines = [`Usage: ${prog} ${spec.usage}`, '', spec.summary];
+  if (spec.details) lines.push('', ...spec.details);
+  if (spec.flags && Object.keys(spec.flags).length) lines.push('', 'Options:', ...flagLines(spec.flags));
+  if (Object.keys(globalFlags).length) lines.push('', 'Global options:', ...flagLines(globalFlags));
+  if (spec.examples) lines.push('', 'Examples:', ...spec.examples.map((e) => `  ${prog} ${e}`));
+  return lines.join('\n');
+}
+
+/** Assets the Agent API lists odds for. */
+const ASSETS = ['BTC', 'ETH', 'SOL'];
+
+/**
+ * Parse a seconds-until-expiry range, "30:90" → [30, 90].
+ * @param {string} value
+ * @returns {[number, number]}
+ */
+function parseRange(value) {
+  const m = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(value);
+  if (!m) throw new Error(`expected min:max seconds, e.g. 30:90, got "${value}"`);
+  const range = [parseFloat(m[1]), parseFloat(m[2])];
+  if (range[0] > range[1]) throw new Error(`min (${range[0]}) is greater than max (${range[1]})`);
+  return range;
+}
+
+/**
+ * Parse a time slot: next, mid, far or a 0-based slot index.
+ * @param {string} value
+ * @returns {'next'|'mid'|'far'|number}
+ */
+function parseSlot(value) {
+  if (value === 'next' || value === 'mid' || value === 'far') return value;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  throw new Error(`expected next, mid, far or a slot index, got "${value}"`);
+}
+
+/**
+ * Parse a template variable assignment, "key=value" → ['key', 'value'].
+ * @param {string} value
+ * @returns {[string, string]}
+ */
+function parseVar(value) {
+  const eq = value.indexOf('=');
+  const key = eq === -1 ? '' : value.slice(0, eq).trim();
+  if (!/^\w+$/.test(key)) throw new Error(`expected key=value, got "${value}"`);
+  return [key, value.slice(eq + 1)];
+}
+
+const UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Parse a point in time: a date ("2026-01-31", ISO), epoch milliseconds, or
+ * how long ago ("90s", "30m", "24h", "7d").
+ * @param {string} value
+ * @param {number} [now=Date.now()]
+ * @returns {number} Milliseconds since the epoch
+ */
+function parseSince(value, now = Date.now()) {
+  const m = /^(\d+(?:\.\d+)?)([smhd])$/.exec(value);
+  if (m) return now - parseFloat(m[1]) * UNITS[m[2]];
+  const t = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(t)) throw new Error(`expected a date, a timestamp or a duration like 24h, got "${value}"`);
+  return t;
+}
+
+module.exports = { parseArgs, helpText, parseRange, parseSlot, parseVar, parseSince, ASSETS };
@@ -0,0 +1,216 @@
+/**
+ * Backtesting engine for grid-selection strategies.
+ *
+ * Replays recorded /odds/:asset snapshots through pickGrid and settles each
+ * simulated bet against the recorded settlement price.
+ *
+ * Dataset format (NDJSON, one record per line):
+ *   {"type":"odds","asset":"BTC","ts":1700000000000,"currentPrice":"95000.00","grids":[...]}
+ *   {"type":"settlement","asset":"BTC","expiryAt":1700000010000,"price":"95012.34"}
+ * Other record types (e.g. "gap" markers from the recorder) are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pickGrid, filterGrids, slotIndex, toAllocations } = require('./strategy');
+const { PriceHistory } = require('./indicators');
+
+/**
+ * Parse dataset records from NDJSON text.
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+function parseRecords(text) {
+  const records = [];
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      throw new Error(`Invalid JSON on line ${i + 1}`);
+    }
+  }
+  return records;
+}
+
+/**
+ * Read one dataset file, transparently gunzipping .gz files.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function readDatasetFile(filePath) {
+  const raw = fs.readFileSync(filePath);
+  return (filePath.endsWith('.gz') ? zlib.gunzipSync(raw) : raw).toString('utf8');
+}
+
+/**
+ * Load a recorded dataset.
+ * @param {string} filePath - NDJSON (or .ndjson.gz) file, or a directory of them
+ * @returns {{ snapshots: Array<object>, settlements: Map<string, number> }}
+ */
+function loadDataset(filePath) {
+  let files = [filePath];
+  if (fs.statSync(filePath).isDirectory()) {
+    files = fs
+      .readdirSync(filePath)
+      .filter((f) => /\.ndjson(\.gz)?$/.test(f))
+      .sort()
+      .map((f) => path.join(filePath, f));
+  }
+  const records = [];
+  for (const f of files) {
+    try {
+      records.push(...parseRecords(readDatasetFile(f)));
+    } catch (err) {
+      throw new Error(`${f}: ${err.message}`);
+    }
+  }
+  return buildDataset(records);
+}
+
+/**
+ * Index raw records into snapshots and settlement prices.
+ * @param {Array<object>} records
+ * @returns {{ snapshots: Array<object>, settlements: Map<string, number> }}
+ */
+function buildDataset(records) {
+  const snapshots = [];
+  const settlements = new Map();
+  for (const r of records) {
+    if (r.type === 'odds' && Array.isArray(r.grids)) snapshots.push(r);
+    else if (r.type === 'settlement') settlements.set(`${r.asset}:${r.expiryAt}`, parseFloat(r.price));
+  }
+  snapshots.sort((a, b) => a.ts - b.ts);
+  return { snapshots, settlements };
+}
+
+/** Empty per-bucket stats. */
+function bucket() {
+  return { bets: 0, wins: 0, staked: 0, pnl: 0, winRate: 0 };
+}
+
+function addTo(b, stake, pnl, won) {
+  b.bets++;
+  if (won) b.wins++;
+  b.staked += stake;
+  b.pnl += pnl;
+  b.winRate = (b.wins / b.bets) * 100;
+}
+
+/**
+ * Run a backtest.
+ * @param {{ snapshots: Array<object>, settlements: Map<string, number> }} dataset
+ * @param {object} [options]
+ * @param {string|Function} [options.strategy='balanced'] - Strategy name or custom function
+ * @param {number} [options.amount=1] - Stake per bet
+ * @param {'next'|'mid'|'far'|number} [options.timeSlot] - Time slot filter
+ * @param {[number, number]} [options.expiryRange] - Seconds-until-expiry filter
+ * @param {string[]} [options.assets] - Only replay these assets
+ * @param {object} [options.indicators] - PriceHistory options for the indicators passed to strategies
+ * @returns {object} Report
+ */
+function backtest(dataset, { strategy = 'balanced', amount = 1, timeSlot, expiryRange, assets, indicators } = {}) {
+  const stake = parseFloat(amount);
+  const trades = [];
+  const bySlot = {};
+  const byAsset = {};
+  const totals = bucket();
+  let skipped = 0;
+  let unsettled = 0;
+
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  const histories = new Map();
+
+  for (const snap of dataset.snapshots) {
+    if (assets && !assets.includes(snap.asset)) continue;
+
+    // Same price history the live agent builds from getOdds
+    if (!histories.has(snap.asset)) histories.set(snap.asset, new PriceHistory(indicators));
+    const history = histories.get(snap.asset);
+    history.add(snap.currentPrice, snap.ts);
+
+    const filtered = filterGrids(snap.grids, { timeSlot, expiryRange, now: snap.ts });
+    if (filtered.length === 0) {
+      skipped++;
+      continue;
+    }
+
+    const allocations = toAllocations(pickGrid(filtered, snap.currentPrice, strategy, history.snapshot()));
+    if (allocations.length === 0) {
+      skipped++;
+      continue;
+    }
+
+    for (const { grid: chosen, amount: allocated } of allocations) {
+      const price = dataset.settlements.get(`${snap.asset}:${chosen.expiryAt}`);
+      if (price == null || Number.isNaN(price)) {
+        unsettled++;
+        continue;
+      }
+
+      const legStake = allocated != null ? parseFloat(allocated) : stake;
+      const won = price >= parseFloat(chosen.strikePriceMin) && price < parseFloat(chosen.strikePriceMax);
+      const odds = parseFloat(chosen.odds);
+      const pnl = won ? legStake * (odds - 1) : -legStake;
+      const slot = slotIndex(snap.grids, chosen);
+
+      addTo(totals, legStake, pnl, won);
+      if (!bySlot[slot]) bySlot[slot] = bucket();
+      addTo(bySlot[slot], legStake, pnl, won);
+      if (!byAsset[snap.asset]) byAsset[snap.asset] = bucket();
+      addTo(byAsset[snap.asset], legStake, pnl, won);
+
+      equity += pnl;
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+
+      trades.push({
+        ts: snap.ts,
+        asset: snap.asset,
+        gridId: chosen.gridIdStr || chosen.gridId,
+        slot,
+        stake: legStake,
+        odds,
+        settlementPrice: price,
+        won,
+        pnl,
+        equity,
+        edge: chosen.edge,
+      });
+    }
+  }
+
+  // Per-bet Sharpe ratio of returns on stake (not annualized)
+  let sharpe = 0;
+  if (trades.length > 1) {
+    const returns = trades.map((t) => t.pnl / t.stake);
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1);
+    sharpe = variance > 0 ? mean / Math.sqrt(variance) : 0;
+  }
+
+  return {
+    strategy: typeof strategy === 'string' ? strategy : 'custom',
+    bets: totals.bets,
+    wins: totals.wins,
+    losses: totals.bets - totals.wins,
+    winRate: totals.winRate,
+    staked: totals.staked,
+    pnl: totals.pnl,
+    roi: totals.staked ? (totals.pnl / totals.staked) * 100 : 0,
+    maxDrawdown,
+    sharpe,
+    skipped,
+    unsettled,
+    bySlot,
+    byAsset,
+    trades,
+  };
+}
+
+module.exports = { backtest, loadDataset, buildDataset, parseRecords };
@@ -2,6 +2,8 @@
  * Commentary validation, templates, and quality scoring.
  */
 
+const { render } = require('./template');
+
 const MIN_LENGTH = 20;
 const MAX_LENGTH = 500;
 
@@ -39,22 +41,64 @@ function validate(commentary) {
 }
 
 /**
- * Render commentary template with variable substitution.
- * Variables: {round}, {price}, {asset}, {odds}, {gridLevel}, {strategy}
+ * Render a commentary template (see lib/template.js for the syntax),
+ * truncated to the maximum commentary length.
+ * pickAndBet provides {price}, {asset}, {odds}, {gridLevel}, {strategy},
+ * {strikeMin}, {strikeMax}, {impliedProbability}, {secondsToExpiry} and
+ * {direction}, plus anything in templateContext.
  * @param {string} template
- * @param {object} context
+ * @param {object} [context]
+ * @param {object} [options] - See render()
  * @returns {string}
+ * @throws {TemplateError} On unknown variables or malformed tags
  */
-function renderTemplate(template, context = {}) {
+function renderTemplate(template, context = {}, options) {
   if (!template) return '';
-  return template
-    .replace(/\{round\}/g, context.round || '?')
-    .replace(/\{price\}/g, context.price || '?')
-    .replace(/\{asset\}/g, context.asset || '?')
-    .replace(/\{odds\}/g, context.odds || '?')
-    .replace(/\{gridLevel\}/g, context.gridLevel || '?')
-    .replace(/\{strategy\}/g, context.strategy || '?')
-    .substring(0, MAX_LENGTH);
+  return render(template, context, options).substring(0, MAX_LENGTH);
+}
+
+// Points per tier, highest first: [threshold, points]
+const LENGTH_TIERS = [[200, 50], [100, 40], [60, 30], [40, 20], [0, 10]];
+const UNIQUE_TIERS = [[25, 25], [15, 20], [10, 10], [0, 0]];
+const TERM_TIERS = [[4, 25], [2, 15], [1, 5], [0, 0]];
+
+function tier(tiers, value) {
+  const i = tiers.findIndex(([min]) => value >= min);
+  return { points: tiers[i][1], next: i > 0 ? { at: tiers[i - 1][0], points: tiers[i - 1][1] } : null };
+}
+
+/**
+ * Quality score with per-component breakdown and improvement hints.
+ * @param {string} commentary
+ * @returns {{ score: number, badge: string|null, length: object, uniqueWords: object, technicalTerms: object, hints: string[] }}
+ */
+function scoreBreakdown(commentary) {
+  const text = (commentary || '').trim();
+  const lower = text.toLowerCase();
+  const uniqueCount = text ? new Set(lower.split(/\s+/)).size : 0;
+  const terms = Array.from(TECHNICAL_TERMS).filter((t) => lower.includes(t));
+
+  const length = { value: text.length, max: 50, ...tier(LENGTH_TIERS, text.length) };
+  const uniqueWords = { value: uniqueCount, max: 25, ...tier(UNIQUE_TIERS, uniqueCount) };
+  const technicalTerms = { value: terms.length, terms, max: 25, ...tier(TERM_TIERS, terms.length) };
+
+  const hints = [];
+  if (length.next) {
+    hints.push(`Add ${length.next.at - length.value} more characters (${length.next.at}+ scores ${length.next.points}/50 for length, now ${length.points})`);
+  }
+  if (uniqueWords.next) {
+    hints.push(`Use ${uniqueWords.next.at - uniqueWords.value} more distinct words (${uniqueWords.next.at}+ scores ${uniqueWords.next.points}/25, now ${uniqueWords.points})`);
+  }
+  if (technicalTerms.next) {
+    const ideas = Array.from(TECHNICAL_TERMS).filter((t) => !terms.includes(t)).slice(0, 5);
+    hints.push(
+      `Mention ${technicalTerms.next.at - technicalTerms.value} more technical term(s), e.g. ${ideas.join(', ')} ` +
+        `(${technicalTerms.next.at}+ scores ${technicalTerms.next.points}/25, now ${technicalTerms.points})`
+    );
+  }
+
+  const score = Math.min(100, length.points + uniqueWords.points + technicalTerms.points);
+  return { score, badge: badgeTier(score), length, uniqueWords, technicalTerms, hints };
 }
 
 /**
@@ -64,34 +108,120 @@ function renderTemplate(template, context = {}) {
  */
 function qualityScore(commentary) {
   if (!commentary) return 0;
-  const text = commentary.trim();
-  let score = 0;
-
-  // Length score (0–50)
-  if (text.length >= 200) score += 50;
-  else if (text.length >= 100) score += 40;
-  else if (text.length >= 60) score += 30;
-  else if (text.length >= 40) score += 20;
-  else score += 10;
-
-  // Unique words (0–25)
-  const words = text.toLowerCase().split(/\s+/);
-  const unique = new Set(words).size;
-  if (unique >= 25) score += 25;
-  else if (unique >= 15) score += 20;
-  else if (unique >= 10) score += 10;
-
-  // Technical terms (0–25)
-  const lower = text.toLowerCase();
-  let termCount = 0;
-  for (const term of TECHNICAL_TERMS) {
-    if (lower.includes(term)) termCount++;
+  return scoreBreakdown(commentary).score;
+}
+
+/**
+ * Append sentences stating the bet's actual numbers to commentary until it
+ * reaches `minQuality` (or runs out of sentences, or would exceed the length
+ * limit). Every sentence is built from a value in `context`: the grid, odds
+ * and price, the model's estimate, and indicator readings once the price
+ * history has enough bars. Nothing is added for values that aren't there, so
+ * commentary that can't reach the threshold on facts alone stays below it.
+ * @param {string} commentary
+ * @param {number} minQuality
+ * @param {object} [context] - asset, price, odds, strikeMin, strikeMax, impliedProbability, secondsToExpiry,
+ *   direction, strategy, modelProbability, edge, indicators (a PriceHistory snapshot)
+ * @returns {string}
+ */
+function enrich(commentary, minQuality, context = {}) {
+  const c = context;
+  const ind = c.indicators || {};
+  const price = parseFloat(c.price);
+  const sentences = [];
+  if (c.price != null) sentences.push(`${c.asset || 'Price'} at ${c.price}.`);
+  if (c.strikeMin != null && c.strikeMax != null) {
+    const side = c.direction === 'up' ? 'above spot' : c.direction === 'down' ? 'below spot' : c.direction === 'flat' ? 'around spot' : null;
+    sentences.push(`Target range ${c.strikeMin}-${c.strikeMax}${side ? ` sits ${side}` : ''}.`);
+  }
+  if (c.odds != null) {
+    const p = c.impliedProbability != null ? ` imply ${(parseFloat(c.impliedProbability) * 100).toFixed(1)}% probability` : '';
+    sentences.push(`Odds of ${c.odds}x${p}${c.secondsToExpiry != null ? ` with ${c.secondsToExpiry}s to expiry` : ''}.`);
+  }
+  if (c.modelProbability != null) {
+    sentences.push(`Model puts it at ${(parseFloat(c.modelProbability) * 100).toFixed(1)}%${c.edge != null ? `, an edge of ${(parseFloat(c.edge) * 100).toFixed(1)} points` : ''}.`);
+  }
+  if (ind.rsi != null) {
+    const zone = ind.rsi <= 30 ? ', oversold' : ind.rsi >= 70 ? ', overbought' : '';
+    sentences.push(`RSI(14) at ${ind.rsi}${zone}.`);
+  }
+  for (const [key, name] of [['sma20', '20-bar SMA'], ['ema50', '50-bar EMA']]) {
+    if (ind[key] != null && Number.isFinite(price)) {
+      sentences.push(`Price is ${price >= ind[key] ? 'above' : 'below'} the ${name} at ${ind[key]}.`);
+    }
+  }
+  if (ind.macdHistogram != null) {
+    sentences.push(`MACD histogram at ${ind.macdHistogram} (${ind.macdHistogram >= 0 ? 'bullish' : 'bearish'} momentum).`);
   }
-  if (termCount >= 4) score += 25;
-  else if (termCount >= 2) score += 15;
-  else if (termCount >= 1) score += 5;
+  if (ind.bbUpper != null && ind.bbLower != null) {
+    sentences.push(`Bollinger bands ${ind.bbLower}-${ind.bbUpper}${ind.bbPercentB != null ? `, %B ${ind.bbPercentB}` : ''}.`);
+  }
+  if (c.strategy) sentences.push(`Picked by the ${c.strategy} strategy.`);
+
+  let out = (commentary || '').trim();
+  for (const sentence of sentences) {
+    if (qualityScore(out) >= minQuality) break;
+    const next = out ? `${out} ${sentence}` : sentence;
+    if (next.length > MAX_LENGTH) break;
+    out = next;
+  }
+  return out;
+}
+
+/**
+ * Recent commentary, for spotting near-duplicates (e.g. one template
+ * rendered every round) before the server flags them as spam.
+ */
+class CommentaryHistory {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.size=50] - Entries remembered
+   * @param {number} [options.threshold=0.8] - Word-set similarity (0–1) at which two texts count as duplicates
+   */
+  constructor(options = {}) {
+    this.size = options.size || 50;
+    this.threshold = options.threshold != null ? options.threshold : 0.8;
+    this._entries = [];
+  }
+
+  /** Remember a commentary. */
+  add(commentary) {
+    this._entries.push({ text: commentary, words: wordSet(commentary) });
+    if (this._entries.length > this.size) this._entries.shift();
+  }
+
+  /**
+   * Most similar remembered commentary at or above the threshold.
+   * @param {string} commentary
+   * @returns {{ text: string, similarity: number }|null}
+   */
+  findDuplicate(commentary) {
+    const words = wordSet(commentary);
+    let best = null;
+    for (const e of this._entries) {
+      const similarity = jaccard(words, e.words);
+      if (similarity >= this.threshold && (!best || similarity > best.similarity)) best = { text: e.text, similarity };
+    }
+    return best;
+  }
+}
+
+/** Lowercased words with numbers collapsed, so "95012.40" and "95030.10" match. */
+function wordSet(text) {
+  return new Set(
+    (text || '')
+      .toLowerCase()
+      .replace(/[-+$]?\d[\d,.]*[%x]?/g, '#')
+      .split(/[^\w#]+/)
+      .filter(Boolean)
+  );
+}
 
-  return Math.min(100, score);
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
 }
 
 /**
@@ -107,4 +237,14 @@ function badgeTier(score) {
   return null;
 }
 
-module.exports = { validate, renderTemplate, qualityScore, badgeTier, MIN_LENGTH, MAX_LENGTH };
+module.exports = {
+  validate,
+  renderTemplate,
+  qualityScore,
+  scoreBreakdown,
+  enrich,
+  CommentaryHistory,
+  badgeTier,
+  MIN_LENGTH,
+  MAX_LENGTH,
+};
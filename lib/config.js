@@ -1,11 +1,14 @@
 /**
  * Configuration loader.
- * Reads from .env file (if exists) and process.env.
+ * Reads from .env file (if exists) and process.env, or from a named profile
+ * (see lib/profiles.js).
  * Zero dependencies — hand-rolled .env parser.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { ProfileStore } = require('./profiles');
+const { ConfigError } = require('./errors');
 
 const DEFAULT_API_URL = 'https://api.predictme.me/api/v1/agent';
 
@@ -38,12 +41,108 @@ function parseEnvFile(filePath) {
 }
 
 /**
- * Load configuration from environment + .env file.
+ * Set a variable in a .env file, keeping every other line. The file is
+ * replaced atomically and left readable only by its owner. A different
+ * existing value is kept as a comment rather than lost.
+ * @param {string} filePath
+ * @param {string} key
+ * @param {string} value
+ */
+function setEnvVar(filePath, key, value) {
+  let lines = [];
+  try {
+    lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const re = new RegExp(`^\\s*${key}\\s*=\\s*(.*)$`);
+  let found = false;
+  lines = lines.flatMap((line) => {
+    const m = re.exec(line);
+    if (!m) return [line];
+    // A later duplicate would override ours
+    if (found) return [`# ${line.trim()}`];
+    found = true;
+    const old = m[1].replace(/^(['"])(.*)\1$/, '$2');
+    if (!old || old === value) return [`${key}=${value}`];
+    return [`# ${line.trim()}  (replaced ${new Date().toISOString()})`, `${key}=${value}`];
+  });
+  if (!found) lines.push(`${key}=${value}`);
+
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${lines.join('\n')}\n`, { mode: 0o600 });
+  fs.chmodSync(tmp, 0o600);
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Name of the profile loadConfig() would use, or null for plain .env/env
+ * configuration. In order: `opts.profile`, PREDICTME_PROFILE, then — only
+ * when no API key is configured the plain way — the profile selected with
+ * `predictme profile use`.
+ * @param {object} [opts]
+ * @param {string|null} [opts.profile] - null ignores profiles altogether
+ * @param {string} [opts.envPath]
+ * @param {ProfileStore} [opts.store]
+ * @returns {string|null}
+ */
+function resolveProfile(opts = {}) {
+  if (opts.profile === null) return null;
+  const merged = { ...parseEnvFile(opts.envPath || path.join(process.cwd(), '.env')), ...process.env };
+  const explicit = opts.profile || merged.PREDICTME_PROFILE;
+  if (explicit) return explicit;
+  if (merged.PREDICTME_API_KEY || merged.PREDICTME_AGENT_API_KEY) return null;
+  return (opts.store || new ProfileStore()).current();
+}
+
+/**
+ * Configuration for one profile: `.env.<name>` in the working directory,
+ * else the stored profile. Each profile gets its own nonce file (next to
+ * where its key is kept) and PnL ledger.
+ * @private
+ */
+function profileConfig(name, store) {
+  const envFile = path.join(process.cwd(), `.env.${name}`);
+  if (fs.existsSync(envFile)) {
+    const vars = parseEnvFile(envFile);
+    return {
+      profile: name,
+      apiKey: vars.PREDICTME_API_KEY || vars.PREDICTME_AGENT_API_KEY,
+      apiUrl: vars.PREDICTME_API_URL || vars.PREDICTME_AGENT_API_URL || DEFAULT_API_URL,
+      noncePath: vars.PREDICTME_NONCE_PATH || path.join(process.cwd(), `.predictme-nonce.${name}`),
+      ledgerPath: vars.PREDICTME_LEDGER_PATH || path.join(process.cwd(), `.predictme-ledger.${name}.ndjson`),
+    };
+  }
+  const entry = store.get(name);
+  if (!entry) {
+    throw new ConfigError(`Unknown profile "${name}": no .env.${name} here and none in ${store.filePath}. Add it with 'predictme profile add ${name}'.`);
+  }
+  return {
+    profile: name,
+    apiKey: entry.apiKey,
+    apiUrl: entry.apiUrl || DEFAULT_API_URL,
+    noncePath: entry.noncePath || path.join(store.dir, `${name}.nonce`),
+    ledgerPath: entry.ledgerPath || path.join(process.cwd(), `.predictme-ledger.${name}.ndjson`),
+  };
+}
+
+/**
+ * Load configuration from environment + .env file, or from a profile (see
+ * resolveProfile() for which one). A profile's key, URL and nonce file
+ * replace the plain .env/env settings entirely.
  * @param {object} [opts]
  * @param {string} [opts.envPath] - Path to .env file (default: cwd/.env)
- * @returns {{ apiKey: string|undefined, apiUrl: string, noncePath: string }}
+ * @param {string|null} [opts.profile] - Profile name (default: PREDICTME_PROFILE; null for none)
+ * @param {ProfileStore} [opts.store] - Where stored profiles live
+ * @returns {{ apiKey: string|undefined, apiUrl: string, noncePath: string, ledgerPath: string, profile: string|null }}
+ * @throws {ConfigError} If the selected profile doesn't exist
  */
 function loadConfig(opts = {}) {
+  const store = opts.store || new ProfileStore();
+  const profile = resolveProfile({ ...opts, store });
+  if (profile) return profileConfig(profile, store);
+
   const envPath = opts.envPath || path.join(process.cwd(), '.env');
   const fileVars = parseEnvFile(envPath);
 
@@ -54,7 +153,9 @@ function loadConfig(opts = {}) {
     apiKey: merged.PREDICTME_API_KEY || merged.PREDICTME_AGENT_API_KEY,
     apiUrl: merged.PREDICTME_API_URL || merged.PREDICTME_AGENT_API_URL || DEFAULT_API_URL,
     noncePath: merged.PREDICTME_NONCE_PATH || path.join(process.cwd(), '.predictme-nonce'),
+    ledgerPath: merged.PREDICTME_LEDGER_PATH || path.join(process.cwd(), '.predictme-ledger.ndjson'),
+    profile: null,
   };
 }
 
-module.exports = { loadConfig, DEFAULT_API_URL };
+module.exports = { loadConfig, resolveProfile, parseEnvFile, setEnvVar, DEFAULT_API_URL };
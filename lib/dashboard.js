@@ -0,0 +1,304 @@
+/**
+ * Live terminal dashboard (ANSI only, no dependencies).
+ *
+ * Once per round it fetches the odds, our open and settled bets, the
+ * commentary feed and the leaderboard, and redraws:
+ *
+ *   - the grid ladder of the round closing next, strikes around currentPrice
+ *     (● marks grids we hold a position on)
+ *   - open positions
+ *   - settled PnL with a sparkline of the cumulative curve
+ *   - recent feed entries and our leaderboard rank
+ *
+ * It only reads, so it can watch an agent running in another process. A
+ * section whose request fails keeps its previous data and shows the error.
+ *
+ * Events: 'refresh' (state), 'error' (err) — only emitted if listened to.
+ *
+ * @example
+ * const dashboard = new Dashboard(agent, { asset: 'BTC' });
+ * await dashboard.start(); // until Ctrl+C
+ */
+
+const { EventEmitter } = require('events');
+const { AgentRunner } = require('./runner');
+const { filterGrids } = require('./strategy');
+
+const ESC = '\x1b[';
+const SPARKS = '▁▂▃▄▅▆▇█';
+
+function money(n) {
+  return n >= 0 ? `+$${n.toFixed(2)}` : `-$${Math.abs(n).toFixed(2)}`;
+}
+
+function clock(ts) {
+  return new Date(ts).toTimeString().slice(0, 8);
+}
+
+function fit(text, width) {
+  const s = String(text);
+  return s.length > width ? `${s.slice(0, Math.max(0, width - 1))}…` : s;
+}
+
+/**
+ * Unicode sparkline of the last `width` values.
+ * @param {number[]} values
+ * @param {number} [width=40]
+ * @returns {string}
+ */
+function sparkline(values, width = 40) {
+  const v = values.slice(-width);
+  if (v.length === 0) return '';
+  const min = Math.min(...v);
+  const max = Math.max(...v);
+  return v.map((x) => SPARKS[max === min ? 3 : Math.round(((x - min) / (max - min)) * (SPARKS.length - 1))]).join('');
+}
+
+/** Profit of a settled /bets row (same rules as SettlementTracker). */
+function profitOf(row) {
+  if (row.profit != null) return parseFloat(row.profit) || 0;
+  const amount = parseFloat(row.amount) || 0;
+  const won = row.result ? row.result === 'win' || row.result === 'won' : row.status === 'won';
+  const payout = row.payout != null ? parseFloat(row.payout) : won ? amount * parseFloat(row.odds) : 0;
+  return payout - amount;
+}
+
+class Dashboard extends EventEmitter {
+  /**
+   * @param {import('./api').PredictMeAgent} agent
+   * @param {object} [options]
+   * @param {string} [options.asset='BTC']
+   * @param {number} [options.ladderRows=9] - Grid rows shown around the current price
+   * @param {number} [options.positionRows=6] - Open positions shown
+   * @param {number} [options.settledBets=50] - Settled bets in the PnL curve
+   * @param {number} [options.feedLimit=5] - Feed entries shown
+   * @param {number} [options.leaderboardLimit=100] - Leaderboard entries searched for our rank
+   * @param {NodeJS.WritableStream} [options.out=process.stdout]
+   * @param {boolean} [options.color] - Default: out is a TTY and NO_COLOR is unset
+   * @param {number} [options.offsetMs=1500] - Delay into each round before refreshing
+   * @param {number} [options.maxRounds=Infinity]
+   * @param {boolean} [options.handleSignals=true] - Stop on SIGINT/SIGTERM
+   * @param {() => number} [options.now=Date.now] - Clock
+   */
+  constructor(agent, options = {}) {
+    super();
+    this.agent = agent;
+    this.asset = (options.asset || 'BTC').toUpperCase();
+    this.ladderRows = options.ladderRows || 9;
+    this.positionRows = options.positionRows || 6;
+    this.settledBets = options.settledBets || 50;
+    this.feedLimit = options.feedLimit || 5;
+    this.leaderboardLimit = options.leaderboardLimit || 100;
+    this.out = options.out || process.stdout;
+    this.color = options.color != null ? options.color : !!this.out.isTTY && !process.env.NO_COLOR;
+    this.now = options.now || Date.now;
+    this.runner = new AgentRunner(agent, {
+      asset: this.asset,
+      offsetMs: options.offsetMs != null ? options.offsetMs : 1500,
+      maxRounds: options.maxRounds,
+      handleSignals: options.handleSignals,
+      now: this.now,
+    });
+
+    this.state = { odds: null, open: [], settled: [], feed: [], leaderboard: [], profile: null, balance: null, errors: {} };
+  }
+
+  /**
+   * Fetch everything shown on screen. Sections whose request fails keep
+   * their previous data and record the error in `state.errors`.
+   * @returns {Promise<object>} State
+   */
+  async refresh() {
+    const a = this.agent;
+    const jobs = {
+      odds: () => a.getOdds(this.asset).then((r) => r.data || null),
+      balance: () => a.getBalance().then((r) => r.data || null),
+      open: () => a.getBets({ limit: 100, status: 'pending' }).then((r) => r.data || []),
+      settled: () => a.getBets({ limit: this.settledBets, status: 'settled' }).then((r) => r.data || []),
+      feed: () => a.getCommentary({ limit: this.feedLimit, asset: this.asset }).then((r) => r.data || []),
+      leaderboard: () => a.getLeaderboard({ limit: this.leaderboardLimit }).then((r) => r.data || []),
+    };
+    // Only needed once, to find ourselves on the leaderboard
+    if (!this.state.profile) jobs.profile = () => a.getProfile().then((r) => r.data || null);
+
+    const keys = Object.keys(jobs);
+    const results = await Promise.allSettled(keys.map((k) => jobs[k]()));
+    const errors = {};
+    results.forEach((r, i) => {
+      if (r.status === 'fulfilled') this.state[keys[i]] = r.value;
+      else {
+        errors[keys[i]] = r.reason.message;
+        if (this.listenerCount('error') > 0) this.emit('error', r.reason);
+      }
+    });
+    this.state.errors = errors;
+    this.state.updatedAt = this.now();
+    this.emit('refresh', this.state);
+    return this.state;
+  }
+
+  /**
+   * Render a state to a string (no screen control codes).
+   * @param {object} [state=this.state]
+   * @returns {string}
+   */
+  render(state = this.state) {
+    const c = (code, s) => (this.color ? `${ESC}${code}m${s}${ESC}0m` : s);
+    const pnlColor = (n, s) => c(n >= 0 ? '32' : '31', s);
+    const width = Math.max(60, this.out.columns || 80);
+    const lines = [];
+    const heading = (title, note = '') => {
+      lines.push('');
+      lines.push(c('1', title) + (note ? c('2', `  ${note}`) : ''));
+    };
+    const failed = (key) => state.errors[key] && lines.push(c('31', `  ! ${fit(state.errors[key], width - 4)}`));
+
+    // Header
+    const odds = state.odds;
+    const price = odds ? parseFloat(odds.currentPrice) : NaN;
+    const bal = state.balance ? `TEST ${state.balance.TEST ?? '?'}  BONUS ${state.balance.BONUS ?? '?'}` : '';
+    lines.push(
+      `${c('1', `PredictMe · ${this.asset}`)}  ${Number.isFinite(price) ? c('1', `$${price.toFixed(2)}`) : '—'}  ${c('2', `updated ${clock(state.updatedAt || this.now())}`)}  ${bal}`
+    );
+
+    // Grid ladder
+    const next = odds && odds.grids && odds.grids.length ? filterGrids(odds.grids, { timeSlot: 'next' }) : [];
+    const held = new Set(state.open.map((b) => b.gridId));
+    heading('Grid ladder', next.length ? `round closing ${clock(next[0].expiryAt)}` : '');
+    failed('odds');
+    if (next.length === 0) {
+      lines.push(c('2', '  No grids'));
+    } else {
+      const ladder = next.slice().sort((x, y) => parseFloat(y.strikePriceMin) - parseFloat(x.strikePriceMin));
+      let at = ladder.findIndex((g) => price >= parseFloat(g.strikePriceMin));
+      if (at === -1) at = ladder.length - 1;
+      const start = Math.max(0, Math.min(at - Math.floor(this.ladderRows / 2), ladder.length - this.ladderRows));
+      lines.push(c('2', `    ${'strike range'.padEnd(25)} ${'odds'.padStart(8)} ${'implied'.padStart(8)}`));
+      for (const g of ladder.slice(start, start + this.ladderRows)) {
+        const here = price >= parseFloat(g.strikePriceMin) && price < parseFloat(g.strikePriceMax);
+        const mark = held.has(g.gridIdStr || g.gridId) ? c('33', '●') : ' ';
+        const implied = g.impliedProbability != null ? `${(parseFloat(g.impliedProbability) * 100).toFixed(1)}%` : '';
+        const row = `${here ? '▶' : ' '} ${`${g.strikePriceMin} – ${g.strikePriceMax}`.padEnd(25)} ${`${parseFloat(g.odds).toFixed(2)}x`.padStart(8)} ${implied.padStart(8)}`;
+        lines.push(`${mark} ${here ? c('7', row) : row}`);
+      }
+    }
+
+    // Open positions
+    heading('Open positions', `${state.open.length}`);
+    failed('open');
+    if (state.open.length === 0) lines.push(c('2', '  None'));
+    for (const b of state.open.slice(0, this.positionRows)) {
+      const secs = Math.max(0, Math.round((b.expiryAt - this.now()) / 1000));
+      lines.push(
+        `  ${String(b.asset || '').padEnd(4)} ${`${b.strikePriceMin ?? '?'} – ${b.strikePriceMax ?? '?'}`.padEnd(25)} ${`$${parseFloat(b.amount).toFixed(2)}`.padStart(9)} ${`${parseFloat(b.odds).toFixed(2)}x`.padStart(8)}  ${c('2', `${secs}s`)}`
+      );
+    }
+    if (state.open.length > this.positionRows) lines.push(c('2', `  … ${state.open.length - this.positionRows} more`));
+
+    // Settled PnL, oldest first
+    const settled = state.settled.slice().reverse();
+    let cum = 0;
+    const curve = settled.map((b) => (cum += profitOf(b)));
+    const wins = settled.filter((b) => profitOf(b) > 0).length;
+    heading('Settled PnL', `last ${settled.length} bets`);
+    failed('settled');
+    if (settled.length === 0) {
+      lines.push(c('2', '  Nothing settled yet'));
+    } else {
+      lines.push(`  ${pnlColor(cum, money(cum))}  ${wins}W / ${settled.length - wins}L`);
+      lines.push(`  ${pnlColor(cum, sparkline(curve, width - 4))}`);
+    }
+
+    // Feed
+    heading('Feed');
+    failed('feed');
+    if (state.feed.length === 0) lines.push(c('2', '  No commentary yet'));
+    for (const e of state.feed.slice(0, this.feedLimit)) {
+      const age = Math.max(0, Math.floor((this.now() - e.timestamp) / 1000));
+      const ageStr = age < 60 ? `${age}s` : age < 3600 ? `${Math.floor(age / 60)}m` : `${Math.floor(age / 3600)}h`;
+      const who = `${e.agentName} ${ageStr}`;
+      lines.push(`  ${c('36', who)} ${fit(`"${e.commentary}"`, width - who.length - 3)}`);
+    }
+
+    // Rank
+    heading('Leaderboard');
+    failed('leaderboard');
+    const me = this._me(state);
+    if (me) {
+      const pnl = parseFloat(me.totalProfit);
+      lines.push(`  #${me.rank} ${me.agentName}  ${me.totalBets} bets  ${Number(me.winRate).toFixed(1)}% win  ${pnlColor(pnl, money(pnl))}`);
+    } else {
+      lines.push(c('2', `  Not in the top ${this.leaderboardLimit} yet`));
+    }
+    const top = state.leaderboard[0];
+    if (top && top !== me) lines.push(c('2', `  #1 ${top.agentName} ${money(parseFloat(top.totalProfit))}`));
+
+    lines.push('');
+    lines.push(c('2', 'Ctrl+C to quit'));
+    return lines.join('\n');
+  }
+
+  /**
+   * The state as one flat record (for `--format` output): price, balances,
+   * open positions, settled PnL and rank.
+   * @param {object} [state=this.state]
+   * @returns {object}
+   */
+  summary(state = this.state) {
+    const profits = state.settled.map(profitOf);
+    const me = this._me(state);
+    return {
+      updatedAt: state.updatedAt || null,
+      asset: this.asset,
+      currentPrice: state.odds ? state.odds.currentPrice : null,
+      TEST: state.balance ? state.balance.TEST : null,
+      BONUS: state.balance ? state.balance.BONUS : null,
+      open: state.open.length,
+      openStake: Math.round(state.open.reduce((s, b) => s + (parseFloat(b.amount) || 0), 0) * 100) / 100,
+      settled: profits.length,
+      wins: profits.filter((p) => p > 0).length,
+      losses: profits.filter((p) => p <= 0).length,
+      pnl: Math.round(profits.reduce((s, p) => s + p, 0) * 100) / 100,
+      rank: me ? me.rank : null,
+    };
+  }
+
+  /** Clear the screen and draw the current state. */
+  draw() {
+    const clear = this.out.isTTY ? `${ESC}H${ESC}2J` : '';
+    this.out.write(`${clear}${this.render()}\n`);
+  }
+
+  /**
+   * Refresh and redraw every round until stop() or a signal.
+   * @returns {Promise<object>} Runner summary
+   */
+  async start() {
+    if (this.out.isTTY) this.out.write(`${ESC}?25l`);
+    try {
+      await this.refresh();
+      this.draw();
+      return await this.runner.start(async () => {
+        await this.refresh();
+        this.draw();
+      });
+    } finally {
+      if (this.out.isTTY) this.out.write(`${ESC}?25h`);
+    }
+  }
+
+  /** Stop after the current refresh. */
+  stop() {
+    this.runner.stop();
+  }
+
+  /**
+   * Our leaderboard entry, if we're on it.
+   * @private
+   */
+  _me(state) {
+    return state.profile ? state.leaderboard.find((e) => e.agentId === state.profile.agentId) || null : null;
+  }
+}
+
+module.exports = { Dashboard, sparkline };
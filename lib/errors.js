@@ -0,0 +1,249 @@
+/**
+ * Error classes thrown by the SDK.
+ *
+ * Every error has a stable `code`, so callers can branch with `instanceof`
+ * or on `err.code` instead of matching message text. HTTP failures are
+ * PredictMeHttpError subclasses carrying the status code, parsed (or raw)
+ * response body and request id; server error bodies are mapped to the
+ * matching subclass by createHttpError().
+ */
+
+class PredictMeError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [code='PREDICTME_ERROR']
+   */
+  constructor(message, code = 'PREDICTME_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+class PredictMeHttpError extends PredictMeError {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number|null} [details.status] - HTTP status (null if no response was received)
+   * @param {object|string|null} [details.body] - Parsed JSON body, or raw text if not JSON
+   * @param {string|null} [details.requestId] - Server request id (or the one we sent)
+   * @param {string} [details.method]
+   * @param {string} [details.url]
+   * @param {string} [details.code] - Overrides the class's default code
+   * @param {Error} [details.cause]
+   */
+  constructor(message, { status = null, body = null, requestId = null, method, url, code, cause } = {}) {
+    super(message, code || new.target.code || 'HTTP_ERROR');
+    this.status = status;
+    this.statusCode = status;
+    this.body = body;
+    this.requestId = requestId;
+    this.method = method;
+    this.url = url;
+    this.serverCode = (body && typeof body === 'object' && body.errorCode) || null;
+    if (cause) this.cause = cause;
+  }
+}
+
+/** HTTP 429 — too many requests. `retryAfter` is in milliseconds. */
+class RateLimitError extends PredictMeHttpError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter != null ? details.retryAfter : null;
+  }
+}
+RateLimitError.code = 'RATE_LIMITED';
+
+/** No response within the configured timeout. `timeout` is in milliseconds. */
+class TimeoutError extends PredictMeHttpError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.timeout = details.timeout;
+  }
+}
+TimeoutError.code = 'TIMEOUT';
+
+/** Missing or invalid API key. */
+class AuthenticationError extends PredictMeHttpError {}
+AuthenticationError.code = 'UNAUTHORIZED';
+
+/** Agent is registered but not (yet) approved for trading. */
+class AgentNotApprovedError extends PredictMeHttpError {}
+AgentNotApprovedError.code = 'AGENT_NOT_APPROVED';
+
+/** Not enough TEST/BONUS balance for the stake. */
+class InsufficientBalanceError extends PredictMeHttpError {}
+InsufficientBalanceError.code = 'INSUFFICIENT_BALANCE';
+
+/** Betting on the grid's round has closed. */
+class RoundClosedError extends PredictMeHttpError {}
+RoundClosedError.code = 'ROUND_CLOSED';
+
+/** Grid ID unknown or already expired. */
+class GridNotFoundError extends PredictMeHttpError {}
+GridNotFoundError.code = 'GRID_NOT_FOUND';
+
+/** Nonce not greater than the last one used. `expectedNonce` is the server's hint, if any. */
+class InvalidNonceError extends PredictMeHttpError {
+  constructor(message, details = {}) {
+    super(message, details);
+    const { body } = details;
+    this.expectedNonce = body && typeof body === 'object' && body.expectedNonce != null ? body.expectedNonce : null;
+  }
+}
+InvalidNonceError.code = 'INVALID_NONCE';
+
+/** Commentary missing, too short/long, or rejected by the server. */
+class CommentaryRejectedError extends PredictMeHttpError {}
+CommentaryRejectedError.code = 'COMMENTARY_REJECTED';
+
+/** Invalid request parameters (amount, asset, balance type, ...). */
+class ValidationError extends PredictMeHttpError {}
+ValidationError.code = 'VALIDATION_ERROR';
+
+/** No grids available to bet on (client-side). */
+class NoGridsError extends PredictMeError {
+  constructor(message) {
+    super(message, 'NO_GRIDS');
+  }
+}
+
+/** A bet was blocked by the RiskManager before being sent. `rule` names the limit hit. */
+class RiskLimitError extends PredictMeError {
+  /**
+   * @param {string} message
+   * @param {string} rule - e.g. 'maxExposurePerRound', 'dailyLossLimit', 'circuitBreaker'
+   */
+  constructor(message, rule) {
+    super(message, 'RISK_LIMIT');
+    this.rule = rule;
+  }
+}
+
+/** A bet was vetoed by PredictMeAgent middleware before being sent. */
+class BetVetoedError extends PredictMeError {
+  /**
+   * @param {string} message
+   * @param {object} bet - The bet that was vetoed
+   */
+  constructor(message, bet) {
+    super(message, 'BET_VETOED');
+    this.bet = bet;
+  }
+}
+
+/** A commentary template is malformed or uses a variable the context doesn't have. */
+class TemplateError extends PredictMeError {
+  /**
+   * @param {string} message
+   * @param {string} [variable] - The unknown variable, if that's the problem
+   */
+  constructor(message, variable) {
+    super(message, 'TEMPLATE_ERROR');
+    this.variable = variable || null;
+  }
+}
+
+/** Bad command-line arguments: missing values, unknown commands or options (CLI). */
+class UsageError extends PredictMeError {
+  constructor(message) {
+    super(message, 'USAGE');
+  }
+}
+
+/** An agent config file (predictme.config.json/.js) that can't be loaded or doesn't validate. */
+class ConfigError extends PredictMeError {
+  /**
+   * @param {string} message
+   * @param {string[]} [errors] - One entry per problem, each starting with the key path
+   * @param {string} [file]
+   */
+  constructor(message, errors, file) {
+    super(message, 'CONFIG_ERROR');
+    this.errors = errors || [message];
+    this.file = file || null;
+  }
+}
+
+/** Server `errorCode` → error class. */
+const SERVER_CODES = {
+  UNAUTHORIZED: AuthenticationError,
+  INVALID_API_KEY: AuthenticationError,
+  AGENT_NOT_APPROVED: AgentNotApprovedError,
+  AGENT_PENDING: AgentNotApprovedError,
+  AGENT_SUSPENDED: AgentNotApprovedError,
+  INSUFFICIENT_BALANCE: InsufficientBalanceError,
+  ROUND_CLOSED: RoundClosedError,
+  BETTING_CLOSED: RoundClosedError,
+  GRID_EXPIRED: RoundClosedError,
+  GRID_NOT_FOUND: GridNotFoundError,
+  INVALID_NONCE: InvalidNonceError,
+  NONCE_TOO_LOW: InvalidNonceError,
+  COMMENTARY_REQUIRED: CommentaryRejectedError,
+  COMMENTARY_TOO_SHORT: CommentaryRejectedError,
+  COMMENTARY_TOO_LONG: CommentaryRejectedError,
+  COMMENTARY_REJECTED: CommentaryRejectedError,
+  COMMENTARY_SPAM: CommentaryRejectedError,
+  RATE_LIMITED: RateLimitError,
+  RATE_LIMIT_EXCEEDED: RateLimitError,
+  VALIDATION_ERROR: ValidationError,
+  INVALID_AMOUNT: ValidationError,
+  INVALID_ASSET: ValidationError,
+  INVALID_BALANCE_TYPE: ValidationError,
+  INVALID_EMAIL: ValidationError,
+  INVALID_AGENT_NAME: ValidationError,
+  INVALID_TWEET_URL: ValidationError,
+  INVALID_JSON: ValidationError,
+};
+
+/** Fallbacks for error bodies without an `errorCode`, matched against the message. */
+const MESSAGE_PATTERNS = [
+  [/insufficient.*balance/i, InsufficientBalanceError],
+  [/round.*closed|betting.*closed|expired/i, RoundClosedError],
+  [/nonce/i, InvalidNonceError],
+  [/commentary/i, CommentaryRejectedError],
+  [/not (yet )?approved|pending approval/i, AgentNotApprovedError],
+];
+
+/**
+ * Build the most specific error for a failed HTTP response.
+ * @param {string} message
+ * @param {object} details - See PredictMeHttpError
+ * @returns {PredictMeHttpError}
+ */
+function createHttpError(message, details) {
+  const { status, body } = details;
+  const serverCode = body && typeof body === 'object' ? body.errorCode : null;
+
+  let Cls = serverCode && SERVER_CODES[serverCode];
+  if (!Cls && body && typeof body === 'object' && body.expectedNonce != null) Cls = InvalidNonceError;
+  if (!Cls && status === 429) Cls = RateLimitError;
+  if (!Cls && status === 401) Cls = AuthenticationError;
+  if (!Cls && status >= 400 && status < 500) {
+    const match = MESSAGE_PATTERNS.find(([re]) => re.test(message));
+    if (match) Cls = match[1];
+  }
+  return new (Cls || PredictMeHttpError)(message, details);
+}
+
+module.exports = {
+  PredictMeError,
+  PredictMeHttpError,
+  RateLimitError,
+  TimeoutError,
+  AuthenticationError,
+  AgentNotApprovedError,
+  InsufficientBalanceError,
+  RoundClosedError,
+  GridNotFoundError,
+  InvalidNonceError,
+  CommentaryRejectedError,
+  ValidationError,
+  NoGridsError,
+  RiskLimitError,
+  BetVetoedError,
+  TemplateError,
+  UsageError,
+  ConfigError,
+  createHttpError,
+};
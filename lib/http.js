@@ -1,60 +1,189 @@
 /**
  * Zero-dependency HTTPS request helper.
  * Uses Node.js built-in https/http modules.
+ *
+ * - Per-request timeouts
+ * - Exponential backoff with jitter for idempotent requests (network
+ *   errors, timeouts, 5xx) and for 429s on any method, honoring Retry-After
+ * - Keep-alive connection reuse
+ * - Typed errors (see ./errors)
  */
 
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
+const { PredictMeHttpError, RateLimitError, TimeoutError, createHttpError } = require('./errors');
+
+const DEFAULTS = {
+  timeout: 15000,
+  retries: 2,
+  retryDelay: 300,
+  maxRetryDelay: 5000,
+  maxRetryAfter: 30000,
+};
+
+const IDEMPOTENT = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+const agents = {
+  'http:': new http.Agent({ keepAlive: true, maxSockets: 16 }),
+  'https:': new https.Agent({ keepAlive: true, maxSockets: 16 }),
+};
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
 
 /**
- * Make an HTTP/HTTPS request.
- * @param {string} method - HTTP method (GET, POST, etc.)
- * @param {string} url - Full URL
- * @param {object|null} body - Request body (will be JSON-serialized)
- * @param {object} headers - Additional headers
- * @returns {Promise<object>} Parsed JSON response
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ * @param {string|undefined} value
+ * @returns {number|null}
  */
-function request(method, url, body = null, headers = {}) {
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Backoff delay for a retry attempt: exponential with equal jitter.
+ * @param {number} attempt - 0-based retry attempt
+ * @param {object} opts
+ * @returns {number} ms
+ */
+function backoff(attempt, opts) {
+  const cap = Math.min(opts.maxRetryDelay, opts.retryDelay * 2 ** attempt);
+  return Math.round(cap / 2 + (Math.random() * cap) / 2);
+}
+
+/**
+ * Perform a single HTTP request (no retries).
+ * @private
+ */
+function send(method, url, body, headers, opts) {
   const parsed = new URL(url);
-  const opts = {
+  const requestId = headers['X-Request-Id'];
+  const reqOpts = {
     hostname: parsed.hostname,
     port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80),
     path: parsed.pathname + parsed.search,
     method,
     headers: { 'Content-Type': 'application/json', ...headers },
+    agent: opts.agent !== undefined ? opts.agent : agents[parsed.protocol],
   };
 
-  if (body) {
-    const b = typeof body === 'string' ? body : JSON.stringify(body);
-    opts.headers['Content-Length'] = Buffer.byteLength(b);
-  }
+  const payload = body ? (typeof body === 'string' ? body : JSON.stringify(body)) : null;
+  if (payload) reqOpts.headers['Content-Length'] = Buffer.byteLength(payload);
 
   const mod = parsed.protocol === 'https:' ? https : http;
 
-  return new Promise((resolve, reject) => {
-    const req = mod.request(opts, (res) => {
+  return new Promise((resolveOuter, rejectOuter) => {
+    let timer;
+    const resolve = (v) => {
+      clearTimeout(timer);
+      resolveOuter(v);
+    };
+    const reject = (e) => {
+      clearTimeout(timer);
+      rejectOuter(e);
+    };
+
+    const req = mod.request(reqOpts, (res) => {
       let data = '';
+      res.setEncoding('utf8');
       res.on('data', (ch) => (data += ch));
       res.on('end', () => {
+        const status = res.statusCode;
+        const details = {
+          status,
+          requestId: res.headers['x-request-id'] || requestId,
+          method,
+          url,
+        };
+
+        let json;
         try {
-          const json = data ? JSON.parse(data) : {};
-          if (res.statusCode >= 400) {
-            const err = new Error(json.error || `HTTP ${res.statusCode}`);
-            err.statusCode = res.statusCode;
-            err.body = json;
-            reject(err);
-          } else {
-            resolve(json);
-          }
+          json = data ? JSON.parse(data) : {};
         } catch {
-          reject(new Error(data || `HTTP ${res.statusCode}`));
+          json = undefined;
+        }
+
+        if (status >= 400) {
+          details.body = json !== undefined ? json : data;
+          details.retryAfter = parseRetryAfter(res.headers['retry-after']);
+          reject(createHttpError((json && json.error) || `HTTP ${status}`, details));
+        } else if (json === undefined) {
+          reject(new PredictMeHttpError(`Invalid JSON response (HTTP ${status})`, { ...details, body: data }));
+        } else {
+          resolve(json);
         }
       });
+      res.on('error', (err) => reject(new PredictMeHttpError(err.message, { requestId, method, url, code: 'NETWORK_ERROR', cause: err })));
     });
-    req.on('error', reject);
-    if (body) req.write(typeof body === 'string' ? body : JSON.stringify(body));
+
+    timer = setTimeout(() => {
+      req.destroy(new TimeoutError(`Request timed out after ${opts.timeout}ms`, { requestId, method, url, timeout: opts.timeout }));
+    }, opts.timeout);
+    req.on('error', (err) => {
+      if (err instanceof PredictMeHttpError) return reject(err);
+      reject(new PredictMeHttpError(`${method} ${parsed.pathname} failed: ${err.message}`, {
+        requestId,
+        method,
+        url,
+        code: 'NETWORK_ERROR',
+        cause: err,
+      }));
+    });
+    if (payload) req.write(payload);
     req.end();
   });
 }
 
-module.exports = { request };
+/**
+ * Whether a failed attempt may be retried.
+ * @private
+ */
+function isRetryable(err, method) {
+  if (err instanceof RateLimitError) return true;
+  if (!IDEMPOTENT.has(method)) return false;
+  return err.status == null || err.status >= 500;
+}
+
+/**
+ * Make an HTTP/HTTPS request.
+ * @param {string} method - HTTP method (GET, POST, etc.)
+ * @param {string} url - Full URL
+ * @param {object|null} body - Request body (will be JSON-serialized)
+ * @param {object} headers - Additional headers
+ * @param {object} [options]
+ * @param {number} [options.timeout=15000] - Per-attempt timeout (ms)
+ * @param {number} [options.retries=2] - Max retries (idempotent methods, and 429s on any method)
+ * @param {number} [options.retryDelay=300] - Base backoff delay (ms)
+ * @param {number} [options.maxRetryDelay=5000] - Backoff cap (ms)
+ * @param {number} [options.maxRetryAfter=30000] - Longest Retry-After we will wait out; longer ones are thrown
+ * @param {http.Agent|false} [options.agent] - Override the shared keep-alive agent
+ * @returns {Promise<object>} Parsed JSON response
+ * @throws {PredictMeHttpError} Or a more specific subclass (see ./errors)
+ */
+async function request(method, url, body = null, headers = {}, options = {}) {
+  const opts = { ...DEFAULTS };
+  for (const [k, v] of Object.entries(options)) if (v !== undefined) opts[k] = v;
+  const hdrs = { 'X-Request-Id': crypto.randomUUID(), ...headers };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(method, url, body, hdrs, opts);
+    } catch (err) {
+      if (attempt >= opts.retries || !isRetryable(err, method)) throw err;
+      let delay = backoff(attempt, opts);
+      if (err instanceof RateLimitError && err.retryAfter != null) {
+        if (err.retryAfter > opts.maxRetryAfter) throw err;
+        delay = Math.max(delay, err.retryAfter);
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { request, parseRetryAfter, agents };
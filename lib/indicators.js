@@ -0,0 +1,231 @@
+/**
+ * Technical indicators over the price stream.
+ *
+ * PriceHistory collects `currentPrice` observations (PredictMeAgent feeds it
+ * from every getOdds call) into fixed-length OHLC bars, one per round by
+ * default, and computes indicators over the bar closes. Indicators that don't
+ * have enough bars yet are left out of snapshot(), so a template using
+ * `{rsi}` fails loudly instead of printing a made-up number.
+ *
+ * The functions below work on plain arrays of closes (oldest first) and
+ * return null when there isn't enough data.
+ */
+
+function round(n, digits) {
+  if (n == null || !Number.isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+/** Simple moving average of the last `n` values. */
+function sma(values, n) {
+  if (values.length < n) return null;
+  let sum = 0;
+  for (let i = values.length - n; i < values.length; i++) sum += values[i];
+  return sum / n;
+}
+
+/**
+ * Exponential moving average series, seeded with the SMA of the first `n` values.
+ * @returns {number[]} One value per input from index n-1 on (empty if too short)
+ */
+function emaSeries(values, n) {
+  if (values.length < n) return [];
+  const k = 2 / (n + 1);
+  let e = sma(values.slice(0, n), n);
+  const out = [e];
+  for (let i = n; i < values.length; i++) {
+    e = values[i] * k + e * (1 - k);
+    out.push(e);
+  }
+  return out;
+}
+
+/** Latest exponential moving average. */
+function ema(values, n) {
+  const s = emaSeries(values, n);
+  return s.length ? s[s.length - 1] : null;
+}
+
+/** Relative Strength Index (Wilder smoothing), 0–100. */
+function rsi(values, n = 14) {
+  if (values.length < n + 1) return null;
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= n; i++) {
+    const d = values[i] - values[i - 1];
+    if (d > 0) gain += d;
+    else loss -= d;
+  }
+  gain /= n;
+  loss /= n;
+  for (let i = n + 1; i < values.length; i++) {
+    const d = values[i] - values[i - 1];
+    gain = (gain * (n - 1) + Math.max(d, 0)) / n;
+    loss = (loss * (n - 1) + Math.max(-d, 0)) / n;
+  }
+  if (loss === 0) return gain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + gain / loss);
+}
+
+/**
+ * MACD line, signal line and histogram.
+ * @returns {{ macd: number, signal: number, histogram: number }|null}
+ */
+function macd(values, fast = 12, slow = 26, signal = 9) {
+  const f = emaSeries(values, fast);
+  const s = emaSeries(values, slow);
+  if (s.length < signal) return null;
+  const line = s.map((v, i) => f[i + slow - fast] - v);
+  const sig = ema(line, signal);
+  const m = line[line.length - 1];
+  return { macd: m, signal: sig, histogram: m - sig };
+}
+
+/**
+ * Bollinger bands.
+ * @returns {{ middle: number, upper: number, lower: number, percentB: number }|null}
+ */
+function bollinger(values, n = 20, k = 2) {
+  const middle = sma(values, n);
+  if (middle == null) return null;
+  let v = 0;
+  for (let i = values.length - n; i < values.length; i++) v += (values[i] - middle) ** 2;
+  const sd = Math.sqrt(v / n);
+  const upper = middle + k * sd;
+  const lower = middle - k * sd;
+  const last = values[values.length - 1];
+  return { middle, upper, lower, percentB: upper === lower ? 0.5 : (last - lower) / (upper - lower) };
+}
+
+/**
+ * Average True Range (Wilder smoothing) over OHLC bars.
+ * @param {Array<{ high: number, low: number, close: number }>} bars
+ */
+function atr(bars, n = 14) {
+  if (bars.length < n + 1) return null;
+  const tr = [];
+  for (let i = 1; i < bars.length; i++) {
+    const { high, low } = bars[i];
+    const prev = bars[i - 1].close;
+    tr.push(Math.max(high - low, Math.abs(high - prev), Math.abs(low - prev)));
+  }
+  let a = tr.slice(0, n).reduce((s, x) => s + x, 0) / n;
+  for (let i = n; i < tr.length; i++) a = (a * (n - 1) + tr[i]) / n;
+  return a;
+}
+
+/**
+ * Realized volatility: standard deviation of log returns over the last `n`
+ * intervals, per interval (not annualized).
+ *
+ * Pass `periods` when values aren't evenly spaced (e.g. bars missing for
+ * rounds nobody polled): `periods[i]` is how many intervals separate
+ * values[i - 1] and values[i]. A return spanning k intervals is divided by
+ * √k, so a gap isn't mistaken for one unusually big move.
+ * @param {number[]} values
+ * @param {number} [n=30]
+ * @param {number[]} [periods] - Same length as values; periods[0] is unused
+ */
+function realizedVolatility(values, n = 30, periods) {
+  if (values.length < 3) return null;
+  const start = Math.max(1, values.length - n);
+  const rets = [];
+  for (let i = start; i < values.length; i++) {
+    const k = periods && periods[i] > 0 ? periods[i] : 1;
+    rets.push(Math.log(values[i] / values[i - 1]) / Math.sqrt(k));
+  }
+  const mean = rets.reduce((s, x) => s + x, 0) / rets.length;
+  const v = rets.reduce((s, x) => s + (x - mean) ** 2, 0) / (rets.length - 1);
+  return Math.sqrt(v);
+}
+
+class PriceHistory {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.barMs=10000] - Bar length (one round by default)
+   * @param {number} [options.maxBars=500] - Bars kept
+   */
+  constructor(options = {}) {
+    this.barMs = options.barMs || 10000;
+    this.maxBars = options.maxBars || 500;
+    this._bars = [];
+    this._lastTs = null;
+  }
+
+  /**
+   * Record a price observation.
+   * @param {string|number} price
+   * @param {number} [ts=Date.now()]
+   */
+  add(price, ts = Date.now()) {
+    const p = parseFloat(price);
+    if (!Number.isFinite(p) || p <= 0) return;
+    const start = Math.floor(ts / this.barMs) * this.barMs;
+    const last = this._bars[this._bars.length - 1];
+    // Out-of-order observation from an older bar: ignore
+    if (last && start < last.start) return;
+    this._lastTs = ts;
+    if (last && last.start === start) {
+      last.high = Math.max(last.high, p);
+      last.low = Math.min(last.low, p);
+      last.close = p;
+      return;
+    }
+    this._bars.push({ start, open: p, high: p, low: p, close: p });
+    if (this._bars.length > this.maxBars) this._bars.shift();
+  }
+
+  /** OHLC bars, oldest first. */
+  bars() {
+    return this._bars.slice();
+  }
+
+  /** Bar closes, oldest first. */
+  closes() {
+    return this._bars.map((b) => b.close);
+  }
+
+  /**
+   * Current indicator values. Keys without enough data are omitted.
+   * Also usable as template variables: {sma20}, {ema20}, {ema50}, {rsi},
+   * {macd}, {macdSignal}, {macdHistogram}, {bbUpper}, {bbMiddle}, {bbLower},
+   * {bbPercentB}, {atr}, {volatility}, {bars}. `barMs` and `updatedAt` (time
+   * of the latest observation) let model strategies scale volatility and
+   * measure time to expiry.
+   * @returns {object}
+   */
+  snapshot() {
+    const closes = this.closes();
+    const out = { bars: closes.length, barMs: this.barMs };
+    if (this._lastTs != null) out.updatedAt = this._lastTs;
+    const set = (key, v, digits = 2) => {
+      const r = round(v, digits);
+      if (r != null) out[key] = r;
+    };
+    set('sma20', sma(closes, 20));
+    set('ema20', ema(closes, 20));
+    set('ema50', ema(closes, 50));
+    set('rsi', rsi(closes, 14));
+    const m = macd(closes);
+    if (m) {
+      set('macd', m.macd, 4);
+      set('macdSignal', m.signal, 4);
+      set('macdHistogram', m.histogram, 4);
+    }
+    const bb = bollinger(closes);
+    if (bb) {
+      set('bbUpper', bb.upper);
+      set('bbMiddle', bb.middle);
+      set('bbLower', bb.lower);
+      set('bbPercentB', bb.percentB, 3);
+    }
+    set('atr', atr(this._bars), 4);
+    // Per bar; scale by sqrt(t / barMs) for other horizons
+    const periods = this._bars.map((b, i) => (i ? (b.start - this._bars[i - 1].start) / this.barMs : 1));
+    set('volatility', realizedVolatility(closes, 30, periods), 6);
+    return out;
+  }
+}
+
+module.exports = { PriceHistory, sma, ema, emaSeries, rsi, macd, bollinger, atr, realizedVolatility };
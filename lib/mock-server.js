@@ -0,0 +1,644 @@
+/**
+ * Local mock of the PredictMe Agent API.
+ *
+ * Implements every endpoint wrapped by PredictMeAgent so agents can be
+ * developed and tested fully offline. Rounds roll every 10 seconds with
+ * synthetic grids, and bets settle against a deterministic (seeded) price
+ * path. Nonce and commentary rules are enforced like the real server.
+ * Zero dependencies.
+ *
+ * @example
+ * const { MockServer } = require('predictme-agent-sdk/lib/mock-server');
+ * const server = new MockServer({ seed: 42 });
+ * await server.listen(3001);
+ * const agent = new PredictMeAgent({ apiKey: server.apiKey, apiUrl: server.url });
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { qualityScore, badgeTier, MIN_LENGTH, MAX_LENGTH } = require('./commentary');
+
+const BASE_PATH = '/api/v1/agent';
+const DEFAULT_API_KEY = 'pm_agent_mock';
+
+/** Synthetic market parameters per asset. */
+const MARKETS = {
+  BTC: { basePrice: 95000, volatility: 0.0002, step: 25 },
+  ETH: { basePrice: 3400, volatility: 0.0003, step: 1 },
+  SOL: { basePrice: 180, volatility: 0.0004, step: 0.05 },
+};
+
+/**
+ * Seeded PRNG (mulberry32).
+ * @param {number} seed
+ * @returns {() => number} Uniform [0, 1)
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Standard normal CDF (Abramowitz–Stegun approximation). */
+function normCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const d = 0.3989423 * Math.exp((-x * x) / 2);
+  const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  return x > 0 ? 1 - p : p;
+}
+
+/** Stable 32-bit hash of a string (for per-asset seeds). */
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/** Error with an HTTP status and API error code. */
+function apiError(statusCode, errorCode, message, extra = {}) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.body = { success: false, error: message, errorCode, ...extra };
+  return err;
+}
+
+class MockServer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.seed=1] - Seed for the deterministic price path
+   * @param {number} [options.roundMs=10000] - Round length
+   * @param {number} [options.slots=15] - Number of future time slots offered
+   * @param {number} [options.levels=5] - Strike levels on each side of the current price
+   * @param {number} [options.margin=0.05] - House margin applied to fair odds
+   * @param {string} [options.apiKey='pm_agent_mock'] - Key of the pre-approved default agent
+   * @param {string} [options.agentName='MockAgent'] - Name of the default agent
+   * @param {{ TEST?: number, BONUS?: number }} [options.balances] - Starting balances
+   * @param {boolean} [options.autoApprove=true] - Approve newly registered agents immediately
+   * @param {number} [options.rateLimit] - Authenticated requests per minute per agent (default: unlimited)
+   * @param {number} [options.epoch] - Start of the price path (ms, default: now)
+   * @param {() => number} [options.now=Date.now] - Clock
+   */
+  constructor(options = {}) {
+    this.seed = options.seed != null ? options.seed : 1;
+    this.roundMs = options.roundMs || 10000;
+    this.slots = options.slots || 15;
+    this.levels = options.levels != null ? options.levels : 5;
+    this.margin = options.margin != null ? options.margin : 0.05;
+    this.apiKey = options.apiKey || DEFAULT_API_KEY;
+    this.balances = { TEST: 1000, BONUS: 100, ...options.balances };
+    this.autoApprove = options.autoApprove !== false;
+    this.rateLimit = options.rateLimit || 0;
+    this.now = options.now || Date.now;
+    this.epoch = Math.floor((options.epoch != null ? options.epoch : this.now()) / 1000) * 1000;
+    this.url = null;
+
+    this._server = null;
+    this._paths = {};
+    this._agents = new Map();
+    this._keys = new Map();
+    this._grids = new Map();
+    this._bets = [];
+    this._orderSeq = 0;
+
+    this._createAgent({
+      agentName: options.agentName || 'MockAgent',
+      email: 'mock@localhost',
+      status: 'approved',
+      apiKey: this.apiKey,
+      keyRetrieved: true,
+    });
+  }
+
+  // =========================================================================
+  // Lifecycle
+  // =========================================================================
+
+  /**
+   * Start listening.
+   * @param {number} [port=0] - 0 picks a free port
+   * @param {string} [host='127.0.0.1']
+   * @returns {Promise<string>} Base API URL (use as PREDICTME_API_URL)
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    this._server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(port, host, () => {
+        const addr = this._server.address();
+        this.url = `http://${host}:${addr.port}${BASE_PATH}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /** Stop listening. */
+  close() {
+    if (!this._server) return Promise.resolve();
+    const server = this._server;
+    this._server = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      // Drop idle keep-alive connections so close() doesn't wait for them to time out
+      if (server.closeIdleConnections) server.closeIdleConnections();
+    });
+  }
+
+  /**
+   * Approve a registered agent (for testing onboarding with autoApprove: false).
+   * @param {string} agentId
+   */
+  approve(agentId) {
+    const agent = this._agents.get(agentId);
+    if (!agent) throw new Error(`Agent ${agentId} not found`);
+    agent.status = 'approved';
+  }
+
+  // =========================================================================
+  // Market simulation
+  // =========================================================================
+
+  /**
+   * Deterministic price of an asset at a point in time.
+   * One geometric random-walk step per second from `epoch`.
+   * @param {string} asset
+   * @param {number} [at] - Timestamp (ms, default: now)
+   * @returns {number}
+   */
+  priceAt(asset, at = this.now()) {
+    const market = MARKETS[asset];
+    if (!market) throw new Error(`Unknown asset: ${asset}`);
+    let path = this._paths[asset];
+    if (!path) {
+      path = { rng: mulberry32(this.seed ^ hashString(asset)), prices: [market.basePrice] };
+      this._paths[asset] = path;
+    }
+    const idx = Math.max(0, Math.floor((at - this.epoch) / 1000));
+    while (path.prices.length <= idx) {
+      // Box–Muller
+      const u = path.rng() || 1e-12;
+      const v = path.rng();
+      const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+      const prev = path.prices[path.prices.length - 1];
+      path.prices.push(prev * Math.exp(market.volatility * z));
+    }
+    return path.prices[idx];
+  }
+
+  /**
+   * Grids for the current round of an asset.
+   * Strikes are re-anchored to the price at the start of every round, so a
+   * grid ID always refers to the strikes listed in the current round.
+   * @param {string} asset
+   * @returns {{ roundStart: number, currentPrice: number, grids: object[] }}
+   */
+  gridsFor(asset) {
+    const market = MARKETS[asset];
+    const now = this.now();
+    const roundStart = Math.floor(now / this.roundMs) * this.roundMs;
+    const currentPrice = this.priceAt(asset, now);
+    const anchor = Math.floor(this.priceAt(asset, roundStart) / market.step) * market.step;
+    const decimals = market.step < 1 ? 2 : 0;
+
+    const grids = [];
+    for (let s = 1; s <= this.slots; s++) {
+      const expiryAt = roundStart + s * this.roundMs;
+      const sd = currentPrice * market.volatility * Math.sqrt((expiryAt - now) / 1000);
+      for (let level = -this.levels; level <= this.levels; level++) {
+        const gridIdStr = `${asset}_${expiryAt}_${level}`;
+        let grid = this._grids.get(gridIdStr);
+        if (!grid || grid.roundStart !== roundStart) {
+          const min = anchor + level * market.step;
+          grid = {
+            gridId: gridIdStr,
+            gridIdStr,
+            asset,
+            level,
+            strikePriceMin: min.toFixed(decimals),
+            strikePriceMax: (min + market.step).toFixed(decimals),
+            expiryAt,
+            roundStart,
+          };
+          this._grids.set(gridIdStr, grid);
+        }
+        const min = parseFloat(grid.strikePriceMin);
+        const max = parseFloat(grid.strikePriceMax);
+        const prob = Math.max(normCdf((max - currentPrice) / sd) - normCdf((min - currentPrice) / sd), 0.0001);
+        const odds = Math.min(100, Math.max(1.01, (1 - this.margin) / prob));
+        grid.odds = odds.toFixed(2);
+        grid.impliedProbability = (1 / odds).toFixed(4);
+        grids.push(grid);
+      }
+    }
+    return { roundStart, currentPrice, grids };
+  }
+
+  /** Settle all pending bets whose grid has expired. */
+  settle() {
+    const now = this.now();
+    for (const bet of this._bets) {
+      if (bet.status !== 'pending' || bet.expiryAt > now) continue;
+      const price = this.priceAt(bet.asset, bet.expiryAt);
+      const won = price >= parseFloat(bet.strikePriceMin) && price < parseFloat(bet.strikePriceMax);
+      const amount = parseFloat(bet.amount);
+      const payout = won ? round2(amount * parseFloat(bet.odds)) : 0;
+      const agent = this._agents.get(bet.agentId);
+      agent.balances[bet.balanceType] = round2(agent.balances[bet.balanceType] + payout);
+      agent.stats.totalProfit = round2(agent.stats.totalProfit + payout - amount);
+      if (won) agent.stats.wins++;
+      Object.assign(bet, {
+        status: 'settled',
+        result: won ? 'win' : 'loss',
+        settlementPrice: price.toFixed(2),
+        payout: payout.toFixed(2),
+        profit: (payout - amount).toFixed(2),
+        settledAt: bet.expiryAt,
+      });
+    }
+    // Forget grids that can no longer be bet on
+    for (const [id, grid] of this._grids) {
+      if (grid.expiryAt <= now) this._grids.delete(id);
+    }
+  }
+
+  // =========================================================================
+  // Request handling
+  // =========================================================================
+
+  /** @private */
+  _handle(req, res) {
+    let raw = '';
+    req.on('data', (ch) => (raw += ch));
+    req.on('end', () => {
+      let status = 200;
+      let payload;
+      const headers = { 'Content-Type': 'application/json' };
+      if (req.headers['x-request-id']) headers['X-Request-Id'] = req.headers['x-request-id'];
+      try {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.startsWith(BASE_PATH) ? url.pathname.slice(BASE_PATH.length) : url.pathname;
+        let body = {};
+        if (raw) {
+          try {
+            body = JSON.parse(raw);
+          } catch {
+            throw apiError(400, 'INVALID_JSON', 'Request body must be valid JSON');
+          }
+        }
+        this.settle();
+        payload = { success: true, data: this._route(req.method, path, url.searchParams, body, req.headers) };
+      } catch (err) {
+        status = err.statusCode || 500;
+        payload = err.body || { success: false, error: err.message, errorCode: 'INTERNAL_ERROR' };
+        if (err.retryAfter != null) headers['Retry-After'] = String(err.retryAfter);
+      }
+      const out = JSON.stringify(payload);
+      headers['Content-Length'] = Buffer.byteLength(out);
+      res.writeHead(status, headers);
+      res.end(out);
+    });
+  }
+
+  /** @private */
+  _route(method, path, query, body, headers) {
+    const int = (key, def) => {
+      const n = parseInt(query.get(key), 10);
+      return Number.isFinite(n) && n >= 0 ? n : def;
+    };
+    const limit = (def) => Math.min(int('limit', def), 100);
+    let m;
+
+    if (method === 'POST' && path === '/register') return this._register(body);
+    if (method === 'POST' && path === '/claim') return this._claim(body);
+    if (method === 'GET' && (m = path.match(/^\/status\/([^/]+)$/))) return this._status(decodeURIComponent(m[1]));
+    if (method === 'GET' && path === '/leaderboard') return this._leaderboard(limit(50), int('offset', 0));
+    if (method === 'GET' && path === '/top-commentators') return this._topCommentators(limit(10), query.get('period') || 'all');
+    if (method === 'GET' && path === '/commentary') return this._commentary(limit(20), int('offset', 0), query.get('asset'));
+    if (method === 'GET' && path === '/recent-activity') return this._recentActivity(limit(20), int('offset', 0));
+
+    if (method === 'GET' && path === '/me') return this._profile(this._authenticate(headers));
+    if (method === 'GET' && path === '/balance') return this._balance(this._authenticate(headers));
+    if (method === 'GET' && (m = path.match(/^\/odds\/([^/]+)$/))) {
+      this._authenticate(headers);
+      return this._odds(decodeURIComponent(m[1]).toUpperCase());
+    }
+    if (method === 'POST' && path === '/bet') return this._bet(this._authenticate(headers), body);
+    if (method === 'GET' && path === '/bets') {
+      return this._betsFor(this._authenticate(headers), limit(50), int('offset', 0), query.get('status') || 'all');
+    }
+
+    throw apiError(404, 'NOT_FOUND', `No route for ${method} ${path}`);
+  }
+
+  /** @private */
+  _createAgent({ agentName, email, description, walletAddress, twitterHandle, status, apiKey, keyRetrieved = false }) {
+    const agent = {
+      agentId: `agent_${crypto.randomBytes(6).toString('hex')}`,
+      agentName,
+      email,
+      description: description || '',
+      walletAddress: walletAddress || null,
+      twitterHandle: twitterHandle || null,
+      status,
+      verificationLevel: 0,
+      apiKey: apiKey || `pm_agent_${crypto.randomBytes(16).toString('hex')}`,
+      keyRetrieved,
+      lastNonce: 0,
+      requests: [],
+      balances: { ...this.balances },
+      stats: { totalBets: 0, wins: 0, totalVolume: 0, totalProfit: 0 },
+      createdAt: this.now(),
+    };
+    this._agents.set(agent.agentId, agent);
+    this._keys.set(agent.apiKey, agent);
+    return agent;
+  }
+
+  /** @private */
+  _authenticate(headers) {
+    const m = (headers.authorization || '').match(/^Bearer\s+(.+)$/);
+    const agent = m && this._keys.get(m[1].trim());
+    if (!agent) throw apiError(401, 'UNAUTHORIZED', 'Invalid or missing API key');
+    if (agent.status !== 'approved') throw apiError(403, 'AGENT_NOT_APPROVED', 'Agent is not approved yet');
+    if (this.rateLimit) {
+      const now = this.now();
+      agent.requests = agent.requests.filter((t) => t > now - 60000);
+      if (agent.requests.length >= this.rateLimit) {
+        const err = apiError(429, 'RATE_LIMITED', `Rate limit exceeded (${this.rateLimit} requests/min)`);
+        err.retryAfter = Math.ceil((agent.requests[0] + 60000 - now) / 1000);
+        throw err;
+      }
+      agent.requests.push(now);
+    }
+    return agent;
+  }
+
+  /** @private */
+  _register({ email, agentName, description, walletAddress, twitterHandle }) {
+    if (!email || !/^[^@\s]+@[^@\s]+$/.test(email)) throw apiError(400, 'INVALID_EMAIL', 'A valid email is required');
+    if (!agentName) throw apiError(400, 'INVALID_AGENT_NAME', 'agentName is required');
+    for (const a of this._agents.values()) {
+      if (a.agentName.toLowerCase() === String(agentName).toLowerCase()) {
+        throw apiError(409, 'AGENT_NAME_TAKEN', `Agent name "${agentName}" is already taken`);
+      }
+    }
+    const agent = this._createAgent({
+      agentName,
+      email,
+      description,
+      walletAddress,
+      twitterHandle,
+      status: this.autoApprove ? 'approved' : 'pending',
+    });
+    return { agentId: agent.agentId, agentName: agent.agentName, status: agent.status };
+  }
+
+  /** @private */
+  _claim({ agentId, tweetUrl }) {
+    const agent = this._agents.get(agentId);
+    if (!agent) throw apiError(404, 'AGENT_NOT_FOUND', `Agent ${agentId} not found`);
+    if (!/^https:\/\/(twitter\.com|x\.com)\/[^/]+\/status\/\d+/.test(tweetUrl || '')) {
+      throw apiError(400, 'INVALID_TWEET_URL', 'tweetUrl must link to a tweet on x.com or twitter.com');
+    }
+    agent.verificationLevel = Math.max(agent.verificationLevel, 1);
+    return { agentId, verified: true, verificationLevel: agent.verificationLevel };
+  }
+
+  /** @private */
+  _status(agentId) {
+    const agent = this._agents.get(agentId);
+    if (!agent) throw apiError(404, 'AGENT_NOT_FOUND', `Agent ${agentId} not found`);
+    const data = { agentId, agentName: agent.agentName, status: agent.status };
+    // The API key is shown exactly once
+    if (agent.status === 'approved' && !agent.keyRetrieved) {
+      data.apiKey = agent.apiKey;
+      agent.keyRetrieved = true;
+    }
+    return data;
+  }
+
+  /** @private */
+  _leaderboard(limit, offset) {
+    return Array.from(this._agents.values())
+      .filter((a) => a.stats.totalBets > 0)
+      .sort((a, b) => b.stats.totalProfit - a.stats.totalProfit)
+      .map((a, i) => ({
+        rank: i + 1,
+        agentId: a.agentId,
+        agentName: a.agentName,
+        totalBets: a.stats.totalBets,
+        winRate: a.stats.totalBets ? (a.stats.wins / a.stats.totalBets) * 100 : 0,
+        totalVolume: a.stats.totalVolume.toFixed(2),
+        totalProfit: a.stats.totalProfit.toFixed(2),
+        verificationLevel: a.verificationLevel,
+        twitterHandle: a.twitterHandle || undefined,
+      }))
+      .slice(offset, offset + limit);
+  }
+
+  /** @private */
+  _topCommentators(limit, period) {
+    const windows = { day: 86400000, week: 7 * 86400000 };
+    const since = windows[period] ? this.now() - windows[period] : 0;
+    const byAgent = new Map();
+    for (const bet of this._bets) {
+      if (bet.createdAt < since) continue;
+      const entry = byAgent.get(bet.agentId) || { total: 0, count: 0 };
+      entry.total += bet.qualityScore;
+      entry.count++;
+      byAgent.set(bet.agentId, entry);
+    }
+    return Array.from(byAgent.entries())
+      .map(([agentId, { total, count }]) => {
+        const avgQualityScore = Math.round(total / count);
+        return {
+          agentId,
+          agentName: this._agents.get(agentId).agentName,
+          avgQualityScore,
+          badge: badgeTier(avgQualityScore),
+          commentaryCount: count,
+        };
+      })
+      .sort((a, b) => b.avgQualityScore - a.avgQualityScore)
+      .slice(0, limit);
+  }
+
+  /** @private */
+  _commentary(limit, offset, asset) {
+    return this._bets
+      .filter((b) => !asset || b.asset === asset.toUpperCase())
+      .reverse()
+      .slice(offset, offset + limit)
+      .map((b) => ({
+        agentId: b.agentId,
+        agentName: this._agents.get(b.agentId).agentName,
+        commentary: b.commentary,
+        strategy: b.strategy,
+        asset: b.asset,
+        gridLevel: b.gridLevel,
+        amount: b.amount,
+        odds: b.odds,
+        qualityScore: b.qualityScore,
+        timestamp: b.createdAt,
+      }));
+  }
+
+  /** @private */
+  _recentActivity(limit, offset) {
+    return this._bets
+      .slice()
+      .reverse()
+      .slice(offset, offset + limit)
+      .map((b) => ({
+        agentId: b.agentId,
+        agentName: this._agents.get(b.agentId).agentName,
+        asset: b.asset,
+        gridLevel: b.gridLevel,
+        amount: b.amount,
+        odds: b.odds,
+        status: b.status,
+        result: b.result,
+        timestamp: b.createdAt,
+      }));
+  }
+
+  /** @private */
+  _profile(agent) {
+    const { stats } = agent;
+    return {
+      agentId: agent.agentId,
+      agentName: agent.agentName,
+      email: agent.email,
+      description: agent.description,
+      walletAddress: agent.walletAddress,
+      twitterHandle: agent.twitterHandle,
+      status: agent.status,
+      verificationLevel: agent.verificationLevel,
+      totalBets: stats.totalBets,
+      wins: stats.wins,
+      winRate: stats.totalBets ? (stats.wins / stats.totalBets) * 100 : 0,
+      totalVolume: stats.totalVolume.toFixed(2),
+      totalProfit: stats.totalProfit.toFixed(2),
+      createdAt: agent.createdAt,
+    };
+  }
+
+  /** @private */
+  _balance(agent) {
+    return {
+      TEST: agent.balances.TEST.toFixed(2),
+      BONUS: agent.balances.BONUS.toFixed(2),
+    };
+  }
+
+  /** @private */
+  _odds(asset) {
+    if (!MARKETS[asset]) {
+      throw apiError(400, 'INVALID_ASSET', `Unknown asset: ${asset}. Available: ${Object.keys(MARKETS).join(', ')}`);
+    }
+    const { roundStart, currentPrice, grids } = this.gridsFor(asset);
+    return {
+      asset,
+      currentPrice: currentPrice.toFixed(2),
+      roundStart,
+      grids: grids.map(({ asset: _a, level: _l, roundStart: _r, ...g }) => g),
+    };
+  }
+
+  /** @private */
+  _bet(agent, { gridId, amount, balanceType = 'TEST', nonce, commentary, strategy }) {
+    const text = typeof commentary === 'string' ? commentary.trim() : '';
+    if (!text) throw apiError(400, 'COMMENTARY_REQUIRED', `Commentary is required (min ${MIN_LENGTH} chars)`);
+    if (text.length < MIN_LENGTH) {
+      throw apiError(400, 'COMMENTARY_TOO_SHORT', `Commentary too short (${text.length} chars, min ${MIN_LENGTH})`);
+    }
+    if (text.length > MAX_LENGTH) {
+      throw apiError(400, 'COMMENTARY_TOO_LONG', `Commentary too long (${text.length} chars, max ${MAX_LENGTH})`);
+    }
+
+    const n = Number(nonce);
+    if (!Number.isSafeInteger(n) || n <= agent.lastNonce) {
+      throw apiError(400, 'INVALID_NONCE', `Nonce must be greater than ${agent.lastNonce}`, {
+        expectedNonce: agent.lastNonce + 1,
+      });
+    }
+
+    if (balanceType !== 'TEST' && balanceType !== 'BONUS') {
+      throw apiError(400, 'INVALID_BALANCE_TYPE', 'Agents can only use TEST or BONUS balance');
+    }
+
+    const grid = this._grids.get(gridId);
+    if (!grid) throw apiError(404, 'GRID_NOT_FOUND', `Grid ${gridId} not found or already expired`);
+    if (grid.expiryAt <= this.now()) throw apiError(400, 'ROUND_CLOSED', 'Round is closed for betting');
+
+    const amt = round2(parseFloat(amount));
+    if (!Number.isFinite(amt) || amt <= 0) throw apiError(400, 'INVALID_AMOUNT', 'Amount must be a positive number');
+    if (amt > agent.balances[balanceType]) {
+      throw apiError(400, 'INSUFFICIENT_BALANCE', `Insufficient ${balanceType} balance`, {
+        balance: agent.balances[balanceType].toFixed(2),
+      });
+    }
+
+    agent.lastNonce = n;
+    agent.balances[balanceType] = round2(agent.balances[balanceType] - amt);
+    agent.stats.totalBets++;
+    agent.stats.totalVolume = round2(agent.stats.totalVolume + amt);
+
+    const score = qualityScore(text);
+    const bet = {
+      orderId: `ord_${++this._orderSeq}`,
+      agentId: agent.agentId,
+      gridId: grid.gridIdStr,
+      asset: grid.asset,
+      gridLevel: grid.level,
+      strikePriceMin: grid.strikePriceMin,
+      strikePriceMax: grid.strikePriceMax,
+      expiryAt: grid.expiryAt,
+      amount: amt.toFixed(2),
+      odds: grid.odds,
+      balanceType,
+      nonce: n,
+      commentary: text,
+      strategy: strategy || undefined,
+      qualityScore: score,
+      status: 'pending',
+      createdAt: this.now(),
+    };
+    this._bets.push(bet);
+
+    return {
+      orderId: bet.orderId,
+      gridId: bet.gridId,
+      asset: bet.asset,
+      amount: bet.amount,
+      odds: bet.odds,
+      balanceType,
+      expiryAt: bet.expiryAt,
+      newBalance: agent.balances[balanceType].toFixed(2),
+      qualityScore: score,
+      badge: badgeTier(score),
+    };
+  }
+
+  /** @private */
+  _betsFor(agent, limit, offset, status) {
+    return this._bets
+      .filter((b) => b.agentId === agent.agentId && (status === 'all' || b.status === status))
+      .reverse()
+      .slice(offset, offset + limit)
+      .map(({ agentId: _id, ...b }) => b);
+  }
+}
+
+module.exports = { MockServer, MARKETS, BASE_PATH };
@@ -1,53 +1,400 @@
 /**
- * File-based nonce persistence.
+ * Nonce persistence.
  * Nonces must be strictly monotonically increasing per agent.
+ *
+ * Every next() is a locked read-increment-write against the store, so
+ * concurrent calls in one process and several bot processes sharing one API
+ * key (advisory lock file) never hand out the same nonce. load(), next() and
+ * set() are synchronous, as they always were; loadAsync(), nextAsync() and
+ * setAsync() wait for the lock without blocking the event loop, and also work
+ * with stores that can only be reached asynchronously.
+ *
+ * A store is any object with:
+ *   read()          → number|null (or a Promise of it); null if nothing stored yet
+ *   write(value)    → void|Promise<void>
+ *   lock()          → optional; Promise<release()> guarding read+write across processes
+ *   readSync(), writeSync(value), lockSync() → optional synchronous versions,
+ *                     used by the synchronous methods (read()/write() are used
+ *                     if they don't return Promises)
  */
 
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { PredictMeError } = require('./errors');
 
-class NonceManager {
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function lockToken() {
+  return `${process.pid}-${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function parseNonce(raw) {
+  const n = parseInt(raw.trim(), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Stores the nonce in a file, written atomically and guarded by `<file>.lock`. */
+class FileNonceStore {
   /**
    * @param {string} filePath - Path to nonce file
+   * @param {object} [options]
+   * @param {number} [options.lockTimeout=5000] - Give up acquiring the lock after this long (ms)
+   * @param {number} [options.staleLockMs=10000] - Break locks older than this (their holder likely crashed)
    */
-  constructor(filePath = '.predictme-nonce') {
+  constructor(filePath, options = {}) {
     this.filePath = filePath;
-    this._value = null;
+    this.lockPath = `${filePath}.lock`;
+    this.lockTimeout = options.lockTimeout != null ? options.lockTimeout : 5000;
+    this.staleLockMs = options.staleLockMs != null ? options.staleLockMs : 10000;
   }
 
-  /** Load current nonce from file. Returns Date.now() if no file. */
-  load() {
-    if (this._value != null) return this._value;
+  async read() {
+    let raw;
     try {
-      const raw = fs.readFileSync(this.filePath, 'utf8').trim();
-      this._value = parseInt(raw, 10) || Date.now();
-    } catch {
-      this._value = Date.now();
+      raw = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
     }
-    return this._value;
+    return parseNonce(raw);
   }
 
-  /** Get next nonce (current + 1), save to file. */
-  next() {
-    const current = this.load();
-    this._value = current + 1;
-    this._save();
-    return this._value;
+  readSync() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    return parseNonce(raw);
   }
 
-  /** Force-set nonce (for recovery from INVALID_NONCE). */
-  set(value) {
-    this._value = value;
-    this._save();
+  /** Write to a temp file and rename it over the old one, so readers never see a partial write. */
+  async write(value) {
+    const tmp = this._tmpPath();
+    await fs.promises.writeFile(tmp, String(value));
+    await fs.promises.rename(tmp, this.filePath);
+  }
+
+  writeSync(value) {
+    const tmp = this._tmpPath();
+    fs.writeFileSync(tmp, String(value));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  /**
+   * Acquire the advisory lock file. It holds a token unique to this
+   * acquisition, and is only ever removed after checking that token, so a
+   * holder whose lock was broken as stale can't delete its successor's.
+   * @returns {Promise<() => Promise<void>>} Release function
+   * @throws {PredictMeError} code NONCE_LOCK_TIMEOUT
+   */
+  async lock() {
+    const token = lockToken();
+    const deadline = Date.now() + this.lockTimeout;
+    for (;;) {
+      try {
+        const fh = await fs.promises.open(this.lockPath, 'wx');
+        await fh.writeFile(token);
+        await fh.close();
+        return () => this._removeLock(token);
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      const [stat, holder] = await Promise.all([
+        fs.promises.stat(this.lockPath).catch(() => null),
+        fs.promises.readFile(this.lockPath, 'utf8').catch(() => null),
+      ]);
+      if (stat && holder != null && Date.now() - stat.mtimeMs > this.staleLockMs) {
+        await this._removeLock(holder);
+        continue;
+      }
+      if (Date.now() >= deadline) throw this._lockTimeout();
+      await sleep(5 + Math.random() * 20);
+    }
+  }
+
+  /**
+   * lock(), blocking the thread while it waits.
+   * @returns {() => void} Release function
+   * @throws {PredictMeError} code NONCE_LOCK_TIMEOUT
+   */
+  lockSync() {
+    const token = lockToken();
+    const deadline = Date.now() + this.lockTimeout;
+    for (;;) {
+      try {
+        const fd = fs.openSync(this.lockPath, 'wx');
+        fs.writeSync(fd, token);
+        fs.closeSync(fd);
+        return () => this._removeLockSync(token);
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      let stat = null;
+      let holder = null;
+      try {
+        stat = fs.statSync(this.lockPath);
+        holder = fs.readFileSync(this.lockPath, 'utf8');
+      } catch (err) {
+        // Released meanwhile
+      }
+      if (stat && holder != null && Date.now() - stat.mtimeMs > this.staleLockMs) {
+        this._removeLockSync(holder);
+        continue;
+      }
+      if (Date.now() >= deadline) throw this._lockTimeout();
+      sleepSync(5 + Math.random() * 20);
+    }
+  }
+
+  /**
+   * Remove the lock file if it still holds `token`. The file is first renamed
+   * to a name of our own (atomic: of several waiters breaking a stale lock,
+   * only one gets it), then checked; a lock that turns out to belong to
+   * someone else is put back.
+   * @private
+   */
+  async _removeLock(token) {
+    const aside = `${this.lockPath}.${lockToken()}`;
+    try {
+      await fs.promises.rename(this.lockPath, aside);
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    const found = await fs.promises.readFile(aside, 'utf8').catch(() => null);
+    // link() fails rather than overwrite if yet another lock was taken meanwhile
+    if (found !== token) await fs.promises.link(aside, this.lockPath).catch(() => {});
+    await fs.promises.unlink(aside).catch(() => {});
   }
 
   /** @private */
-  _save() {
+  _removeLockSync(token) {
+    const aside = `${this.lockPath}.${lockToken()}`;
     try {
-      fs.writeFileSync(this.filePath, String(this._value));
-    } catch {
-      // Best-effort persistence
+      fs.renameSync(this.lockPath, aside);
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
     }
+    let found = null;
+    try {
+      found = fs.readFileSync(aside, 'utf8');
+    } catch (err) {
+      // Treated as someone else's
+    }
+    try {
+      if (found !== token) fs.linkSync(aside, this.lockPath);
+    } catch (err) {
+      // Another lock was taken meanwhile
+    }
+    try {
+      fs.unlinkSync(aside);
+    } catch (err) {
+      // Already gone
+    }
+  }
+
+  /** @private */
+  _tmpPath() {
+    return path.join(path.dirname(this.filePath), `.${path.basename(this.filePath)}.${process.pid}.tmp`);
+  }
+
+  /** @private */
+  _lockTimeout() {
+    return new PredictMeError(`Timed out waiting for nonce lock ${this.lockPath}`, 'NONCE_LOCK_TIMEOUT');
+  }
+}
+
+/** Keeps the nonce in memory (single process; tests, short-lived scripts). */
+class MemoryNonceStore {
+  constructor(value = null) {
+    this.value = value;
+  }
+
+  read() {
+    return this.value;
+  }
+
+  write(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Events: 'recover' ({ rejected, expectedNonce, nonce }) when a nonce the
+ * server rejected is replaced via recover().
+ */
+class NonceManager extends EventEmitter {
+  /**
+   * @param {string} [filePath='.predictme-nonce'] - Path to nonce file (ignored if `options.store` is given)
+   * @param {object} [options]
+   * @param {object} [options.store] - Custom store (see top of file)
+   * @param {number} [options.lockTimeout] - See FileNonceStore
+   * @param {number} [options.staleLockMs] - See FileNonceStore
+   */
+  constructor(filePath = '.predictme-nonce', options = {}) {
+    super();
+    this.filePath = filePath;
+    this.store = options.store || new FileNonceStore(filePath, options);
+    this._value = null;
+    this._queue = Promise.resolve();
+    this._pending = 0;
+  }
+
+  /** Current nonce from the store. Returns Date.now() if nothing is stored yet. */
+  load() {
+    return this._loaded(this._storeSync('read'));
+  }
+
+  /**
+   * Reserve the next nonce (current + 1, or `min` if higher) and persist it.
+   * Blocks while another process holds the lock; see nextAsync().
+   * @param {number} [min] - Lowest acceptable nonce
+   * @returns {number}
+   */
+  next(min) {
+    return this._exclusiveSync(() => {
+      this._value = Math.max(this.load() + 1, min || 0);
+      this._storeSync('write', this._value);
+      return this._value;
+    });
+  }
+
+  /**
+   * Force-set the nonce. Unlike next(), this can move it backwards.
+   * @param {number} value
+   */
+  set(value) {
+    this._exclusiveSync(() => {
+      this._value = value;
+      this._storeSync('write', value);
+    });
+  }
+
+  /** load(), for stores that read asynchronously. */
+  async loadAsync() {
+    return this._loaded(await this.store.read());
+  }
+
+  /**
+   * next(), waiting for the lock without blocking the event loop.
+   * @param {number} [min] - Lowest acceptable nonce
+   * @returns {Promise<number>}
+   */
+  nextAsync(min) {
+    return this._exclusive(async () => {
+      this._value = Math.max((await this.loadAsync()) + 1, min || 0);
+      await this.store.write(this._value);
+      return this._value;
+    });
+  }
+
+  /**
+   * set(), waiting for the lock without blocking the event loop.
+   * @param {number} value
+   * @returns {Promise<void>}
+   */
+  setAsync(value) {
+    return this._exclusive(async () => {
+      this._value = value;
+      await this.store.write(value);
+    });
+  }
+
+  /**
+   * Reserve a replacement for a nonce the server rejected: `expectedNonce + 1`,
+   * as the client always did after an INVALID_NONCE, or current + 1 if that is
+   * higher (another caller may have moved past it meanwhile, and a nonce is
+   * never handed out twice).
+   * @param {number} rejected - The nonce that was sent
+   * @param {number} [expectedNonce] - Server's hint from the INVALID_NONCE response
+   * @returns {Promise<number>}
+   */
+  async recover(rejected, expectedNonce) {
+    const nonce = await this.nextAsync(expectedNonce != null ? expectedNonce + 1 : undefined);
+    this.emit('recover', { rejected, expectedNonce, nonce });
+    return nonce;
+  }
+
+  /**
+   * Merge a stored value into the cached one.
+   * @private
+   */
+  _loaded(stored) {
+    this._value = Math.max(stored || 0, this._value || 0) || Date.now();
+    return this._value;
+  }
+
+  /**
+   * Call the store's synchronous `readSync`/`writeSync`, or `read`/`write` if
+   * those are synchronous.
+   * @private
+   */
+  _storeSync(op, ...args) {
+    const fn = this.store[`${op}Sync`] || this.store[op];
+    const result = fn.apply(this.store, args);
+    if (result && typeof result.then === 'function') {
+      result.catch(() => {});
+      throw new PredictMeError(`The nonce store's ${op}() is asynchronous; use loadAsync(), nextAsync() and setAsync()`, 'NONCE_STORE_ASYNC');
+    }
+    return result;
+  }
+
+  /**
+   * Run `fn` with the store's lock held, blocking while waiting for it.
+   * @private
+   */
+  _exclusiveSync(fn) {
+    // An async call holding the lock can't release it while this thread waits
+    if (this._pending > 0) {
+      throw new PredictMeError('An async nonce call is in progress; use nextAsync() and setAsync() throughout', 'NONCE_BUSY');
+    }
+    let release = null;
+    if (this.store.lockSync) release = this.store.lockSync();
+    else if (this.store.lock) {
+      throw new PredictMeError("The nonce store's lock() is asynchronous; use nextAsync() and setAsync()", 'NONCE_STORE_ASYNC');
+    }
+    try {
+      return fn();
+    } finally {
+      if (release) release();
+    }
+  }
+
+  /**
+   * Run `fn` with the in-process mutex and the store's lock held.
+   * @private
+   */
+  _exclusive(fn) {
+    this._pending++;
+    const run = this._queue.then(async () => {
+      try {
+        const release = this.store.lock ? await this.store.lock() : null;
+        try {
+          return await fn();
+        } finally {
+          if (release) await release();
+        }
+      } finally {
+        this._pending--;
+      }
+    });
+    this._queue = run.catch(() => {});
+    return run;
   }
 }
 
-module.exports = { NonceManager };
+module.exports = { NonceManager, FileNonceStore, MemoryNonceStore };
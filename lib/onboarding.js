@@ -0,0 +1,261 @@
+/**
+ * Guided onboarding: register, optionally claim with a tweet, wait for
+ * approval, and save the one-time API key the moment it appears.
+ *
+ * Progress is kept in a state file (.predictme-onboarding.json by default)
+ * from the moment the agent is registered, so an interrupted onboarding
+ * resumes where it left off instead of registering again. The key itself is
+ * never written there: it goes straight to `.env` or a profile, and the
+ * state file is removed once it's saved.
+ *
+ * Events:
+ *   registered ({ agentId, agentName, status })
+ *   resumed    (state) — picked up an earlier, interrupted onboarding
+ *   claimed    ({ agentId, verified, verificationLevel })
+ *   status     ({ status, attempt, nextPollMs }) — still waiting for approval
+ *   retry      (err, delayMs) — a status check failed and will be retried
+ *   saved      ({ agentId, agentName, target })
+ *
+ * @example
+ * const onboarding = new Onboarding(new PredictMeAgent(), { profile: 'alice' });
+ * onboarding.on('status', ({ status, nextPollMs }) => console.log(status, nextPollMs));
+ * await onboarding.run({ email: 'me@example.com', agentName: 'AliceBot', tweetUrl });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PredictMeError, PredictMeHttpError, ConfigError } = require('./errors');
+const { ProfileStore } = require('./profiles');
+const { parseEnvFile, setEnvVar, DEFAULT_API_URL } = require('./config');
+
+/** Statuses after which the key will never appear. */
+const FINAL = ['rejected', 'suspended', 'banned'];
+
+class Onboarding extends EventEmitter {
+  /**
+   * @param {import('./api').PredictMeAgent} agent - Used for the public register/claim/status endpoints
+   * @param {object} [options]
+   * @param {string} [options.profile] - Save the key to this profile instead of .env
+   * @param {string} [options.envPath] - .env file to save the key to (default: cwd/.env)
+   * @param {string} [options.statePath] - Default: cwd/.predictme-onboarding.json
+   * @param {ProfileStore} [options.store]
+   * @param {boolean} [options.force=false] - Replace an existing key or profile
+   * @param {number} [options.pollMs=5000] - First delay between status checks
+   * @param {number} [options.maxPollMs=60000] - Backoff cap
+   * @param {number} [options.timeoutMs=Infinity] - Give up waiting for approval after this long
+   */
+  constructor(agent, options = {}) {
+    super();
+    this.agent = agent;
+    this.profile = options.profile || null;
+    this.envPath = options.envPath || path.join(process.cwd(), '.env');
+    this.statePath = options.statePath || path.join(process.cwd(), '.predictme-onboarding.json');
+    this.store = options.store || new ProfileStore();
+    this.force = !!options.force;
+    this.pollMs = options.pollMs || 5000;
+    this.maxPollMs = options.maxPollMs || 60000;
+    this.timeoutMs = options.timeoutMs != null ? options.timeoutMs : Infinity;
+    this._stopped = false;
+    this._wake = null;
+  }
+
+  /** Where the key will be saved, e.g. '.env' or 'profile alice'. */
+  target() {
+    return this.profile ? `profile ${this.profile}` : path.relative(process.cwd(), this.envPath) || this.envPath;
+  }
+
+  /**
+   * The interrupted onboarding to resume, if any.
+   * @returns {object|null} `{ agentId, agentName, email, claimed, profile, envPath, startedAt }`
+   */
+  pending() {
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new ConfigError(`${this.statePath}: invalid JSON (${err.message})`, null, this.statePath);
+    }
+  }
+
+  /**
+   * Check that the key can be saved without overwriting one, before registering.
+   * @throws {ConfigError}
+   */
+  checkTarget() {
+    if (this.force) return;
+    if (this._savedKey()) {
+      const hint = this.profile ? 'pick another --profile' : 'use --profile <name>';
+      throw new ConfigError(`${this.target()} already has an API key; ${hint}, or --force to replace it`);
+    }
+  }
+
+  /**
+   * Run (or resume) the whole flow.
+   * @param {object} [params] - Not needed when resuming; if given, must match the onboarding being resumed
+   * @param {string} params.email
+   * @param {string} params.agentName
+   * @param {string} [params.description]
+   * @param {string} [params.twitterHandle]
+   * @param {string} [params.walletAddress]
+   * @param {string} [params.tweetUrl] - Claim the agent with this tweet
+   * @returns {Promise<{ agentId: string, agentName: string, target: string }>}
+   */
+  async run(params = {}) {
+    let state = this.pending();
+    if (state) {
+      const other =
+        (params.agentName && params.agentName !== state.agentName) ||
+        (params.email && params.email !== state.email) ||
+        (this.profile && this.profile !== state.profile);
+      if (other) {
+        throw new ConfigError(
+          `Onboarding of ${state.agentName} (${state.agentId}) is still in progress. Finish it first, or delete ${this.statePath} to start over.`
+        );
+      }
+      // Save where the interrupted run meant to
+      this.profile = state.profile || null;
+      if (state.envPath) this.envPath = state.envPath;
+      this.emit('resumed', state);
+    } else {
+      if (!params.email || !params.agentName) throw new ConfigError('email and agentName are required to register');
+      this.checkTarget();
+      const { email, agentName, description, twitterHandle, walletAddress } = params;
+      const res = await this.agent.register({ email, agentName, description, twitterHandle, walletAddress });
+      const data = res.data || {};
+      state = {
+        agentId: data.agentId,
+        agentName: data.agentName || agentName,
+        email,
+        claimed: false,
+        profile: this.profile,
+        envPath: this.profile ? null : this.envPath,
+        startedAt: new Date().toISOString(),
+      };
+      this._saveState(state);
+      this.emit('registered', { agentId: state.agentId, agentName: state.agentName, status: data.status });
+    }
+
+    if (params.tweetUrl && !state.claimed) {
+      const res = await this.agent.claim({ agentId: state.agentId, tweetUrl: params.tweetUrl });
+      state.claimed = true;
+      this._saveState(state);
+      this.emit('claimed', { agentId: state.agentId, ...res.data });
+    }
+
+    const apiKey = await this._waitForKey(state);
+    if (apiKey) {
+      try {
+        this._saveKey(apiKey);
+      } catch (err) {
+        // The key is shown only once: losing it here would lose the agent
+        throw new PredictMeError(`Could not save the API key to ${this.target()} (${err.message}). Save it yourself now: ${apiKey}`, 'KEY_NOT_SAVED');
+      }
+    }
+    fs.rmSync(this.statePath, { force: true });
+    const result = { agentId: state.agentId, agentName: state.agentName, target: this.target() };
+    this.emit('saved', result);
+    return result;
+  }
+
+  /** Stop waiting; run() rejects and the state file is kept for a later resume. */
+  stop() {
+    this._stopped = true;
+    if (this._wake) this._wake();
+  }
+
+  /**
+   * Poll getStatus with backoff until the key shows up.
+   * @private
+   * @returns {Promise<string|null>} The key, or null if it was already saved by an interrupted run
+   */
+  async _waitForKey(state) {
+    const started = Date.now();
+    let delay = this.pollMs;
+    for (let attempt = 1; ; attempt++) {
+      let data = null;
+      try {
+        data = (await this.agent.getStatus(state.agentId)).data || {};
+      } catch (err) {
+        // Network trouble, rate limits and 5xx are worth waiting out; anything else isn't
+        const transient = err instanceof PredictMeHttpError && (err.status == null || err.status === 429 || err.status >= 500);
+        if (!transient) throw err;
+        this.emit('retry', err, delay);
+      }
+      if (data) {
+        if (data.apiKey) return data.apiKey;
+        if (data.status === 'approved') {
+          // Shown once already: fine if an interrupted run saved it before cleaning up
+          if (this._savedKey()) return null;
+          throw new PredictMeError(
+            `${state.agentName} is approved but its API key was already retrieved and can't be shown again. Contact PredictMe support for a new key.`,
+            'API_KEY_ALREADY_SHOWN'
+          );
+        }
+        if (FINAL.includes(data.status)) {
+          fs.rmSync(this.statePath, { force: true });
+          throw new PredictMeError(`${state.agentName} was ${data.status}`, 'AGENT_REJECTED');
+        }
+        this.emit('status', { status: data.status, attempt, nextPollMs: delay });
+      }
+      if (Date.now() - started + delay > this.timeoutMs) {
+        throw new PredictMeError(`Still waiting for approval of ${state.agentName}; run again to resume`, 'ONBOARDING_TIMEOUT');
+      }
+      await this._sleep(delay);
+      if (this._stopped) throw new PredictMeError('Onboarding stopped; run again to resume', 'ONBOARDING_STOPPED');
+      delay = Math.min(Math.round(delay * 1.5), this.maxPollMs);
+    }
+  }
+
+  /** @private */
+  _sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      this._wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * The key already at the target, if any.
+   * @private
+   */
+  _savedKey() {
+    if (this.profile) {
+      const envFile = path.join(process.cwd(), `.env.${this.profile}`);
+      if (fs.existsSync(envFile)) return parseEnvFile(envFile).PREDICTME_API_KEY || null;
+      const entry = this.store.get(this.profile);
+      return (entry && entry.apiKey) || null;
+    }
+    return parseEnvFile(this.envPath).PREDICTME_API_KEY || null;
+  }
+
+  /** @private */
+  _saveKey(apiKey) {
+    // Keep the URL the agent registered against, so a profile talks to the same API
+    const apiUrl = this.agent.apiUrl !== DEFAULT_API_URL ? this.agent.apiUrl : undefined;
+    const envFile = this.profile && path.join(process.cwd(), `.env.${this.profile}`);
+    if (!this.profile) {
+      setEnvVar(this.envPath, 'PREDICTME_API_KEY', apiKey);
+    } else if (!fs.existsSync(envFile)) {
+      this.store.add(this.profile, { apiKey, apiUrl }, { force: true });
+    } else {
+      setEnvVar(envFile, 'PREDICTME_API_KEY', apiKey);
+      if (apiUrl && !parseEnvFile(envFile).PREDICTME_API_URL) setEnvVar(envFile, 'PREDICTME_API_URL', apiUrl);
+    }
+  }
+
+  /**
+   * Write the state file atomically, readable only by its owner.
+   * @private
+   */
+  _saveState(state) {
+    const tmp = `${this.statePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(state, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tmp, this.statePath);
+  }
+}
+
+module.exports = { Onboarding };
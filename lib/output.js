@@ -0,0 +1,251 @@
+/**
+ * Machine-readable CLI output and exit codes.
+ *
+ * Commands hand their result to formatOutput() (or, for long-running
+ * commands, to a RecordWriter one record at a time) as either an array of
+ * records or a single record:
+ *
+ *   json     The data as one JSON document (array or object)
+ *   ndjson   One JSON object per line
+ *   csv      Header plus one line per record (RFC 4180 quoting)
+ *   table    Aligned columns; a single record prints as key/value rows
+ *
+ * csv and table flatten nested objects into dotted columns (`grid.odds`) and
+ * print arrays as JSON. `fields` picks and orders columns by dotted path.
+ *
+ * exitCodeFor() maps errors to the CLI's exit codes (see EXIT_CODES).
+ */
+
+const {
+  PredictMeHttpError,
+  RateLimitError,
+  TimeoutError,
+  AuthenticationError,
+  AgentNotApprovedError,
+  InsufficientBalanceError,
+  RoundClosedError,
+  GridNotFoundError,
+  InvalidNonceError,
+  CommentaryRejectedError,
+  ValidationError,
+  NoGridsError,
+  RiskLimitError,
+  BetVetoedError,
+  TemplateError,
+  UsageError,
+  ConfigError,
+} = require('./errors');
+
+const FORMATS = ['json', 'ndjson', 'csv', 'table'];
+
+const EXIT_CODES = {
+  OK: 0,
+  /** Unexpected error, or a check that failed (lint-commentary below --min) */
+  ERROR: 1,
+  /** Bad arguments, an invalid config file, or a malformed commentary template */
+  USAGE: 2,
+  /** Missing/invalid API key or agent not approved */
+  AUTH: 3,
+  /** Rate limited, timed out, network error or 5xx: worth retrying later */
+  RETRY: 4,
+  /** The bet was refused: balance, closed round, commentary, risk limits, ... */
+  REJECTED: 5,
+  /** Any other API error */
+  API: 6,
+};
+
+const REJECTED = [
+  InsufficientBalanceError,
+  RoundClosedError,
+  GridNotFoundError,
+  InvalidNonceError,
+  CommentaryRejectedError,
+  ValidationError,
+  NoGridsError,
+  RiskLimitError,
+  BetVetoedError,
+];
+
+/**
+ * Exit code for an error thrown by a command.
+ * @param {Error} err
+ * @returns {number}
+ */
+function exitCodeFor(err) {
+  if (err instanceof UsageError || err instanceof ConfigError || err instanceof TemplateError) return EXIT_CODES.USAGE;
+  if (err instanceof AuthenticationError || err instanceof AgentNotApprovedError) return EXIT_CODES.AUTH;
+  if (err instanceof RateLimitError || err instanceof TimeoutError) return EXIT_CODES.RETRY;
+  if (REJECTED.some((Cls) => err instanceof Cls)) return EXIT_CODES.REJECTED;
+  if (err instanceof PredictMeHttpError) {
+    return err.status == null || err.status >= 500 ? EXIT_CODES.RETRY : EXIT_CODES.API;
+  }
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Check a --format value.
+ * @param {string} format
+ * @returns {string}
+ * @throws {UsageError}
+ */
+function checkFormat(format) {
+  if (!FORMATS.includes(format)) throw new UsageError(`Unknown format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  return format;
+}
+
+/**
+ * Parse a --fields value.
+ * @param {string} [value] - Comma-separated dotted paths
+ * @returns {string[]|null}
+ */
+function parseFields(value) {
+  if (value == null) return null;
+  const fields = value.split(',').map((f) => f.trim()).filter(Boolean);
+  if (fields.length === 0) throw new UsageError('--fields needs at least one field name');
+  return fields;
+}
+
+function get(obj, path) {
+  let v = obj;
+  for (const key of path.split('.')) {
+    if (v == null || typeof v !== 'object') return undefined;
+    v = v[key];
+  }
+  return v;
+}
+
+/**
+ * A record reduced to `fields`, keyed by the paths as given.
+ * @param {object} record
+ * @param {string[]|null} fields
+ * @returns {object}
+ */
+function pick(record, fields) {
+  if (!fields) return record;
+  const out = {};
+  for (const f of fields) out[f] = get(record, f);
+  return out;
+}
+
+/** Nested objects as dotted keys; arrays are kept as values. */
+function flatten(record, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(record)) {
+    const key = prefix + k;
+    if (v && typeof v === 'object' && !Array.isArray(v)) flatten(v, `${key}.`, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+function cell(v) {
+  if (v == null) return '';
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
+function csvCell(v) {
+  const s = cell(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Column names in first-seen order across records. */
+function columnsOf(rows) {
+  const seen = new Set();
+  for (const r of rows) for (const k of Object.keys(r)) seen.add(k);
+  return Array.from(seen);
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',');
+}
+
+function table(rows, columns) {
+  const text = rows.map((r) => columns.map((c) => cell(r[c]).replace(/\s*\n\s*/g, ' ')));
+  const widths = columns.map((c, i) => Math.max(c.length, ...text.map((t) => t[i].length)));
+  const line = (values) => values.map((v, i) => (i === values.length - 1 ? v : v.padEnd(widths[i]))).join('  ').trimEnd();
+  return [line(columns), line(widths.map((w) => '-'.repeat(w))), ...text.map(line)].join('\n');
+}
+
+/**
+ * Format a command's result.
+ * @param {object|object[]} data - Records, or a single record
+ * @param {object} options
+ * @param {'json'|'ndjson'|'csv'|'table'} options.format
+ * @param {string[]|null} [options.fields] - Dotted paths to keep, in order
+ * @returns {string} Without a trailing newline
+ */
+function formatOutput(data, { format, fields = null }) {
+  const many = Array.isArray(data);
+  const records = (many ? data : [data]).map((r) => pick(r, fields));
+  switch (checkFormat(format)) {
+    case 'json':
+      return JSON.stringify(many ? records : records[0], null, 2);
+    case 'ndjson':
+      return records.map((r) => JSON.stringify(r)).join('\n');
+    case 'csv': {
+      const rows = records.map((r) => flatten(r));
+      const columns = columnsOf(rows);
+      return [csvLine(columns), ...rows.map((r) => csvLine(columns.map((c) => r[c])))].join('\n');
+    }
+    default: {
+      const rows = records.map((r) => flatten(r));
+      if (!many) {
+        const r = rows[0];
+        return table(Object.keys(r).map((k) => ({ field: k, value: r[k] })), ['field', 'value']);
+      }
+      if (rows.length === 0) return '(no rows)';
+      return table(rows, columnsOf(rows));
+    }
+  }
+}
+
+/**
+ * Output for a stream of records (long-running commands). ndjson and csv
+ * write each record as it arrives; json and table need every record, so
+ * they print on end().
+ */
+class RecordWriter {
+  /**
+   * @param {object} options
+   * @param {'json'|'ndjson'|'csv'|'table'} options.format
+   * @param {string[]|null} [options.fields]
+   * @param {string[]} [options.columns] - csv columns when `fields` isn't given
+   *   (default: the first record's, flattened)
+   * @param {NodeJS.WritableStream} [options.out=process.stdout]
+   */
+  constructor({ format, fields = null, columns, out } = {}) {
+    this.format = checkFormat(format);
+    this.fields = fields;
+    this.columns = fields ? null : columns || null;
+    this.out = out || process.stdout;
+    this._records = [];
+    this._header = false;
+  }
+
+  /** @param {object} record */
+  write(record) {
+    if (this.format === 'ndjson') {
+      this.out.write(`${JSON.stringify(pick(record, this.fields))}\n`);
+    } else if (this.format === 'csv') {
+      const row = flatten(pick(record, this.fields));
+      if (!this._header) {
+        this.columns = this.columns || Object.keys(row);
+        this.out.write(`${csvLine(this.columns)}\n`);
+        this._header = true;
+      }
+      this.out.write(`${csvLine(this.columns.map((c) => row[c]))}\n`);
+    } else {
+      this._records.push(record);
+    }
+  }
+
+  /** Print buffered records (json, table). */
+  end() {
+    if (this.format === 'json' || this.format === 'table') {
+      this.out.write(`${formatOutput(this._records, { format: this.format, fields: this.fields })}\n`);
+      this._records = [];
+    }
+  }
+}
+
+module.exports = { formatOutput, RecordWriter, exitCodeFor, checkFormat, parseFields, pick, flatten, FORMATS, EXIT_CODES };
@@ -0,0 +1,94 @@
+/**
+ * Paging through the list endpoints (bets, leaderboard, commentary, recent
+ * activity). They all take `limit` and `offset` and list the newest (or
+ * top-ranked) entries first.
+ *
+ * paginate() turns a page fetcher into an async iterator that asks for the
+ * next page only once the previous one is used up. It stops at a short page,
+ * after `max` entries or `maxPages` pages, or, for lists with a timestamp,
+ * at the first entry older than `since`. Breaking out of a `for await` loop
+ * stops it too, without fetching another page.
+ *
+ * Offsets shift while you page if entries are added in the meantime, so an
+ * entry can show up twice across a page boundary; give `key` to skip repeats.
+ *
+ * @example
+ * for await (const bet of paginate((p) => agent.getBets({ ...p, status: 'settled' }), { since: Date.now() - 86400000, timeKey: 'createdAt' })) {
+ *   console.log(bet.orderId);
+ * }
+ */
+
+/** Most entries the API returns per page. */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Milliseconds since the epoch from a Date, a number or a date string.
+ * @param {Date|number|string} value
+ * @returns {number} NaN if it isn't a time
+ */
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\d+$/.test(value)) return Number(value);
+  return Date.parse(value);
+}
+
+/**
+ * Iterate over every entry of a paged list.
+ * @param {function({ limit: number, offset: number }): Promise<object[]|{ data: object[] }>} fetchPage
+ *   Fetch one page; an API response's `data` is used
+ * @param {object} [options]
+ * @param {number} [options.pageSize=50] - Entries per request (at most 100)
+ * @param {number} [options.offset=0] - Where to start
+ * @param {number} [options.max=Infinity] - Stop after this many entries
+ * @param {number} [options.maxPages=Infinity] - Stop after this many requests
+ * @param {Date|number|string} [options.since] - Stop at the first entry older than this (needs `timeKey`)
+ * @param {string} [options.timeKey] - Entry field holding its time, e.g. 'createdAt'
+ * @param {string} [options.key] - Entry field identifying it, to skip repeats
+ * @returns {AsyncGenerator<object>}
+ */
+async function* paginate(fetchPage, options = {}) {
+  const pageSize = Math.min(options.pageSize || 50, MAX_PAGE_SIZE);
+  const max = options.max != null ? options.max : Infinity;
+  const maxPages = options.maxPages != null ? options.maxPages : Infinity;
+  const { timeKey, key } = options;
+  let since = null;
+  if (options.since != null) {
+    if (!timeKey) throw new TypeError('since needs a timeKey: these entries have no timestamp');
+    since = toTime(options.since);
+    if (Number.isNaN(since)) throw new TypeError(`since: expected a date or timestamp, got "${options.since}"`);
+  }
+
+  const seen = key ? new Set() : null;
+  let offset = options.offset || 0;
+  let count = 0;
+  for (let page = 0; page < maxPages && count < max; page++) {
+    const res = await fetchPage({ limit: pageSize, offset });
+    const rows = Array.isArray(res) ? res : (res && res.data) || [];
+    for (const row of rows) {
+      if (since != null && row[timeKey] != null && toTime(row[timeKey]) < since) return;
+      if (seen) {
+        if (seen.has(row[key])) continue;
+        seen.add(row[key]);
+      }
+      yield row;
+      if (++count >= max) return;
+    }
+    if (rows.length < pageSize) return;
+    offset += pageSize;
+  }
+}
+
+/**
+ * Collect an async iterator (such as paginate()'s) into an array.
+ * @param {AsyncIterable<T>} iterable
+ * @returns {Promise<T[]>}
+ * @template T
+ */
+async function fetchAll(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+module.exports = { paginate, fetchAll, toTime, MAX_PAGE_SIZE };
@@ -0,0 +1,152 @@
+/**
+ * Paper trading account for dry-run mode.
+ *
+ * Stands in for the server's side of /bet, /balance and /bets: bets are
+ * checked and booked against a simulated balance instead of being sent.
+ * Grids are learned from the odds snapshots the agent fetches, and each
+ * position is settled at the first snapshot of its asset observed at or
+ * after its expiry, using that snapshot's currentPrice.
+ *
+ * Responses have the same shape as the real API's, with `dryRun: true`
+ * added to bet data.
+ */
+
+const { qualityScore, badgeTier } = require('./commentary');
+const { InsufficientBalanceError, GridNotFoundError, RoundClosedError, ValidationError } = require('./errors');
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+class PaperAccount {
+  /**
+   * @param {object} [options]
+   * @param {{ TEST?: number, BONUS?: number }} [options.balances] - Starting balances
+   *   (default: seeded by the agent from the real balance, or TEST 1000 / BONUS 100)
+   * @param {() => number} [options.now=Date.now] - Clock
+   */
+  constructor(options = {}) {
+    this.balances = options.balances ? { TEST: 0, BONUS: 0, ...options.balances } : null;
+    this.now = options.now || Date.now;
+    this.bets = [];
+    this._grids = new Map();
+    this._seq = 0;
+    this._session = Date.now().toString(36);
+  }
+
+  /**
+   * Learn grids from an odds snapshot and settle positions it resolves.
+   * @param {string} asset
+   * @param {object} data - /odds/:asset response data
+   * @returns {object[]} Bets settled by this snapshot
+   */
+  observe(asset, data) {
+    if (!data || !Array.isArray(data.grids)) return [];
+    asset = asset.toUpperCase();
+    const now = this.now();
+    for (const g of data.grids) this._grids.set(g.gridIdStr || g.gridId, { ...g, asset });
+    for (const [id, g] of this._grids) {
+      if (g.expiryAt <= now) this._grids.delete(id);
+    }
+
+    const price = parseFloat(data.currentPrice);
+    if (!Number.isFinite(price)) return [];
+    const settled = [];
+    for (const bet of this.bets) {
+      if (bet.status !== 'pending' || bet.asset !== asset || bet.expiryAt > now) continue;
+      const won = price >= parseFloat(bet.strikePriceMin) && price < parseFloat(bet.strikePriceMax);
+      const amount = parseFloat(bet.amount);
+      const payout = won ? round2(amount * parseFloat(bet.odds)) : 0;
+      this.balances[bet.balanceType] = round2(this.balances[bet.balanceType] + payout);
+      Object.assign(bet, {
+        status: 'settled',
+        result: won ? 'win' : 'loss',
+        settlementPrice: data.currentPrice,
+        payout: payout.toFixed(2),
+        profit: (payout - amount).toFixed(2),
+        settledAt: now,
+      });
+      settled.push(bet);
+    }
+    return settled;
+  }
+
+  /** Assets with positions past expiry that still need a snapshot to settle. */
+  unsettledAssets() {
+    const now = this.now();
+    return Array.from(new Set(this.bets.filter((b) => b.status === 'pending' && b.expiryAt <= now).map((b) => b.asset)));
+  }
+
+  /**
+   * Book a bet as the server would.
+   * @param {object} body - /bet request body (nonce not needed)
+   * @returns {{ success: true, data: object }}
+   * @throws {GridNotFoundError|RoundClosedError|InsufficientBalanceError|ValidationError}
+   */
+  placeBet({ gridId, amount, balanceType, commentary, strategy }) {
+    if (balanceType !== 'TEST' && balanceType !== 'BONUS') {
+      throw new ValidationError('Agents can only use TEST or BONUS balance');
+    }
+    const grid = this._grids.get(gridId);
+    if (!grid) throw new GridNotFoundError(`Grid ${gridId} not found in fetched odds (dry run)`);
+    if (grid.expiryAt <= this.now()) throw new RoundClosedError('Round is closed for betting');
+
+    const amt = round2(parseFloat(amount));
+    if (!Number.isFinite(amt) || amt <= 0) throw new ValidationError('Amount must be a positive number');
+    if (amt > this.balances[balanceType]) throw new InsufficientBalanceError(`Insufficient ${balanceType} balance`);
+    this.balances[balanceType] = round2(this.balances[balanceType] - amt);
+
+    const score = qualityScore(commentary);
+    const bet = {
+      // Unique across runs, so paper ledgers never merge two orders
+      orderId: `paper_${this._session}_${++this._seq}`,
+      gridId,
+      asset: grid.asset,
+      strikePriceMin: grid.strikePriceMin,
+      strikePriceMax: grid.strikePriceMax,
+      expiryAt: grid.expiryAt,
+      amount: amt.toFixed(2),
+      odds: grid.odds,
+      balanceType,
+      commentary,
+      strategy: strategy || undefined,
+      qualityScore: score,
+      status: 'pending',
+      createdAt: this.now(),
+    };
+    this.bets.push(bet);
+
+    return {
+      success: true,
+      data: {
+        orderId: bet.orderId,
+        gridId,
+        asset: bet.asset,
+        amount: bet.amount,
+        odds: bet.odds,
+        balanceType,
+        expiryAt: bet.expiryAt,
+        newBalance: this.balances[balanceType].toFixed(2),
+        qualityScore: score,
+        badge: badgeTier(score),
+        dryRun: true,
+      },
+    };
+  }
+
+  /** Simulated /balance response. */
+  balance() {
+    return { success: true, data: { TEST: this.balances.TEST.toFixed(2), BONUS: this.balances.BONUS.toFixed(2) } };
+  }
+
+  /** Simulated /bets response (newest first). */
+  getBets({ limit = 50, offset = 0, status = 'all' } = {}) {
+    const rows = this.bets
+      .filter((b) => status === 'all' || b.status === status)
+      .reverse()
+      .slice(offset, offset + limit);
+    return { success: true, data: rows.map((b) => ({ ...b })) };
+  }
+}
+
+module.exports = { PaperAccount };
@@ -0,0 +1,176 @@
+/**
+ * Named agent profiles, for running several agents from one machine.
+ *
+ * Profiles live in ~/.predictme/profiles.json (PREDICTME_HOME moves the
+ * directory), which is only ever written readable by its owner:
+ *
+ *   {
+ *     "current": "alice",
+ *     "profiles": {
+ *       "alice": { "apiKey": "pm_agent_...", "apiUrl": "https://..." },
+ *       "bob": { "apiKey": "pm_agent_...", "noncePath": "/var/lib/bob.nonce" }
+ *     }
+ *   }
+ *
+ * A project can also keep a profile in `.env.<name>` next to its `.env`
+ * (see loadConfig in lib/config.js for how one is picked).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+const NAME = /^[A-Za-z0-9][\w-]*$/;
+const FIELDS = ['apiKey', 'apiUrl', 'noncePath', 'ledgerPath'];
+
+/** Directory holding profiles.json and profile nonce files. */
+function predictmeHome() {
+  return process.env.PREDICTME_HOME || path.join(os.homedir(), '.predictme');
+}
+
+/**
+ * An API key shortened for display: `pm_agent_ab…f00d`.
+ * @param {string} [key]
+ * @returns {string|null}
+ */
+function maskKey(key) {
+  if (!key) return null;
+  return key.length <= 17 ? `${key.slice(0, 9)}…` : `${key.slice(0, 11)}…${key.slice(-4)}`;
+}
+
+/**
+ * Whether a file can be read by users other than its owner.
+ * Always false on Windows, where modes don't apply.
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isExposed(filePath) {
+  if (process.platform === 'win32') return false;
+  try {
+    return (fs.statSync(filePath).mode & 0o077) !== 0;
+  } catch {
+    return false;
+  }
+}
+
+class ProfileStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Default: PREDICTME_HOME or ~/.predictme
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || predictmeHome();
+    this.filePath = path.join(this.dir, 'profiles.json');
+  }
+
+  /**
+   * Read the store. A missing file is an empty store.
+   * @returns {{ current: string|null, profiles: object }}
+   * @throws {ConfigError} If the file isn't valid JSON
+   */
+  load() {
+    let text;
+    try {
+      text = fs.readFileSync(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return { current: null, profiles: {} };
+      throw err;
+    }
+    try {
+      const data = JSON.parse(text);
+      return { current: data.current || null, profiles: data.profiles || {} };
+    } catch (err) {
+      throw new ConfigError(`${this.filePath}: invalid JSON (${err.message})`, null, this.filePath);
+    }
+  }
+
+  /** Name of the profile selected with use(), if any. */
+  current() {
+    return this.load().current;
+  }
+
+  /**
+   * A stored profile.
+   * @param {string} name
+   * @returns {{ apiKey?: string, apiUrl?: string, noncePath?: string, ledgerPath?: string }|null}
+   */
+  get(name) {
+    return this.load().profiles[name] || null;
+  }
+
+  /**
+   * Stored profiles, by name.
+   * @returns {Array<object>} `{ name, current, ...profile }`
+   */
+  list() {
+    const { current, profiles } = this.load();
+    return Object.keys(profiles)
+      .sort()
+      .map((name) => ({ name, current: name === current, ...profiles[name] }));
+  }
+
+  /**
+   * Add or replace a profile. The first profile added becomes current.
+   * @param {string} name
+   * @param {object} profile
+   * @param {string} profile.apiKey
+   * @param {string} [profile.apiUrl]
+   * @param {string} [profile.noncePath] - Default: <dir>/<name>.nonce
+   * @param {string} [profile.ledgerPath] - Default: .predictme-ledger.<name>.ndjson in the working directory
+   * @param {object} [options]
+   * @param {boolean} [options.force=false] - Replace an existing profile
+   * @throws {ConfigError}
+   */
+  add(name, profile, options = {}) {
+    if (!NAME.test(name)) throw new ConfigError(`Invalid profile name "${name}": use letters, digits, - and _`);
+    if (!profile.apiKey) throw new ConfigError(`Profile "${name}" needs an API key`);
+    const data = this.load();
+    if (data.profiles[name] && !options.force) throw new ConfigError(`Profile "${name}" already exists (use --force to replace it)`);
+    const entry = {};
+    for (const key of FIELDS) if (profile[key]) entry[key] = profile[key];
+    data.profiles[name] = entry;
+    if (!data.current) data.current = name;
+    this._save(data);
+  }
+
+  /**
+   * Make a profile the default for commands that don't pick one.
+   * @param {string} name
+   * @throws {ConfigError} If there's no such stored profile
+   */
+  use(name) {
+    const data = this.load();
+    if (!data.profiles[name]) throw new ConfigError(`Unknown profile "${name}"`);
+    data.current = name;
+    this._save(data);
+  }
+
+  /**
+   * Delete a profile (its nonce file is kept).
+   * @param {string} name
+   * @throws {ConfigError} If there's no such stored profile
+   */
+  remove(name) {
+    const data = this.load();
+    if (!data.profiles[name]) throw new ConfigError(`Unknown profile "${name}"`);
+    delete data.profiles[name];
+    if (data.current === name) data.current = null;
+    this._save(data);
+  }
+
+  /**
+   * Write the store atomically, readable only by its owner.
+   * @private
+   */
+  _save(data) {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+    // The mode only applies to new files; tighten one left over from an earlier crash
+    fs.chmodSync(tmp, 0o600);
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+module.exports = { ProfileStore, predictmeHome, maskKey, isExposed };
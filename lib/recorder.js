@@ -0,0 +1,179 @@
+/**
+ * Odds snapshot recorder.
+ *
+ * Polls GET /odds/:asset once per round and appends replayable records to
+ * a daily-rotated NDJSON dataset (see lib/backtest.js for the format):
+ *
+ *   odds        Grids and currentPrice at the time of the poll
+ *   settlement  Price observed at the first poll at or after a recorded expiry
+ *   gap         A poll that failed or a round that was missed, so holes in
+ *               the history are explicit rather than silent
+ *
+ * With `gzip: true` each round is appended as its own gzip member; the
+ * resulting multi-member .gz file decompresses as one stream.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+
+class OddsRecorder extends EventEmitter {
+  /**
+   * @param {import('./api').PredictMeAgent} agent
+   * @param {object} [options]
+   * @param {string[]} [options.assets=['BTC']]
+   * @param {string} [options.outDir='data'] - Directory for dataset files
+   * @param {boolean} [options.gzip=false] - Write .ndjson.gz instead of .ndjson
+   * @param {number} [options.roundMs=10000] - Round length
+   * @param {number} [options.offsetMs=500] - Delay after each round boundary before polling
+   * @param {() => number} [options.now=Date.now] - Clock
+   */
+  constructor(agent, options = {}) {
+    super();
+    this.agent = agent;
+    this.assets = (options.assets || ['BTC']).map((a) => a.toUpperCase());
+    this.outDir = options.outDir || 'data';
+    this.gzip = !!options.gzip;
+    this.roundMs = options.roundMs || 10000;
+    this.offsetMs = options.offsetMs != null ? options.offsetMs : 500;
+    this.now = options.now || Date.now;
+
+    this._timer = null;
+    this._running = false;
+    this._inFlight = null;
+    this._lastRound = null;
+    this._pending = new Map(this.assets.map((a) => [a, new Set()]));
+  }
+
+  /** Dataset file for a timestamp (rotated daily, UTC). */
+  fileFor(ts) {
+    const day = new Date(ts).toISOString().slice(0, 10);
+    return path.join(this.outDir, `predictme-${day}.ndjson${this.gzip ? '.gz' : ''}`);
+  }
+
+  /** Start polling at every round boundary. */
+  start() {
+    if (this._running) return;
+    fs.mkdirSync(this.outDir, { recursive: true });
+    this._running = true;
+    this._schedule();
+  }
+
+  /** Stop polling and wait for the in-flight poll to be written. */
+  async stop() {
+    this._running = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._inFlight) await this._inFlight;
+  }
+
+  /** @private */
+  _schedule() {
+    if (!this._running) return;
+    const now = this.now();
+    const nextBoundary = Math.floor(now / this.roundMs) * this.roundMs + this.roundMs;
+    this._timer = setTimeout(() => {
+      this._inFlight = this.poll()
+        .catch((err) => this.emit('error', err))
+        .then(() => {
+          this._inFlight = null;
+          this._schedule();
+        });
+    }, nextBoundary + this.offsetMs - now);
+  }
+
+  /**
+   * Poll every asset once and append the resulting records.
+   * @returns {Promise<object[]>} Records written
+   */
+  async poll() {
+    const ts = this.now();
+    const round = Math.floor(ts / this.roundMs);
+    const records = [];
+
+    // Rounds skipped since the last poll (process stalled, machine slept, ...)
+    if (this._lastRound != null) {
+      for (let r = this._lastRound + 1; r < round; r++) {
+        for (const asset of this.assets) {
+          records.push({ type: 'gap', asset, ts: r * this.roundMs, reason: 'missed' });
+        }
+      }
+    }
+    this._lastRound = round;
+
+    const results = await Promise.all(
+      this.assets.map((asset) =>
+        this.agent.getOdds(asset).then(
+          (res) => ({ asset, data: res && res.data }),
+          (err) => ({ asset, err })
+        )
+      )
+    );
+
+    for (const { asset, data, err } of results) {
+      if (err || !data || !Array.isArray(data.grids)) {
+        records.push({ type: 'gap', asset, ts, reason: 'error', error: err ? err.message : 'Malformed odds response' });
+        continue;
+      }
+      records.push(...this._settle(asset, ts, data.currentPrice));
+      records.push({
+        type: 'odds',
+        asset,
+        ts,
+        currentPrice: data.currentPrice,
+        grids: data.grids.map(compactGrid),
+      });
+      const pending = this._pending.get(asset);
+      for (const g of data.grids) pending.add(g.expiryAt);
+    }
+
+    await this._append(ts, records);
+    for (const r of records) this.emit(r.type, r);
+    return records;
+  }
+
+  /**
+   * Turn expiries that have passed into settlement records.
+   * An expiry observed more than one round late is marked as a gap instead.
+   * @private
+   */
+  _settle(asset, ts, currentPrice) {
+    const records = [];
+    const pending = this._pending.get(asset);
+    for (const expiryAt of Array.from(pending).sort((a, b) => a - b)) {
+      if (expiryAt > ts) continue;
+      pending.delete(expiryAt);
+      if (ts - expiryAt <= this.roundMs) {
+        records.push({ type: 'settlement', asset, expiryAt, price: currentPrice, observedAt: ts });
+      } else {
+        records.push({ type: 'gap', asset, ts: expiryAt, reason: 'settlement' });
+      }
+    }
+    return records;
+  }
+
+  /** @private */
+  async _append(ts, records) {
+    if (!records.length) return;
+    const text = records.map((r) => JSON.stringify(r)).join('\n') + '\n';
+    await fs.promises.mkdir(this.outDir, { recursive: true });
+    await fs.promises.appendFile(this.fileFor(ts), this.gzip ? zlib.gzipSync(text) : text);
+  }
+}
+
+/** Keep only the grid fields strategies and the backtester read. */
+function compactGrid(g) {
+  const out = {
+    gridIdStr: g.gridIdStr,
+    strikePriceMin: g.strikePriceMin,
+    strikePriceMax: g.strikePriceMax,
+    odds: g.odds,
+    impliedProbability: g.impliedProbability,
+    expiryAt: g.expiryAt,
+  };
+  if (g.gridId !== g.gridIdStr) out.gridId = g.gridId;
+  return out;
+}
+
+module.exports = { OddsRecorder };
@@ -0,0 +1,346 @@
+/**
+ * Bankroll and risk management.
+ *
+ * RiskManager wraps a PredictMeAgent and sizes every bet, then checks it
+ * against the configured limits before placeBet sends anything. Blocked
+ * bets throw RiskLimitError naming the rule that was hit.
+ *
+ * Equity is tracked as balance + stakes of open positions, so placing a bet
+ * doesn't count as a loss until it settles. Approved stakes come off the
+ * balance right away: the server's balance only drops once the bet is placed,
+ * so stakes approved but not yet placed are subtracted from every balance it
+ * reports. Approvals run one at a time, so runners sharing a RiskManager
+ * can't both spend the same balance.
+ *
+ * @example
+ * const risk = new RiskManager(agent, {
+ *   sizing: { type: 'kelly', fraction: 0.25 },
+ *   maxStake: 5,
+ *   dailyLossLimit: 50,
+ *   stopLoss: 100,
+ * });
+ * await risk.pickAndBet({ asset: 'BTC', strategy: 'edge', commentary: '...' });
+ */
+
+const { RiskLimitError } = require('./errors');
+
+const DAY_MS = 86400000;
+
+/**
+ * Read a balance from a /balance or bet response payload.
+ * @param {object} data
+ * @param {'TEST'|'BONUS'} type
+ * @returns {number|null}
+ */
+function balanceOf(data, type) {
+  if (!data) return null;
+  const raw = data[type] ?? data[type.toLowerCase()] ?? data.balances?.[type] ?? data.balances?.[type.toLowerCase()];
+  const n = parseFloat(raw && typeof raw === 'object' ? raw.available ?? raw.balance : raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round2(n) {
+  return Math.floor(n * 100) / 100;
+}
+
+class RiskManager {
+  /**
+   * @param {import('./api').PredictMeAgent} agent
+   * @param {object} [options]
+   * @param {object} [options.sizing] - Sizing policy:
+   *   `{ type: 'fixed', amount }`,
+   *   `{ type: 'percent', percent }` (of current balance), or
+   *   `{ type: 'kelly', fraction = 0.25, probability? }` where `probability(grid)`
+   *   returns the win probability (default: grid.modelProbability; bets on grids
+   *   without one are blocked)
+   * @param {number} [options.minStake=0.01] - Bets sized below this are blocked
+   * @param {number} [options.maxStake] - Stakes are capped at this amount
+   * @param {number} [options.maxExposurePerRound] - Max total stake placed within one round
+   * @param {number} [options.maxExposurePerAsset] - Max total open (unsettled) stake per asset
+   * @param {number} [options.dailyLossLimit] - Max equity loss per UTC day
+   * @param {number} [options.stopLoss] - Trip the circuit breaker after losing this much this session
+   * @param {number} [options.takeProfit] - Trip the circuit breaker after gaining this much this session
+   * @param {'TEST'|'BONUS'} [options.balanceType='TEST']
+   * @param {number} [options.roundMs=10000] - Round length
+   * @param {() => number} [options.now=Date.now] - Clock
+   */
+  constructor(agent, options = {}) {
+    this.agent = agent;
+    this.sizing = options.sizing || { type: 'fixed', amount: 1 };
+    this.minStake = options.minStake != null ? options.minStake : 0.01;
+    this.maxStake = options.maxStake;
+    this.maxExposurePerRound = options.maxExposurePerRound;
+    this.maxExposurePerAsset = options.maxExposurePerAsset;
+    this.dailyLossLimit = options.dailyLossLimit;
+    this.stopLoss = options.stopLoss;
+    this.takeProfit = options.takeProfit;
+    this.balanceType = options.balanceType || 'TEST';
+    this.roundMs = options.roundMs || 10000;
+    this.now = options.now || Date.now;
+
+    this.balance = null;
+    this.sessionStartEquity = null;
+    this.dayStartEquity = null;
+    this.day = null;
+    this.tripped = null;
+    this.positions = [];
+    this._queue = Promise.resolve();
+  }
+
+  /** Total stake of positions that haven't settled yet (optionally for one asset). */
+  openExposure(asset) {
+    const now = this.now();
+    // Give the server one round after expiry to credit the payout
+    this.positions = this.positions.filter((p) => p.expiryAt + this.roundMs > now);
+    return this.positions.filter((p) => !asset || p.asset === asset).reduce((sum, p) => sum + p.amount, 0);
+  }
+
+  /** Balance plus open stakes. */
+  equity() {
+    return this.balance == null ? null : this.balance + this.openExposure();
+  }
+
+  /** Snapshot of the tracked risk state. */
+  status() {
+    const equity = this.equity();
+    return {
+      balance: this.balance,
+      equity,
+      openExposure: this.openExposure(),
+      sessionPnl: equity == null || this.sessionStartEquity == null ? 0 : equity - this.sessionStartEquity,
+      dayPnl: equity == null || this.dayStartEquity == null ? 0 : equity - this.dayStartEquity,
+      tripped: this.tripped,
+    };
+  }
+
+  /** Clear a tripped circuit breaker and start a new session from the current equity. */
+  reset() {
+    this.tripped = null;
+    this.sessionStartEquity = this.equity();
+  }
+
+  /**
+   * Fetch the current balance from the API.
+   * @returns {Promise<number>} The balance left after stakes approved but not yet placed
+   */
+  async refresh() {
+    const res = await this.agent.getBalance();
+    const bal = balanceOf(res && res.data, this.balanceType);
+    if (bal == null) throw new Error(`Could not read ${this.balanceType} balance from /balance response`);
+    this._setBalance(bal);
+    return this.balance;
+  }
+
+  /**
+   * Take a balance reported by the server, less the stakes it doesn't know about yet.
+   * @private
+   */
+  _setBalance(serverBalance) {
+    const reserved = this.positions.filter((p) => !p.placed).reduce((sum, p) => sum + p.amount, 0);
+    this.balance = serverBalance - reserved;
+  }
+
+  /**
+   * Stake for a grid under the sizing policy (before limits are applied).
+   * @param {object} [grid]
+   * @returns {number}
+   * @throws {RiskLimitError} Kelly sizing without a win probability for the grid
+   */
+  size(grid) {
+    const s = this.sizing;
+    if (s.type === 'fixed') return parseFloat(s.amount);
+    if (s.type === 'percent') return (this.balance * s.percent) / 100;
+    if (s.type === 'kelly') {
+      if (!grid) throw new Error('Kelly sizing needs the grid being bet on');
+      // impliedProbability is 1/odds: no edge by definition, so it is no use here
+      const estimate = s.probability ? s.probability(grid) : grid.modelProbability;
+      if (estimate == null) {
+        throw new RiskLimitError(
+          `Kelly sizing needs a win probability for ${grid.gridIdStr || grid.gridId || 'the grid'}: ` +
+            'pass sizing.probability(grid), or use a strategy that sets modelProbability (edge, ev)',
+          'kelly'
+        );
+      }
+      const odds = parseFloat(grid.odds);
+      const p = parseFloat(estimate);
+      const b = odds - 1;
+      if (!(b > 0) || !Number.isFinite(p)) return 0;
+      const kelly = (p * b - (1 - p)) / b;
+      return kelly > 0 ? this.balance * kelly * (s.fraction != null ? s.fraction : 0.25) : 0;
+    }
+    throw new Error(`Unknown sizing type: ${s.type}. Available: fixed, percent, kelly`);
+  }
+
+  /**
+   * Size a bet and check it against every limit. Reserves the stake as an
+   * open position; call placed() once the server accepts the bet, or
+   * release() if it is not placed. Calls run one at a time.
+   * @param {object} params
+   * @param {string} params.asset
+   * @param {object} [params.grid] - Grid being bet on (needed for Kelly sizing)
+   * @param {number} [params.amount] - Requested stake (defaults to the sizing policy)
+   * @param {number} [params.expiryAt] - Grid expiry (default: end of the current round)
+   * @returns {Promise<object>} Reserved position `{ asset, amount, expiryAt, round }`
+   * @throws {RiskLimitError}
+   */
+  approve(params) {
+    const run = this._queue.then(() => this._approve(params));
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /** @private */
+  async _approve({ asset, grid, amount, expiryAt }) {
+    if (this.tripped) throw new RiskLimitError(`Circuit breaker tripped: ${this.tripped}`, 'circuitBreaker');
+
+    await this.refresh();
+    const now = this.now();
+    const equity = this.equity();
+    if (this.sessionStartEquity == null) this.sessionStartEquity = equity;
+    const day = Math.floor(now / DAY_MS);
+    if (this.day !== day) {
+      this.day = day;
+      this.dayStartEquity = equity;
+    }
+
+    const sessionPnl = equity - this.sessionStartEquity;
+    if (this.stopLoss != null && sessionPnl <= -this.stopLoss) {
+      this.tripped = `stop-loss hit (${sessionPnl.toFixed(2)})`;
+      throw new RiskLimitError(`Circuit breaker tripped: ${this.tripped}`, 'circuitBreaker');
+    }
+    if (this.takeProfit != null && sessionPnl >= this.takeProfit) {
+      this.tripped = `take-profit hit (+${sessionPnl.toFixed(2)})`;
+      throw new RiskLimitError(`Circuit breaker tripped: ${this.tripped}`, 'circuitBreaker');
+    }
+    const dayPnl = equity - this.dayStartEquity;
+    if (this.dailyLossLimit != null && dayPnl <= -this.dailyLossLimit) {
+      throw new RiskLimitError(`Daily loss limit reached (${dayPnl.toFixed(2)} of -${this.dailyLossLimit})`, 'dailyLossLimit');
+    }
+
+    let stake = amount != null ? parseFloat(amount) : this.size(grid);
+    if (amount == null && this.sizing.type === 'kelly' && stake <= 0) {
+      throw new RiskLimitError(`No positive Kelly edge at ${grid.odds}x odds`, 'kelly');
+    }
+    if (this.maxStake != null) stake = Math.min(stake, this.maxStake);
+    stake = round2(Math.min(stake, this.balance));
+    if (!(stake >= this.minStake)) {
+      throw new RiskLimitError(`Stake ${stake.toFixed(2)} is below minimum ${this.minStake}`, 'minStake');
+    }
+
+    const round = Math.floor(now / this.roundMs);
+    if (this.maxExposurePerRound != null) {
+      const inRound = this.positions.filter((p) => p.round === round).reduce((sum, p) => sum + p.amount, 0);
+      if (inRound + stake > this.maxExposurePerRound) {
+        throw new RiskLimitError(
+          `Round exposure ${(inRound + stake).toFixed(2)} would exceed ${this.maxExposurePerRound}`,
+          'maxExposurePerRound'
+        );
+      }
+    }
+    if (this.maxExposurePerAsset != null) {
+      const open = this.openExposure(asset);
+      if (open + stake > this.maxExposurePerAsset) {
+        throw new RiskLimitError(
+          `${asset} exposure ${(open + stake).toFixed(2)} would exceed ${this.maxExposurePerAsset}`,
+          'maxExposurePerAsset'
+        );
+      }
+    }
+
+    const position = {
+      asset,
+      amount: stake,
+      expiryAt: expiryAt || grid?.expiryAt || (round + 1) * this.roundMs,
+      round,
+      placed: false,
+    };
+    this.positions.push(position);
+    this.balance -= stake;
+    return position;
+  }
+
+  /**
+   * Mark a reservation as placed: from now on the server's balance includes it.
+   * @param {object} position - From approve()
+   */
+  placed(position) {
+    if (position) position.placed = true;
+  }
+
+  /** Undo a reservation made by approve() for a bet that was not placed. */
+  release(position) {
+    const idx = this.positions.indexOf(position);
+    if (idx === -1) return;
+    this.positions.splice(idx, 1);
+    this.balance += position.amount;
+  }
+
+  /** @private */
+  _settleResponse(res) {
+    const bal = balanceOf(res && res.data && { [this.balanceType]: res.data.newBalance }, this.balanceType);
+    if (bal != null) this._setBalance(bal);
+  }
+
+  /**
+   * placeBet with risk checks. `amount` is optional (sizing policy applies);
+   * pass `grid` for Kelly sizing.
+   * @param {object} params - PredictMeAgent#placeBet params plus `asset` and `grid`
+   * @throws {RiskLimitError} Plus everything placeBet throws
+   */
+  async placeBet({ asset, grid, amount, ...params }) {
+    const position = await this.approve({
+      asset: asset || (params.gridId || '').split('_')[0],
+      grid,
+      amount,
+    });
+    try {
+      const res = await this.agent.placeBet({
+        ...params,
+        balanceType: this.balanceType,
+        amount: position.amount.toFixed(2),
+      });
+      if (res?.data?.expiryAt) position.expiryAt = res.data.expiryAt;
+      this.placed(position);
+      this._settleResponse(res);
+      return res;
+    } catch (err) {
+      this.release(position);
+      throw err;
+    }
+  }
+
+  /**
+   * pickAndBet with risk checks. The stake is sized from the chosen grid,
+   * unless `amount` (or the strategy's allocation) gives one, in which case
+   * it is only capped and checked. Every leg of a multi-grid bet is approved
+   * on its own.
+   * @param {object} params - PredictMeAgent#pickAndBet params
+   * @throws {RiskLimitError} Plus everything pickAndBet throws
+   */
+  async pickAndBet({ amount, ...params }) {
+    const positions = new Map();
+    try {
+      const res = await this.agent.pickAndBet({
+        ...params,
+        balanceType: this.balanceType,
+        amount: async (grid, ctx) => {
+          const position = await this.approve({ asset: ctx.asset, grid, amount: ctx.amount ?? amount });
+          positions.set(grid.gridIdStr || grid.gridId, position);
+          return position.amount.toFixed(2);
+        },
+      });
+      const failed = new Set((res.failed || []).map((f) => f.gridId));
+      for (const [gridId, position] of positions) {
+        if (failed.has(gridId)) this.release(position);
+        else this.placed(position);
+      }
+      this._settleResponse(res);
+      return res;
+    } catch (err) {
+      for (const position of positions.values()) this.release(position);
+      throw err;
+    }
+  }
+}
+
+module.exports = { RiskManager, balanceOf };
@@ -0,0 +1,348 @@
+/**
+ * Round-aware scheduler for trading loops.
+ *
+ * Instead of sleeping a fixed interval between bets (which drifts against
+ * the real round boundaries), AgentRunner derives round timing from the
+ * grids' `expiryAt` and fires a callback at a fixed offset into every
+ * round. It never fires twice in the same round, reports rounds it had to
+ * skip (e.g. because the previous callback overran), and shuts down cleanly
+ * on SIGINT/SIGTERM.
+ *
+ * Events: 'sync' ({ roundMs, anchor }), 'round' (ctx), 'skipped'
+ * ({ from, to, count }), 'roundError' (err, ctx), 'stop' ({ rounds, reason }).
+ *
+ * @example
+ * const runner = new AgentRunner(agent, { asset: 'BTC', offsetMs: 1500 });
+ * await runner.start(async ({ round }) => {
+ *   await agent.pickAndBet({ asset: 'BTC', commentary: '...', templateContext: { round: String(round) } });
+ * });
+ */
+
+const { EventEmitter } = require('events');
+
+class AgentRunner extends EventEmitter {
+  /**
+   * @param {import('./api').PredictMeAgent} agent
+   * @param {object} [options]
+   * @param {string} [options.asset='BTC'] - Asset whose grids define the round timing
+   * @param {number} [options.offsetMs=1000] - Delay into each round before firing
+   * @param {number} [options.maxRounds=Infinity] - Stop after this many callbacks
+   * @param {number} [options.resyncEvery=60] - Re-derive timing from the grids every N rounds
+   * @param {boolean} [options.handleSignals=true] - Stop on SIGINT/SIGTERM
+   * @param {() => number} [options.now=Date.now] - Clock
+   */
+  constructor(agent, options = {}) {
+    super();
+    this.agent = agent;
+    this.asset = options.asset || 'BTC';
+    this.offsetMs = options.offsetMs != null ? options.offsetMs : 1000;
+    this.maxRounds = options.maxRounds != null ? options.maxRounds : Infinity;
+    this.resyncEvery = options.resyncEvery || 60;
+    this.handleSignals = options.handleSignals !== false;
+    this.now = options.now || Date.now;
+
+    this.roundMs = null;
+    this.anchor = null;
+    this.rounds = 0;
+    this.skipped = 0;
+    this.running = false;
+
+    this._timer = null;
+    this._wake = null;
+    this._lastRound = null;
+    this._stopReason = null;
+    this._signalHandler = null;
+  }
+
+  /**
+   * Derive round length and boundary alignment from the current grids.
+   * @returns {Promise<{ roundMs: number, anchor: number }>}
+   */
+  async sync() {
+    const res = await this.agent.getOdds(this.asset);
+    const grids = res?.data?.grids || [];
+    const expiries = Array.from(new Set(grids.map((g) => Number(g.expiryAt)))).sort((a, b) => a - b);
+    if (expiries.length === 0) throw new Error(`No grids available for ${this.asset} to derive round timing`);
+
+    let roundMs = Infinity;
+    for (let i = 1; i < expiries.length; i++) roundMs = Math.min(roundMs, expiries[i] - expiries[i - 1]);
+    if (!Number.isFinite(roundMs) || roundMs <= 0) roundMs = this.roundMs || 10000;
+
+    this.roundMs = roundMs;
+    // Any expiry is a round boundary; keep only the phase so round numbers
+    // stay stable across re-syncs
+    this.anchor = expiries[0] % roundMs;
+    this.emit('sync', { roundMs, anchor: this.anchor });
+    return { roundMs, anchor: this.anchor };
+  }
+
+  /** Absolute index of the round containing `t` (rounds since the epoch). */
+  roundAt(t) {
+    return Math.floor((t - this.anchor) / this.roundMs);
+  }
+
+  /**
+   * Run until stop(), a signal, or maxRounds.
+   * @param {(ctx: { round: number, index: number, roundStart: number, roundEnd: number, skipped: number }) => any} onRound
+   * @returns {Promise<{ rounds: number, skipped: number, reason: string }>}
+   */
+  async start(onRound) {
+    if (this.running) throw new Error('Runner already started');
+    this.running = true;
+    this._stopReason = null;
+    this._installSignals();
+
+    try {
+      await this.sync();
+      let sinceSync = 0;
+
+      while (this.running && this.rounds < this.maxRounds) {
+        const now = this.now();
+        let round = this.roundAt(now);
+        // Too late into this round, or already fired in it — wait for the next one
+        if (now > this._fireTime(round)) round++;
+        if (this._lastRound != null && round <= this._lastRound) round = this._lastRound + 1;
+
+        await this._sleep(this._fireTime(round) - this.now());
+        if (!this.running) break;
+
+        let skipped = 0;
+        if (this._lastRound != null && round > this._lastRound + 1) {
+          skipped = round - this._lastRound - 1;
+          this.skipped += skipped;
+          this.emit('skipped', { from: this._lastRound + 1, to: round - 1, count: skipped });
+        }
+        this._lastRound = round;
+
+        const roundStart = this.anchor + round * this.roundMs;
+        const ctx = { round, index: this.rounds, roundStart, roundEnd: roundStart + this.roundMs, skipped };
+        this.rounds++;
+        this.emit('round', ctx);
+        try {
+          await onRound(ctx);
+        } catch (err) {
+          this.emit('roundError', err, ctx);
+        }
+
+        if (++sinceSync >= this.resyncEvery && this.running) {
+          sinceSync = 0;
+          await this.sync().catch((err) => this.emit('roundError', err, ctx));
+        }
+      }
+    } finally {
+      this.running = false;
+      this._removeSignals();
+      clearTimeout(this._timer);
+    }
+
+    const reason = this._stopReason || 'maxRounds';
+    const summary = { rounds: this.rounds, skipped: this.skipped, reason };
+    this.emit('stop', summary);
+    return summary;
+  }
+
+  /**
+   * Stop after the in-flight callback (if any) finishes.
+   * @param {string} [reason='stopped']
+   */
+  stop(reason = 'stopped') {
+    if (!this.running) return;
+    this.running = false;
+    this._stopReason = reason;
+    clearTimeout(this._timer);
+    if (this._wake) this._wake();
+  }
+
+  /** @private */
+  _fireTime(round) {
+    return this.anchor + round * this.roundMs + this.offsetMs;
+  }
+
+  /** @private */
+  _sleep(ms) {
+    return new Promise((resolve) => {
+      this._wake = resolve;
+      this._timer = setTimeout(resolve, Math.max(0, ms));
+    }).then(() => {
+      this._wake = null;
+    });
+  }
+
+  /** @private */
+  _installSignals() {
+    if (!this.handleSignals) return;
+    let received = false;
+    this._signalHandler = (signal) => {
+      // Second signal: the user really wants out
+      if (received) process.exit(130);
+      received = true;
+      this.stop(signal);
+    };
+    process.on('SIGINT', this._signalHandler);
+    process.on('SIGTERM', this._signalHandler);
+  }
+
+  /** @private */
+  _removeSignals() {
+    if (!this._signalHandler) return;
+    process.removeListener('SIGINT', this._signalHandler);
+    process.removeListener('SIGTERM', this._signalHandler);
+    this._signalHandler = null;
+  }
+}
+
+/**
+ * Trades several assets concurrently on one round schedule.
+ *
+ * Each market has its own strategy, amount and commentary template. Every
+ * round, a bet is launched for each market that isn't still busy with its
+ * previous bet, so a slow or failing asset never holds up the others.
+ * Nonces stay ordered because PredictMeAgent sends bets one at a time.
+ *
+ * Events: everything AgentRunner emits, plus 'bet' (asset, res, ctx),
+ * 'abstained' (asset, res, ctx) when the strategy sits a round out, and
+ * 'betError' (asset, err, ctx), and 'idle' (ctx) for rounds skipped by `when`.
+ * A multi-grid bet counts once per placed leg.
+ *
+ * @example
+ * const runner = new MultiAssetRunner(agent, {
+ *   markets: [
+ *     { asset: 'BTC', strategy: 'value', amount: 2, commentary: 'BTC {price}: ...' },
+ *     { asset: 'ETH', strategy: 'underdog', amount: 1, commentary: 'ETH {price}: ...' },
+ *   ],
+ * });
+ * const stats = await runner.start();
+ */
+class MultiAssetRunner extends EventEmitter {
+  /**
+   * @param {import('./api').PredictMeAgent} agent
+   * @param {object} options
+   * @param {Array<object>} options.markets - Per-asset pickAndBet params
+   *   (`asset`, `strategy`, `amount`, `commentary`, `templateContext`, `timeSlot`, `expiryRange`, `balanceType`);
+   *   at most one per asset. `{round}` is the asset's round count unless `templateContext` sets it
+   * @param {{ pickAndBet: Function }} [options.trader=agent] - What places bets, e.g. a RiskManager
+   * @param {number} [options.offsetMs=1000]
+   * @param {number} [options.maxRounds=Infinity]
+   * @param {boolean} [options.handleSignals=true]
+   * @param {(ctx: object) => boolean} [options.when] - Rounds where this returns false
+   *   place no bets (and emit 'idle'), e.g. outside trading hours
+   */
+  constructor(agent, options = {}) {
+    super();
+    if (!options.markets || options.markets.length === 0) throw new Error('At least one market is required');
+    this.agent = agent;
+    this.trader = options.trader || agent;
+    this.when = options.when || null;
+    this.markets = options.markets.map((m) => ({ ...m, asset: (m.asset || 'BTC').toUpperCase() }));
+    // Stats, in-flight bets and events are all per asset
+    const seen = new Set();
+    for (const { asset } of this.markets) {
+      if (seen.has(asset)) throw new Error(`${asset} is listed in more than one market; use one market per asset`);
+      seen.add(asset);
+    }
+    this.runner = new AgentRunner(agent, {
+      asset: this.markets[0].asset,
+      offsetMs: options.offsetMs,
+      maxRounds: options.maxRounds,
+      handleSignals: options.handleSignals,
+    });
+    for (const event of ['sync', 'round', 'skipped', 'roundError', 'stop']) {
+      this.runner.on(event, (...args) => this.emit(event, ...args));
+    }
+
+    this.stats = {};
+    for (const m of this.markets) {
+      this.stats[m.asset] = { rounds: 0, bets: 0, abstained: 0, errors: 0, busy: 0, staked: 0, oddsSum: 0, errorCodes: {}, lastError: null };
+    }
+    this._inFlight = new Map();
+  }
+
+  /**
+   * Run until stopped, then wait for in-flight bets.
+   * @returns {Promise<object>} Aggregated stats (see stats())
+   */
+  async start() {
+    const summary = await this.runner.start((ctx) => {
+      if (this.when && !this.when(ctx)) {
+        this.emit('idle', ctx);
+        return;
+      }
+      for (const market of this.markets) this._launch(market, ctx);
+    });
+    await Promise.all(this._inFlight.values());
+    return { ...this.summary(), rounds: summary.rounds, skipped: summary.skipped, reason: summary.reason };
+  }
+
+  /** Stop after in-flight bets finish. */
+  stop(reason) {
+    this.runner.stop(reason);
+  }
+
+  /** @private */
+  _launch(market, ctx) {
+    const { asset } = market;
+    const st = this.stats[asset];
+    st.rounds++;
+    if (this._inFlight.has(asset)) {
+      st.busy++;
+      return;
+    }
+
+    const { asset: _a, templateContext, ...params } = market;
+    const bet = this.trader
+      .pickAndBet({
+        ...params,
+        asset,
+        // {round} counts this asset's rounds, unless the market supplies its own
+        templateContext: { round: String(st.rounds), ...templateContext },
+      })
+      .then(
+        (res) => {
+          if (res && res.abstained) {
+            st.abstained++;
+            this.emit('abstained', asset, res, ctx);
+            return;
+          }
+          const orders = res && res.data && res.data.orders ? res.data.orders : [(res && res.data) || {}];
+          for (const d of orders) {
+            st.bets++;
+            st.staked += parseFloat(d.amount || market.amount || 0) || 0;
+            st.oddsSum += parseFloat(d.odds) || 0;
+          }
+          for (const { error } of (res && res.failed) || []) this._countError(st, error);
+          this.emit('bet', asset, res, ctx);
+        },
+        (err) => {
+          this._countError(st, err);
+          this.emit('betError', asset, err, ctx);
+        }
+      )
+      .finally(() => this._inFlight.delete(asset));
+    this._inFlight.set(asset, bet);
+  }
+
+  /** @private */
+  _countError(st, err) {
+    st.errors++;
+    const code = err.code || 'ERROR';
+    st.errorCodes[code] = (st.errorCodes[code] || 0) + 1;
+    st.lastError = err.message;
+  }
+
+  /**
+   * Per-asset and aggregated stats.
+   * @returns {{ assets: object, total: object }}
+   */
+  summary() {
+    const assets = {};
+    const total = { rounds: 0, bets: 0, abstained: 0, errors: 0, busy: 0, staked: 0 };
+    for (const [asset, st] of Object.entries(this.stats)) {
+      const { oddsSum, ...rest } = st;
+      assets[asset] = { ...rest, avgOdds: st.bets ? oddsSum / st.bets : 0 };
+      for (const k of Object.keys(total)) total[k] += st[k];
+    }
+    return { assets, total };
+  }
+}
+
+module.exports = { AgentRunner, MultiAssetRunner };
@@ -0,0 +1,294 @@
+/**
+ * Bet settlement tracking and PnL ledger.
+ *
+ * The ledger is an append-only NDJSON file with two record types:
+ *
+ *   bet         An order we placed: orderId, asset, strategy, slot, amount, odds, expiryAt, placedAt
+ *   settlement  Its outcome: orderId, result ('win'|'loss'), payout, profit, settlementPrice, settledAt
+ *
+ * Orders without a settlement record are pending, so a restarted tracker
+ * picks up where the previous one stopped.
+ *
+ * SettlementTracker polls GET /bets?status=pending; orders of ours that have
+ * left the pending list are looked up among settled bets and written to the
+ * ledger, emitting 'settled'.
+ *
+ * @example
+ * const tracker = new SettlementTracker(agent);
+ * tracker.on('settled', (e) => console.log(e.orderId, e.result, e.profit));
+ * tracker.start();
+ * const res = await agent.pickAndBet({ asset: 'BTC', strategy: 'value', commentary: '...' });
+ * tracker.track(res, { strategy: 'value' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+/** Slot index from time-to-expiry at placement (0 = the round about to close). */
+function slotFor(expiryAt, placedAt, roundMs) {
+  return Math.max(0, Math.ceil((expiryAt - placedAt) / roundMs) - 1);
+}
+
+function emptyStats() {
+  return { bets: 0, settled: 0, pending: 0, wins: 0, losses: 0, staked: 0, payout: 0, pnl: 0, winRate: 0, roi: 0 };
+}
+
+function addTo(stats, bet) {
+  stats.bets++;
+  if (!bet.result) {
+    stats.pending++;
+    return;
+  }
+  stats.settled++;
+  stats.staked += bet.amount;
+  stats.payout += bet.payout;
+  stats.pnl += bet.profit;
+  if (bet.result === 'win') stats.wins++;
+  else stats.losses++;
+}
+
+function finish(stats) {
+  stats.winRate = stats.settled ? (stats.wins / stats.settled) * 100 : 0;
+  stats.roi = stats.staked ? (stats.pnl / stats.staked) * 100 : 0;
+  return stats;
+}
+
+class Ledger {
+  /**
+   * @param {string} [filePath='.predictme-ledger.ndjson']
+   */
+  constructor(filePath = '.predictme-ledger.ndjson') {
+    this.filePath = filePath;
+    this._bets = null;
+  }
+
+  /**
+   * All bets in the ledger, keyed by orderId, with settlement fields merged in.
+   * @returns {Map<string, object>}
+   */
+  load() {
+    if (this._bets) return this._bets;
+    this._bets = new Map();
+    let content = '';
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      let rec;
+      try {
+        rec = JSON.parse(line);
+      } catch {
+        continue; // Torn last line from a crash mid-append
+      }
+      this._apply(rec);
+    }
+    return this._bets;
+  }
+
+  /** Bets that haven't settled yet. */
+  pending() {
+    return Array.from(this.load().values()).filter((b) => !b.result);
+  }
+
+  /**
+   * Record a placed bet.
+   * @param {object} bet - `{ orderId, asset, strategy, slot, amount, odds, expiryAt, placedAt }`
+   */
+  async addBet(bet) {
+    await this._append({ type: 'bet', ...bet });
+  }
+
+  /**
+   * Record a bet's outcome.
+   * @param {object} settlement - `{ orderId, result, payout, profit, settlementPrice, settledAt }`
+   */
+  async settle(settlement) {
+    await this._append({ type: 'settlement', ...settlement });
+  }
+
+  /**
+   * PnL totals, and broken down by asset, strategy and time slot.
+   * @param {object} [options]
+   * @param {number} [options.since] - Only bets placed at or after this timestamp
+   * @returns {{ total: object, byAsset: object, byStrategy: object, bySlot: object }}
+   */
+  summary({ since } = {}) {
+    const total = emptyStats();
+    const byAsset = {};
+    const byStrategy = {};
+    const bySlot = {};
+    for (const bet of this.load().values()) {
+      if (since != null && bet.placedAt < since) continue;
+      addTo(total, bet);
+      addTo((byAsset[bet.asset] = byAsset[bet.asset] || emptyStats()), bet);
+      const strategy = bet.strategy || 'custom';
+      addTo((byStrategy[strategy] = byStrategy[strategy] || emptyStats()), bet);
+      const slot = bet.slot != null ? bet.slot : '?';
+      addTo((bySlot[slot] = bySlot[slot] || emptyStats()), bet);
+    }
+    for (const group of [byAsset, byStrategy, bySlot]) Object.values(group).forEach(finish);
+    return { total: finish(total), byAsset, byStrategy, bySlot };
+  }
+
+  /** @private */
+  _apply(rec) {
+    if (rec.type === 'bet') {
+      this._bets.set(rec.orderId, { ...this._bets.get(rec.orderId), ...rec });
+    } else if (rec.type === 'settlement') {
+      const bet = this._bets.get(rec.orderId);
+      if (bet) Object.assign(bet, rec, { type: 'bet' });
+    }
+  }
+
+  /** @private */
+  async _append(rec) {
+    this.load();
+    await fs.promises.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    await fs.promises.appendFile(this.filePath, JSON.stringify(rec) + '\n');
+    this._apply(rec);
+  }
+}
+
+class SettlementTracker extends EventEmitter {
+  /**
+   * @param {import('./api').PredictMeAgent} agent
+   * @param {object} [options]
+   * @param {Ledger} [options.ledger] - Ledger to write to (default: one at `ledgerPath`)
+   * @param {string} [options.ledgerPath] - Ledger file (default: PREDICTME_LEDGER_PATH or .predictme-ledger.ndjson)
+   * @param {number} [options.interval=5000] - Poll interval (ms)
+   * @param {number} [options.roundMs=10000] - Round length, for time slot attribution
+   * @param {number} [options.pageSize=50] - Bets fetched per /bets page
+   * @param {number} [options.maxPages=5] - Pages of pending and of settled bets to scan per poll
+   * @param {() => number} [options.now=Date.now] - Clock
+   */
+  constructor(agent, options = {}) {
+    super();
+    this.agent = agent;
+    this.ledger = options.ledger || new Ledger(options.ledgerPath || agent.ledgerPath);
+    this.interval = options.interval || 5000;
+    this.roundMs = options.roundMs || 10000;
+    this.pageSize = options.pageSize || 50;
+    this.maxPages = options.maxPages || 5;
+    this.now = options.now || Date.now;
+
+    this._timer = null;
+    this._running = false;
+    this._inFlight = null;
+  }
+
+  /**
+   * Start tracking a placed bet.
+   * @param {object} res - placeBet/pickAndBet response (or its `data`)
+   * @param {object} [meta]
+   * @param {string} [meta.strategy] - Strategy name for attribution
+   * @param {number} [meta.slot] - Time slot (default: derived from expiryAt)
+   * @returns {Promise<object>} Ledger entry
+   */
+  async track(res, meta = {}) {
+    const d = (res && res.data) || res || {};
+    if (!d.orderId) throw new Error('Cannot track a bet without an orderId');
+    const placedAt = this.now();
+    const expiryAt = Number(d.expiryAt) || null;
+    const bet = {
+      orderId: d.orderId,
+      asset: d.asset || (d.gridId || '').split('_')[0] || null,
+      gridId: d.gridId,
+      strategy: meta.strategy || d.strategy || null,
+      slot: meta.slot != null ? meta.slot : expiryAt ? slotFor(expiryAt, placedAt, this.roundMs) : null,
+      amount: parseFloat(d.amount) || 0,
+      odds: parseFloat(d.odds) || null,
+      balanceType: d.balanceType,
+      expiryAt,
+      placedAt,
+    };
+    await this.ledger.addBet(bet);
+    this.emit('tracked', bet);
+    return bet;
+  }
+
+  /** Bets still waiting for a result. */
+  pending() {
+    return this.ledger.pending();
+  }
+
+  /** Start polling. */
+  start() {
+    if (this._running) return;
+    this._running = true;
+    this._schedule();
+  }
+
+  /** Stop polling and wait for the in-flight poll. */
+  async stop() {
+    this._running = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._inFlight) await this._inFlight;
+  }
+
+  /**
+   * Check pending bets once and record any that have settled.
+   * @returns {Promise<object[]>} Newly settled ledger entries
+   */
+  async poll() {
+    const ours = this.pending();
+    if (ours.length === 0) return [];
+
+    // Bets beyond these pages look settled here but simply won't be found below
+    const stillPending = new Set();
+    for await (const b of this.agent.iterBets({ status: 'pending', pageSize: this.pageSize, maxPages: this.maxPages })) stillPending.add(b.orderId);
+    const now = this.now();
+    // Orders that left the pending list (and aren't placed-but-not-yet-listed)
+    const wanted = new Map(ours.filter((b) => !stillPending.has(b.orderId) && (!b.expiryAt || b.expiryAt <= now)).map((b) => [b.orderId, b]));
+    if (wanted.size === 0) return [];
+
+    const settled = [];
+    for await (const row of this.agent.iterBets({ status: 'settled', pageSize: this.pageSize, maxPages: this.maxPages })) {
+      const bet = wanted.get(row.orderId);
+      if (!bet) continue;
+      wanted.delete(row.orderId);
+      settled.push(await this._settle(bet, row));
+      if (wanted.size === 0) break;
+    }
+    return settled;
+  }
+
+  /** @private */
+  async _settle(bet, row) {
+    const amount = parseFloat(row.amount) || bet.amount;
+    const won = row.result ? row.result === 'win' || row.result === 'won' : row.status === 'won';
+    const payout = row.payout != null ? parseFloat(row.payout) : won ? amount * (parseFloat(row.odds) || bet.odds) : 0;
+    const settlement = {
+      orderId: bet.orderId,
+      result: won ? 'win' : 'loss',
+      payout,
+      profit: row.profit != null ? parseFloat(row.profit) : payout - amount,
+      settlementPrice: row.settlementPrice != null ? row.settlementPrice : null,
+      settledAt: row.settledAt || this.now(),
+    };
+    if (!bet.strategy && row.strategy) settlement.strategy = row.strategy;
+    await this.ledger.settle(settlement);
+    const entry = this.ledger.load().get(bet.orderId);
+    this.emit('settled', entry);
+    return entry;
+  }
+
+  /** @private */
+  _schedule() {
+    if (!this._running) return;
+    this._timer = setTimeout(() => {
+      this._inFlight = this.poll()
+        .catch((err) => this.emit('error', err))
+        .then(() => {
+          this._inFlight = null;
+          this._schedule();
+        });
+    }, this.interval);
+  }
+}
+
+module.exports = { SettlementTracker, Ledger };
@@ -2,11 +2,42 @@
  * Grid selection strategies for PredictMe prediction markets.
  *
  * Each strategy receives a grids array from GET /odds/:asset
- * and returns the selected grid to bet on.
+ * and returns the selected grid to bet on. Custom strategies also get the
+ * asset's indicator snapshot (see lib/indicators.js) as a third argument.
  *
  * Grid shape: { gridIdStr, strikePriceMin, strikePriceMax, odds, impliedProbability, expiryAt }
+ *
+ * Model strategies (`edge`, `ev`, or modelStrategy() for custom settings)
+ * price each grid themselves and return a copy of the chosen grid with
+ * `modelProbability`, `edge` and `expectedValue` added, which RiskManager's
+ * Kelly sizing and the commentary template pick up.
+ *
+ * Combinators build strategies out of others; each also has a string form
+ * so the CLI can take them as `--strategy`/strategy arguments:
+ *
+ *   filter(odds<4,value)                 Only consider grids matching a condition
+ *   fallback(edge,balanced)              First strategy that picks a grid
+ *   weighted(edge:0.7,value:0.3)         Weighted vote between strategies
+ *   vote(edge,value,favorite)            Plurality vote
+ *   skipIf(rsi>70,value)                 Sit the round out when a condition holds
+ *   hedge(value,1)                       Also bet the neighbouring strike levels
+ *
+ * Conditions are `key op value` joined by `&&`, with >, >=, <, <=, ==, !=.
+ * filter() tests grid fields (odds, impliedProbability, secondsToExpiry,
+ * direction, strikeMin, strikeMax, and edge/modelProbability/expectedValue,
+ * which price the grids first); skipIf() tests the indicators plus `price`
+ * and `grids` (candidate count). A comparison against a missing value is false.
+ *
+ * A strategy returns the grid to bet on, null to sit the round out, or an
+ * array of `{ grid, amount }` allocations to bet several grids at once
+ * (`amount` is optional and defaults to the caller's stake).
  */
 
+const { gridContext } = require('./template');
+
+const SECONDS_PER_YEAR = 365 * 86400;
+const MODEL_KEYS = ['modelProbability', 'edge', 'expectedValue'];
+
 /**
  * Balanced: grid with implied probability closest to 0.5
  * Good all-around strategy — moderate risk, moderate reward.
@@ -48,7 +79,9 @@ function favorite(grids, currentPrice) {
 
 /**
  * Value: best expected value (odds × impliedProbability).
- * Finds mispriced grids where the market may be wrong.
+ * Since odds × impliedProbability is roughly the payout ratio on every grid,
+ * this mostly tracks margin differences between grids; use `edge` or `ev`
+ * to compare against a model probability instead.
  */
 function value(grids, currentPrice) {
   return grids.reduce((best, g) => {
@@ -58,31 +91,491 @@ function value(grids, currentPrice) {
   }, grids[0]);
 }
 
+/** Standard normal CDF (Abramowitz & Stegun 26.2.17, error < 7.5e-8). */
+function normCdf(x) {
+  if (x === Infinity) return 1;
+  if (x === -Infinity) return 0;
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const p = 1 - Math.exp(-(x * x) / 2) / Math.sqrt(2 * Math.PI) * poly;
+  return x >= 0 ? p : 1 - p;
+}
+
+/**
+ * Probability that the price ends in [strikeMin, strikeMax) at expiry,
+ * modelling it as driftless geometric Brownian motion.
+ * @param {object} grid
+ * @param {string|number} currentPrice
+ * @param {number} sigma - Volatility per √second (stdev of log returns over one second)
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+function fairProbability(grid, currentPrice, sigma, now = Date.now()) {
+  const price = parseFloat(currentPrice);
+  const min = parseFloat(grid.strikePriceMin);
+  const max = parseFloat(grid.strikePriceMax);
+  const t = Math.max(0, (grid.expiryAt - now) / 1000);
+  const sd = sigma * Math.sqrt(t);
+  if (!(sd > 0)) return price >= min && price < max ? 1 : 0;
+  // P(S_T < k) with ln S_T ~ N(ln S - sd²/2, sd²)
+  const below = (k) => (k > 0 ? normCdf((Math.log(k / price) + (sd * sd) / 2) / sd) : 0);
+  return Math.max(0, below(max) - below(min));
+}
+
+/**
+ * Volatility per √second: `options.volatility` if given, else the
+ * indicators' realized volatility, else `options.defaultVolatility`.
+ * Option values are annualized (0.6 = 60%).
+ * @private
+ */
+function sigmaFor(indicators, options) {
+  if (options.volatility != null) return options.volatility / Math.sqrt(SECONDS_PER_YEAR);
+  if (indicators.volatility > 0) return indicators.volatility / Math.sqrt((indicators.barMs || 10000) / 1000);
+  const fallback = options.defaultVolatility != null ? options.defaultVolatility : 0.6;
+  return fallback / Math.sqrt(SECONDS_PER_YEAR);
+}
+
+/**
+ * Copies of `grids` annotated with modelProbability, edge (model minus
+ * implied probability) and expectedValue (return per unit staked).
+ * @param {Array} grids
+ * @param {string|number} currentPrice
+ * @param {object} [indicators={}] - Indicator snapshot; `volatility`, `barMs` and `updatedAt` are used
+ * @param {object} [options] - See modelStrategy()
+ * @returns {Array}
+ */
+function priceGrids(grids, currentPrice, indicators = {}, options = {}) {
+  const sigma = sigmaFor(indicators, options);
+  const now = options.now != null ? options.now : indicators.updatedAt || Date.now();
+  return grids.map((g) => {
+    const p = fairProbability(g, currentPrice, sigma, now);
+    const implied = g.impliedProbability != null ? parseFloat(g.impliedProbability) : 1 / parseFloat(g.odds);
+    return {
+      ...g,
+      modelProbability: Number(p.toFixed(4)),
+      edge: Number((p - implied).toFixed(4)),
+      expectedValue: Number((p * parseFloat(g.odds) - 1).toFixed(4)),
+    };
+  });
+}
+
+/**
+ * Build a model strategy.
+ * @param {object} [options]
+ * @param {'edge'|'ev'} [options.metric='edge'] - Maximize edge over implied probability, or expected value
+ * @param {number} [options.volatility] - Fixed annualized volatility (overrides the indicators)
+ * @param {number} [options.defaultVolatility=0.6] - Annualized volatility used until the price history has enough bars
+ * @param {number} [options.now] - Reference time (default: the indicators' updatedAt, else Date.now())
+ * @returns {(grids: Array, currentPrice: string|number, indicators?: object) => object}
+ */
+function modelStrategy(options = {}) {
+  const metric = options.metric || 'edge';
+  if (metric !== 'edge' && metric !== 'ev') throw new Error(`Unknown model metric: ${metric}. Available: edge, ev`);
+  const key = metric === 'ev' ? 'expectedValue' : 'edge';
+  return (grids, currentPrice, indicators = {}) =>
+    priceGrids(grids, currentPrice, indicators, options).reduce((best, g) => (g[key] > best[key] ? g : best));
+}
+
+/**
+ * Edge: grid whose model probability most exceeds the market's implied
+ * probability. Volatility comes from the price history's realized volatility.
+ */
+const edge = modelStrategy();
+
+/**
+ * EV: grid with the highest model expected return (modelProbability × odds − 1).
+ * Unlike `edge`, favours long shots when they're underpriced by the same margin.
+ */
+const ev = modelStrategy({ metric: 'ev' });
+
+/**
+ * Filter grids by time dimension (timeSlot takes priority over expiryRange).
+ * @param {Array} grids - Grids from /odds/:asset
+ * @param {object} [params]
+ * @param {'next'|'mid'|'far'|number} [params.timeSlot] - 'next' (soonest), 'mid' (~60s), 'far' (latest), or slot index (0-based)
+ * @param {[number, number]} [params.expiryRange] - Seconds until expiry [minSec, maxSec]
+ * @param {number} [params.now=Date.now()] - Reference time for expiryRange
+ * @returns {Array} Matching grids (may be empty)
+ */
+function filterGrids(grids, { timeSlot, expiryRange, now = Date.now() } = {}) {
+  if (timeSlot !== undefined) {
+    // Group grids by their slot time
+    const slotMap = new Map();
+    for (const g of grids) {
+      const slotKey = Math.floor(g.expiryAt / 10000);
+      if (!slotMap.has(slotKey)) slotMap.set(slotKey, []);
+      slotMap.get(slotKey).push(g);
+    }
+    const slotKeys = Array.from(slotMap.keys()).sort((a, b) => a - b);
+
+    let targetKey;
+    if (timeSlot === 'next') {
+      targetKey = slotKeys[0];
+    } else if (timeSlot === 'mid') {
+      targetKey = slotKeys[Math.floor(slotKeys.length / 2)];
+    } else if (timeSlot === 'far') {
+      targetKey = slotKeys[slotKeys.length - 1];
+    } else if (typeof timeSlot === 'number') {
+      const idx = Math.max(0, Math.min(timeSlot, slotKeys.length - 1));
+      targetKey = slotKeys[idx];
+    }
+
+    if (targetKey !== undefined && slotMap.has(targetKey)) {
+      return slotMap.get(targetKey);
+    }
+    return grids;
+  }
+
+  if (expiryRange && Array.isArray(expiryRange) && expiryRange.length === 2) {
+    const [minSec, maxSec] = expiryRange;
+    return grids.filter((g) => {
+      const secsUntilExpiry = (g.expiryAt - now) / 1000;
+      return secsUntilExpiry >= minSec && secsUntilExpiry <= maxSec;
+    });
+  }
+
+  return grids;
+}
+
+/**
+ * 0-based time slot index of a grid among the distinct expiries in a grid set.
+ * @param {Array} grids - All grids from the same /odds/:asset response
+ * @param {object} grid
+ * @returns {number}
+ */
+function slotIndex(grids, grid) {
+  const slotKeys = Array.from(new Set(grids.map((g) => Math.floor(g.expiryAt / 10000)))).sort((a, b) => a - b);
+  return slotKeys.indexOf(Math.floor(grid.expiryAt / 10000));
+}
+
 /** Strategy registry */
-const strategies = { balanced, underdog, favorite, value };
+const strategies = { balanced, underdog, favorite, value, edge, ev };
+
+// ---------------------------------------------------------------------------
+// Combinators
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a condition like `odds>=1.5&&odds<=5` into a predicate over a
+ * key/value object.
+ * @private
+ */
+function parseCondition(text) {
+  const clauses = String(text)
+    .split('&&')
+    .map((part) => {
+      const m = part.trim().match(/^([\w.]+)\s*(>=|<=|==|!=|>|<)\s*(.+)$/);
+      if (!m) throw new Error(`Invalid condition "${part.trim()}". Use key op value, e.g. odds<4`);
+      const raw = m[3].trim();
+      const num = parseFloat(raw);
+      return { key: m[1], op: m[2], value: /^-?\d+(\.\d+)?$/.test(raw) ? num : raw };
+    });
+  const test = (vars) =>
+    clauses.every(({ key, op, value }) => {
+      let a = vars[key];
+      if (a == null) return false;
+      if (typeof value === 'number') {
+        a = parseFloat(a);
+        if (!Number.isFinite(a)) return false;
+      }
+      switch (op) {
+        case '>': return a > value;
+        case '>=': return a >= value;
+        case '<': return a < value;
+        case '<=': return a <= value;
+        case '==': return a == value;
+        case '!=': return a != value;
+      }
+      return false;
+    });
+  test.keys = clauses.map((c) => c.key);
+  return test;
+}
+
+/**
+ * Normalize a strategy result to a list of allocations.
+ * @param {object|Array|null} result - Grid, `{ grid, amount }` list, or null
+ * @returns {Array<{ grid: object, amount?: number|string }>} Empty when sitting out
+ * @throws {Error} Malformed allocations
+ */
+function toAllocations(result) {
+  if (!result) return [];
+  if (!Array.isArray(result)) return [{ grid: result }];
+  return result.map((a, i) => {
+    if (!a || !a.grid || !gridKey(a.grid)) throw new Error(`Allocation ${i} needs a grid`);
+    if (a.amount != null && !(parseFloat(a.amount) > 0)) throw new Error(`Allocation ${i} has an invalid amount: ${a.amount}`);
+    return a;
+  });
+}
+
+/**
+ * Run a strategy given by name, expression or function. Empty allocation
+ * lists come back as null.
+ * @private
+ */
+function run(strategy, grids, currentPrice, indicators) {
+  if (!grids.length) return null;
+  const result = resolveStrategy(strategy)(grids, currentPrice, indicators);
+  return Array.isArray(result) && result.length === 0 ? null : result || null;
+}
+
+function gridKey(grid) {
+  return grid.gridIdStr || grid.gridId;
+}
+
+/**
+ * Only consider grids matching `pred`; null if none do.
+ * @param {string|((grid: object, vars: object) => boolean)} pred - Condition over grid fields
+ *   (see top of file), or a function of the grid and its fields
+ * @param {string|Function} [strategy='balanced'] - Picks among the matching grids
+ * @returns {Function} Strategy
+ */
+function filter(pred, strategy = 'balanced') {
+  const test = typeof pred === 'function' ? null : parseCondition(pred);
+  const needsModel = test ? test.keys.some((k) => MODEL_KEYS.includes(k)) : false;
+  return (grids, currentPrice, indicators = {}) => {
+    const now = indicators.updatedAt || Date.now();
+    const candidates = needsModel ? priceGrids(grids, currentPrice, indicators) : grids;
+    const kept = candidates.filter((g) => {
+      const vars = { ...g, ...gridContext(g, currentPrice, now) };
+      return test ? test(vars) : pred(g, vars);
+    });
+    return run(strategy, kept, currentPrice, indicators);
+  };
+}
+
+/**
+ * First strategy that picks a grid (e.g. a filtered strategy, then a plain one).
+ * @param {...(string|Function)} list
+ * @returns {Function} Strategy
+ */
+function fallback(...list) {
+  if (list.length === 0) throw new Error('fallback() needs at least one strategy');
+  return (grids, currentPrice, indicators) => {
+    for (const strategy of list) {
+      const picked = run(strategy, grids, currentPrice, indicators);
+      if (picked) return picked;
+    }
+    return null;
+  };
+}
+
+/**
+ * Weighted vote: every strategy backs its pick with its weight, and the grid
+ * with the most weight wins. Ties go to the pick of the earlier strategy.
+ * A strategy returning several allocations backs each of their grids.
+ * @param {Array<[string|Function, number]>} pairs - `[strategy, weight]`
+ * @param {object} [options]
+ * @param {number} [options.quorum=0] - Sit out unless the winner has at least this much weight
+ * @returns {Function} Strategy
+ */
+function weighted(pairs, options = {}) {
+  if (!Array.isArray(pairs) || pairs.length === 0) throw new Error('weighted() needs [strategy, weight] pairs');
+  for (const pair of pairs) {
+    if (!Array.isArray(pair) || !(pair[1] >= 0)) throw new Error('weighted() needs [strategy, weight] pairs with non-negative weights');
+  }
+  const quorum = options.quorum || 0;
+  return (grids, currentPrice, indicators) => {
+    const tally = new Map();
+    for (const [strategy, weight] of pairs) {
+      for (const { grid } of toAllocations(run(strategy, grids, currentPrice, indicators))) {
+        const entry = tally.get(gridKey(grid)) || { grid, weight: 0 };
+        entry.weight += weight;
+        tally.set(gridKey(grid), entry);
+      }
+    }
+    let best = null;
+    for (const entry of tally.values()) {
+      if (!best || entry.weight > best.weight) best = entry;
+    }
+    return best && best.weight >= quorum && best.weight > 0 ? best.grid : null;
+  };
+}
+
+/**
+ * Plurality vote between strategies (weighted() with equal weights).
+ * @param {Array<string|Function>} list
+ * @param {object} [options]
+ * @param {number} [options.quorum=1] - Sit out unless at least this many strategies agree
+ * @returns {Function} Strategy
+ */
+function vote(list, options = {}) {
+  if (!Array.isArray(list) || list.length === 0) throw new Error('vote() needs a list of strategies');
+  return weighted(
+    list.map((strategy) => [strategy, 1]),
+    { quorum: options.quorum || 1 }
+  );
+}
+
+/**
+ * Sit the round out (return null) when `cond` holds, otherwise use `strategy`.
+ * @param {string|((grids: Array, currentPrice: string|number, indicators: object) => boolean)} cond -
+ *   Condition over the indicators, `price` and `grids` (candidate count), or a function
+ * @param {string|Function} [strategy='balanced']
+ * @returns {Function} Strategy
+ */
+function skipIf(cond, strategy = 'balanced') {
+  const test = typeof cond === 'function' ? null : parseCondition(cond);
+  return (grids, currentPrice, indicators = {}) => {
+    const skip = test
+      ? test({ ...indicators, price: parseFloat(currentPrice), grids: grids.length })
+      : cond(grids, currentPrice, indicators);
+    return skip ? null : run(strategy, grids, currentPrice, indicators);
+  };
+}
+
+/**
+ * Hedge: bet the grid `strategy` picks plus the `width` strike levels on
+ * either side of it in the same round, each at the caller's stake.
+ * @param {string|Function} [strategy='balanced']
+ * @param {number} [width=1] - Neighbouring levels per side
+ * @returns {Function} Strategy returning allocations
+ */
+function hedge(strategy = 'balanced', width = 1) {
+  if (!(width >= 0)) throw new Error(`hedge() width must be a non-negative number, got ${width}`);
+  return (grids, currentPrice, indicators) => {
+    const picked = toAllocations(run(strategy, grids, currentPrice, indicators));
+    if (picked.length === 0) return null;
+    const center = picked[0].grid;
+    const ladder = grids
+      .filter((g) => g.expiryAt === center.expiryAt)
+      .sort((a, b) => parseFloat(a.strikePriceMin) - parseFloat(b.strikePriceMin));
+    const i = ladder.findIndex((g) => gridKey(g) === gridKey(center));
+    if (i === -1) return [{ grid: center }];
+    // Keep the picked grid's object (it may carry model annotations)
+    return ladder.slice(Math.max(0, i - width), i + width + 1).map((g) => ({ grid: gridKey(g) === gridKey(center) ? center : g }));
+  };
+}
+
+const combinators = { filter, fallback, weighted, vote, skipIf, hedge };
+
+/**
+ * Split `text` on commas outside parentheses.
+ * @private
+ */
+function splitArgs(text) {
+  const out = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')') depth--;
+    else if (text[i] === ',' && depth === 0) {
+      out.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  out.push(text.slice(start).trim());
+  return out;
+}
+
+/**
+ * Build a strategy from its string form, e.g. `fallback(filter(odds<4,edge),balanced)`.
+ * @param {string} expr
+ * @returns {Function} Strategy
+ * @throws {Error} On syntax errors and unknown names
+ */
+function parseStrategy(expr) {
+  const text = String(expr).trim();
+  const m = text.match(/^(\w+)\s*\((.*)\)$/s);
+  if (!m) {
+    if (strategies[text]) return strategies[text];
+    if (/[()]/.test(text)) throw new Error(`Invalid strategy expression "${text}". Expected name(arg, ...)`);
+    throw new Error(`Unknown strategy: ${text}. Available: ${Object.keys(strategies).join(', ')}, or ${Object.keys(combinators).map((c) => `${c}(...)`).join(', ')}`);
+  }
+  const [, name, body] = m;
+  let depth = 0;
+  for (const ch of body) {
+    depth += ch === '(' ? 1 : ch === ')' ? -1 : 0;
+    if (depth < 0) break;
+  }
+  if (depth !== 0) throw new Error(`Unbalanced parentheses in strategy "${text}"`);
+  const args = splitArgs(body);
+  if (args.some((a) => a === '')) throw new Error(`Empty argument in strategy "${text}"`);
+
+  switch (name) {
+    case 'filter':
+    case 'skipIf':
+      if (args.length > 2) throw new Error(`${name}() takes a condition and a strategy: "${text}"`);
+      return combinators[name](args[0], args[1] ? parseStrategy(args[1]) : undefined);
+    case 'fallback':
+      return fallback(...args.map(parseStrategy));
+    case 'hedge': {
+      if (args.length > 2) throw new Error(`hedge() takes a strategy and a width: "${text}"`);
+      const width = args[1] != null ? Number(args[1]) : 1;
+      return hedge(parseStrategy(args[0]), width);
+    }
+    case 'vote':
+      return vote(args.map(parseStrategy));
+    case 'weighted':
+      return weighted(
+        args.map((arg) => {
+          const i = arg.lastIndexOf(':');
+          const weight = i === -1 ? NaN : Number(arg.slice(i + 1));
+          if (!(weight >= 0)) throw new Error(`weighted() arguments are strategy:weight, got "${arg}"`);
+          return [parseStrategy(arg.slice(0, i)), weight];
+        })
+      );
+    default:
+      throw new Error(`Unknown combinator: ${name}. Available: ${Object.keys(combinators).join(', ')}`);
+  }
+}
+
+const parsed = new Map();
+
+/**
+ * Strategy function for a name, expression or function.
+ * @param {string|Function} strategy
+ * @returns {Function}
+ * @throws {Error} Unknown strategy or invalid expression
+ */
+function resolveStrategy(strategy) {
+  if (typeof strategy === 'function') return strategy;
+  if (!parsed.has(strategy)) parsed.set(strategy, parseStrategy(strategy));
+  return parsed.get(strategy);
+}
 
 /**
  * Pick a grid using a named strategy.
  * @param {Array} grids - Grids from /odds/:asset
  * @param {string|number} currentPrice - Current price
- * @param {string|Function} strategy - Strategy name or custom function
- * @returns {object} Selected grid
+ * @param {string|Function} strategy - Strategy name, combinator expression
+ *   (e.g. `filter(odds<4,value)`), or custom function `(grids, currentPrice, indicators) => grid`
+ * @param {object} [indicators={}] - Indicator snapshot (PriceHistory#snapshot)
+ * @returns {object|Array|null} Selected grid, `{ grid, amount }` allocations, or null if the
+ *   strategy sat the round out (see toAllocations)
  */
-function pickGrid(grids, currentPrice, strategy = 'balanced') {
+function pickGrid(grids, currentPrice, strategy = 'balanced', indicators = {}) {
   if (!grids || grids.length === 0) {
     throw new Error('No grids available');
   }
 
-  if (typeof strategy === 'function') {
-    return strategy(grids, currentPrice);
-  }
-
-  const fn = strategies[strategy];
-  if (!fn) {
-    throw new Error(`Unknown strategy: ${strategy}. Available: ${Object.keys(strategies).join(', ')}`);
-  }
-
-  return fn(grids, currentPrice);
+  return run(strategy, grids, currentPrice, indicators);
 }
 
-module.exports = { pickGrid, strategies, balanced, underdog, favorite, value };
+module.exports = {
+  pickGrid,
+  filterGrids,
+  slotIndex,
+  strategies,
+  balanced,
+  underdog,
+  favorite,
+  value,
+  edge,
+  ev,
+  modelStrategy,
+  filter,
+  fallback,
+  weighted,
+  vote,
+  skipIf,
+  hedge,
+  combinators,
+  toAllocations,
+  parseStrategy,
+  resolveStrategy,
+  priceGrids,
+  fairProbability,
+  normCdf,
+};
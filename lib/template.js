@@ -0,0 +1,216 @@
+/**
+ * Commentary template engine.
+ *
+ * Syntax:
+ *   {price}                          Variable (any context key; dotted paths like {grid.odds} work)
+ *   {price|fixed:0}                  Filters, chained with |
+ *   {#if odds>3}long shot{else}...{/if}
+ *                                    Conditionals: `name`, `!name`, or `name <op> value`
+ *                                    with >, >=, <, <=, ==, !=
+ *   {#pick}one way{|}another way{/pick}
+ *                                    Random choice between phrasings
+ *   {{ and }}                        Literal braces
+ *
+ * Filters: fixed:N, round, pct[:N] (0.25 → 25%), abs, sign (adds + to
+ * positives), upper, lower, default:value.
+ *
+ * Unknown variables, filters and malformed tags throw TemplateError rather
+ * than rendering a placeholder.
+ */
+
+const { TemplateError } = require('./errors');
+
+const FILTERS = {
+  fixed: (v, digits = '2') => toNumber(v, 'fixed').toFixed(parseInt(digits, 10)),
+  round: (v) => String(Math.round(toNumber(v, 'round'))),
+  pct: (v, digits = '0') => `${(toNumber(v, 'pct') * 100).toFixed(parseInt(digits, 10))}%`,
+  abs: (v) => String(Math.abs(toNumber(v, 'abs'))),
+  sign: (v) => (toNumber(v, 'sign') > 0 ? `+${v}` : String(v)),
+  upper: (v) => String(v).toUpperCase(),
+  lower: (v) => String(v).toLowerCase(),
+  default: (v, fallback = '') => (v == null || v === '' ? fallback : v),
+};
+
+const COMPARE = /^(!?)([\w.]+)\s*(?:(>=|<=|==|!=|>|<)\s*(.+))?$/;
+
+function toNumber(v, filter) {
+  const n = typeof v === 'number' ? v : parseFloat(v);
+  if (!Number.isFinite(n)) throw new TemplateError(`Filter "${filter}" needs a number, got "${v}"`);
+  return n;
+}
+
+/**
+ * Parse a template into a node tree.
+ * @param {string} template
+ * @returns {Array<object>}
+ */
+function parse(template) {
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  // The body new nodes are appended to (an if's else branch, a pick's current option, ...)
+  const current = () => {
+    const top = stack[stack.length - 1];
+    if (top.type === 'if') return top.inElse ? top.else : top.then;
+    if (top.type === 'pick') return top.options[top.options.length - 1];
+    return top.body;
+  };
+
+  const re = /\{\{|\}\}|\{([^{}]*)\}/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(template))) {
+    if (m.index > last) current().push({ type: 'text', value: template.slice(last, m.index) });
+    last = re.lastIndex;
+
+    if (m[0] === '{{' || m[0] === '}}') {
+      current().push({ type: 'text', value: m[0][0] });
+      continue;
+    }
+
+    const tag = m[1].trim();
+    const top = stack[stack.length - 1];
+    if (tag.startsWith('#if ')) {
+      const cond = tag.slice(4).trim().match(COMPARE);
+      if (!cond) throw new TemplateError(`Invalid condition "{${tag}}"`);
+      const node = { type: 'if', negate: !!cond[1], name: cond[2], op: cond[3], value: cond[4], then: [], else: [], inElse: false };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (top.type !== 'if' || top.inElse) throw new TemplateError('{else} without a matching {#if}');
+      top.inElse = true;
+    } else if (tag === '/if') {
+      if (top.type !== 'if') throw new TemplateError('{/if} without a matching {#if}');
+      stack.pop();
+    } else if (tag === '#pick') {
+      const node = { type: 'pick', options: [[]] };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === '|') {
+      if (top.type !== 'pick') throw new TemplateError('{|} outside {#pick}');
+      top.options.push([]);
+    } else if (tag === '/pick') {
+      if (top.type !== 'pick') throw new TemplateError('{/pick} without a matching {#pick}');
+      stack.pop();
+    } else {
+      const [name, ...filters] = tag.split('|').map((s) => s.trim());
+      if (!/^[\w.]+$/.test(name)) throw new TemplateError(`Invalid tag "{${tag}}"`);
+      current().push({
+        type: 'var',
+        name,
+        filters: filters.map((f) => {
+          const [fname, ...args] = f.split(':');
+          if (!FILTERS[fname]) throw new TemplateError(`Unknown filter "${fname}". Available: ${Object.keys(FILTERS).join(', ')}`);
+          return { name: fname, args };
+        }),
+      });
+    }
+  }
+  if (last < template.length) current().push({ type: 'text', value: template.slice(last) });
+  if (stack.length > 1) throw new TemplateError(`Unclosed {#${stack[stack.length - 1].type}}`);
+  return root.body;
+}
+
+function lookup(context, name, { required = true } = {}) {
+  let v = context;
+  for (const key of name.split('.')) {
+    if (v == null || !Object.prototype.hasOwnProperty.call(Object(v), key)) {
+      if (!required) return undefined;
+      throw new TemplateError(`Unknown template variable "${name}". Available: ${Object.keys(context).join(', ')}`, name);
+    }
+    v = v[key];
+  }
+  return v;
+}
+
+function literal(raw, context) {
+  const s = raw.trim();
+  if (/^(['"]).*\1$/.test(s)) return s.slice(1, -1);
+  if (/^-?\d+(\.\d+)?$/.test(s)) return parseFloat(s);
+  if (s === 'true' || s === 'false') return s === 'true';
+  return lookup(context, s);
+}
+
+function test(node, context) {
+  const left = lookup(context, node.name, { required: node.op != null });
+  let result;
+  if (!node.op) {
+    result = !!left && left !== '0' && left !== 'false';
+  } else {
+    let a = left;
+    let b = literal(node.value, context);
+    // Numeric strings (prices, odds) compare as numbers
+    if (Number.isFinite(parseFloat(a)) && Number.isFinite(parseFloat(b))) {
+      a = parseFloat(a);
+      b = parseFloat(b);
+    }
+    switch (node.op) {
+      case '>': result = a > b; break;
+      case '>=': result = a >= b; break;
+      case '<': result = a < b; break;
+      case '<=': result = a <= b; break;
+      case '==': result = a == b; break;
+      case '!=': result = a != b; break;
+    }
+  }
+  return node.negate ? !result : result;
+}
+
+function renderNodes(nodes, context, random) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') out += node.value;
+    else if (node.type === 'var') {
+      // `default` may stand in for a missing variable
+      const hasDefault = node.filters.some((f) => f.name === 'default');
+      let v = lookup(context, node.name, { required: !hasDefault });
+      for (const f of node.filters) v = FILTERS[f.name](v, ...f.args);
+      out += v == null ? '' : String(v);
+    } else if (node.type === 'if') {
+      out += renderNodes(test(node, context) ? node.then : node.else, context, random);
+    } else if (node.type === 'pick') {
+      out += renderNodes(node.options[Math.floor(random() * node.options.length)], context, random);
+    }
+  }
+  return out;
+}
+
+/**
+ * Render a template.
+ * @param {string} template
+ * @param {object} [context] - Variables
+ * @param {object} [options]
+ * @param {() => number} [options.random=Math.random] - RNG for {#pick}
+ * @returns {string}
+ * @throws {TemplateError}
+ */
+function render(template, context = {}, options = {}) {
+  return renderNodes(parse(template), context, options.random || Math.random);
+}
+
+/**
+ * Template variables derived from a grid: strikeMin, strikeMax,
+ * impliedProbability, secondsToExpiry and direction ('up', 'down' or 'flat',
+ * where the strike range sits relative to the current price), plus
+ * modelProbability and edge when a model strategy chose the grid.
+ * @param {object} grid
+ * @param {string|number} currentPrice
+ * @param {number} [now=Date.now()]
+ * @returns {object}
+ */
+function gridContext(grid, currentPrice, now = Date.now()) {
+  const min = parseFloat(grid.strikePriceMin);
+  const max = parseFloat(grid.strikePriceMax);
+  const price = parseFloat(currentPrice);
+  const implied = grid.impliedProbability != null ? parseFloat(grid.impliedProbability) : 1 / parseFloat(grid.odds);
+  const ctx = { strikeMin: grid.strikePriceMin, strikeMax: grid.strikePriceMax };
+  if (Number.isFinite(implied)) ctx.impliedProbability = implied.toFixed(4);
+  if (grid.expiryAt) ctx.secondsToExpiry = Math.max(0, Math.round((grid.expiryAt - now) / 1000));
+  if (Number.isFinite(min) && Number.isFinite(max) && Number.isFinite(price)) {
+    ctx.direction = price < min ? 'up' : price >= max ? 'down' : 'flat';
+  }
+  if (grid.modelProbability != null) ctx.modelProbability = Number(grid.modelProbability).toFixed(4);
+  if (grid.edge != null) ctx.edge = Number(grid.edge).toFixed(4);
+  return ctx;
+}
+
+module.exports = { render, parse, gridContext, FILTERS };
@@ -41,6 +41,7 @@ async function main() {
       console.log(`  2. Wait for admin approval`);
       console.log(`  3. Poll for API key: predictme status ${res.data.agentId}`);
       console.log(`  4. Save your API key to .env immediately (shown once!)`);
+      console.log(`\n  Tip: 'predictme onboard' registers, waits for approval and saves the key in one go.`);
     } else {
       console.error('Registration failed:', res.error || res.message || 'Unknown error');
     }
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadAgentConfig, validateAgentConfig, findConfigFile, createRunner, inHours } = require('../lib/agent-config');
+const { RiskManager } = require('../lib/risk');
+const { ConfigError } = require('../lib/errors');
+const { setup, tmpDir, COMMENTARY } = require('./helpers');
+
+const BASE = { assets: ['BTC', 'eth'], strategy: 'value', commentary: COMMENTARY };
+
+test('markets inherit the top level and apply their overrides', () => {
+  const config = validateAgentConfig({
+    ...BASE,
+    name: 'two-markets',
+    timeSlot: 'mid',
+    templateContext: { desk: 'A', note: 'x' },
+    markets: { ETH: { strategy: 'underdog', expiryRange: '30:90', templateContext: { note: 'y' } } },
+    schedule: { rounds: 0, hours: '22:00-02:00' },
+  });
+  assert.strictEqual(config.name, 'two-markets');
+  assert.deepStrictEqual(config.markets, [
+    { asset: 'BTC', strategy: 'value', timeSlot: 'mid', commentary: COMMENTARY, templateContext: { desk: 'A', note: 'x' }, amount: 1 },
+    { asset: 'ETH', strategy: 'underdog', expiryRange: [30, 90], commentary: COMMENTARY, templateContext: { desk: 'A', note: 'y' }, amount: 1 },
+  ]);
+  assert.strictEqual(config.schedule.rounds, Infinity);
+  assert.deepStrictEqual(config.logging, { format: 'text', file: null });
+
+  // The window wraps past midnight UTC
+  const { hours } = config.schedule;
+  assert.strictEqual(inHours(hours, Date.UTC(2026, 0, 1, 23, 30)), true);
+  assert.strictEqual(inHours(hours, Date.UTC(2026, 0, 1, 1, 59)), true);
+  assert.strictEqual(inHours(hours, Date.UTC(2026, 0, 1, 12)), false);
+});
+
+test('every problem is reported at once, under its key path', () => {
+  assert.throws(
+    () =>
+      validateAgentConfig(
+        {
+          assets: ['BTC', 'XRP', 'btc', 7],
+          strategy: 'martingale',
+          commentary: 'too short',
+          sizing: { type: 'percent', percent: 150 },
+          amount: 2,
+          markets: { SOL: { strategy: 'value' } },
+          risk: { maxStak: 5 },
+          logging: { format: 'xml' },
+        },
+        { file: 'bot.json' }
+      ),
+    (err) => {
+      assert.ok(err instanceof ConfigError);
+      assert.strictEqual(err.file, 'bot.json');
+      assert.match(err.message, /^bot\.json: \d+ problems\n {2}- /);
+      const expected = [
+        'assets[1]: expected one of BTC, ETH, SOL, got "XRP"',
+        'assets[2]: btc is listed twice',
+        'assets[3]: expected an asset symbol, got 7',
+        'risk.maxStak: unknown key (did you mean "maxStake"?)',
+        'logging.format: expected one of text, ndjson, csv, got "xml"',
+        'markets.SOL: SOL is not in assets',
+        'amount: use either amount or sizing, not both',
+      ];
+      for (const line of expected) assert.ok(err.errors.includes(line), `missing "${line}" in\n${err.errors.join('\n')}`);
+      assert.ok(err.errors.some((e) => e.startsWith('strategy: Unknown strategy: martingale')));
+      assert.ok(err.errors.some((e) => e.startsWith('commentary: ')));
+      assert.ok(err.errors.some((e) => e.startsWith('sizing.percent: ')));
+      return true;
+    }
+  );
+});
+
+test('files load from their own directory, with logging.file relative to them', () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const botDir = path.join(dir, 'bot');
+    fs.mkdirSync(botDir);
+    const file = path.join(botDir, 'predictme.config.json');
+    fs.writeFileSync(file, JSON.stringify({ ...BASE, logging: { format: 'ndjson', file: 'logs/bot.log' } }));
+    assert.strictEqual(findConfigFile(botDir), file);
+    assert.strictEqual(findConfigFile(dir), null);
+
+    const config = loadAgentConfig(file);
+    assert.strictEqual(config.file, file);
+    assert.deepStrictEqual(config.logging, { format: 'ndjson', file: path.join(botDir, 'logs', 'bot.log') });
+
+    const absolute = path.join(dir, 'elsewhere.log');
+    fs.writeFileSync(file, JSON.stringify({ ...BASE, logging: { file: absolute } }));
+    assert.strictEqual(loadAgentConfig(file).logging.file, absolute);
+
+    fs.writeFileSync(file, '{\n  "assets": ["BTC"],\n  "strategy": value\n}');
+    assert.throws(() => loadAgentConfig(file), /predictme\.config\.json(:3)?: invalid JSON/);
+    assert.throws(() => loadAgentConfig(path.join(dir, 'missing.json')), /Config file not found/);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a .js config may use functions as strategies', () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const file = path.join(dir, 'predictme.config.js');
+    fs.writeFileSync(file, `module.exports = { assets: 'SOL', strategy: (grids) => grids[0], commentary: ${JSON.stringify(COMMENTARY)} };`);
+    const config = loadAgentConfig(file);
+    assert.strictEqual(config.markets[0].asset, 'SOL');
+    assert.strictEqual(typeof config.markets[0].strategy, 'function');
+  } finally {
+    cleanup();
+  }
+});
+
+test('createRunner bets through a RiskManager when the config sets limits', async () => {
+  const { server, agent, close } = await setup({ server: { roundMs: 500 } });
+  try {
+    const config = validateAgentConfig({ ...BASE, sizing: { type: 'fixed', amount: 3 }, risk: { maxStake: 2 }, schedule: { offsetMs: 20 } });
+    const runner = createRunner(agent, config, { maxRounds: 1, handleSignals: false });
+    assert.ok(runner.trader instanceof RiskManager);
+    const stats = await runner.start();
+    // Both assets asked for 3 and were capped at maxStake
+    assert.deepStrictEqual(stats.total, { ...stats.total, rounds: 2, bets: 2, errors: 0, staked: 4 });
+    assert.deepStrictEqual(server._bets.map((b) => b.amount), ['2.00', '2.00']);
+
+    assert.strictEqual(createRunner(agent, validateAgentConfig(BASE)).trader, agent);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs, parseRange, parseSlot, parseVar, parseSince } = require('../lib/args');
+const { UsageError } = require('../lib/errors');
+
+const SPEC = {
+  usage: 'bet [asset] [amount] [commentary...]',
+  flags: {
+    amount: { type: 'number', alias: 'a', min: 0.01 },
+    rounds: { type: 'integer', default: 1 },
+    'dry-run': { type: 'boolean' },
+    balance: { choices: ['TEST', 'BONUS'], default: 'TEST' },
+    slot: { parse: parseSlot },
+    var: { multiple: true, parse: parseVar },
+  },
+};
+const GLOBAL = { format: { choices: ['json', 'table'] } };
+
+function usage(argv, pattern) {
+  assert.throws(() => parseArgs(argv, SPEC, GLOBAL), (err) => err instanceof UsageError && pattern.test(err.message));
+}
+
+test('flags take separate, inline and alias values, camelCased with defaults', () => {
+  const { flags, positionals } = parseArgs(['BTC', '--amount', '2.5', '--dry-run', '--slot=mid', '--format=json'], SPEC, GLOBAL);
+  assert.deepStrictEqual(flags, { amount: 2.5, dryRun: true, slot: 'mid', format: 'json', rounds: 1, balance: 'TEST' });
+  assert.deepStrictEqual(positionals, ['BTC']);
+  assert.strictEqual(parseArgs(['-a', '3'], SPEC).flags.amount, 3);
+});
+
+test('booleans accept =true and =false only', () => {
+  assert.strictEqual(parseArgs(['--dry-run=false'], SPEC).flags.dryRun, false);
+  assert.strictEqual(parseArgs(['--dry-run=true'], SPEC).flags.dryRun, true);
+  usage(['--dry-run=yes'], /--dry-run: expected true or false/);
+});
+
+test('choices match case-insensitively and come back as declared', () => {
+  assert.strictEqual(parseArgs(['--balance', 'bonus'], SPEC).flags.balance, 'BONUS');
+  usage(['--balance', 'REAL'], /--balance: expected one of TEST, BONUS/);
+});
+
+test('numbers are checked for type and minimum', () => {
+  usage(['--amount', 'lots'], /--amount: expected a number, got "lots"/);
+  usage(['--amount='], /--amount: expected a number/);
+  usage(['--amount', '0'], /--amount: must be at least 0.01/);
+  usage(['--rounds', '1.5'], /--rounds: expected a whole number/);
+});
+
+test('negative-looking words and everything after -- are positionals', () => {
+  const { flags, positionals } = parseArgs(['BTC', '-5%', '-', '--', '--amount', 'x'], SPEC);
+  assert.deepStrictEqual(positionals, ['BTC', '-5%', '-', '--amount', 'x']);
+  assert.strictEqual(flags.amount, undefined);
+});
+
+test('a flag value may start with a single dash, but not with --', () => {
+  assert.strictEqual(parseArgs(['--slot', '-'], { flags: { slot: {} } }).flags.slot, '-');
+  usage(['--amount', '--dry-run'], /--amount needs a value/);
+  usage(['--amount'], /--amount needs a value/);
+});
+
+test('unknown and repeated flags are usage errors', () => {
+  usage(['--nope'], /Unknown flag --nope/);
+  usage(['-z'], /Unknown flag -z/);
+  usage(['--amount', '1', '--amount', '2'], /--amount given more than once/);
+});
+
+test('multiple flags collect values; parse errors name the flag', () => {
+  assert.deepStrictEqual(parseArgs(['--var', 'a=1', '--var', 'b=x=y'], SPEC).flags.var, [['a', '1'], ['b', 'x=y']]);
+  usage(['--var', 'novalue'], /^--var: expected key=value/);
+  usage(['--slot', 'later'], /^--slot: expected next, mid, far or a slot index/);
+});
+
+test('value parsers', () => {
+  assert.deepStrictEqual(parseRange('30:90'), [30, 90]);
+  assert.throws(() => parseRange('90:30'), /greater than max/);
+  assert.strictEqual(parseSlot('3'), 3);
+  assert.strictEqual(parseSince('24h', 100000000), 100000000 - 86400000);
+  assert.strictEqual(parseSince('1.5m', 100000), 10000);
+  assert.strictEqual(parseSince('2026-01-31'), Date.UTC(2026, 0, 31));
+  assert.strictEqual(parseSince('1700000000000'), 1700000000000);
+  assert.throws(() => parseSince('yesterday'), /expected a date/);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { backtest, loadDataset, buildDataset, parseRecords } = require('../lib/backtest');
+const { tmpDir } = require('./helpers');
+
+const T = 1700000000000;
+
+function grid(asset, expiryAt, min, odds) {
+  return { gridIdStr: `${asset}_${expiryAt}_${min}`, strikePriceMin: String(min), strikePriceMax: String(min + 10), expiryAt, odds: String(odds) };
+}
+
+/** Three BTC rounds and one ETH round, each with a cheap and a long-shot grid in two slots. */
+function records() {
+  const out = [];
+  for (let i = 0; i < 3; i++) {
+    const ts = T + i * 10000;
+    out.push({
+      type: 'odds',
+      asset: 'BTC',
+      ts,
+      currentPrice: '100',
+      grids: [grid('BTC', ts + 10000, 100, 2), grid('BTC', ts + 10000, 120, 10), grid('BTC', ts + 20000, 100, 3)],
+    });
+  }
+  out.push({ type: 'odds', asset: 'ETH', ts: T, currentPrice: '50', grids: [grid('ETH', T + 10000, 50, 4)] });
+  out.push({ type: 'gap', asset: 'BTC', from: T, to: T + 1 });
+  out.push({ type: 'settlement', asset: 'BTC', expiryAt: T + 10000, price: '105' }); // in [100, 110): win
+  out.push({ type: 'settlement', asset: 'BTC', expiryAt: T + 20000, price: '95' }); // loss
+  out.push({ type: 'settlement', asset: 'ETH', expiryAt: T + 10000, price: '55' });
+  return out;
+}
+
+/** Picks the cheapest grid of the soonest slot. */
+const cheapest = (grids) => grids.slice().sort((a, b) => a.expiryAt - b.expiryAt || a.odds - b.odds)[0];
+
+test('parseRecords skips blank lines and names the bad line', () => {
+  assert.deepStrictEqual(parseRecords('{"a":1}\n\n{"b":2}\n'), [{ a: 1 }, { b: 2 }]);
+  assert.throws(() => parseRecords('{"a":1}\n{oops'), /line 2/);
+});
+
+test('loadDataset reads a directory of plain and gzipped files, ignoring other records', () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const lines = records().map((r) => JSON.stringify(r));
+    fs.writeFileSync(path.join(dir, '2023-11-14.ndjson'), lines.slice(0, 3).join('\n'));
+    fs.writeFileSync(path.join(dir, '2023-11-15.ndjson.gz'), zlib.gzipSync(lines.slice(3).join('\n')));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a dataset');
+
+    const dataset = loadDataset(dir);
+    assert.strictEqual(dataset.snapshots.length, 4);
+    assert.deepStrictEqual(dataset.snapshots.map((s) => s.ts), [T, T, T + 10000, T + 20000]);
+    assert.strictEqual(dataset.settlements.get(`BTC:${T + 20000}`), 95);
+    assert.strictEqual(dataset.settlements.size, 3);
+  } finally {
+    cleanup();
+  }
+});
+
+test('bets settle against recorded prices, with totals, drawdown and breakdowns', () => {
+  const report = backtest(buildDataset(records()), { strategy: cheapest, amount: 2 });
+  // BTC round 1 wins at 2x and round 2 loses; round 3 expires at T+30000, which has no
+  // settlement. ETH wins at 4x, between the two BTC results.
+  assert.strictEqual(report.strategy, 'custom');
+  assert.strictEqual(report.bets, 3);
+  assert.strictEqual(report.wins, 2);
+  assert.strictEqual(report.unsettled, 1);
+  assert.strictEqual(report.staked, 6);
+  assert.strictEqual(report.pnl, 2 + 6 - 2);
+  assert.strictEqual(report.roi, 100);
+  assert.strictEqual(report.maxDrawdown, 2);
+  assert.deepStrictEqual(report.trades.map((t) => t.equity), [2, 8, 6]);
+  assert.deepStrictEqual(Object.keys(report.byAsset).sort(), ['BTC', 'ETH']);
+  assert.strictEqual(report.byAsset.BTC.pnl, 0);
+  assert.strictEqual(report.byAsset.BTC.winRate, 50);
+  assert.strictEqual(report.bySlot[0].bets, 3);
+});
+
+test('losses feed drawdown, and abstaining or empty filters count as skipped', () => {
+  const farthest = (grids) => grids.filter((g) => g.odds === '3')[0] || null;
+  const report = backtest(buildDataset(records()), { strategy: farthest, assets: ['BTC'] });
+  // Round 1's slot-1 grid expires at T+20000 (price 95: loss); rounds 2-3 have no settlement
+  assert.strictEqual(report.bets, 1);
+  assert.strictEqual(report.pnl, -1);
+  assert.strictEqual(report.maxDrawdown, 1);
+  assert.strictEqual(report.unsettled, 2);
+  assert.strictEqual(report.trades[0].slot, 1);
+
+  const none = backtest(buildDataset(records()), { strategy: () => null });
+  assert.strictEqual(none.bets, 0);
+  assert.strictEqual(none.skipped, 4);
+
+  const late = backtest(buildDataset(records()), { strategy: cheapest, expiryRange: [100, 200] });
+  assert.strictEqual(late.skipped, 4);
+});
+
+test('allocations stake each leg with its own amount', () => {
+  const both = (grids) => grids.filter((g) => g.expiryAt === grids[0].expiryAt).map((g, i) => ({ grid: g, amount: i + 1 }));
+  const report = backtest(buildDataset(records().slice(0, 1).concat(records().slice(-3))), { strategy: both });
+  assert.strictEqual(report.bets, 2);
+  assert.deepStrictEqual(report.trades.map((t) => [t.stake, t.won]), [[1, true], [2, false]]);
+  assert.strictEqual(report.pnl, 1 - 2);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate, qualityScore, scoreBreakdown, enrich, CommentaryHistory, badgeTier } = require('../lib/commentary');
+const { CommentaryRejectedError } = require('../lib/errors');
+const { setup, COMMENTARY } = require('./helpers');
+
+const WEAK = 'going up soon, trust me bro ok';
+const MARKET = {
+  asset: 'BTC',
+  price: '67000.5',
+  strikeMin: '67100',
+  strikeMax: '67200',
+  direction: 'up',
+  odds: '3.20',
+  impliedProbability: '0.3125',
+  secondsToExpiry: 25,
+  strategy: 'balanced',
+};
+
+test('validate() enforces the server minimum', () => {
+  assert.strictEqual(validate(COMMENTARY).valid, true);
+  assert.match(validate('  ').error, /Commentary is required/);
+  assert.match(validate('bullish').error, /too short \(7 chars, min 20\)/);
+});
+
+test('scoreBreakdown() scores each component and says how to reach the next tier', () => {
+  const report = scoreBreakdown(COMMENTARY);
+  assert.strictEqual(report.score, 75);
+  assert.strictEqual(report.badge, 'Gold');
+  assert.deepStrictEqual([report.length.points, report.uniqueWords.points, report.technicalTerms.points], [40, 20, 15]);
+  assert.deepStrictEqual(report.technicalTerms.terms, ['rsi', 'ema', 'momentum']);
+  assert.match(report.hints[0], /^Add 92 more characters \(200\+ scores 50\/50/);
+  assert.match(report.hints[2], /^Mention 1 more technical term/);
+
+  assert.strictEqual(qualityScore(WEAK), 10);
+  assert.strictEqual(qualityScore(''), 0);
+  assert.deepStrictEqual([90, 75, 60, 40, 39].map(badgeTier), ['Diamond', 'Gold', 'Silver', 'Bronze', null]);
+});
+
+test('enrich() appends facts from the context until the score is reached', () => {
+  const out = enrich(WEAK, 60, MARKET);
+  assert.strictEqual(
+    out,
+    `${WEAK} BTC at 67000.5. Target range 67100-67200 sits above spot. Odds of 3.20x imply 31.3% probability with 25s to expiry.`
+  );
+  assert.ok(qualityScore(out) >= 60);
+
+  // Nothing is invented: without context it can't get there
+  assert.strictEqual(enrich(WEAK, 60), WEAK);
+  // Already good enough: unchanged
+  assert.strictEqual(enrich(COMMENTARY, 60, MARKET), COMMENTARY);
+
+  const withIndicators = enrich(WEAK, 100, { ...MARKET, indicators: { rsi: 25, sma20: 66000, macdHistogram: -3 } });
+  assert.match(withIndicators, /RSI\(14\) at 25, oversold\. Price is above the 20-bar SMA at 66000\. MACD histogram at -3 \(bearish momentum\)\./);
+  assert.ok(withIndicators.length <= 500);
+});
+
+test('CommentaryHistory finds near-duplicates, ignoring changed numbers', () => {
+  const history = new CommentaryHistory({ size: 2 });
+  history.add('BTC at 67000.50 with RSI 55, expecting a tight range next round.');
+  const dup = history.findDuplicate('BTC at 67012.10 with RSI 57, expecting a tight range next round.');
+  assert.strictEqual(dup.similarity, 1);
+  assert.strictEqual(history.findDuplicate(COMMENTARY), null);
+
+  history.add('one');
+  history.add('two');
+  assert.strictEqual(history.findDuplicate('BTC at 1 with RSI 2, expecting a tight range next round.'), null);
+});
+
+test('placeBet applies minQuality, enrichment and duplicate checks', async () => {
+  const { server, agent, close } = await setup({ agent: { minQuality: 60 } });
+  try {
+    const grid = (await agent.getOdds('BTC')).data.grids[0];
+    const gridId = grid.gridIdStr;
+    const weak = `${WEAK}, for real this time`;
+
+    await assert.rejects(agent.placeBet({ gridId, amount: '1.00', commentary: weak }), (err) => {
+      assert.ok(err instanceof CommentaryRejectedError);
+      assert.match(err.message, /quality \d+ is below minQuality 60/);
+      assert.ok(err.hints.length > 0);
+      return true;
+    });
+
+    await agent.placeBet({ gridId, amount: '1.00', commentary: weak, lowQuality: 'enrich' }, { asset: 'BTC', grid, currentPrice: '67000.5' });
+    assert.ok(server._bets[0].commentary.startsWith(`${weak} BTC at 67000.5.`));
+    assert.ok(qualityScore(server._bets[0].commentary) >= 60);
+
+    await agent.placeBet({ gridId, amount: '1.00', commentary: COMMENTARY });
+    await assert.rejects(agent.placeBet({ gridId, amount: '1.00', commentary: COMMENTARY, rejectDuplicates: true }), (err) => {
+      assert.strictEqual(err.duplicateOf, COMMENTARY);
+      return /100% similar/.test(err.message);
+    });
+    assert.strictEqual(server._bets.length, 2);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, resolveProfile, setEnvVar, parseEnvFile } = require('../lib/config');
+const { ProfileStore, maskKey, isExposed } = require('../lib/profiles');
+const { PredictMeAgent } = require('../lib/api');
+const { ConfigError } = require('../lib/errors');
+const { setup, tmpDir, COMMENTARY } = require('./helpers');
+
+const KEYS = ['PREDICTME_PROFILE', 'PREDICTME_HOME', 'PREDICTME_API_KEY', 'PREDICTME_AGENT_API_KEY', 'PREDICTME_NONCE_PATH', 'PREDICTME_LEDGER_PATH'];
+
+/** Run fn with only the given PREDICTME_* variables set, restoring them afterwards. */
+async function withEnv(vars, fn) {
+  const saved = {};
+  for (const key of KEYS) {
+    saved[key] = process.env[key];
+    if (vars[key] === undefined) delete process.env[key];
+    else process.env[key] = vars[key];
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const key of KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  }
+}
+
+test('ProfileStore adds, selects and removes profiles, readable only by its owner', () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const store = new ProfileStore({ dir: path.join(dir, 'home') });
+    assert.deepStrictEqual(store.load(), { current: null, profiles: {} });
+    store.add('alice', { apiKey: 'pm_agent_alice_0123456789', label: 'ignored' });
+    store.add('bob', { apiKey: 'pm_agent_bob', apiUrl: 'http://localhost:3001' });
+    assert.strictEqual(store.current(), 'alice');
+    assert.deepStrictEqual(store.get('alice'), { apiKey: 'pm_agent_alice_0123456789' });
+    assert.throws(() => store.add('bob', { apiKey: 'x' }), /already exists/);
+    assert.throws(() => store.add('../bob', { apiKey: 'x' }), /Invalid profile name/);
+    assert.strictEqual(isExposed(store.filePath), false);
+
+    store.use('bob');
+    assert.deepStrictEqual(store.list().map((p) => [p.name, p.current]), [['alice', false], ['bob', true]]);
+    store.remove('bob');
+    assert.strictEqual(store.current(), null);
+    assert.throws(() => store.use('bob'), ConfigError);
+
+    assert.strictEqual(maskKey('pm_agent_alice_0123456789'), 'pm_agent_al…6789');
+    assert.strictEqual(maskKey('pm_agent_bob'), 'pm_agent_…');
+  } finally {
+    cleanup();
+  }
+});
+
+test('profiles are picked by option, then PREDICTME_PROFILE, then the current one unless a key is set', async () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const store = new ProfileStore({ dir });
+    store.add('alice', { apiKey: 'pm_agent_alice' });
+    store.add('bob', { apiKey: 'pm_agent_bob', noncePath: path.join(dir, 'bob.n') });
+    const envPath = path.join(dir, '.env');
+    const opts = { store, envPath };
+
+    await withEnv({}, () => {
+      assert.strictEqual(resolveProfile(opts), 'alice');
+      assert.strictEqual(resolveProfile({ ...opts, profile: 'bob' }), 'bob');
+      assert.strictEqual(resolveProfile({ ...opts, profile: null }), null);
+      assert.deepStrictEqual(loadConfig({ ...opts, profile: 'bob' }), {
+        profile: 'bob',
+        apiKey: 'pm_agent_bob',
+        apiUrl: 'https://api.predictme.me/api/v1/agent',
+        noncePath: path.join(dir, 'bob.n'),
+        ledgerPath: path.join(process.cwd(), '.predictme-ledger.bob.ndjson'),
+      });
+      assert.throws(() => loadConfig({ ...opts, profile: 'carol' }), /Unknown profile "carol"/);
+
+      // A key in .env wins over the current profile, but not over a named one
+      setEnvVar(envPath, 'PREDICTME_API_KEY', 'pm_agent_plain');
+      assert.strictEqual(resolveProfile(opts), null);
+      assert.strictEqual(loadConfig(opts).apiKey, 'pm_agent_plain');
+    });
+    await withEnv({ PREDICTME_PROFILE: 'bob' }, () => {
+      assert.strictEqual(loadConfig(opts).apiKey, 'pm_agent_bob');
+    });
+  } finally {
+    cleanup();
+  }
+});
+
+test('setEnvVar keeps other lines and comments out a value it replaces', () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const file = path.join(dir, '.env');
+    fs.writeFileSync(file, '# bot\nPREDICTME_API_URL=http://x\nPREDICTME_API_KEY="pm_agent_old"\n');
+    setEnvVar(file, 'PREDICTME_API_KEY', 'pm_agent_new');
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    assert.deepStrictEqual(lines.slice(0, 2), ['# bot', 'PREDICTME_API_URL=http://x']);
+    assert.match(lines[2], /^# PREDICTME_API_KEY="pm_agent_old" {2}\(replaced /);
+    assert.deepStrictEqual(parseEnvFile(file), { PREDICTME_API_URL: 'http://x', PREDICTME_API_KEY: 'pm_agent_new' });
+    assert.strictEqual(isExposed(file), false);
+  } finally {
+    cleanup();
+  }
+});
+
+test('an agent given its key ignores the current profile', async () => {
+  const home = tmpDir();
+  try {
+    const store = new ProfileStore({ dir: home.dir });
+    store.add('alice', { apiKey: 'pm_agent_alice' });
+
+    for (const env of [{ PREDICTME_HOME: home.dir }, { PREDICTME_HOME: home.dir, PREDICTME_PROFILE: 'ghost' }]) {
+      await withEnv(env, async () => {
+        const { server, agent, dir, close } = await setup();
+        try {
+          assert.strictEqual(agent.profile, null);
+          assert.strictEqual(agent.apiKey, server.apiKey);
+          const grid = (await agent.getOdds('BTC')).data.grids[0];
+          await agent.placeBet({ gridId: grid.gridIdStr, amount: '1.00', commentary: COMMENTARY });
+          assert.strictEqual(fs.readFileSync(path.join(dir, 'nonce'), 'utf8').trim(), String(server._keys.get(server.apiKey).lastNonce));
+          assert.strictEqual(fs.existsSync(path.join(home.dir, 'alice.nonce')), false);
+        } finally {
+          await close();
+        }
+      });
+    }
+
+    // Naming a profile still selects it, and without a key the current one applies
+    await withEnv({ PREDICTME_HOME: home.dir }, () => {
+      assert.throws(() => new PredictMeAgent({ apiKey: 'pm_agent_x', profile: 'ghost' }), /Unknown profile "ghost"/);
+      const named = new PredictMeAgent({ apiKey: 'pm_agent_x', profile: 'alice' });
+      assert.deepStrictEqual([named.profile, named.apiKey, named.nonce.filePath], ['alice', 'pm_agent_x', path.join(home.dir, 'alice.nonce')]);
+      assert.strictEqual(new PredictMeAgent().apiKey, 'pm_agent_alice');
+    });
+  } finally {
+    home.cleanup();
+  }
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Dashboard, sparkline } = require('../lib/dashboard');
+const { setup, COMMENTARY } = require('./helpers');
+
+/** Collects everything written, like a non-TTY stdout. */
+function sink() {
+  const out = { chunks: [], columns: 80, write: (s) => out.chunks.push(s) };
+  return out;
+}
+
+test('sparkline scales values to block heights', () => {
+  assert.strictEqual(sparkline([0, 1, 2, 3, 4, 5, 6, 7]), '▁▂▃▄▅▆▇█');
+  assert.strictEqual(sparkline([5, 5, 5]), '▄▄▄');
+  assert.strictEqual(sparkline([1, 2, 3], 2), '▁█');
+  assert.strictEqual(sparkline([]), '');
+});
+
+test('renders the ladder, open positions and feed from a refresh', async () => {
+  const { agent, close } = await setup();
+  try {
+    const res = await agent.pickAndBet({ asset: 'BTC', amount: '2.00', strategy: 'favorite', timeSlot: 'next', commentary: COMMENTARY });
+    const dashboard = new Dashboard(agent, { out: sink() });
+    const state = await dashboard.refresh();
+    assert.deepStrictEqual(state.errors, {});
+    assert.strictEqual(state.open.length, 1);
+
+    const screen = dashboard.render();
+    assert.doesNotMatch(screen, /\x1b\[/);
+    assert.match(screen, /^PredictMe · BTC {2}\$\d+\.\d{2}/);
+    const ladder = screen.split('\n').filter((l) => /^[● ] [▶ ] \d/.test(l));
+    const [bet] = state.open;
+    assert.deepStrictEqual(
+      ladder.filter((l) => l.startsWith('●')).map((l) => l.includes(`${bet.strikePriceMin} – ${bet.strikePriceMax}`)),
+      [true]
+    );
+    assert.strictEqual(ladder.filter((l) => l.includes('▶')).length, 1);
+    assert.strictEqual(ladder.length, 9);
+    assert.match(screen, /Open positions {2}1\n {2}BTC .* {5}\$2\.00/);
+    assert.ok(screen.includes(COMMENTARY.slice(0, 40)));
+
+    assert.deepStrictEqual(dashboard.summary(), {
+      ...dashboard.summary(),
+      asset: 'BTC',
+      open: 1,
+      openStake: 2,
+      settled: 0,
+      pnl: 0,
+      TEST: res.data.newBalance,
+    });
+  } finally {
+    await close();
+  }
+});
+
+test('a failing section keeps its last data and shows the error', async () => {
+  const { agent, close } = await setup();
+  try {
+    const dashboard = new Dashboard(agent, { out: sink() });
+    await dashboard.refresh();
+    const odds = dashboard.state.odds;
+
+    agent.getOdds = async () => {
+      throw new Error('odds down');
+    };
+    const errors = [];
+    dashboard.on('error', (err) => errors.push(err.message));
+    await dashboard.refresh();
+    assert.strictEqual(dashboard.state.odds, odds);
+    assert.deepStrictEqual(dashboard.state.errors, { odds: 'odds down' });
+    assert.deepStrictEqual(errors, ['odds down']);
+    assert.match(dashboard.render(), /Grid ladder.*\n {2}! odds down/);
+  } finally {
+    await close();
+  }
+});
+
+test('start() redraws every round until it stops', async () => {
+  const { agent, close } = await setup({ server: { roundMs: 200 } });
+  try {
+    const out = sink();
+    const dashboard = new Dashboard(agent, { out, offsetMs: 20, maxRounds: 2, handleSignals: false, color: true });
+    const refreshes = [];
+    dashboard.on('refresh', (state) => refreshes.push(state.updatedAt));
+    const summary = await dashboard.start();
+    assert.strictEqual(summary.rounds, 2);
+    assert.strictEqual(refreshes.length, 3);
+    assert.strictEqual(out.chunks.length, 3);
+    // Colored, but no screen control codes when not a TTY
+    assert.match(out.chunks[0], /\x1b\[1mPredictMe/);
+    assert.doesNotMatch(out.chunks.join(''), /\x1b\[(H|2J|\?25)/);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const errors = require('../lib/errors');
+
+const { createHttpError } = errors;
+
+test('server error codes map to their classes and codes', () => {
+  const cases = [
+    ['INVALID_API_KEY', 401, errors.AuthenticationError, 'UNAUTHORIZED'],
+    ['AGENT_PENDING', 403, errors.AgentNotApprovedError, 'AGENT_NOT_APPROVED'],
+    ['INSUFFICIENT_BALANCE', 400, errors.InsufficientBalanceError, 'INSUFFICIENT_BALANCE'],
+    ['GRID_EXPIRED', 400, errors.RoundClosedError, 'ROUND_CLOSED'],
+    ['GRID_NOT_FOUND', 404, errors.GridNotFoundError, 'GRID_NOT_FOUND'],
+    ['COMMENTARY_TOO_SHORT', 400, errors.CommentaryRejectedError, 'COMMENTARY_REJECTED'],
+    ['RATE_LIMIT_EXCEEDED', 429, errors.RateLimitError, 'RATE_LIMITED'],
+    ['INVALID_ASSET', 400, errors.ValidationError, 'VALIDATION_ERROR'],
+  ];
+  for (const [errorCode, status, Cls, code] of cases) {
+    const err = createHttpError('x', { status, body: { success: false, error: 'x', errorCode } });
+    assert.ok(err instanceof Cls, errorCode);
+    assert.ok(err instanceof errors.PredictMeHttpError);
+    assert.ok(err instanceof errors.PredictMeError);
+    assert.strictEqual(err.code, code);
+    assert.strictEqual(err.status, status);
+    assert.strictEqual(err.name, Cls.name);
+  }
+});
+
+test('bodies without an errorCode fall back to status and message', () => {
+  const nonce = createHttpError('Bad nonce', { status: 400, body: { expectedNonce: 42 } });
+  assert.ok(nonce instanceof errors.InvalidNonceError);
+  assert.strictEqual(nonce.expectedNonce, 42);
+
+  assert.ok(createHttpError('Slow down', { status: 429, body: {} }) instanceof errors.RateLimitError);
+  assert.ok(createHttpError('Who?', { status: 401, body: 'nope' }) instanceof errors.AuthenticationError);
+  assert.ok(createHttpError('Insufficient TEST balance', { status: 400, body: {} }) instanceof errors.InsufficientBalanceError);
+  assert.ok(createHttpError('Round is closed', { status: 400, body: {} }) instanceof errors.RoundClosedError);
+  assert.ok(createHttpError('Agent not yet approved', { status: 403, body: {} }) instanceof errors.AgentNotApprovedError);
+
+  // Message patterns only apply to 4xx
+  const server = createHttpError('commentary service down', { status: 503, body: {} });
+  assert.strictEqual(server.constructor, errors.PredictMeHttpError);
+  assert.strictEqual(server.code, 'HTTP_ERROR');
+});
+
+test('HTTP errors keep the request details', () => {
+  const cause = new Error('socket hang up');
+  const err = new errors.PredictMeHttpError('failed', { requestId: 'r1', method: 'GET', url: 'http://x', code: 'NETWORK_ERROR', cause });
+  assert.strictEqual(err.status, null);
+  assert.strictEqual(err.requestId, 'r1');
+  assert.strictEqual(err.code, 'NETWORK_ERROR');
+  assert.strictEqual(err.cause, cause);
+
+  const limited = new errors.RateLimitError('x', { status: 429, retryAfter: 2000 });
+  assert.strictEqual(limited.retryAfter, 2000);
+});
+
+test('SDK-side errors carry their own codes', () => {
+  assert.strictEqual(new errors.RiskLimitError('x', 'maxStake').rule, 'maxStake');
+  assert.strictEqual(new errors.RiskLimitError('x', 'maxStake').code, 'RISK_LIMIT');
+  assert.strictEqual(new errors.UsageError('x').code, 'USAGE');
+  const config = new errors.ConfigError('bad', ['assets: empty'], 'bot.json');
+  assert.deepStrictEqual([config.code, config.errors, config.file], ['CONFIG_ERROR', ['assets: empty'], 'bot.json']);
+});
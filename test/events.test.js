@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BetVetoedError } = require('../lib/errors');
+const { setup, COMMENTARY } = require('./helpers');
+
+test('every call emits request and response, and error only when observed', async () => {
+  const { agent, close } = await setup();
+  try {
+    const seen = [];
+    agent.on('request', (e) => seen.push(['request', e.method, e.path, e.requestId]));
+    agent.on('response', (e) => seen.push(['response', e.method, e.path, e.requestId, typeof e.durationMs, e.body.success]));
+    await agent.getBalance();
+    assert.deepStrictEqual(seen.map((e) => e.slice(0, 3)), [['request', 'GET', '/balance'], ['response', 'GET', '/balance']]);
+    assert.strictEqual(seen[0][3], seen[1][3]);
+    assert.deepStrictEqual(seen[1].slice(4), ['number', true]);
+
+    // No 'error' listener: the call just rejects
+    await assert.rejects(agent.getOdds('XRP'), { code: 'VALIDATION_ERROR' });
+    const errors = [];
+    agent.on('error', (err, info) => errors.push([err.status, info.path]));
+    await assert.rejects(agent.getOdds('XRP'));
+    assert.deepStrictEqual(errors, [[400, '/odds/XRP']]);
+  } finally {
+    await close();
+  }
+});
+
+test('middleware can modify, replace or veto a bet', async () => {
+  const { server, agent, close } = await setup();
+  try {
+    const gridId = (await agent.getOdds('BTC')).data.grids[0].gridIdStr;
+    const order = [];
+    agent.on('beforeBet', (bet) => order.push(['beforeBet', bet.amount]));
+    agent
+      .use((bet) => {
+        order.push(['double', bet.amount]);
+        bet.amount = (bet.amount * 2).toFixed(2);
+      })
+      .use(async (bet, ctx) => {
+        order.push(['tag', ctx.source]);
+        return { ...bet, strategy: 'tagged' };
+      });
+    const placed = [];
+    agent.on('betPlaced', (res, bet, ctx) => placed.push([bet.amount, bet.strategy, ctx.source]));
+
+    await agent.placeBet({ gridId, amount: '1.00', commentary: COMMENTARY }, { source: 'test' });
+    assert.deepStrictEqual(order, [['beforeBet', '1.00'], ['double', '1.00'], ['tag', 'test']]);
+    assert.deepStrictEqual(placed, [['2.00', 'tagged', 'test']]);
+    assert.strictEqual(server._bets[0].amount, '2.00');
+
+    agent.use(function maxStake(bet) {
+      return bet.amount <= 2;
+    });
+    await assert.rejects(agent.placeBet({ gridId, amount: '5.00', commentary: COMMENTARY }), (err) => {
+      assert.ok(err instanceof BetVetoedError);
+      assert.strictEqual(err.code, 'BET_VETOED');
+      assert.match(err.message, /vetoed by middleware maxStake/);
+      assert.strictEqual(err.bet.amount, '10.00');
+      return true;
+    });
+    assert.strictEqual(server._bets.length, 1);
+    assert.throws(() => agent.use('nope'), TypeError);
+  } finally {
+    await close();
+  }
+});
+
+test('pickAndBet reports its choice and passes the grid to middleware', async () => {
+  const { agent, close } = await setup();
+  try {
+    const selected = [];
+    agent.on('gridSelected', (e) => selected.push(e));
+    const contexts = [];
+    agent.use((bet, ctx) => {
+      contexts.push(ctx);
+    });
+    const abstained = [];
+    agent.on('abstained', (e) => abstained.push(e));
+
+    const res = await agent.pickAndBet({ asset: 'BTC', amount: '1.00', strategy: 'balanced', timeSlot: 'next', commentary: COMMENTARY });
+    assert.strictEqual(selected.length, 1);
+    assert.strictEqual(selected[0].asset, 'BTC');
+    assert.strictEqual(selected[0].strategy, 'balanced');
+    assert.ok(selected[0].candidates.length < selected[0].grids.length);
+    assert.strictEqual(contexts[0].grid, selected[0].grid);
+    assert.strictEqual(contexts[0].currentPrice, selected[0].currentPrice);
+    assert.strictEqual(res.data.gridId, selected[0].grid.gridIdStr);
+
+    const skipped = await agent.pickAndBet({ asset: 'BTC', amount: '1.00', strategy: () => null, commentary: COMMENTARY });
+    assert.strictEqual(skipped.abstained, true);
+    assert.strictEqual(abstained.length, 1);
+    assert.strictEqual(contexts.length, 1);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,45 @@
+/**
+ * Shared test setup: a MockServer on a free port, an agent pointed at it,
+ * and a temp directory for nonce and ledger files.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PredictMeAgent, MockServer } = require('../lib/api');
+
+const COMMENTARY = 'BTC momentum holding above the 20-period EMA with RSI near 55, so a tight range next round looks fair value.';
+
+/** A fresh temp directory, removed by the returned cleanup function. */
+function tmpDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'predictme-test-'));
+  return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Start a MockServer and make an agent for its default account.
+ * @param {object} [options]
+ * @param {object} [options.server] - MockServer options
+ * @param {object} [options.agent] - Extra PredictMeAgent options
+ * @returns {Promise<{ server: MockServer, agent: PredictMeAgent, dir: string, close: () => Promise<void> }>}
+ */
+async function setup(options = {}) {
+  const { dir, cleanup } = tmpDir();
+  const server = new MockServer(options.server);
+  const url = await server.listen(0);
+  const agent = new PredictMeAgent({
+    apiKey: server.apiKey,
+    apiUrl: url,
+    noncePath: path.join(dir, 'nonce'),
+    ledgerPath: path.join(dir, 'ledger.ndjson'),
+    retries: 0,
+    ...options.agent,
+  });
+  const close = async () => {
+    await server.close();
+    cleanup();
+  };
+  return { server, agent, dir, close };
+}
+
+module.exports = { setup, tmpDir, COMMENTARY };
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { request, parseRetryAfter } = require('../lib/http');
+const errors = require('../lib/errors');
+
+const FAST = { retryDelay: 1, maxRetryDelay: 5 };
+
+/**
+ * Serve the queued responses in order, then 200s.
+ * @param {Array<{ status?: number, body?: string, headers?: object, delay?: number }>} responses
+ */
+async function serve(responses) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push({ method: req.method, id: req.headers['x-request-id'] });
+    const r = responses.shift() || {};
+    setTimeout(() => {
+      res.writeHead(r.status || 200, { 'Content-Type': 'application/json', ...r.headers });
+      res.end(r.body != null ? r.body : JSON.stringify({ success: true }));
+    }, r.delay || 0);
+  });
+  // Keep-alive sockets would hold close() open
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/x`;
+  const close = () => {
+    const closed = new Promise((resolve) => server.close(resolve));
+    for (const socket of sockets) socket.destroy();
+    return closed;
+  };
+  return { url, seen, close };
+}
+
+test('GETs retry 5xx with the same request id', async () => {
+  const s = await serve([{ status: 502 }, { status: 503 }]);
+  try {
+    assert.deepStrictEqual(await request('GET', s.url, null, {}, FAST), { success: true });
+    assert.strictEqual(s.seen.length, 3);
+    assert.strictEqual(new Set(s.seen.map((r) => r.id)).size, 1);
+  } finally {
+    await s.close();
+  }
+});
+
+test('POSTs are not retried on 5xx, and retries run out', async () => {
+  let s = await serve([{ status: 500, body: '{"error":"boom"}' }]);
+  try {
+    await assert.rejects(request('POST', s.url, { a: 1 }, {}, FAST), (err) => err.status === 500 && err.message === 'boom');
+    assert.strictEqual(s.seen.length, 1);
+  } finally {
+    await s.close();
+  }
+
+  s = await serve([{ status: 500 }, { status: 500 }, { status: 500 }]);
+  try {
+    await assert.rejects(request('GET', s.url, null, {}, { ...FAST, retries: 1 }), errors.PredictMeHttpError);
+    assert.strictEqual(s.seen.length, 2);
+  } finally {
+    await s.close();
+  }
+});
+
+test('429s are retried on any method after Retry-After, unless it is too long', async () => {
+  let s = await serve([{ status: 429, headers: { 'Retry-After': '0' } }]);
+  try {
+    assert.deepStrictEqual(await request('POST', s.url, {}, {}, FAST), { success: true });
+    assert.strictEqual(s.seen.length, 2);
+  } finally {
+    await s.close();
+  }
+
+  s = await serve([{ status: 429, headers: { 'Retry-After': '120' } }]);
+  try {
+    await assert.rejects(request('GET', s.url, null, {}, FAST), (err) => err instanceof errors.RateLimitError && err.retryAfter === 120000);
+    assert.strictEqual(s.seen.length, 1);
+  } finally {
+    await s.close();
+  }
+});
+
+test('slow responses time out, and bad JSON is an error', async () => {
+  let s = await serve([{ delay: 200 }]);
+  try {
+    await assert.rejects(request('GET', s.url, null, {}, { ...FAST, timeout: 30, retries: 0 }), errors.TimeoutError);
+  } finally {
+    await s.close();
+  }
+
+  s = await serve([{ body: 'not json' }]);
+  try {
+    await assert.rejects(request('GET', s.url, null, {}, { ...FAST, retries: 0 }), /Invalid JSON response \(HTTP 200\)/);
+  } finally {
+    await s.close();
+  }
+});
+
+test('connection failures are network errors', async () => {
+  const s = await serve([]);
+  const { url } = s;
+  await s.close();
+  await assert.rejects(request('GET', url, null, {}, { ...FAST, retries: 0 }), (err) => err.code === 'NETWORK_ERROR' && err.status === null);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.strictEqual(parseRetryAfter('3'), 3000);
+  assert.strictEqual(parseRetryAfter(undefined), null);
+  assert.strictEqual(parseRetryAfter('soon'), null);
+  const ms = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+  assert.ok(ms > 55000 && ms <= 60000);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PriceHistory, sma, ema, emaSeries, rsi, macd, bollinger, atr, realizedVolatility } = require('../lib/indicators');
+const { setup } = require('./helpers');
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+// Prices after each log-return move, from 100
+const walk = (moves) => moves.reduce((out, m) => [...out, out[out.length - 1] * Math.exp(m)], [100]);
+const R = 0.01;
+const EVEN = walk([R, -R, R, -R, R, -R, R]);
+// Same path, but nobody polled for three rounds: one 2R move spans 4 intervals
+const GAPPED = walk([R, -R, R, -R, 2 * R, -R, R]);
+
+test('moving averages, RSI and Bollinger on known series', () => {
+  const values = [1, 2, 3, 4, 5, 6];
+  assert.strictEqual(sma(values, 3), 5);
+  assert.strictEqual(sma(values, 7), null);
+  // Seeded with SMA(1,2,3) = 2, then k = 0.5
+  assert.deepStrictEqual(emaSeries(values, 3), [2, 3, 4, 5]);
+  assert.strictEqual(ema(values, 3), 5);
+  assert.strictEqual(ema(values, 7), null);
+
+  assert.strictEqual(rsi(values, 5), 100);
+  assert.strictEqual(rsi([3, 3, 3, 3], 3), 50);
+  assert.strictEqual(rsi([5, 4, 3, 2], 3), 0);
+  assert.strictEqual(rsi([1, 2, 1, 2, 1], 4), 50);
+  assert.strictEqual(rsi(values, 6), null);
+
+  assert.deepStrictEqual(bollinger([2, 2, 2], 3), { middle: 2, upper: 2, lower: 2, percentB: 0.5 });
+  const bb = bollinger([1, 2, 3], 3, 1);
+  assert.ok(near(bb.upper - bb.middle, Math.sqrt(2 / 3)));
+  assert.ok(bb.percentB > 1);
+});
+
+test('MACD and ATR need enough history', () => {
+  const rising = Array.from({ length: 40 }, (_, i) => 100 + i);
+  assert.strictEqual(macd(rising.slice(0, 33)), null);
+  const m = macd(rising);
+  // A steady trend: both EMAs lag by a constant, so the histogram settles at 0
+  assert.ok(near(m.macd, 7));
+  assert.ok(near(m.histogram, 0));
+
+  const bars = [{ high: 10, low: 8, close: 9 }, { high: 12, low: 9, close: 11 }, { high: 11, low: 10, close: 10 }];
+  assert.strictEqual(atr(bars, 2), 2);
+  assert.strictEqual(atr(bars, 3), null);
+});
+
+test('realizedVolatility scales returns across gaps by the intervals they span', () => {
+  const periods = [0, 1, 1, 1, 1, 4, 1, 1];
+  const expected = realizedVolatility(EVEN);
+  assert.ok(near(realizedVolatility(GAPPED, 30, periods), expected));
+  assert.ok(realizedVolatility(GAPPED) > expected);
+  assert.strictEqual(realizedVolatility([1, 2]), null);
+});
+
+test('PriceHistory builds OHLC bars and leaves out indicators it cannot compute yet', () => {
+  const history = new PriceHistory({ barMs: 1000, maxBars: 25 });
+  history.add('100', 0);
+  history.add('105', 500);
+  history.add('98', 900);
+  history.add('101', 1200);
+  history.add('99', 800); // older bar: ignored
+  history.add('n/a', 1300);
+  assert.deepStrictEqual(history.bars(), [
+    { start: 0, open: 100, high: 105, low: 98, close: 98 },
+    { start: 1000, open: 101, high: 101, low: 101, close: 101 },
+  ]);
+  assert.deepStrictEqual(history.snapshot(), { bars: 2, barMs: 1000, updatedAt: 1200 });
+
+  for (let i = 2; i < 40; i++) history.add(100 + (i % 3), i * 1000);
+  assert.strictEqual(history.closes().length, 25);
+  const snap = history.snapshot();
+  assert.deepStrictEqual(
+    Object.keys(snap).sort(),
+    ['atr', 'barMs', 'bars', 'bbLower', 'bbMiddle', 'bbPercentB', 'bbUpper', 'ema20', 'rsi', 'sma20', 'updatedAt', 'volatility']
+  );
+  assert.strictEqual(snap.updatedAt, 39000);
+});
+
+test('PriceHistory takes missing bars into account for volatility', () => {
+  const history = new PriceHistory({ barMs: 1000 });
+  [0, 1, 2, 3, 4, 8, 9, 10].forEach((bar, i) => history.add(GAPPED[i], bar * 1000));
+  assert.strictEqual(history.snapshot().volatility, Math.round(realizedVolatility(EVEN) * 1e6) / 1e6);
+});
+
+test('getOdds feeds the asset price history', async () => {
+  const { agent, close } = await setup();
+  try {
+    const odds = await agent.getOdds('eth');
+    assert.deepStrictEqual(agent.priceHistory('ETH').closes(), [parseFloat(odds.data.currentPrice)]);
+    assert.strictEqual(agent.priceHistory('BTC').snapshot().bars, 0);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MockServer } = require('../lib/mock-server');
+const errors = require('../lib/errors');
+const { setup, COMMENTARY } = require('./helpers');
+
+const START = Date.UTC(2026, 0, 1, 12);
+
+test('the price path is deterministic per seed', () => {
+  const a = new MockServer({ seed: 7, epoch: START, now: () => START });
+  const b = new MockServer({ seed: 7, epoch: START, now: () => START });
+  const c = new MockServer({ seed: 8, epoch: START, now: () => START });
+  const at = START + 123000;
+  assert.strictEqual(a.priceAt('BTC', at), b.priceAt('BTC', at));
+  assert.notStrictEqual(a.priceAt('BTC', at), c.priceAt('BTC', at));
+  assert.throws(() => a.priceAt('XRP'), /Unknown asset/);
+});
+
+test('grids cover every slot and level, with odds from the house margin', () => {
+  const server = new MockServer({ now: () => START + 2500, epoch: START, slots: 3, levels: 2 });
+  const { roundStart, grids } = server.gridsFor('ETH');
+  assert.strictEqual(roundStart, START);
+  assert.strictEqual(grids.length, 3 * 5);
+  assert.deepStrictEqual([...new Set(grids.map((g) => g.expiryAt))], [START + 10000, START + 20000, START + 30000]);
+  for (const g of grids) {
+    assert.ok(parseFloat(g.odds) >= 1.01 && parseFloat(g.odds) <= 100);
+    assert.ok(Math.abs(parseFloat(g.impliedProbability) - 1 / parseFloat(g.odds)) < 0.001);
+  }
+});
+
+test('bets settle at expiry against the price path', async () => {
+  const clock = { t: START };
+  const { server, agent, close } = await setup({ server: { now: () => clock.t, epoch: START } });
+  try {
+    const odds = await agent.getOdds('BTC');
+    const grid = odds.data.grids[0];
+    const placed = await agent.placeBet({ gridId: grid.gridIdStr, amount: '10.00', commentary: COMMENTARY });
+    assert.strictEqual(placed.data.newBalance, '990.00');
+    assert.strictEqual((await agent.getBets({ status: 'pending' })).data.length, 1);
+
+    clock.t = grid.expiryAt;
+    const [bet] = (await agent.getBets({ status: 'settled' })).data;
+    const price = server.priceAt('BTC', grid.expiryAt);
+    const won = price >= parseFloat(grid.strikePriceMin) && price < parseFloat(grid.strikePriceMax);
+    assert.strictEqual(bet.result, won ? 'win' : 'loss');
+    assert.strictEqual(bet.settlementPrice, price.toFixed(2));
+    const payout = won ? Math.round(10 * parseFloat(grid.odds) * 100) / 100 : 0;
+    assert.strictEqual((await agent.getBalance()).data.TEST, (990 + payout).toFixed(2));
+  } finally {
+    await close();
+  }
+});
+
+test('nonce, commentary, grid and balance rules are enforced like the real API', async () => {
+  const { agent, close } = await setup();
+  try {
+    const gridId = (await agent.getOdds('SOL')).data.grids[0].gridIdStr;
+    await assert.rejects(agent.placeBet({ gridId, amount: '1.00', commentary: 'too short' }), errors.CommentaryRejectedError);
+    await assert.rejects(agent.placeBet({ gridId: 'SOL_1_0', amount: '1.00', commentary: COMMENTARY }), errors.GridNotFoundError);
+    await assert.rejects(agent.placeBet({ gridId, amount: '5000', commentary: COMMENTARY }), errors.InsufficientBalanceError);
+
+    const res = await agent.placeBet({ gridId, amount: '1.00', commentary: COMMENTARY });
+    assert.strictEqual(res.success, true);
+    assert.ok(res.data.qualityScore > 0);
+  } finally {
+    await close();
+  }
+});
+
+test('unknown keys, unapproved agents and rate limits get the API errors', async () => {
+  const { server, agent, close } = await setup({ server: { autoApprove: false, rateLimit: 3 } });
+  try {
+    const reg = await agent.register({ email: 'bot@example.com', agentName: 'TestBot' });
+    assert.strictEqual(reg.data.status, 'pending');
+    assert.strictEqual((await agent.getStatus(reg.data.agentId)).data.apiKey, undefined);
+    server.approve(reg.data.agentId);
+    const { apiKey } = (await agent.getStatus(reg.data.agentId)).data;
+    assert.match(apiKey, /^pm_agent_/);
+    assert.strictEqual((await agent.getStatus(reg.data.agentId)).data.apiKey, undefined);
+
+    await agent.getBalance();
+    await agent.getBalance();
+    await agent.getBalance();
+    await assert.rejects(agent.getBalance(), errors.RateLimitError);
+
+    agent.apiKey = 'pm_agent_nope';
+    await assert.rejects(agent.getBalance(), errors.AuthenticationError);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { NonceManager, FileNonceStore, MemoryNonceStore } = require('../lib/nonce');
+const { setup, tmpDir, COMMENTARY } = require('./helpers');
+
+const NONCE_MODULE = path.join(__dirname, '..', 'lib', 'nonce.js');
+
+test('load(), next() and set() are synchronous', () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const file = path.join(dir, 'nonce');
+    const nonce = new NonceManager(file);
+    const first = nonce.load();
+    assert.ok(Math.abs(first - Date.now()) < 1000);
+    assert.strictEqual(nonce.next(), first + 1);
+    nonce.set(7);
+    assert.strictEqual(nonce.next(), 8);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '8');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['nonce']);
+  } finally {
+    cleanup();
+  }
+});
+
+test('concurrent nextAsync() calls get distinct, increasing nonces', async () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const nonce = new NonceManager(path.join(dir, 'nonce'));
+    await nonce.setAsync(100);
+    const values = await Promise.all(Array.from({ length: 50 }, () => nonce.nextAsync()));
+    assert.deepStrictEqual(values, Array.from({ length: 50 }, (_, i) => 101 + i));
+    assert.strictEqual(await nonce.loadAsync(), 150);
+    assert.strictEqual(nonce.next(), 151);
+  } finally {
+    cleanup();
+  }
+});
+
+test('the synchronous methods refuse async stores and in-flight async calls', async () => {
+  const store = { value: 1, read: async () => store.value, write: async (v) => { store.value = v; } };
+  const nonce = new NonceManager(null, { store });
+  assert.throws(() => nonce.next(), { code: 'NONCE_STORE_ASYNC' });
+  assert.strictEqual(await nonce.nextAsync(), 2);
+
+  const memory = new NonceManager(null, { store: new MemoryNonceStore(1) });
+  const pending = memory.nextAsync();
+  assert.throws(() => memory.set(5), { code: 'NONCE_BUSY' });
+  assert.strictEqual(await pending, 2);
+  assert.strictEqual(memory.next(), 3);
+});
+
+test('managers in several processes sharing a file never hand out the same nonce', async () => {
+  const { dir, cleanup } = tmpDir();
+  const file = path.join(dir, 'nonce');
+  // One process uses the blocking next(), the others nextAsync()
+  const script = (method) => `
+    const { NonceManager } = require(${JSON.stringify(NONCE_MODULE)});
+    const nonce = new NonceManager(${JSON.stringify(file)});
+    (async () => {
+      const out = [];
+      for (let i = 0; i < 20; i++) out.push(await nonce.${method}());
+      console.log(JSON.stringify(out));
+    })();
+  `;
+  try {
+    new NonceManager(file).set(1);
+    const run = (method) => promisify(execFile)(process.execPath, ['-e', script(method)], { timeout: 30000 });
+    const results = await Promise.all([run('next'), run('nextAsync'), run('nextAsync')]);
+    const all = results.flatMap((r) => JSON.parse(r.stdout));
+    assert.strictEqual(all.length, 60);
+    assert.strictEqual(new Set(all).size, 60);
+    assert.strictEqual(new NonceManager(file).load(), Math.max(...all));
+  } finally {
+    cleanup();
+  }
+});
+
+test('next(min) jumps forward but never goes back', async () => {
+  const nonce = new NonceManager(null, { store: new MemoryNonceStore(10) });
+  assert.strictEqual(nonce.next(50), 50);
+  assert.strictEqual(nonce.next(20), 51);
+  assert.strictEqual(await nonce.nextAsync(60), 60);
+});
+
+test('recover() uses expectedNonce + 1, or current + 1 if that is higher', async () => {
+  const nonce = new NonceManager(null, { store: new MemoryNonceStore(10) });
+  const events = [];
+  nonce.on('recover', (e) => events.push(e));
+
+  assert.strictEqual(await nonce.recover(11, 40), 41);
+  assert.strictEqual(await nonce.recover(41, 5), 42);
+  assert.strictEqual(await nonce.recover(42), 43);
+  assert.deepStrictEqual(events[0], { rejected: 11, expectedNonce: 40, nonce: 41 });
+});
+
+test('a stale lock is broken, and its old holder cannot release the new one', async () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const file = path.join(dir, 'nonce');
+    const store = new FileNonceStore(file, { staleLockMs: 50, lockTimeout: 2000 });
+    const releaseOld = await store.lock();
+    const old = new Date(Date.now() - 1000);
+    fs.utimesSync(store.lockPath, old, old);
+
+    const releaseNew = await store.lock();
+    const owner = fs.readFileSync(store.lockPath, 'utf8');
+    await releaseOld();
+    assert.strictEqual(fs.readFileSync(store.lockPath, 'utf8'), owner);
+
+    await releaseNew();
+    assert.strictEqual(fs.existsSync(store.lockPath), false);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  } finally {
+    cleanup();
+  }
+});
+
+test('lockSync() breaks stale locks the same way', () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const store = new FileNonceStore(path.join(dir, 'nonce'), { staleLockMs: 50, lockTimeout: 2000 });
+    const releaseOld = store.lockSync();
+    const old = new Date(Date.now() - 1000);
+    fs.utimesSync(store.lockPath, old, old);
+
+    const releaseNew = store.lockSync();
+    const owner = fs.readFileSync(store.lockPath, 'utf8');
+    releaseOld();
+    assert.strictEqual(fs.readFileSync(store.lockPath, 'utf8'), owner);
+
+    releaseNew();
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  } finally {
+    cleanup();
+  }
+});
+
+test('lock() and lockSync() time out while another holder keeps a fresh lock', async () => {
+  const { dir, cleanup } = tmpDir();
+  try {
+    const store = new FileNonceStore(path.join(dir, 'nonce'), { lockTimeout: 100 });
+    const release = await store.lock();
+    await assert.rejects(store.lock(), { code: 'NONCE_LOCK_TIMEOUT' });
+    assert.throws(() => store.lockSync(), { code: 'NONCE_LOCK_TIMEOUT' });
+    await release();
+  } finally {
+    cleanup();
+  }
+});
+
+test('placeBet recovers from a nonce the server rejects', async () => {
+  const { server, agent, close } = await setup();
+  try {
+    const odds = await agent.getOdds('BTC');
+    const gridId = odds.data.grids[0].gridIdStr;
+    await agent.placeBet({ gridId, amount: '1.00', commentary: COMMENTARY });
+    const accepted = server._keys.get(server.apiKey).lastNonce;
+
+    const recovered = [];
+    agent.on('nonceRecovered', (e) => recovered.push(e));
+    agent.nonce.set(5);
+    const res = await agent.placeBet({ gridId, amount: '1.00', commentary: COMMENTARY });
+
+    assert.strictEqual(res.success, true);
+    assert.deepStrictEqual(recovered, [{ rejected: 6, expectedNonce: accepted + 1, nonce: accepted + 2 }]);
+    assert.strictEqual(server._keys.get(server.apiKey).lastNonce, accepted + 2);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Onboarding } = require('../lib/onboarding');
+const { PredictMeAgent } = require('../lib/api');
+const { ProfileStore, isExposed } = require('../lib/profiles');
+const { parseEnvFile } = require('../lib/config');
+const { ConfigError, PredictMeHttpError } = require('../lib/errors');
+const { setup } = require('./helpers');
+
+const PARAMS = { email: 'bot@example.com', agentName: 'OnboardBot' };
+
+/** An Onboarding that keeps its files in the test's temp directory and polls fast. */
+function onboarding(agent, dir, options = {}) {
+  return new Onboarding(agent, {
+    envPath: path.join(dir, '.env'),
+    statePath: path.join(dir, 'onboarding.json'),
+    store: new ProfileStore({ dir: path.join(dir, 'home') }),
+    pollMs: 10,
+    ...options,
+  });
+}
+
+test('registers, claims, waits for approval and saves the key to .env', async () => {
+  const { server, agent, dir, close } = await setup({ server: { autoApprove: false } });
+  try {
+    const flow = onboarding(agent, dir);
+    const events = [];
+    for (const name of ['registered', 'claimed', 'status', 'saved']) flow.on(name, (e) => events.push([name, e]));
+    // Approve once we've been seen waiting
+    flow.once('status', () => server.approve(events[0][1].agentId));
+
+    const result = await flow.run({ ...PARAMS, tweetUrl: 'https://x.com/bot/status/123' });
+    assert.deepStrictEqual(
+      events.map(([name]) => name),
+      ['registered', 'claimed', 'status', 'saved']
+    );
+    assert.deepStrictEqual(events[2][1], { status: 'pending', attempt: 1, nextPollMs: 10 });
+    assert.deepStrictEqual(result, { agentId: events[0][1].agentId, agentName: 'OnboardBot', target: path.relative(process.cwd(), path.join(dir, '.env')) });
+
+    const envPath = path.join(dir, '.env');
+    const { PREDICTME_API_KEY } = parseEnvFile(envPath);
+    assert.strictEqual(isExposed(envPath), false);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'onboarding.json')), false);
+
+    // The saved key works
+    const saved = new PredictMeAgent({ apiKey: PREDICTME_API_KEY, apiUrl: agent.apiUrl, noncePath: path.join(dir, 'n2'), retries: 0 });
+    assert.strictEqual((await saved.getBalance()).data.TEST, '1000.00');
+
+    // Won't register again over a saved key
+    await assert.rejects(onboarding(agent, dir).run({ ...PARAMS, agentName: 'Other' }), /already has an API key/);
+  } finally {
+    await close();
+  }
+});
+
+test('an interrupted onboarding resumes without registering again', async () => {
+  const { server, agent, dir, close } = await setup({ server: { autoApprove: false } });
+  try {
+    const first = onboarding(agent, dir, { profile: 'alice' });
+    first.once('status', () => first.stop());
+    await assert.rejects(first.run(PARAMS), { code: 'ONBOARDING_STOPPED' });
+    const state = first.pending();
+    assert.deepStrictEqual({ ...state, agentId: 'x', startedAt: 'x' }, {
+      agentId: 'x',
+      agentName: 'OnboardBot',
+      email: PARAMS.email,
+      claimed: false,
+      profile: 'alice',
+      envPath: null,
+      startedAt: 'x',
+    });
+
+    await assert.rejects(onboarding(agent, dir).run({ ...PARAMS, agentName: 'Other' }), (err) => {
+      return err instanceof ConfigError && /OnboardBot .* is still in progress/.test(err.message);
+    });
+
+    server.approve(state.agentId);
+    const second = onboarding(agent, dir);
+    const resumed = [];
+    second.on('resumed', (s) => resumed.push(s.agentId));
+    second.on('registered', () => assert.fail('registered again'));
+    const result = await second.run();
+    assert.deepStrictEqual(resumed, [state.agentId]);
+    assert.strictEqual(result.target, 'profile alice');
+    // The profile remembers the mock server's URL
+    assert.deepStrictEqual(Object.keys(second.store.get('alice')), ['apiKey', 'apiUrl']);
+    assert.strictEqual(second.store.get('alice').apiUrl, agent.apiUrl);
+    assert.strictEqual(fs.existsSync(path.join(dir, '.env')), false);
+  } finally {
+    await close();
+  }
+});
+
+test('status checks ride out transient errors but give up on final answers', async () => {
+  const { server, agent, dir, close } = await setup({ server: { autoApprove: false } });
+  try {
+    const getStatus = agent.getStatus.bind(agent);
+    let fails = 1;
+    agent.getStatus = async (id) => {
+      if (fails-- > 0) throw new PredictMeHttpError('Service unavailable', { status: 503 });
+      return getStatus(id);
+    };
+    const flow = onboarding(agent, dir, { timeoutMs: 30 });
+    const retries = [];
+    flow.on('retry', (err, delay) => retries.push([err.status, delay]));
+    await assert.rejects(flow.run(PARAMS), { code: 'ONBOARDING_TIMEOUT' });
+    assert.deepStrictEqual(retries, [[503, 10]]);
+
+    // Approved, but someone else already fetched the one-time key
+    const { agentId } = flow.pending();
+    server.approve(agentId);
+    await getStatus(agentId);
+    await assert.rejects(onboarding(agent, dir).run(), { code: 'API_KEY_ALREADY_SHOWN' });
+
+    // Rejected agents don't leave a state file behind to resume
+    fs.rmSync(path.join(dir, 'onboarding.json'));
+    agent.getStatus = async () => ({ data: { status: 'rejected' } });
+    await assert.rejects(onboarding(agent, dir).run({ ...PARAMS, agentName: 'Rejected' }), { code: 'AGENT_REJECTED' });
+    assert.strictEqual(fs.existsSync(path.join(dir, 'onboarding.json')), false);
+  } finally {
+    await close();
+  }
+});
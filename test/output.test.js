@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatOutput, RecordWriter, exitCodeFor, parseFields, EXIT_CODES } = require('../lib/output');
+const errors = require('../lib/errors');
+
+const BETS = [
+  { orderId: 'ord_1', grid: { odds: 2.5, asset: 'BTC' }, commentary: 'Up, "clearly", now', tags: ['a', 'b'] },
+  { orderId: 'ord_2', grid: { odds: 3 }, commentary: 'two\nlines', extra: null },
+];
+
+test('json keeps arrays and single records as they are', () => {
+  assert.deepStrictEqual(JSON.parse(formatOutput(BETS, { format: 'json' })), BETS);
+  assert.deepStrictEqual(JSON.parse(formatOutput(BETS[0], { format: 'json' })), BETS[0]);
+  assert.strictEqual(formatOutput([], { format: 'json' }), '[]');
+});
+
+test('ndjson writes one record per line', () => {
+  const lines = formatOutput(BETS, { format: 'ndjson' }).split('\n');
+  assert.deepStrictEqual(lines.map((l) => JSON.parse(l)), BETS);
+  assert.strictEqual(formatOutput([], { format: 'ndjson' }), '');
+});
+
+test('csv flattens, unions columns and quotes per RFC 4180', () => {
+  const csv = formatOutput(BETS, { format: 'csv' });
+  assert.strictEqual(
+    csv,
+    [
+      'orderId,grid.odds,grid.asset,commentary,tags,extra',
+      'ord_1,2.5,BTC,"Up, ""clearly"", now","[""a"",""b""]",',
+      'ord_2,3,,"two\nlines",,',
+    ].join('\n')
+  );
+});
+
+test('fields pick dotted paths in the order given', () => {
+  assert.strictEqual(formatOutput(BETS, { format: 'csv', fields: ['grid.odds', 'orderId', 'grid.missing'] }), 'grid.odds,orderId,grid.missing\n2.5,ord_1,\n3,ord_2,');
+  assert.deepStrictEqual(JSON.parse(formatOutput(BETS[0], { format: 'json', fields: ['grid.asset'] })), { 'grid.asset': 'BTC' });
+  assert.deepStrictEqual(parseFields(' a, b.c ,,'), ['a', 'b.c']);
+  assert.throws(() => parseFields(','), errors.UsageError);
+});
+
+test('table aligns columns, flattens newlines and handles single and empty results', () => {
+  const rows = formatOutput(BETS, { format: 'table', fields: ['orderId', 'commentary'] }).split('\n');
+  assert.deepStrictEqual(rows, ['orderId  commentary', '-------  ------------------', 'ord_1    Up, "clearly", now', 'ord_2    two lines']);
+  assert.strictEqual(formatOutput({ a: 1, b: { c: 2 } }, { format: 'table' }), 'field  value\n-----  -----\na      1\nb.c    2');
+  assert.strictEqual(formatOutput([], { format: 'table' }), '(no rows)');
+});
+
+test('unknown formats are usage errors', () => {
+  assert.throws(() => formatOutput(BETS, { format: 'xml' }), (err) => err instanceof errors.UsageError && /Unknown format "xml"/.test(err.message));
+});
+
+test('RecordWriter streams csv and ndjson, and buffers json', () => {
+  let out = '';
+  const stream = { write: (s) => (out += s) };
+  const csv = new RecordWriter({ format: 'csv', fields: ['orderId', 'grid.odds'], out: stream });
+  BETS.forEach((b) => csv.write(b));
+  assert.strictEqual(out, 'orderId,grid.odds\nord_1,2.5\nord_2,3\n');
+
+  out = '';
+  const json = new RecordWriter({ format: 'json', out: stream });
+  json.write(BETS[0]);
+  assert.strictEqual(out, '');
+  json.end();
+  assert.deepStrictEqual(JSON.parse(out), [BETS[0]]);
+});
+
+test('errors map to exit codes', () => {
+  const cases = [
+    [new errors.UsageError('x'), EXIT_CODES.USAGE],
+    [new errors.ConfigError('x'), EXIT_CODES.USAGE],
+    [new errors.TemplateError('Unknown template variable "pirce"', 'pirce'), EXIT_CODES.USAGE],
+    [new errors.AuthenticationError('x', { status: 401 }), EXIT_CODES.AUTH],
+    [new errors.RateLimitError('x', { status: 429 }), EXIT_CODES.RETRY],
+    [new errors.PredictMeHttpError('x', { status: null }), EXIT_CODES.RETRY],
+    [new errors.PredictMeHttpError('x', { status: 502 }), EXIT_CODES.RETRY],
+    [new errors.InsufficientBalanceError('x', { status: 400 }), EXIT_CODES.REJECTED],
+    [new errors.RiskLimitError('x', 'maxStake'), EXIT_CODES.REJECTED],
+    [new errors.PredictMeHttpError('x', { status: 404 }), EXIT_CODES.API],
+    [new Error('x'), EXIT_CODES.ERROR],
+  ];
+  for (const [err, code] of cases) assert.strictEqual(exitCodeFor(err), code, err.constructor.name);
+});
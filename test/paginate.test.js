@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { paginate, fetchAll, toTime, MAX_PAGE_SIZE } = require('../lib/paginate');
+const { setup, COMMENTARY } = require('./helpers');
+
+/** A fetcher over `rows` that records every page it was asked for. */
+function pages(rows) {
+  const calls = [];
+  const fetchPage = async ({ limit, offset }) => {
+    calls.push({ limit, offset });
+    return { success: true, data: rows.slice(offset, offset + limit) };
+  };
+  return { fetchPage, calls };
+}
+
+const ROWS = Array.from({ length: 25 }, (_, i) => ({ id: i, createdAt: 1000 - i * 10 }));
+
+test('stops at a short page', async () => {
+  const { fetchPage, calls } = pages(ROWS);
+  const rows = await fetchAll(paginate(fetchPage, { pageSize: 10 }));
+  assert.deepStrictEqual(rows, ROWS);
+  assert.deepStrictEqual(calls, [{ limit: 10, offset: 0 }, { limit: 10, offset: 10 }, { limit: 10, offset: 20 }]);
+});
+
+test('a full last page costs one empty request', async () => {
+  const { fetchPage, calls } = pages(ROWS.slice(0, 20));
+  assert.strictEqual((await fetchAll(paginate(fetchPage, { pageSize: 10 }))).length, 20);
+  assert.strictEqual(calls.length, 3);
+});
+
+test('max and maxPages stop without fetching further pages', async () => {
+  let p = pages(ROWS);
+  assert.deepStrictEqual((await fetchAll(paginate(p.fetchPage, { pageSize: 10, max: 10 }))).map((r) => r.id), [...Array(10).keys()]);
+  assert.strictEqual(p.calls.length, 1);
+
+  p = pages(ROWS);
+  assert.strictEqual((await fetchAll(paginate(p.fetchPage, { pageSize: 10, maxPages: 2 }))).length, 20);
+  assert.strictEqual(p.calls.length, 2);
+});
+
+test('since stops at the first older entry', async () => {
+  const { fetchPage, calls } = pages(ROWS);
+  const rows = await fetchAll(paginate(fetchPage, { pageSize: 10, since: 905, timeKey: 'createdAt' }));
+  assert.deepStrictEqual(rows.map((r) => r.id), [...Array(10).keys()]);
+  assert.strictEqual(calls.length, 2);
+});
+
+test('since accepts dates and date strings, and needs a timeKey', async () => {
+  const iso = new Date(905).toISOString();
+  const rows = await fetchAll(paginate(pages(ROWS).fetchPage, { since: iso, timeKey: 'createdAt' }));
+  assert.strictEqual(rows.length, 10);
+
+  await assert.rejects(fetchAll(paginate(pages(ROWS).fetchPage, { since: 905 })), /timeKey/);
+  await assert.rejects(fetchAll(paginate(pages(ROWS).fetchPage, { since: 'soon', timeKey: 'createdAt' })), /since/);
+  assert.strictEqual(toTime(new Date(5)), 5);
+  assert.strictEqual(toTime('1700000000000'), 1700000000000);
+});
+
+test('breaking out of the loop fetches no more pages', async () => {
+  const { fetchPage, calls } = pages(ROWS);
+  for await (const row of paginate(fetchPage, { pageSize: 10 })) {
+    if (row.id === 3) break;
+  }
+  assert.strictEqual(calls.length, 1);
+});
+
+test('key skips entries repeated across a page boundary', async () => {
+  // A new entry arrived between the two requests, shifting the second page by one
+  const shifted = [{ id: 'new', createdAt: 2000 }, ...ROWS];
+  let served = 0;
+  const fetchPage = async ({ limit, offset }) => {
+    const rows = (served++ === 0 ? ROWS : shifted).slice(offset, offset + limit);
+    return rows;
+  };
+  const rows = await fetchAll(paginate(fetchPage, { pageSize: 10, max: 15, key: 'id' }));
+  assert.deepStrictEqual(rows.map((r) => r.id), [...Array(15).keys()]);
+});
+
+test('page size is capped at the API maximum', async () => {
+  const { fetchPage, calls } = pages(ROWS);
+  await fetchAll(paginate(fetchPage, { pageSize: 500 }));
+  assert.strictEqual(calls[0].limit, MAX_PAGE_SIZE);
+});
+
+test('iterBets pages through the mock server', async () => {
+  const { agent, close } = await setup();
+  try {
+    for (let i = 0; i < 7; i++) {
+      await agent.pickAndBet({ asset: 'BTC', amount: '1.00', commentary: `${COMMENTARY} Entry ${i + 1}.` });
+    }
+    const all = await agent.fetchAllBets({ pageSize: 3 });
+    assert.strictEqual(all.length, 7);
+    assert.strictEqual(new Set(all.map((b) => b.orderId)).size, 7);
+    assert.deepStrictEqual((await agent.fetchAllBets({ pageSize: 3, max: 4 })).length, 4);
+
+    const since = all[2].createdAt;
+    const recent = await agent.fetchAllBets({ pageSize: 2, since });
+    assert.ok(recent.length >= 3);
+    assert.ok(recent.every((b) => b.createdAt >= since));
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { OddsRecorder } = require('../lib/recorder');
+const { loadDataset, backtest } = require('../lib/backtest');
+const { setup } = require('./helpers');
+
+const START = Date.UTC(2026, 0, 1, 23, 59, 30);
+
+test('records odds, settlements and gaps into a replayable dataset', async () => {
+  const clock = { t: START + 500 };
+  const { agent, dir, close } = await setup({ server: { now: () => clock.t, epoch: START, slots: 2 } });
+  try {
+    const recorder = new OddsRecorder(agent, { assets: ['btc', 'XRP'], outDir: `${dir}/data`, gzip: true, now: () => clock.t });
+
+    const first = await recorder.poll();
+    assert.deepStrictEqual(first.map((r) => [r.type, r.asset]), [['odds', 'BTC'], ['gap', 'XRP']]);
+    assert.strictEqual(first[0].grids.length, 2 * 11);
+    assert.deepStrictEqual(Object.keys(first[0].grids[0]).sort(), ['expiryAt', 'gridIdStr', 'impliedProbability', 'odds', 'strikePriceMax', 'strikePriceMin']);
+
+    clock.t += 10000;
+    const second = await recorder.poll();
+    const settlement = second.find((r) => r.type === 'settlement');
+    assert.strictEqual(settlement.expiryAt, START + 10000);
+    assert.strictEqual(settlement.price, second.find((r) => r.type === 'odds').currentPrice);
+
+    // Sleep through two rounds: they are marked missed, and expiries seen too late are gaps
+    clock.t += 30000;
+    const third = await recorder.poll();
+    const gaps = third.filter((r) => r.type === 'gap' && r.asset === 'BTC');
+    assert.deepStrictEqual(gaps.map((r) => r.reason), ['missed', 'missed', 'settlement', 'settlement']);
+
+    // The polls straddle midnight UTC, so the dataset rotated
+    const files = fs.readdirSync(`${dir}/data`).sort();
+    assert.deepStrictEqual(files, ['predictme-2026-01-01.ndjson.gz', 'predictme-2026-01-02.ndjson.gz']);
+
+    const dataset = loadDataset(`${dir}/data`);
+    assert.strictEqual(dataset.snapshots.length, 3);
+    assert.strictEqual(dataset.settlements.size, 1);
+    const report = backtest(dataset, { strategy: 'balanced', timeSlot: 'next' });
+    assert.strictEqual(report.bets + report.unsettled, 3);
+    assert.strictEqual(report.bets, 1);
+  } finally {
+    await close();
+  }
+});
+
+test('stop() waits for the poll in flight', async () => {
+  const { agent, dir, close } = await setup();
+  try {
+    const recorder = new OddsRecorder(agent, { outDir: `${dir}/data`, roundMs: 50, offsetMs: 0 });
+    const written = new Promise((resolve) => recorder.once('odds', resolve));
+    recorder.start();
+    await written;
+    await recorder.stop();
+    const lines = fs.readFileSync(recorder.fileFor(Date.now()), 'utf8').trim().split('\n');
+    assert.ok(lines.length >= 1);
+    assert.strictEqual(JSON.parse(lines[0]).type, 'odds');
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RiskManager } = require('../lib/risk');
+const { RiskLimitError } = require('../lib/errors');
+const { setup, COMMENTARY } = require('./helpers');
+
+/** Just enough agent for approve(): a settable TEST balance. */
+function fakeAgent(balance) {
+  const agent = {
+    balance,
+    async getBalance() {
+      return { success: true, data: { TEST: { available: agent.balance.toFixed(2) } } };
+    },
+  };
+  return agent;
+}
+
+async function blockedBy(promise, rule) {
+  await assert.rejects(promise, (err) => err instanceof RiskLimitError && err.rule === rule);
+}
+
+test('stakes are capped at maxStake and at the balance', async () => {
+  const risk = new RiskManager(fakeAgent(20), { sizing: { type: 'fixed', amount: 15 }, maxStake: 10 });
+  assert.strictEqual((await risk.approve({ asset: 'BTC' })).amount, 10);
+  assert.strictEqual((await risk.approve({ asset: 'BTC' })).amount, 10);
+  await blockedBy(risk.approve({ asset: 'BTC' }), 'minStake');
+});
+
+test('stakes below minStake are blocked', async () => {
+  const risk = new RiskManager(fakeAgent(100), { sizing: { type: 'percent', percent: 0.5 }, minStake: 1 });
+  await blockedBy(risk.approve({ asset: 'BTC' }), 'minStake');
+  assert.strictEqual((await risk.approve({ asset: 'BTC', amount: 2 })).amount, 2);
+});
+
+test('Kelly sizing blocks bets without an edge', async () => {
+  const risk = new RiskManager(fakeAgent(100), { sizing: { type: 'kelly', fraction: 0.5 } });
+  await blockedBy(risk.approve({ asset: 'BTC', grid: { odds: '2.0', modelProbability: 0.4 } }), 'kelly');
+  const position = await risk.approve({ asset: 'BTC', grid: { odds: '2.0', modelProbability: 0.75 } });
+  assert.strictEqual(position.amount, 25);
+});
+
+test('Kelly sizing needs a win probability beyond the implied one', async () => {
+  const grid = { gridIdStr: 'BTC_1_0', odds: '2.0', impliedProbability: '0.5' };
+  const risk = new RiskManager(fakeAgent(100), { sizing: { type: 'kelly' } });
+  await assert.rejects(risk.approve({ asset: 'BTC', grid }), (err) => err.rule === 'kelly' && /BTC_1_0.*sizing\.probability/.test(err.message));
+  assert.deepStrictEqual(risk.positions, []);
+
+  const own = new RiskManager(fakeAgent(100), { sizing: { type: 'kelly', fraction: 1, probability: () => '0.75' } });
+  assert.strictEqual((await own.approve({ asset: 'BTC', grid })).amount, 50);
+});
+
+test('exposure is limited per round and per asset', async () => {
+  let now = 1_000_000;
+  const risk = new RiskManager(fakeAgent(100), {
+    maxExposurePerRound: 5,
+    maxExposurePerAsset: 6,
+    roundMs: 10000,
+    now: () => now,
+  });
+  await risk.approve({ asset: 'BTC', amount: 3, expiryAt: now + 60000 });
+  await blockedBy(risk.approve({ asset: 'ETH', amount: 3 }), 'maxExposurePerRound');
+
+  now += 10000;
+  await risk.approve({ asset: 'BTC', amount: 2, expiryAt: now + 60000 });
+  await blockedBy(risk.approve({ asset: 'BTC', amount: 2 }), 'maxExposurePerAsset');
+  assert.strictEqual((await risk.approve({ asset: 'ETH', amount: 1 })).amount, 1);
+});
+
+test('the daily loss limit blocks bets until the next UTC day', async () => {
+  let now = Date.UTC(2026, 0, 1, 12);
+  const agent = fakeAgent(100);
+  const risk = new RiskManager(agent, { dailyLossLimit: 10, now: () => now });
+  risk.placed(await risk.approve({ asset: 'BTC', amount: 1, expiryAt: now }));
+
+  now += 60000;
+  agent.balance = 89;
+  await blockedBy(risk.approve({ asset: 'BTC', amount: 1 }), 'dailyLossLimit');
+
+  now = Date.UTC(2026, 0, 2, 0, 1);
+  assert.strictEqual((await risk.approve({ asset: 'BTC', amount: 1 })).amount, 1);
+});
+
+test('stop-loss and take-profit trip the circuit breaker until reset()', async () => {
+  const agent = fakeAgent(100);
+  const risk = new RiskManager(agent, { stopLoss: 20, takeProfit: 30 });
+  risk.release(await risk.approve({ asset: 'BTC', amount: 1 }));
+
+  agent.balance = 80;
+  await blockedBy(risk.approve({ asset: 'BTC', amount: 1 }), 'circuitBreaker');
+  agent.balance = 100;
+  await blockedBy(risk.approve({ asset: 'BTC', amount: 1 }), 'circuitBreaker');
+  assert.match(risk.status().tripped, /stop-loss/);
+
+  risk.reset();
+  agent.balance = 131;
+  await blockedBy(risk.approve({ asset: 'BTC', amount: 1 }), 'circuitBreaker');
+  assert.match(risk.status().tripped, /take-profit/);
+});
+
+test('concurrent approvals never spend the same balance twice', async () => {
+  const risk = new RiskManager(fakeAgent(100), { sizing: { type: 'fixed', amount: 60 } });
+  const [a, b] = await Promise.all([risk.approve({ asset: 'BTC' }), risk.approve({ asset: 'ETH' })]);
+  assert.deepStrictEqual([a.amount, b.amount], [60, 40]);
+  assert.strictEqual(risk.balance, 0);
+  assert.strictEqual(risk.equity(), 100);
+});
+
+test('released stakes go back to the balance', async () => {
+  const risk = new RiskManager(fakeAgent(100));
+  const position = await risk.approve({ asset: 'BTC', amount: 25 });
+  assert.strictEqual(risk.balance, 75);
+  risk.release(position);
+  assert.strictEqual(risk.balance, 100);
+  assert.strictEqual(risk.openExposure(), 0);
+});
+
+test('pickAndBet places the capped stake on the server', async () => {
+  const { server, agent, close } = await setup();
+  try {
+    const risk = new RiskManager(agent, { maxStake: 2.5 });
+    const res = await risk.pickAndBet({ asset: 'BTC', amount: 10, commentary: COMMENTARY });
+    assert.strictEqual(res.data.amount, '2.50');
+    assert.strictEqual(server._bets.length, 1);
+    assert.strictEqual(risk.balance, 997.5);
+    assert.strictEqual(risk.openExposure('BTC'), 2.5);
+    assert.strictEqual(risk.positions[0].placed, true);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AgentRunner, MultiAssetRunner } = require('../lib/runner');
+const { setup, COMMENTARY } = require('./helpers');
+
+// Long enough that a busy machine (test files run in parallel) still fires inside each round
+const ROUND_MS = 500;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+test('fires once per round at the offset, timed from the grids', async () => {
+  const { agent, close } = await setup({ server: { roundMs: ROUND_MS } });
+  try {
+    const runner = new AgentRunner(agent, { offsetMs: 20, maxRounds: 3, handleSignals: false });
+    const syncs = [];
+    runner.on('sync', (e) => syncs.push(e));
+    const fired = [];
+    const summary = await runner.start((ctx) => fired.push({ ...ctx, at: Date.now() }));
+
+    assert.deepStrictEqual(syncs, [{ roundMs: ROUND_MS, anchor: 0 }]);
+    assert.deepStrictEqual(summary, { rounds: 3, skipped: 0, reason: 'maxRounds' });
+    assert.deepStrictEqual(fired.map((c) => c.index), [0, 1, 2]);
+    assert.deepStrictEqual(fired.map((c) => c.round - fired[0].round), [0, 1, 2]);
+    for (const c of fired) {
+      assert.strictEqual(c.roundStart, c.round * ROUND_MS);
+      assert.strictEqual(c.roundEnd, c.roundStart + ROUND_MS);
+      assert.ok(c.at >= c.roundStart + 20 && c.at < c.roundEnd, `fired ${c.at - c.roundStart}ms into the round`);
+    }
+  } finally {
+    await close();
+  }
+});
+
+test('reports rounds skipped by an overrunning callback, and survives its errors', async () => {
+  const { agent, close } = await setup({ server: { roundMs: ROUND_MS } });
+  try {
+    const runner = new AgentRunner(agent, { offsetMs: 20, maxRounds: 3, handleSignals: false });
+    const skipped = [];
+    const errors = [];
+    runner.on('skipped', (e) => skipped.push(e));
+    runner.on('roundError', (err) => errors.push(err.message));
+
+    const summary = await runner.start(async ({ index }) => {
+      if (index === 0) await sleep(ROUND_MS * 1.5);
+      if (index === 1) throw new Error('boom');
+    });
+    assert.strictEqual(summary.rounds, 3);
+    assert.strictEqual(summary.skipped, 1);
+    assert.strictEqual(skipped[0].count, 1);
+    assert.strictEqual(skipped[0].from, skipped[0].to);
+    assert.deepStrictEqual(errors, ['boom']);
+  } finally {
+    await close();
+  }
+});
+
+test('stop() ends the loop after the current callback, with its reason', async () => {
+  const { agent, close } = await setup({ server: { roundMs: ROUND_MS } });
+  try {
+    const runner = new AgentRunner(agent, { offsetMs: 20, handleSignals: false });
+    const stops = [];
+    runner.on('stop', (e) => stops.push(e));
+    const summary = await runner.start(({ index }) => {
+      if (index === 1) runner.stop('done');
+    });
+    assert.deepStrictEqual(summary, { rounds: 2, skipped: 0, reason: 'done' });
+    assert.deepStrictEqual(stops, [summary]);
+
+    const running = runner.start(() => {});
+    await assert.rejects(runner.start(() => {}), /already started/);
+    runner.stop();
+    await running;
+  } finally {
+    await close();
+  }
+});
+
+test('SIGINT stops the runner cleanly', async () => {
+  const { agent, close } = await setup({ server: { roundMs: ROUND_MS } });
+  try {
+    const runner = new AgentRunner(agent, { offsetMs: 20 });
+    const before = process.listenerCount('SIGINT');
+    const summary = await runner.start(() => process.emit('SIGINT', 'SIGINT'));
+    assert.deepStrictEqual(summary, { rounds: 1, skipped: 0, reason: 'SIGINT' });
+    assert.strictEqual(process.listenerCount('SIGINT'), before);
+  } finally {
+    await close();
+  }
+});
+
+test('a failed sync is an error from start()', async () => {
+  const runner = new AgentRunner({ getOdds: async () => ({ data: { grids: [] } }) }, { handleSignals: false });
+  await assert.rejects(runner.start(() => {}), /No grids available for BTC/);
+  assert.strictEqual(runner.running, false);
+});
+
+test('MultiAssetRunner bets every market each round and keeps per-asset stats', async () => {
+  const { server, agent, close } = await setup({ server: { roundMs: ROUND_MS } });
+  try {
+    const runner = new MultiAssetRunner(agent, {
+      markets: [
+        { asset: 'btc', amount: '2.00', commentary: `${COMMENTARY} Round {round}.` },
+        { asset: 'ETH', amount: '1.00', strategy: 'underdog', commentary: `${COMMENTARY} Round {round}.` },
+        { asset: 'SOL', strategy: () => null, commentary: COMMENTARY },
+      ],
+      offsetMs: 20,
+      maxRounds: 2,
+      handleSignals: false,
+    });
+    const stats = await runner.start();
+
+    assert.strictEqual(stats.reason, 'maxRounds');
+    assert.deepStrictEqual(stats.total, { rounds: 6, bets: 4, abstained: 2, errors: 0, busy: 0, staked: 6 });
+    assert.strictEqual(stats.assets.BTC.staked, 4);
+    assert.strictEqual(stats.assets.SOL.abstained, 2);
+    assert.ok(stats.assets.ETH.avgOdds > 1);
+    const btc = server._bets.filter((b) => b.asset === 'BTC').map((b) => b.commentary.slice(-8));
+    assert.deepStrictEqual(btc, ['Round 1.', 'Round 2.']);
+  } finally {
+    await close();
+  }
+});
+
+test('MultiAssetRunner keeps a round value the market supplies', async () => {
+  const { server, agent, close } = await setup({ server: { roundMs: ROUND_MS } });
+  try {
+    const runner = new MultiAssetRunner(agent, {
+      markets: [{ asset: 'BTC', commentary: `${COMMENTARY} Round {round}.`, templateContext: { round: 'final' } }],
+      offsetMs: 20,
+      maxRounds: 1,
+      handleSignals: false,
+    });
+    await runner.start();
+    assert.match(server._bets[0].commentary, /Round final\.$/);
+  } finally {
+    await close();
+  }
+});
+
+test('MultiAssetRunner skips busy assets and counts errors by code', async () => {
+  const { agent, close } = await setup({ server: { roundMs: ROUND_MS } });
+  try {
+    let calls = 0;
+    const trader = {
+      async pickAndBet({ asset }) {
+        calls++;
+        if (asset === 'ETH') throw Object.assign(new Error('no funds'), { code: 'INSUFFICIENT_BALANCE' });
+        await sleep(ROUND_MS * 1.2);
+        return { success: true, data: { amount: '1.00', odds: '2.00' } };
+      },
+    };
+    const errors = [];
+    const runner = new MultiAssetRunner(agent, {
+      markets: [{ asset: 'BTC' }, { asset: 'ETH' }],
+      trader,
+      offsetMs: 20,
+      maxRounds: 2,
+      handleSignals: false,
+    });
+    runner.on('betError', (asset, err) => errors.push([asset, err.code]));
+    const stats = await runner.start();
+
+    assert.strictEqual(calls, 3);
+    assert.deepStrictEqual(stats.assets.BTC, { ...stats.assets.BTC, rounds: 2, bets: 1, busy: 1 });
+    assert.deepStrictEqual(stats.assets.ETH.errorCodes, { INSUFFICIENT_BALANCE: 2 });
+    assert.strictEqual(stats.assets.ETH.lastError, 'no funds');
+    assert.deepStrictEqual(errors, [['ETH', 'INSUFFICIENT_BALANCE'], ['ETH', 'INSUFFICIENT_BALANCE']]);
+  } finally {
+    await close();
+  }
+});
+
+test('MultiAssetRunner rejects an asset listed twice', () => {
+  assert.throws(() => new MultiAssetRunner({}, { markets: [{ asset: 'BTC' }, { asset: 'btc' }] }), /BTC is listed in more than one market/);
+  assert.throws(() => new MultiAssetRunner({}, { markets: [] }), /At least one market/);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SettlementTracker, Ledger } = require('../lib/settlement');
+const { setup, COMMENTARY } = require('./helpers');
+
+const START = Date.UTC(2026, 0, 1, 12);
+
+/** Place a bet, move the clock past its expiry and let the tracker record it. */
+async function roundTrip({ server, agent, clock }) {
+  const tracker = new SettlementTracker(agent, { now: clock.now });
+  const settled = [];
+  tracker.on('settled', (e) => settled.push(e));
+
+  const res = await agent.pickAndBet({ asset: 'BTC', amount: '5.00', strategy: 'balanced', timeSlot: 'next', commentary: COMMENTARY });
+  const tracked = await tracker.track(res, { strategy: 'balanced' });
+  assert.deepStrictEqual(tracker.pending().map((b) => b.orderId), [res.data.orderId]);
+  assert.strictEqual(tracked.slot, 0);
+
+  // Not expired yet: nothing to record
+  assert.deepStrictEqual(await tracker.poll(), []);
+
+  clock.t = res.data.expiryAt + server.roundMs;
+  const entries = await tracker.poll();
+  assert.strictEqual(entries.length, 1);
+  assert.deepStrictEqual(settled, entries);
+  assert.deepStrictEqual(tracker.pending(), []);
+  return { res, entry: entries[0], tracker };
+}
+
+function checkEntry(entry, res, balanceBefore, balanceAfter) {
+  assert.strictEqual(entry.orderId, res.data.orderId);
+  assert.strictEqual(entry.strategy, 'balanced');
+  assert.ok(entry.result === 'win' || entry.result === 'loss');
+  assert.strictEqual(entry.profit, entry.payout - 5);
+  assert.strictEqual(entry.payout, entry.result === 'win' ? Math.round(5 * entry.odds * 100) / 100 : 0);
+  assert.strictEqual(Math.round((balanceAfter - balanceBefore) * 100) / 100, entry.profit);
+}
+
+test('paper trades settle from later odds and land in the ledger', async () => {
+  const clock = { t: START, now: () => clock.t };
+  const { server, agent, close } = await setup({
+    server: { now: clock.now },
+    agent: { dryRun: { balances: { TEST: 100 }, now: clock.now } },
+  });
+  try {
+    const { res, entry, tracker } = await roundTrip({ server, agent, clock });
+    assert.strictEqual(res.data.dryRun, true);
+    assert.strictEqual(res.data.newBalance, '95.00');
+    assert.strictEqual(server._bets.length, 0);
+    checkEntry(entry, res, 100, parseFloat((await agent.getBalance()).data.TEST));
+    assert.match(tracker.ledger.filePath, /ledger\.ndjson$/);
+  } finally {
+    await close();
+  }
+});
+
+test('paper balances start from the real one and reject overdrafts', async () => {
+  const { server, agent, close } = await setup({ agent: { dryRun: true } });
+  try {
+    assert.deepStrictEqual((await agent.getBalance()).data, { TEST: '1000.00', BONUS: '100.00' });
+    const gridId = (await agent.getOdds('BTC')).data.grids[0].gridIdStr;
+    await assert.rejects(agent.placeBet({ gridId, amount: '1000.01', commentary: COMMENTARY }), { code: 'INSUFFICIENT_BALANCE' });
+    await assert.rejects(agent.placeBet({ gridId: 'nope', amount: '1.00', commentary: COMMENTARY }), { code: 'GRID_NOT_FOUND' });
+    const res = await agent.placeBet({ gridId, amount: '1000.00', commentary: COMMENTARY });
+    assert.match(res.data.orderId, /^paper_/);
+    assert.strictEqual(res.data.newBalance, '0.00');
+    assert.strictEqual(server._bets.length, 0);
+    assert.strictEqual((await agent.getBets({ status: 'pending' })).data.length, 1);
+  } finally {
+    await close();
+  }
+});
+
+test('live bets on the mock server settle into the ledger, which survives a reload', async () => {
+  const clock = { t: START, now: () => clock.t };
+  const { server, agent, close } = await setup({ server: { now: clock.now } });
+  try {
+    const { res, entry, tracker } = await roundTrip({ server, agent, clock });
+    assert.strictEqual(server._bets.length, 1);
+    checkEntry(entry, res, 1000, parseFloat((await agent.getBalance()).data.TEST));
+
+    const reloaded = new Ledger(tracker.ledger.filePath);
+    assert.deepStrictEqual(reloaded.pending(), []);
+    const { total, byStrategy } = reloaded.summary();
+    assert.strictEqual(total.settled, 1);
+    assert.strictEqual(total.pnl, entry.profit);
+    assert.strictEqual(byStrategy.balanced.bets, 1);
+  } finally {
+    await close();
+  }
+});
+
+test('both scans page through /bets with the configured pageSize', async () => {
+  const clock = { t: START, now: () => clock.t };
+  const { server, agent, close } = await setup({ server: { now: clock.now } });
+  try {
+    const tracker = new SettlementTracker(agent, { now: clock.now, pageSize: 1 });
+    const pages = [];
+    const iterBets = agent.iterBets.bind(agent);
+    agent.iterBets = (params) => {
+      pages.push([params.status, params.pageSize]);
+      return iterBets(params);
+    };
+
+    let expiryAt = 0;
+    for (let i = 0; i < 2; i++) {
+      const res = await agent.pickAndBet({ asset: 'BTC', amount: '1.00', strategy: 'balanced', timeSlot: 'next', commentary: COMMENTARY });
+      await tracker.track(res);
+      expiryAt = Math.max(expiryAt, res.data.expiryAt);
+    }
+    clock.t = expiryAt + server.roundMs;
+
+    assert.strictEqual((await tracker.poll()).length, 2);
+    assert.deepStrictEqual(pages, [['pending', 1], ['settled', 1]]);
+  } finally {
+    await close();
+  }
+});
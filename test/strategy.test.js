@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const strategy = require('../lib/strategy');
+const { setup, COMMENTARY } = require('./helpers');
+
+const NOW = 1000000;
+const PRICE = '100.5';
+const SECONDS_PER_YEAR = 365 * 86400;
+
+/** One round's strike ladder, 98–104 in steps of 1, priced with a 10% margin. */
+function ladder(implied = [0.05, 0.15, 0.3, 0.25, 0.15, 0.05], expiryAt = NOW + 60000) {
+  return implied.map((p, i) => ({
+    gridIdStr: `BTC_${expiryAt}_${i}`,
+    strikePriceMin: String(98 + i),
+    strikePriceMax: String(99 + i),
+    impliedProbability: String(p),
+    odds: (0.9 / p).toFixed(2),
+    expiryAt,
+  }));
+}
+
+const level = (grid) => Number(grid.gridIdStr.split('_')[2]);
+
+test('fairProbability models the price as driftless GBM', () => {
+  const grid = { strikePriceMin: '100', strikePriceMax: '101', expiryAt: NOW + 60000 };
+  const sigma = 10 / Math.sqrt(SECONDS_PER_YEAR);
+  // At expiry only the range holding the price can win
+  assert.strictEqual(strategy.fairProbability({ ...grid, expiryAt: NOW }, PRICE, sigma, NOW), 1);
+  assert.strictEqual(strategy.fairProbability({ ...grid, expiryAt: NOW }, '99', sigma, NOW), 0);
+
+  const probabilities = ladder().map((g) => strategy.fairProbability(g, PRICE, sigma, NOW));
+  assert.ok(probabilities[2] > probabilities[1] && probabilities[2] > probabilities[3]);
+  const everything = strategy.fairProbability({ strikePriceMin: '0', strikePriceMax: 'Infinity', expiryAt: NOW + 60000 }, PRICE, sigma, NOW);
+  assert.ok(Math.abs(everything - 1) < 1e-6);
+  assert.ok(Math.abs(strategy.normCdf(0) - 0.5) < 1e-7);
+  assert.ok(Math.abs(strategy.normCdf(1.96) - 0.975) < 1e-4);
+});
+
+test('priceGrids annotates copies with model probability, edge and expected value', () => {
+  const grids = ladder();
+  const priced = strategy.priceGrids(grids, PRICE, {}, { volatility: 10, now: NOW });
+  assert.deepStrictEqual(
+    priced.map((g) => [g.modelProbability, g.edge, g.expectedValue]),
+    [
+      [0.1049, 0.0549, 0.8883],
+      [0.2221, 0.0721, 0.3325],
+      [0.2817, -0.0183, -0.155],
+      [0.2171, -0.0329, -0.2186],
+      [0.103, -0.047, -0.3821],
+      [0.0305, -0.0195, -0.4518],
+    ]
+  );
+  assert.strictEqual(grids[0].modelProbability, undefined);
+
+  // The indicators' per-bar volatility is scaled to the same per-second sigma
+  const perBar = (10 / Math.sqrt(SECONDS_PER_YEAR)) * Math.sqrt(10);
+  const fromHistory = strategy.priceGrids(grids, PRICE, { volatility: perBar, barMs: 10000, updatedAt: NOW });
+  assert.deepStrictEqual(fromHistory, priced);
+
+  // Without price history, the default volatility applies
+  const calm = strategy.priceGrids(grids, PRICE, {}, { now: NOW });
+  assert.deepStrictEqual(calm, strategy.priceGrids(grids, PRICE, {}, { volatility: 0.6, now: NOW }));
+});
+
+test('edge and ev pick different grids from the same prices', () => {
+  const pick = (metric) => strategy.modelStrategy({ metric, volatility: 10, now: NOW })(ladder(), PRICE);
+  const byEdge = pick('edge');
+  const byEv = pick('ev');
+  assert.deepStrictEqual([level(byEdge), byEdge.edge], [1, 0.0721]);
+  // EV favours the long shot mispriced by a similar margin
+  assert.deepStrictEqual([level(byEv), byEv.expectedValue], [0, 0.8883]);
+  assert.throws(() => strategy.modelStrategy({ metric: 'sharpe' }), /Unknown model metric: sharpe/);
+});
+
+test('pickAndBet with edge exposes the model numbers to templates', async () => {
+  const { server, agent, close } = await setup();
+  try {
+    let selected;
+    agent.on('gridSelected', (e) => (selected = e));
+    await agent.pickAndBet({
+      asset: 'BTC',
+      amount: '1.00',
+      strategy: 'edge',
+      timeSlot: 'next',
+      commentary: `${COMMENTARY} Model {modelProbability|pct:1} vs implied {impliedProbability|pct:1}.`,
+    });
+    const { grid } = selected;
+    assert.strictEqual(typeof grid.edge, 'number');
+    assert.ok(Math.abs(grid.modelProbability - parseFloat(grid.impliedProbability) - grid.edge) < 1e-3);
+    const pct = (p) => `${(p * 100).toFixed(1)}%`;
+    assert.ok(server._bets[0].commentary.endsWith(`Model ${pct(grid.modelProbability)} vs implied ${pct(grid.impliedProbability)}.`));
+  } finally {
+    await close();
+  }
+});
+
+test('filter() narrows the candidates by grid fields, pricing them when asked', () => {
+  const grids = ladder();
+  const pick = (s, indicators = { updatedAt: NOW }) => strategy.pickGrid(grids, PRICE, s, indicators);
+  assert.strictEqual(level(pick(strategy.filter('odds<4', 'underdog'))), 3);
+  assert.strictEqual(level(pick('filter(odds<4,underdog)')), 3);
+  assert.strictEqual(level(pick('filter(direction==up)')), 3);
+  assert.strictEqual(level(pick('filter(odds>=3&&odds<=6,underdog)')), 1);
+  assert.strictEqual(level(pick(strategy.filter((g, vars) => vars.direction === 'down', 'favorite'))), 1);
+  assert.strictEqual(pick('filter(odds>100,balanced)'), null);
+
+  const priced = pick('filter(edge>0,underdog)');
+  assert.deepStrictEqual([level(priced), priced.edge], [2, 0.7]);
+});
+
+test('fallback, weighted and vote combine strategies', () => {
+  const grids = ladder();
+  const pick = (s) => level(strategy.pickGrid(grids, PRICE, s));
+  // underdog → 0, balanced → 2, favorite → 2
+  assert.strictEqual(pick('fallback(filter(odds>100,underdog),favorite)'), 2);
+  assert.strictEqual(pick(strategy.fallback('underdog', 'favorite')), 0);
+  assert.strictEqual(pick('weighted(underdog:0.5,balanced:0.3,favorite:0.3)'), 2);
+  assert.strictEqual(pick('weighted(underdog:0.7,balanced:0.3,favorite:0.3)'), 0);
+  // Ties go to the earlier strategy's pick
+  assert.strictEqual(pick(strategy.weighted([['underdog', 1], ['balanced', 1]])), 0);
+  assert.strictEqual(strategy.pickGrid(grids, PRICE, strategy.weighted([['underdog', 1], ['balanced', 1]], { quorum: 2 })), null);
+
+  assert.strictEqual(pick('vote(underdog,balanced,favorite)'), 2);
+  assert.strictEqual(strategy.pickGrid(grids, PRICE, strategy.vote(['underdog', 'balanced'], { quorum: 2 })), null);
+  assert.strictEqual(strategy.pickGrid(grids, PRICE, strategy.fallback('filter(odds>100)')), null);
+});
+
+test('skipIf() sits out on indicator conditions', () => {
+  const grids = ladder();
+  const s = 'skipIf(rsi>70&&price>100,favorite)';
+  assert.strictEqual(strategy.pickGrid(grids, PRICE, s, { rsi: 75 }), null);
+  assert.strictEqual(level(strategy.pickGrid(grids, PRICE, s, { rsi: 50 })), 2);
+  assert.strictEqual(level(strategy.pickGrid(grids, '99.5', s, { rsi: 75 })), 1);
+  // A comparison against a missing indicator is false, so it doesn't skip
+  assert.strictEqual(level(strategy.pickGrid(grids, PRICE, s, {})), 2);
+  assert.strictEqual(strategy.pickGrid(grids, PRICE, 'skipIf(grids<10)'), null);
+  assert.strictEqual(strategy.pickGrid(grids, PRICE, strategy.skipIf(() => true)), null);
+});
+
+test('the string form rejects malformed expressions with a clear message', () => {
+  assert.throws(() => strategy.parseStrategy('martingale'), /Unknown strategy: martingale\. Available: balanced, .*filter\(\.\.\.\)/);
+  assert.throws(() => strategy.parseStrategy('vote(balanced,value'), /Invalid strategy expression/);
+  assert.throws(() => strategy.parseStrategy('vote(balanced),value)'), /Unbalanced parentheses/);
+  assert.throws(() => strategy.parseStrategy('vote(balanced,,value)'), /Empty argument/);
+  assert.throws(() => strategy.parseStrategy('weighted(balanced,value:1)'), /strategy:weight, got "balanced"/);
+  assert.throws(() => strategy.parseStrategy('filter(odds~4,value)'), /Invalid condition "odds~4"/);
+  assert.throws(() => strategy.parseStrategy('filter(odds<4,value,favorite)'), /takes a condition and a strategy/);
+  assert.throws(() => strategy.parseStrategy('median(value,favorite)'), /Unknown combinator: median/);
+
+  const expr = 'fallback(filter(odds<4,edge),balanced)';
+  assert.strictEqual(strategy.resolveStrategy(expr), strategy.resolveStrategy(expr));
+});
+
+test('hedge() adds the neighbouring strike levels of the same round', () => {
+  const grids = [...ladder(), ...ladder(undefined, NOW + 70000)];
+  const legs = (s) => strategy.toAllocations(strategy.pickGrid(grids, PRICE, s)).map((a) => [level(a.grid), a.grid.expiryAt - NOW]);
+  assert.deepStrictEqual(legs('hedge(favorite)'), [[1, 60000], [2, 60000], [3, 60000]]);
+  assert.deepStrictEqual(legs('hedge(favorite,0)'), [[2, 60000]]);
+  assert.deepStrictEqual(legs(strategy.hedge('underdog', 2)), [[0, 60000], [1, 60000], [2, 60000]]);
+
+  // The picked grid keeps its model annotations
+  const priced = strategy.pickGrid(ladder(), PRICE, 'hedge(edge)', { updatedAt: NOW });
+  assert.strictEqual(priced[1].grid.edge, 0.7);
+  assert.strictEqual(priced[0].grid.edge, undefined);
+  assert.throws(() => strategy.parseStrategy('hedge(value,-1)'), /width must be a non-negative number/);
+});
+
+test('strategies can abstain or return allocations', () => {
+  const grids = ladder();
+  assert.deepStrictEqual(strategy.toAllocations(null), []);
+  assert.deepStrictEqual(strategy.toAllocations(grids[0]), [{ grid: grids[0] }]);
+  assert.throws(() => strategy.toAllocations([{ amount: 1 }]), /Allocation 0 needs a grid/);
+  assert.throws(() => strategy.toAllocations([{ grid: grids[0], amount: '-1' }]), /Allocation 0 has an invalid amount: -1/);
+  // An empty list is sitting out too
+  assert.strictEqual(strategy.pickGrid(grids, PRICE, () => []), null);
+
+  // A voter returning allocations backs every grid in them
+  const both = () => [{ grid: grids[0] }, { grid: grids[5] }];
+  assert.strictEqual(level(strategy.pickGrid(grids, PRICE, strategy.weighted([[both, 1], ['favorite', 1.5], [() => grids[5], 1]]))), 5);
+});
+
+test('pickAndBet places one bet per allocation', async () => {
+  const { server, agent, close } = await setup();
+  try {
+    const res = await agent.pickAndBet({
+      asset: 'BTC',
+      amount: '1.00',
+      timeSlot: 'next',
+      strategy: (grids) => [{ grid: grids[0], amount: '2.50' }, { grid: grids[1] }, { grid: { ...grids[2], gridIdStr: 'BTC_0_0' } }],
+      commentary: `${COMMENTARY} Leg {leg} of {legs}.`,
+    });
+    assert.strictEqual(res.success, false);
+    assert.deepStrictEqual(res.data.orders.map((o) => o.amount), ['2.50', '1.00']);
+    assert.strictEqual(res.data.amount, '3.50');
+    assert.deepStrictEqual(res.failed.map((f) => [f.gridId, f.error.code]), [['BTC_0_0', 'GRID_NOT_FOUND']]);
+    assert.deepStrictEqual(server._bets.map((b) => b.commentary.slice(COMMENTARY.length)), [' Leg 1 of 3.', ' Leg 2 of 3.']);
+
+    // Every leg failing is an error
+    await assert.rejects(
+      agent.pickAndBet({ asset: 'BTC', amount: '1.00', strategy: (grids) => [{ grid: { ...grids[0], gridIdStr: 'BTC_0_0' } }], commentary: COMMENTARY }),
+      { code: 'GRID_NOT_FOUND' }
+    );
+
+    const abstained = await agent.pickAndBet({ asset: 'BTC', amount: '1.00', strategy: 'skipIf(grids>0)', commentary: COMMENTARY });
+    assert.deepStrictEqual(abstained, { success: true, abstained: true, data: { asset: 'BTC', currentPrice: abstained.data.currentPrice, strategy: 'skipIf(grids>0)' } });
+    assert.strictEqual(server._bets.length, 2);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { render, gridContext } = require('../lib/template');
+const { TemplateError } = require('../lib/errors');
+const { setup, COMMENTARY } = require('./helpers');
+
+test('variables, dotted paths, filters and literal braces', () => {
+  const ctx = { price: '67250.456', change: 0.0123, drop: -2, grid: { odds: '3.10' }, asset: 'btc' };
+  assert.strictEqual(render('{asset|upper} at {price|fixed:0}', ctx), 'BTC at 67250');
+  assert.strictEqual(render('{change|pct:1} / {drop|abs} / {change|sign} / {drop|sign}', ctx), '1.2% / 2 / +0.0123 / -2');
+  assert.strictEqual(render('odds {grid.odds|fixed:1}, {price|round}', ctx), 'odds 3.1, 67250');
+  assert.strictEqual(render('{missing|default:n/a} {{literal}}', ctx), 'n/a {literal}');
+});
+
+test('conditionals compare numeric strings as numbers', () => {
+  const tpl = '{#if odds>3}long shot{else}{#if !trend}flat{else}{trend}{/if}{/if}';
+  assert.strictEqual(render(tpl, { odds: '10.5', trend: 'up' }), 'long shot');
+  assert.strictEqual(render(tpl, { odds: '2.9', trend: 'up' }), 'up');
+  assert.strictEqual(render(tpl, { odds: '2.9', trend: '' }), 'flat');
+  assert.strictEqual(render('{#if direction=="up"}above{/if}{#if rsi<=limit}ok{/if}', { direction: 'up', rsi: 30, limit: '30' }), 'aboveok');
+  // A missing variable is falsy in a bare condition, but an error in a comparison
+  assert.strictEqual(render('{#if edge}edge{/if}', {}), '');
+  assert.throws(() => render('{#if edge>0}edge{/if}', {}), TemplateError);
+});
+
+test('{#pick} chooses a phrasing with the given RNG', () => {
+  const tpl = '{#pick}one{|}two{|}three{/pick}';
+  assert.strictEqual(render(tpl, {}, { random: () => 0 }), 'one');
+  assert.strictEqual(render(tpl, {}, { random: () => 0.5 }), 'two');
+  assert.strictEqual(render(tpl, {}, { random: () => 0.99 }), 'three');
+});
+
+test('mistakes throw TemplateError instead of rendering a placeholder', () => {
+  assert.throws(() => render('{pirce}', { price: 1 }), (err) => err instanceof TemplateError && err.variable === 'pirce' && /Available: price/.test(err.message));
+  assert.throws(() => render('{price|money}', { price: 1 }), /Unknown filter "money"/);
+  assert.throws(() => render('{price|fixed}', { price: 'n/a' }), /Filter "fixed" needs a number/);
+  assert.throws(() => render('{#if a}x', { a: 1 }), /Unclosed \{#if\}/);
+  assert.throws(() => render('x{/pick}'), /without a matching \{#pick\}/);
+  assert.throws(() => render('{else}'), /without a matching \{#if\}/);
+  assert.throws(() => render('{#if a ~ b}x{/if}'), /Invalid condition/);
+});
+
+test('gridContext describes the strike range against the price', () => {
+  const grid = { strikePriceMin: '100', strikePriceMax: '110', odds: '4', expiryAt: 30000, modelProbability: 0.3 };
+  assert.deepStrictEqual(gridContext(grid, '95', 10000), {
+    strikeMin: '100',
+    strikeMax: '110',
+    impliedProbability: '0.2500',
+    secondsToExpiry: 20,
+    direction: 'up',
+    modelProbability: '0.3000',
+  });
+  assert.strictEqual(gridContext(grid, '110').direction, 'down');
+  assert.strictEqual(gridContext(grid, '105').direction, 'flat');
+});
+
+test('pickAndBet renders commentary templates with the chosen grid', async () => {
+  const { server, agent, close } = await setup();
+  try {
+    let selected;
+    agent.on('gridSelected', (e) => (selected = e));
+    await agent.pickAndBet({
+      asset: 'BTC',
+      amount: '1.00',
+      strategy: 'balanced',
+      commentary: `${COMMENTARY} {asset} at {price|fixed:0}, {direction} at odds {odds}{#if legs>1} (leg {leg}){/if}.`,
+    });
+    const { direction } = gridContext(selected.grid, selected.currentPrice);
+    const expected = `BTC at ${parseFloat(selected.currentPrice).toFixed(0)}, ${direction} at odds ${selected.grid.odds}.`;
+    assert.strictEqual(server._bets[0].commentary, `${COMMENTARY} ${expected}`);
+
+    await assert.rejects(agent.pickAndBet({ asset: 'BTC', amount: '1.00', commentary: `${COMMENTARY} {rsi_14}` }), TemplateError);
+    assert.strictEqual(server._bets.length, 1);
+  } finally {
+    await close();
+  }
+});
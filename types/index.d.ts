@@ -1,9 +1,28 @@
 // Type declarations for predictme-agent-sdk
 
 export interface AgentOptions {
+  /** Named profile for the key, URL and nonce file (default: PREDICTME_PROFILE, unless apiKey is given); null for none */
+  profile?: string | null;
   apiKey?: string;
   apiUrl?: string;
   noncePath?: string;
+  /** Custom nonce store; overrides noncePath */
+  nonceStore?: NonceStore;
+  /** PnL ledger file used by SettlementTracker (default gets a .dry-run suffix in dry-run mode) */
+  ledgerPath?: string;
+  /** Default minQuality for every bet */
+  minQuality?: number;
+  lowQuality?: 'reject' | 'enrich';
+  rejectDuplicates?: boolean;
+  commentaryHistory?: { size?: number; threshold?: number };
+  /** Options for the per-asset price history feeding indicators */
+  indicators?: PriceHistoryOptions;
+  /** Paper trading: real odds, simulated bets and balance */
+  dryRun?: boolean | { balances?: { TEST?: number; BONUS?: number } };
+  /** Per-request timeout in ms (default 15000) */
+  timeout?: number;
+  /** Max retries for idempotent requests and 429s (default 2) */
+  retries?: number;
 }
 
 export interface RegisterParams {
@@ -26,6 +45,7 @@ export interface LeaderboardParams {
 
 export interface CommentaryParams {
   limit?: number;
+  offset?: number;
   asset?: string;
 }
 
@@ -34,7 +54,16 @@ export interface TopCommentatorsParams {
   period?: 'day' | 'week' | 'all';
 }
 
-export interface PlaceBetParams {
+export interface CommentaryQualityOptions {
+  /** Minimum local quality score (0-100) */
+  minQuality?: number;
+  /** Below minQuality: throw (default), or append the bet's actual numbers (grid, odds, indicators) until it passes */
+  lowQuality?: 'reject' | 'enrich';
+  /** Throw if the commentary nearly repeats one of our recent bets */
+  rejectDuplicates?: boolean;
+}
+
+export interface PlaceBetParams extends CommentaryQualityOptions {
   gridId: string;
   amount: string | number;
   balanceType?: 'TEST' | 'BONUS';
@@ -42,13 +71,17 @@ export interface PlaceBetParams {
   strategy?: string;
 }
 
-export interface PickAndBetParams {
+export interface PickAndBetParams extends CommentaryQualityOptions {
   asset?: string;
-  amount?: string | number;
+  /** Stake, or a function of the grid; `ctx.amount` is the allocation's own stake, if any */
+  amount?:
+    | string
+    | number
+    | ((grid: Grid, ctx: { asset: string; currentPrice: string; amount?: string | number }) => string | number | Promise<string | number>);
   balanceType?: 'TEST' | 'BONUS';
-  strategy?: string | ((grids: Grid[], currentPrice: string) => Grid);
+  strategy?: Strategy;
   commentary: string;
-  templateContext?: Record<string, string>;
+  templateContext?: Record<string, any>;
   /** Time slot filter: 'next' (soonest), 'mid' (~60s), 'far' (latest), or slot index (0-based) */
   timeSlot?: 'next' | 'mid' | 'far' | number;
   /** Filter by seconds until expiry [minSec, maxSec]. Mutually exclusive with timeSlot. */
@@ -61,6 +94,23 @@ export interface BetsParams {
   status?: 'all' | 'settled' | 'pending';
 }
 
+/** Paging options for the iterX() / fetchAllX() helpers and paginate() (lib/paginate) */
+export interface PageOptions {
+  /** Entries per request, at most 100 (default 50) */
+  pageSize?: number;
+  /** Where to start (default 0) */
+  offset?: number;
+  /** Stop after this many entries */
+  max?: number;
+  /** Stop after this many requests */
+  maxPages?: number;
+}
+
+export interface TimedPageOptions extends PageOptions {
+  /** Stop at the first entry older than this (Date, epoch ms or date string) */
+  since?: Date | number | string;
+}
+
 export interface Grid {
   gridId: string;
   gridIdStr: string;
@@ -69,8 +119,29 @@ export interface Grid {
   odds: string;
   impliedProbability: string;
   expiryAt: number;
+  /** Set on grids returned by model strategies (edge, ev, modelStrategy) */
+  modelProbability?: number;
+  /** modelProbability minus impliedProbability */
+  edge?: number;
+  /** Model return per unit staked: modelProbability × odds − 1 */
+  expectedValue?: number;
+}
+
+/** One grid of a multi-grid bet; `amount` defaults to the caller's stake */
+export interface Allocation {
+  grid: Grid;
+  amount?: string | number;
 }
 
+/** Returns the grid to bet on, allocations to bet several, or null to sit the round out */
+export type StrategyFn = (grids: Grid[], currentPrice: string, indicators: IndicatorSnapshot) => Grid | Allocation[] | null;
+
+/**
+ * Strategy name (balanced, underdog, favorite, value, edge, ev), combinator
+ * expression such as `filter(odds<4,value)`, or function
+ */
+export type Strategy = string | StrategyFn;
+
 export interface CommentaryEntry {
   agentId: string;
   agentName: string;
@@ -101,6 +172,7 @@ export interface ApiResponse<T = any> {
   data?: T;
   error?: string;
   errorCode?: string;
+  expectedNonce?: number;
   notifications?: Notification[];
 }
 
@@ -115,8 +187,272 @@ export interface Notification {
   dismissable: boolean;
 }
 
+// Errors
+export declare class PredictMeError extends Error {
+  /** Stable error code, e.g. 'INSUFFICIENT_BALANCE' */
+  code: string;
+}
+
+export declare class PredictMeHttpError extends PredictMeError {
+  /** HTTP status, or null if no response was received (or the error was raised client-side) */
+  status: number | null;
+  /** Same as `status` */
+  statusCode: number | null;
+  /** Parsed JSON body, or raw text if the body wasn't JSON */
+  body: ApiResponse | string | null;
+  requestId: string | null;
+  /** Raw `errorCode` from the server body, if any */
+  serverCode: string | null;
+  method?: string;
+  url?: string;
+  cause?: Error;
+}
+
+export declare class RateLimitError extends PredictMeHttpError {
+  code: 'RATE_LIMITED';
+  /** Milliseconds until retry is allowed (from Retry-After), if known */
+  retryAfter: number | null;
+}
+
+export declare class TimeoutError extends PredictMeHttpError {
+  code: 'TIMEOUT';
+  /** Configured timeout in ms */
+  timeout: number;
+}
+
+export declare class AuthenticationError extends PredictMeHttpError {
+  code: 'UNAUTHORIZED';
+}
+
+export declare class AgentNotApprovedError extends PredictMeHttpError {
+  code: 'AGENT_NOT_APPROVED';
+}
+
+export declare class InsufficientBalanceError extends PredictMeHttpError {
+  code: 'INSUFFICIENT_BALANCE';
+}
+
+export declare class RoundClosedError extends PredictMeHttpError {
+  code: 'ROUND_CLOSED';
+}
+
+export declare class GridNotFoundError extends PredictMeHttpError {
+  code: 'GRID_NOT_FOUND';
+}
+
+export declare class InvalidNonceError extends PredictMeHttpError {
+  code: 'INVALID_NONCE';
+  /** Server's hint for the next valid nonce, if provided */
+  expectedNonce: number | null;
+}
+
+export declare class CommentaryRejectedError extends PredictMeHttpError {
+  /** Set when rejected for minQuality */
+  qualityScore?: number;
+  hints?: string[];
+  /** Set when rejected as a duplicate */
+  duplicateOf?: string;
+  code: 'COMMENTARY_REJECTED';
+}
+
+export declare class ValidationError extends PredictMeHttpError {
+  code: 'VALIDATION_ERROR';
+}
+
+export declare class NoGridsError extends PredictMeError {
+  code: 'NO_GRIDS';
+}
+
+export declare class RiskLimitError extends PredictMeError {
+  code: 'RISK_LIMIT';
+  /** Limit that blocked the bet */
+  rule: 'circuitBreaker' | 'dailyLossLimit' | 'minStake' | 'kelly' | 'maxExposurePerRound' | 'maxExposurePerAsset';
+}
+
+export declare class BetVetoedError extends PredictMeError {
+  code: 'BET_VETOED';
+  /** The bet as it reached the vetoing middleware */
+  bet: PlaceBetParams;
+}
+
+export declare class TemplateError extends PredictMeError {
+  code: 'TEMPLATE_ERROR';
+  /** The unknown variable, when that's the problem */
+  variable: string | null;
+}
+
+/** Bad command-line arguments (CLI) */
+export declare class UsageError extends PredictMeError {
+  code: 'USAGE';
+}
+
+/** An agent config file can't be loaded or doesn't validate */
+export declare class ConfigError extends PredictMeError {
+  code: 'CONFIG_ERROR';
+  /** Every problem found, each starting with its key path, e.g. "risk.maxStak: unknown key" */
+  errors: string[];
+  file: string | null;
+}
+
+export interface NonceStore {
+  /** Stored nonce, or null if none yet */
+  read(): number | null | Promise<number | null>;
+  write(value: number): void | Promise<void>;
+  /** Cross-process lock around read + write; resolves to a release function */
+  lock?(): Promise<() => void | Promise<void>>;
+  /** Synchronous versions, used by NonceManager's load(), next() and set() */
+  readSync?(): number | null;
+  writeSync?(value: number): void;
+  lockSync?(): () => void;
+}
+
+export interface FileNonceStoreOptions {
+  /** Give up acquiring the lock after this long (ms, default 5000) */
+  lockTimeout?: number;
+  /** Break lock files older than this (ms, default 10000) */
+  staleLockMs?: number;
+}
+
+export declare class FileNonceStore implements NonceStore {
+  constructor(filePath: string, options?: FileNonceStoreOptions);
+  readonly filePath: string;
+  readonly lockPath: string;
+  read(): Promise<number | null>;
+  write(value: number): Promise<void>;
+  lock(): Promise<() => Promise<void>>;
+  readSync(): number | null;
+  writeSync(value: number): void;
+  /** Blocks while waiting for the lock */
+  lockSync(): () => void;
+}
+
+export declare class MemoryNonceStore implements NonceStore {
+  constructor(value?: number | null);
+  value: number | null;
+  read(): number | null;
+  write(value: number): void;
+}
+
+export interface NonceRecoverEvent {
+  rejected: number;
+  expectedNonce?: number;
+  nonce: number;
+}
+
+export declare class NonceManager {
+  constructor(filePath?: string, options?: FileNonceStoreOptions & { store?: NonceStore });
+  readonly store: NonceStore;
+  load(): number;
+  /** max(current + 1, min); blocks while another process holds the lock */
+  next(min?: number): number;
+  set(value: number): void;
+  loadAsync(): Promise<number>;
+  /** next() without blocking the event loop */
+  nextAsync(min?: number): Promise<number>;
+  setAsync(value: number): Promise<void>;
+  /** Reserves max(expectedNonce + 1, current + 1) */
+  recover(rejected: number, expectedNonce?: number): Promise<number>;
+  on(event: 'recover', listener: (e: NonceRecoverEvent) => void): this;
+}
+
+export interface BetContext {
+  asset?: string;
+  currentPrice?: string;
+  /** Grids pickAndBet chose from (after time filtering) */
+  grids?: Grid[];
+  grid?: Grid;
+  /** PriceHistory snapshot for the asset when the bet was picked */
+  indicators?: Record<string, number>;
+  [key: string]: any;
+}
+
+/** Return false to veto, an object to replace the bet, or nothing to pass it on */
+export type BetMiddleware = (bet: PlaceBetParams, ctx: BetContext) => void | false | PlaceBetParams | Promise<void | false | PlaceBetParams>;
+
+export interface RequestEvent {
+  method: string;
+  path: string;
+  requestId: string;
+}
+
+export interface GridSelectedEvent {
+  asset: string;
+  currentPrice: string;
+  strategy: PickAndBetParams['strategy'];
+  /** Every grid returned by /odds */
+  grids: Grid[];
+  /** Grids left after timeSlot/expiryRange filtering */
+  candidates: Grid[];
+  /** The (first) grid bet on */
+  grid: Grid;
+  allocations: Allocation[];
+  indicators: IndicatorSnapshot;
+}
+
+export interface AbstainedEvent {
+  asset: string;
+  currentPrice: string;
+  strategy: PickAndBetParams['strategy'];
+  candidates: Grid[];
+  indicators: IndicatorSnapshot;
+}
+
+/** pickAndBet result when the strategy sat the round out */
+export interface AbstainedResult {
+  success: true;
+  abstained: true;
+  data: { asset: string; currentPrice: string; strategy: string };
+}
+
+/** pickAndBet result when the strategy returned several allocations */
+export interface MultiBetResult {
+  /** False if any leg failed */
+  success: boolean;
+  data: { orders: any[]; amount: string; newBalance: string };
+  /** placeBet response of each placed leg */
+  results: ApiResponse[];
+  failed: Array<{ gridId: string; error: Error }>;
+}
+
+export type PickAndBetResult = ApiResponse | AbstainedResult | MultiBetResult;
+
+export declare class PaperAccount {
+  constructor(options?: { balances?: { TEST?: number; BONUS?: number }; now?: () => number });
+  balances: { TEST: number; BONUS: number } | null;
+  /** Every simulated bet, oldest first */
+  readonly bets: object[];
+  observe(asset: string, data: { currentPrice: string; grids: Grid[] }): object[];
+  unsettledAssets(): string[];
+  placeBet(body: PlaceBetParams): ApiResponse;
+  balance(): ApiResponse<{ TEST: string; BONUS: string }>;
+  getBets(params?: BetsParams): ApiResponse<object[]>;
+}
+
 export declare class PredictMeAgent {
   constructor(options?: AgentOptions);
+  readonly nonce: NonceManager;
+  readonly dryRun: boolean;
+  /** Simulated account when dryRun is on, otherwise null */
+  readonly paper: PaperAccount | null;
+  /** Commentary of recent bets, for duplicate detection */
+  readonly commentaryHistory: CommentaryHistory;
+
+  /** Price history and indicators for an asset, fed by every getOdds call */
+  priceHistory(asset: string): PriceHistory;
+
+  /** Add bet middleware; runs in registration order before every bet */
+  use(fn: BetMiddleware): this;
+
+  on(event: 'request', listener: (e: RequestEvent) => void): this;
+  on(event: 'response', listener: (e: RequestEvent & { durationMs: number; body: ApiResponse }) => void): this;
+  /** Only emitted while a listener is attached */
+  on(event: 'error', listener: (err: PredictMeError, e: RequestEvent & { durationMs: number }) => void): this;
+  on(event: 'gridSelected', listener: (e: GridSelectedEvent) => void): this;
+  on(event: 'abstained', listener: (e: AbstainedEvent) => void): this;
+  on(event: 'beforeBet', listener: (bet: PlaceBetParams, ctx: BetContext) => void): this;
+  on(event: 'betPlaced', listener: (res: ApiResponse, bet: PlaceBetParams & { nonce: number }, ctx: BetContext) => void): this;
+  on(event: 'nonceRecovered', listener: (e: NonceRecoverEvent) => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
 
   // Public endpoints (no auth)
   register(params: RegisterParams): Promise<ApiResponse>;
@@ -125,28 +461,915 @@ export declare class PredictMeAgent {
   getLeaderboard(params?: LeaderboardParams): Promise<ApiResponse<LeaderboardEntry[]>>;
   getTopCommentators(params?: TopCommentatorsParams): Promise<ApiResponse>;
   getCommentary(params?: CommentaryParams): Promise<ApiResponse<CommentaryEntry[]>>;
-  getRecentActivity(params?: { limit?: number }): Promise<ApiResponse>;
+  getRecentActivity(params?: { limit?: number; offset?: number }): Promise<ApiResponse>;
 
   // Authenticated endpoints
   getProfile(): Promise<ApiResponse>;
   getBalance(): Promise<ApiResponse>;
   getOdds(asset?: string): Promise<ApiResponse<{ asset: string; currentPrice: string; grids: Grid[] }>>;
-  placeBet(params: PlaceBetParams): Promise<ApiResponse>;
+  placeBet(params: PlaceBetParams, ctx?: BetContext): Promise<ApiResponse>;
   getBets(params?: BetsParams): Promise<ApiResponse>;
 
+  // Paging: every page of a list endpoint, fetched as it's consumed
+  iterBets(params?: TimedPageOptions & { status?: BetsParams['status'] }): AsyncGenerator<any>;
+  iterLeaderboard(options?: PageOptions): AsyncGenerator<LeaderboardEntry>;
+  iterCommentary(params?: TimedPageOptions & { asset?: string }): AsyncGenerator<CommentaryEntry>;
+  iterRecentActivity(options?: TimedPageOptions): AsyncGenerator<any>;
+  fetchAllBets(params?: TimedPageOptions & { status?: BetsParams['status'] }): Promise<any[]>;
+  fetchAllLeaderboard(options?: PageOptions): Promise<LeaderboardEntry[]>;
+  fetchAllCommentary(params?: TimedPageOptions & { asset?: string }): Promise<CommentaryEntry[]>;
+  fetchAllRecentActivity(options?: TimedPageOptions): Promise<any[]>;
+
   // Convenience
-  pickAndBet(params: PickAndBetParams): Promise<ApiResponse>;
+  pickAndBet(params: PickAndBetParams): Promise<PickAndBetResult>;
+}
+
+// Mock server
+export interface MockServerOptions {
+  /** Seed for the deterministic price path (default 1) */
+  seed?: number;
+  /** Round length in ms (default 10000) */
+  roundMs?: number;
+  /** Number of future time slots offered (default 15) */
+  slots?: number;
+  /** Strike levels on each side of the current price (default 5) */
+  levels?: number;
+  /** House margin applied to fair odds (default 0.05) */
+  margin?: number;
+  /** API key of the pre-approved default agent (default 'pm_agent_mock') */
+  apiKey?: string;
+  agentName?: string;
+  balances?: { TEST?: number; BONUS?: number };
+  /** Approve newly registered agents immediately (default true) */
+  autoApprove?: boolean;
+  /** Start of the price path in ms (default now) */
+  epoch?: number;
+  now?: () => number;
+}
+
+export declare class MockServer {
+  constructor(options?: MockServerOptions);
+  readonly apiKey: string;
+  /** Base API URL once listening (use as PREDICTME_API_URL) */
+  url: string | null;
+  listen(port?: number, host?: string): Promise<string>;
+  close(): Promise<void>;
+  /** Approve a registered agent (with autoApprove: false) */
+  approve(agentId: string): void;
+  priceAt(asset: string, at?: number): number;
+  gridsFor(asset: string): { roundStart: number; currentPrice: number; grids: Grid[] };
+  settle(): void;
 }
 
+// Backtesting
+export interface OddsSnapshot {
+  type: 'odds';
+  asset: string;
+  ts: number;
+  currentPrice: string;
+  grids: Grid[];
+}
+
+export interface Dataset {
+  snapshots: OddsSnapshot[];
+  /** Settlement price keyed by `${asset}:${expiryAt}` */
+  settlements: Map<string, number>;
+}
+
+export interface BacktestOptions {
+  strategy?: Strategy;
+  amount?: number | string;
+  timeSlot?: 'next' | 'mid' | 'far' | number;
+  expiryRange?: [number, number];
+  assets?: string[];
+  /** Price history options for the indicators passed to strategies */
+  indicators?: PriceHistoryOptions;
+}
+
+export interface BacktestBucket {
+  bets: number;
+  wins: number;
+  staked: number;
+  pnl: number;
+  winRate: number;
+}
+
+export interface BacktestTrade {
+  ts: number;
+  asset: string;
+  gridId: string;
+  slot: number;
+  stake: number;
+  odds: number;
+  settlementPrice: number;
+  won: boolean;
+  pnl: number;
+  equity: number;
+  /** Edge of the chosen grid, for model strategies */
+  edge?: number;
+}
+
+export interface BacktestReport {
+  strategy: string;
+  bets: number;
+  wins: number;
+  losses: number;
+  /** Percent */
+  winRate: number;
+  staked: number;
+  pnl: number;
+  /** Percent */
+  roi: number;
+  maxDrawdown: number;
+  /** Per-bet Sharpe ratio (not annualized) */
+  sharpe: number;
+  /** Snapshots with no grid matching the time filter */
+  skipped: number;
+  /** Bets whose settlement price was not recorded */
+  unsettled: number;
+  bySlot: Record<number, BacktestBucket>;
+  byAsset: Record<string, BacktestBucket>;
+  trades: BacktestTrade[];
+}
+
+export declare function loadDataset(filePath: string): Dataset;
+export declare function backtest(dataset: Dataset, options?: BacktestOptions): BacktestReport;
+
+// Recorder
+export interface RecorderOptions {
+  assets?: string[];
+  /** Directory for dataset files (default 'data') */
+  outDir?: string;
+  /** Write .ndjson.gz instead of .ndjson */
+  gzip?: boolean;
+  /** Round length in ms (default 10000) */
+  roundMs?: number;
+  /** Delay after each round boundary before polling (default 500) */
+  offsetMs?: number;
+  now?: () => number;
+}
+
+export type DatasetRecord =
+  | OddsSnapshot
+  | { type: 'settlement'; asset: string; expiryAt: number; price: string; observedAt: number }
+  | { type: 'gap'; asset: string; ts: number; reason: 'error' | 'missed' | 'settlement'; error?: string };
+
+export declare class OddsRecorder {
+  constructor(agent: PredictMeAgent, options?: RecorderOptions);
+  readonly assets: string[];
+  /** Dataset file for a timestamp (rotated daily, UTC) */
+  fileFor(ts: number): string;
+  start(): void;
+  stop(): Promise<void>;
+  /** Poll every asset once and append the resulting records */
+  poll(): Promise<DatasetRecord[]>;
+  on(event: 'odds', listener: (record: OddsSnapshot) => void): this;
+  on(event: 'settlement' | 'gap', listener: (record: DatasetRecord) => void): this;
+  on(event: 'error', listener: (err: Error) => void): this;
+}
+
+// Risk management
+export type SizingPolicy =
+  | { type: 'fixed'; amount: number | string }
+  | { type: 'percent'; percent: number }
+  /** Needs `probability`, or grids with `modelProbability` (edge, ev strategies); others are blocked */
+  | { type: 'kelly'; fraction?: number; probability?: (grid: Grid) => number | string };
+
+export interface RiskOptions {
+  sizing?: SizingPolicy;
+  /** Bets sized below this are blocked (default 0.01) */
+  minStake?: number;
+  /** Stakes are capped at this amount */
+  maxStake?: number;
+  /** Max total stake placed within one round */
+  maxExposurePerRound?: number;
+  /** Max total open (unsettled) stake per asset */
+  maxExposurePerAsset?: number;
+  /** Max equity loss per UTC day */
+  dailyLossLimit?: number;
+  /** Trip the circuit breaker after losing this much this session */
+  stopLoss?: number;
+  /** Trip the circuit breaker after gaining this much this session */
+  takeProfit?: number;
+  balanceType?: 'TEST' | 'BONUS';
+  roundMs?: number;
+  now?: () => number;
+}
+
+export interface RiskPosition {
+  asset: string;
+  amount: number;
+  expiryAt: number;
+  round: number;
+  /** Set once the server accepted the bet; until then the stake is subtracted from its reported balance */
+  placed: boolean;
+}
+
+export interface RiskStatus {
+  balance: number | null;
+  equity: number | null;
+  openExposure: number;
+  sessionPnl: number;
+  dayPnl: number;
+  /** Reason the circuit breaker tripped, or null */
+  tripped: string | null;
+}
+
+export declare class RiskManager {
+  constructor(agent: PredictMeAgent, options?: RiskOptions);
+  readonly agent: PredictMeAgent;
+  balance: number | null;
+  positions: RiskPosition[];
+  openExposure(asset?: string): number;
+  equity(): number | null;
+  status(): RiskStatus;
+  reset(): void;
+  /** Server balance less stakes approved but not yet placed */
+  refresh(): Promise<number>;
+  size(grid?: Grid): number;
+  /** Reserve a stake; calls run one at a time. Follow with placed() or release(). */
+  approve(params: { asset: string; grid?: Grid; amount?: number; expiryAt?: number }): Promise<RiskPosition>;
+  placed(position: RiskPosition): void;
+  release(position: RiskPosition): void;
+  placeBet(params: Omit<PlaceBetParams, 'amount'> & { asset?: string; grid?: Grid; amount?: string | number }): Promise<ApiResponse>;
+  pickAndBet(params: Omit<PickAndBetParams, 'amount'> & { amount?: string | number }): Promise<PickAndBetResult>;
+}
+
+// Round scheduler
+export interface RunnerOptions {
+  /** Asset whose grids define the round timing (default 'BTC') */
+  asset?: string;
+  /** Delay into each round before firing, in ms (default 1000) */
+  offsetMs?: number;
+  /** Stop after this many callbacks (default Infinity) */
+  maxRounds?: number;
+  /** Re-derive timing from the grids every N rounds (default 60) */
+  resyncEvery?: number;
+  /** Stop on SIGINT/SIGTERM (default true) */
+  handleSignals?: boolean;
+  now?: () => number;
+}
+
+export interface RoundContext {
+  /** Absolute round number (rounds since the epoch) */
+  round: number;
+  /** 0-based count of callbacks fired by this runner */
+  index: number;
+  roundStart: number;
+  roundEnd: number;
+  /** Rounds skipped since the previous callback */
+  skipped: number;
+}
+
+export interface RunnerSummary {
+  rounds: number;
+  skipped: number;
+  /** 'maxRounds', 'stopped', 'SIGINT' or 'SIGTERM' */
+  reason: string;
+}
+
+export declare class AgentRunner {
+  constructor(agent: PredictMeAgent, options?: RunnerOptions);
+  roundMs: number | null;
+  rounds: number;
+  skipped: number;
+  running: boolean;
+  sync(): Promise<{ roundMs: number; anchor: number }>;
+  roundAt(t: number): number;
+  start(onRound: (ctx: RoundContext) => any): Promise<RunnerSummary>;
+  stop(reason?: string): void;
+  on(event: 'sync', listener: (info: { roundMs: number; anchor: number }) => void): this;
+  on(event: 'round', listener: (ctx: RoundContext) => void): this;
+  on(event: 'skipped', listener: (info: { from: number; to: number; count: number }) => void): this;
+  on(event: 'roundError', listener: (err: Error, ctx: RoundContext) => void): this;
+  on(event: 'stop', listener: (summary: RunnerSummary) => void): this;
+}
+
+export interface MarketConfig extends Omit<PickAndBetParams, 'asset'> {
+  asset: string;
+}
+
+export interface MultiAssetOptions {
+  /** One per asset: the constructor throws on a duplicate */
+  markets: MarketConfig[];
+  /** What places bets (default: the agent), e.g. a RiskManager */
+  trader?: { pickAndBet(params: PickAndBetParams): Promise<PickAndBetResult> };
+  offsetMs?: number;
+  maxRounds?: number;
+  handleSignals?: boolean;
+  /** Rounds where this returns false place no bets and emit 'idle', e.g. outside trading hours */
+  when?: (ctx: RoundContext) => boolean;
+}
+
+export interface AssetStats {
+  rounds: number;
+  /** Placed bets (each leg of a multi-grid bet counts) */
+  bets: number;
+  /** Rounds the strategy sat out */
+  abstained: number;
+  errors: number;
+  /** Rounds skipped because the previous bet for this asset was still in flight */
+  busy: number;
+  staked: number;
+  avgOdds: number;
+  /** Error count by error `code` */
+  errorCodes: Record<string, number>;
+  lastError: string | null;
+}
+
+export interface MultiAssetSummary extends RunnerSummary {
+  assets: Record<string, AssetStats>;
+  total: { rounds: number; bets: number; abstained: number; errors: number; busy: number; staked: number };
+}
+
+export declare class MultiAssetRunner {
+  constructor(agent: PredictMeAgent, options: MultiAssetOptions);
+  readonly runner: AgentRunner;
+  start(): Promise<MultiAssetSummary>;
+  stop(reason?: string): void;
+  summary(): { assets: Record<string, AssetStats>; total: MultiAssetSummary['total'] };
+  on(event: 'bet', listener: (asset: string, res: ApiResponse | MultiBetResult, ctx: RoundContext) => void): this;
+  on(event: 'abstained', listener: (asset: string, res: AbstainedResult, ctx: RoundContext) => void): this;
+  on(event: 'betError', listener: (asset: string, err: Error, ctx: RoundContext) => void): this;
+  on(event: 'idle', listener: (ctx: RoundContext) => void): this;
+  on(event: 'sync' | 'round' | 'skipped' | 'roundError' | 'stop', listener: (...args: any[]) => void): this;
+}
+
+export interface DashboardOptions {
+  asset?: string;
+  /** Grid rows shown around the current price (default 9) */
+  ladderRows?: number;
+  /** Open positions shown (default 6) */
+  positionRows?: number;
+  /** Settled bets in the PnL curve (default 50) */
+  settledBets?: number;
+  /** Feed entries shown (default 5) */
+  feedLimit?: number;
+  /** Leaderboard entries searched for our rank (default 100) */
+  leaderboardLimit?: number;
+  out?: NodeJS.WritableStream;
+  /** Default: out is a TTY and NO_COLOR is unset */
+  color?: boolean;
+  /** Delay into each round before refreshing (default 1500) */
+  offsetMs?: number;
+  maxRounds?: number;
+  handleSignals?: boolean;
+  now?: () => number;
+}
+
+export interface DashboardState {
+  odds: any | null;
+  balance: { TEST: string; BONUS: string } | null;
+  open: any[];
+  settled: any[];
+  feed: CommentaryEntry[];
+  leaderboard: LeaderboardEntry[];
+  profile: any | null;
+  /** Error message by section for the last refresh */
+  errors: Record<string, string>;
+  updatedAt?: number;
+}
+
+export interface DashboardSummary {
+  updatedAt: number | null;
+  asset: string;
+  currentPrice: string | null;
+  TEST: string | null;
+  BONUS: string | null;
+  open: number;
+  openStake: number;
+  settled: number;
+  wins: number;
+  losses: number;
+  pnl: number;
+  rank: number | null;
+}
+
+/** Live terminal dashboard (lib/dashboard) */
+export declare class Dashboard {
+  constructor(agent: PredictMeAgent, options?: DashboardOptions);
+  readonly asset: string;
+  state: DashboardState;
+  readonly runner: AgentRunner;
+  refresh(): Promise<DashboardState>;
+  /** Screen contents as a string */
+  render(state?: DashboardState): string;
+  /** The state as one flat record (CLI `--format` output) */
+  summary(state?: DashboardState): DashboardSummary;
+  draw(): void;
+  /** Refresh and redraw every round until stop() or a signal */
+  start(): Promise<RunnerSummary>;
+  stop(): void;
+  on(event: 'refresh', listener: (state: DashboardState) => void): this;
+  on(event: 'error', listener: (err: Error) => void): this;
+}
+
+export interface LedgerEntry {
+  orderId: string;
+  asset: string;
+  gridId?: string;
+  strategy: string | null;
+  /** Time slot at placement (0 = round about to close) */
+  slot: number | null;
+  amount: number;
+  odds: number | null;
+  balanceType?: 'TEST' | 'BONUS';
+  expiryAt: number | null;
+  placedAt: number;
+  /** Set once settled */
+  result?: 'win' | 'loss';
+  payout?: number;
+  profit?: number;
+  settlementPrice?: string | null;
+  settledAt?: number;
+}
+
+export interface PnlStats {
+  bets: number;
+  settled: number;
+  pending: number;
+  wins: number;
+  losses: number;
+  staked: number;
+  payout: number;
+  pnl: number;
+  /** Percent of settled bets */
+  winRate: number;
+  /** Percent of settled stake */
+  roi: number;
+}
+
+export interface PnlSummary {
+  total: PnlStats;
+  byAsset: Record<string, PnlStats>;
+  byStrategy: Record<string, PnlStats>;
+  bySlot: Record<string, PnlStats>;
+}
+
+export declare class Ledger {
+  constructor(filePath?: string);
+  readonly filePath: string;
+  load(): Map<string, LedgerEntry>;
+  pending(): LedgerEntry[];
+  addBet(bet: LedgerEntry): Promise<void>;
+  settle(settlement: Pick<LedgerEntry, 'orderId' | 'result' | 'payout' | 'profit' | 'settlementPrice' | 'settledAt'>): Promise<void>;
+  summary(options?: { since?: number }): PnlSummary;
+}
+
+export interface SettlementTrackerOptions {
+  ledger?: Ledger;
+  ledgerPath?: string;
+  /** Poll interval in ms (default 5000) */
+  interval?: number;
+  roundMs?: number;
+  pageSize?: number;
+  maxPages?: number;
+  now?: () => number;
+}
+
+export declare class SettlementTracker {
+  constructor(agent: PredictMeAgent, options?: SettlementTrackerOptions);
+  readonly ledger: Ledger;
+  track(res: ApiResponse | object, meta?: { strategy?: string; slot?: number }): Promise<LedgerEntry>;
+  pending(): LedgerEntry[];
+  start(): void;
+  stop(): Promise<void>;
+  poll(): Promise<LedgerEntry[]>;
+  on(event: 'tracked' | 'settled', listener: (entry: LedgerEntry) => void): this;
+  on(event: 'error', listener: (err: Error) => void): this;
+}
+
+// Indicators
+export interface PriceHistoryOptions {
+  /** Bar length in ms (default 10000, one round) */
+  barMs?: number;
+  /** Bars kept (default 500) */
+  maxBars?: number;
+}
+
+export interface Bar {
+  start: number;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+}
+
+/** Indicator values; keys without enough bars yet are omitted */
+export interface IndicatorSnapshot {
+  bars: number;
+  /** Bar length the values are computed over */
+  barMs: number;
+  /** Time of the latest price observation */
+  updatedAt?: number;
+  sma20?: number;
+  ema20?: number;
+  ema50?: number;
+  rsi?: number;
+  macd?: number;
+  macdSignal?: number;
+  macdHistogram?: number;
+  bbUpper?: number;
+  bbMiddle?: number;
+  bbLower?: number;
+  bbPercentB?: number;
+  atr?: number;
+  /** Stdev of per-bar log returns */
+  volatility?: number;
+}
+
+export declare class PriceHistory {
+  constructor(options?: PriceHistoryOptions);
+  readonly barMs: number;
+  add(price: string | number, ts?: number): void;
+  bars(): Bar[];
+  closes(): number[];
+  snapshot(): IndicatorSnapshot;
+}
+
+export declare function sma(values: number[], n: number): number | null;
+export declare function ema(values: number[], n: number): number | null;
+export declare function emaSeries(values: number[], n: number): number[];
+export declare function rsi(values: number[], n?: number): number | null;
+export declare function macd(values: number[], fast?: number, slow?: number, signal?: number): { macd: number; signal: number; histogram: number } | null;
+export declare function bollinger(values: number[], n?: number, k?: number): { middle: number; upper: number; lower: number; percentB: number } | null;
+export declare function atr(bars: Array<{ high: number; low: number; close: number }>, n?: number): number | null;
+/** Per-interval stdev of log returns; periods[i] = intervals between values[i-1] and values[i] (gaps are scaled by √k) */
+export declare function realizedVolatility(values: number[], n?: number, periods?: number[]): number | null;
+
 // Strategy exports
-export declare function pickGrid(grids: Grid[], currentPrice: string | number, strategy?: string | Function): Grid;
+export declare function pickGrid(grids: Grid[], currentPrice: string | number, strategy?: Strategy, indicators?: IndicatorSnapshot): Grid | Allocation[] | null;
+/** Normalize a strategy result: [] when sitting out, one entry for a single grid */
+export declare function toAllocations(result: Grid | Allocation[] | null): Allocation[];
 export declare function balanced(grids: Grid[], currentPrice: string | number): Grid;
 export declare function underdog(grids: Grid[], currentPrice: string | number): Grid;
 export declare function favorite(grids: Grid[], currentPrice: string | number): Grid;
 export declare function value(grids: Grid[], currentPrice: string | number): Grid;
+export declare function edge(grids: Grid[], currentPrice: string | number, indicators?: IndicatorSnapshot): Grid;
+export declare function ev(grids: Grid[], currentPrice: string | number, indicators?: IndicatorSnapshot): Grid;
+
+export interface ModelStrategyOptions {
+  /** Maximize edge over implied probability (default) or expected value */
+  metric?: 'edge' | 'ev';
+  /** Fixed annualized volatility (0.6 = 60%), overriding the indicators */
+  volatility?: number;
+  /** Annualized volatility used until the price history has enough bars (default 0.6) */
+  defaultVolatility?: number;
+  /** Reference time (default: indicators.updatedAt, else Date.now()) */
+  now?: number;
+}
+
+export declare function modelStrategy(options?: ModelStrategyOptions): StrategyFn;
+/** Copies of `grids` with modelProbability, edge and expectedValue set */
+export declare function priceGrids(grids: Grid[], currentPrice: string | number, indicators?: IndicatorSnapshot, options?: ModelStrategyOptions): Grid[];
+/** Probability of ending in [strikeMin, strikeMax) under driftless GBM; `sigma` is per √second */
+export declare function fairProbability(grid: Grid, currentPrice: string | number, sigma: number, now?: number): number;
+export declare function normCdf(x: number): number;
+
+// Strategy combinators
+/**
+ * Only consider grids matching `pred` (a condition like `odds>=1.5&&odds<=5`
+ * over grid fields, or a function); null if none match
+ */
+export declare function filter(pred: string | ((grid: Grid, vars: Record<string, any>) => boolean), strategy?: Strategy): StrategyFn;
+/** First strategy that picks a grid */
+export declare function fallback(...strategies: Strategy[]): StrategyFn;
+/** Weighted vote: the grid backed by the most weight wins */
+export declare function weighted(pairs: Array<[Strategy, number]>, options?: { quorum?: number }): StrategyFn;
+/** Plurality vote; sits out unless `quorum` strategies agree */
+export declare function vote(strategies: Strategy[], options?: { quorum?: number }): StrategyFn;
+/** Sit the round out when `cond` holds (a condition over indicators, `price` and `grids`, or a function) */
+export declare function skipIf(
+  cond: string | ((grids: Grid[], currentPrice: string, indicators: IndicatorSnapshot) => boolean),
+  strategy?: Strategy
+): StrategyFn;
+/** The picked grid plus `width` neighbouring strike levels on each side in the same round */
+export declare function hedge(strategy?: Strategy, width?: number): StrategyFn;
+/** Build a strategy from its string form, e.g. `fallback(filter(odds<4,edge),balanced)` */
+export declare function parseStrategy(expr: string): StrategyFn;
+export declare function resolveStrategy(strategy: Strategy): StrategyFn;
+export declare function filterGrids(
+  grids: Grid[],
+  params?: { timeSlot?: 'next' | 'mid' | 'far' | number; expiryRange?: [number, number]; now?: number }
+): Grid[];
+export declare function slotIndex(grids: Grid[], grid: Grid): number;
 
 // Commentary exports
 export declare function validate(commentary: string): { valid: boolean; error?: string };
-export declare function renderTemplate(template: string, context?: Record<string, string>): string;
+export declare function renderTemplate(template: string, context?: Record<string, any>, options?: { random?: () => number }): string;
 export declare function qualityScore(commentary: string): number;
+
+export interface ScoreComponent {
+  value: number;
+  points: number;
+  max: number;
+  /** Next tier, or null at the top */
+  next: { at: number; points: number } | null;
+}
+
+export interface ScoreBreakdown {
+  score: number;
+  badge: string | null;
+  length: ScoreComponent;
+  uniqueWords: ScoreComponent;
+  technicalTerms: ScoreComponent & { terms: string[] };
+  hints: string[];
+}
+
+export declare function scoreBreakdown(commentary: string): ScoreBreakdown;
+/** Append sentences built only from values in context (grid, odds, price, model, indicators) until minQuality is reached */
+export declare function enrich(commentary: string, minQuality: number, context?: Record<string, any>): string;
+
+export declare class CommentaryHistory {
+  constructor(options?: { size?: number; threshold?: number });
+  add(commentary: string): void;
+  findDuplicate(commentary: string): { text: string; similarity: number } | null;
+}
 export declare function badgeTier(score: number): string | null;
+
+// Template exports (lib/template)
+export declare function render(template: string, context?: Record<string, any>, options?: { random?: () => number }): string;
+/** Template variables derived from a grid */
+export declare function gridContext(grid: Grid, currentPrice: string | number, now?: number): {
+  strikeMin: string;
+  strikeMax: string;
+  impliedProbability?: string;
+  secondsToExpiry?: number;
+  direction?: 'up' | 'down' | 'flat';
+};
+
+// Dashboard exports (lib/dashboard)
+/** Unicode sparkline of the last `width` values */
+export declare function sparkline(values: number[], width?: number): string;
+
+// Output exports (lib/output)
+export type OutputFormat = 'json' | 'ndjson' | 'csv' | 'table';
+export declare const FORMATS: OutputFormat[];
+export declare const EXIT_CODES: {
+  OK: 0;
+  ERROR: 1;
+  USAGE: 2;
+  AUTH: 3;
+  RETRY: 4;
+  REJECTED: 5;
+  API: 6;
+};
+export declare function formatOutput(data: object | object[], options: { format: OutputFormat; fields?: string[] | null }): string;
+export declare class RecordWriter {
+  constructor(options: { format: OutputFormat; fields?: string[] | null; columns?: string[]; out?: NodeJS.WritableStream });
+  write(record: object): void;
+  end(): void;
+}
+export declare function exitCodeFor(err: Error): number;
+export declare function checkFormat(format: string): OutputFormat;
+export declare function parseFields(value?: string): string[] | null;
+export declare function pick(record: object, fields: string[] | null): Record<string, any>;
+export declare function flatten(record: object): Record<string, any>;
+
+// Argument parsing exports (lib/args)
+export interface FlagSpec {
+  /** Default 'string' */
+  type?: 'string' | 'number' | 'integer' | 'boolean';
+  /** Single-letter short form, e.g. 'm' for -m */
+  alias?: string;
+  /** Placeholder shown in help, e.g. 'min:max' */
+  value?: string;
+  description?: string;
+  choices?: string[];
+  /** Lower bound for number and integer flags */
+  min?: number;
+  /** Convert or check the value; a thrown message becomes a UsageError naming the flag */
+  parse?: (value: any) => any;
+  /** Repeatable; the result is an array */
+  multiple?: boolean;
+  default?: any;
+}
+
+export interface CommandSpec {
+  usage: string;
+  summary: string;
+  /** Extra help paragraphs */
+  details?: string[];
+  flags?: Record<string, FlagSpec>;
+  examples?: string[];
+}
+
+/** Flags come back camelCased (`--dry-run` → `dryRun`) */
+export declare function parseArgs(
+  argv: string[],
+  spec: CommandSpec,
+  globalFlags?: Record<string, FlagSpec>
+): { flags: Record<string, any>; positionals: string[] };
+export declare function helpText(prog: string, name: string, spec: CommandSpec, globalFlags?: Record<string, FlagSpec>): string;
+/** "30:90" → [30, 90] */
+export declare function parseRange(value: string): [number, number];
+export declare function parseSlot(value: string): 'next' | 'mid' | 'far' | number;
+/** "key=value" → ['key', 'value'] */
+export declare function parseVar(value: string): [string, string];
+/** "24h", "30m", "7d", a date or epoch ms → epoch ms */
+export declare function parseSince(value: string, now?: number): number;
+/** Assets the Agent API lists odds for */
+export declare const ASSETS: string[];
+
+// Agent config files (predictme.config.json / .js)
+/** Keys a `markets` entry may override */
+export interface AgentConfigMarket {
+  strategy?: Strategy;
+  amount?: number;
+  timeSlot?: 'next' | 'mid' | 'far' | number;
+  /** [min, max] seconds to expiry, or "min:max" */
+  expiryRange?: [number, number] | string;
+  /** A template, or several picked at random per bet */
+  commentary?: string | string[];
+  templateContext?: Record<string, string | number | boolean>;
+}
+
+/** The file's contents, as written */
+export interface AgentConfigFile extends AgentConfigMarket {
+  name?: string;
+  /** Agent profile to trade as (overridden by --profile) */
+  profile?: string;
+  /** Asset list, or comma-separated */
+  assets: string[] | string;
+  /** Instead of `amount` */
+  sizing?: SizingPolicy;
+  balanceType?: 'TEST' | 'BONUS';
+  markets?: Record<string, AgentConfigMarket>;
+  schedule?: {
+    /** 0 = until stopped (default) */
+    rounds?: number;
+    offsetMs?: number;
+    /** "HH:MM-HH:MM" UTC; may wrap midnight */
+    hours?: string;
+  };
+  risk?: Pick<RiskOptions, 'minStake' | 'maxStake' | 'maxExposurePerRound' | 'maxExposurePerAsset' | 'dailyLossLimit' | 'stopLoss' | 'takeProfit'>;
+  logging?: { format?: 'text' | 'ndjson' | 'csv'; file?: string };
+  dryRun?: boolean;
+  minQuality?: number;
+  lowQuality?: 'reject' | 'enrich';
+  rejectDuplicates?: boolean;
+  ledgerPath?: string;
+}
+
+/** A validated, normalized config */
+export interface AgentConfig {
+  name: string | null;
+  file: string | null;
+  markets: MarketConfig[];
+  schedule: { rounds: number; offsetMs?: number; hours: { from: number; to: number } | null };
+  sizing: SizingPolicy | null;
+  risk: AgentConfigFile['risk'] | null;
+  balanceType: 'TEST' | 'BONUS';
+  logging: { format: 'text' | 'ndjson' | 'csv'; file: string | null };
+  /** PredictMeAgent options: profile, dryRun, minQuality, lowQuality, rejectDuplicates, ledgerPath */
+  agent: AgentOptions;
+}
+
+export declare const CONFIG_FILES: string[];
+/** @throws {ConfigError} */
+export declare function loadAgentConfig(file?: string): AgentConfig;
+/** @throws {ConfigError} listing every problem */
+export declare function validateAgentConfig(raw: AgentConfigFile, options?: { file?: string }): AgentConfig;
+export declare function findConfigFile(dir?: string): string | null;
+export declare function createRunner(agent: PredictMeAgent, config: AgentConfig, options?: { maxRounds?: number; handleSignals?: boolean }): MultiAssetRunner;
+/** Whether `ts` falls inside trading hours (minutes of the UTC day) */
+export declare function inHours(hours: { from: number; to: number } | null, ts?: number): boolean;
+
+// Configuration and profiles (lib/config, lib/profiles)
+export interface ResolvedConfig {
+  apiKey: string | undefined;
+  apiUrl: string;
+  noncePath: string;
+  ledgerPath: string;
+  /** The profile it came from, or null for plain .env/environment settings */
+  profile: string | null;
+}
+
+export interface StoredProfile {
+  apiKey: string;
+  apiUrl?: string;
+  noncePath?: string;
+  ledgerPath?: string;
+}
+
+export declare class ProfileStore {
+  /** dir default: PREDICTME_HOME or ~/.predictme */
+  constructor(options?: { dir?: string });
+  readonly dir: string;
+  readonly filePath: string;
+  load(): { current: string | null; profiles: Record<string, StoredProfile> };
+  current(): string | null;
+  get(name: string): StoredProfile | null;
+  list(): Array<StoredProfile & { name: string; current: boolean }>;
+  /** The first profile added becomes current. Written with mode 0600. */
+  add(name: string, profile: StoredProfile, options?: { force?: boolean }): void;
+  use(name: string): void;
+  remove(name: string): void;
+}
+
+export interface LoadConfigOptions {
+  envPath?: string;
+  /** null: ignore profiles, even the current one */
+  profile?: string | null;
+  store?: ProfileStore;
+}
+
+/** @throws {ConfigError} if the selected profile doesn't exist */
+export declare function loadConfig(opts?: LoadConfigOptions): ResolvedConfig;
+/** opts.profile, PREDICTME_PROFILE, then the current profile when no API key is set the plain way */
+export declare function resolveProfile(opts?: LoadConfigOptions): string | null;
+export declare function parseEnvFile(filePath: string): Record<string, string>;
+/** Set one variable in a .env file, atomically and with mode 0600; a replaced value is kept as a comment */
+export declare function setEnvVar(filePath: string, key: string, value: string): void;
+export declare const DEFAULT_API_URL: string;
+export declare function predictmeHome(): string;
+/** "pm_agent_ab…f00d" */
+export declare function maskKey(key?: string): string | null;
+/** Whether users other than the owner can read the file (always false on Windows) */
+export declare function isExposed(filePath: string): boolean;
+
+// Onboarding (lib/onboarding)
+export interface OnboardingOptions {
+  /** Save the key to this profile (.env.<name> if it exists, else the profile store) instead of .env */
+  profile?: string;
+  /** default: cwd/.env */
+  envPath?: string;
+  /** default: cwd/.predictme-onboarding.json */
+  statePath?: string;
+  store?: ProfileStore;
+  /** Replace an existing key or profile */
+  force?: boolean;
+  /** First delay between status checks (default 5000) */
+  pollMs?: number;
+  /** Backoff cap (default 60000) */
+  maxPollMs?: number;
+  /** Give up waiting for approval after this long (default Infinity) */
+  timeoutMs?: number;
+}
+
+export interface OnboardingParams {
+  email?: string;
+  agentName?: string;
+  description?: string;
+  twitterHandle?: string;
+  walletAddress?: string;
+  /** Claim the agent with this tweet */
+  tweetUrl?: string;
+}
+
+export interface OnboardingState {
+  agentId: string;
+  agentName: string;
+  email: string;
+  claimed: boolean;
+  profile: string | null;
+  envPath: string | null;
+  startedAt: string;
+}
+
+export interface OnboardingResult {
+  agentId: string;
+  agentName: string;
+  /** e.g. '.env' or 'profile alice' */
+  target: string;
+}
+
+/** Register, claim, wait for approval and save the API key; resumable */
+export declare class Onboarding {
+  constructor(agent: PredictMeAgent, options?: OnboardingOptions);
+  profile: string | null;
+  envPath: string;
+  readonly statePath: string;
+  target(): string;
+  /** The interrupted onboarding run() will resume, if any */
+  pending(): OnboardingState | null;
+  /** @throws {ConfigError} if the target already has a key (unless force) */
+  checkTarget(): void;
+  /** Errors: API_KEY_ALREADY_SHOWN, AGENT_REJECTED, ONBOARDING_TIMEOUT, ONBOARDING_STOPPED, KEY_NOT_SAVED */
+  run(params?: OnboardingParams): Promise<OnboardingResult>;
+  /** Stop waiting; the state is kept for a later resume */
+  stop(): void;
+  on(event: 'registered', listener: (info: { agentId: string; agentName: string; status: string }) => void): this;
+  on(event: 'resumed', listener: (state: OnboardingState) => void): this;
+  on(event: 'claimed', listener: (info: { agentId: string; verified: boolean; verificationLevel: number }) => void): this;
+  on(event: 'status', listener: (info: { status: string; attempt: number; nextPollMs: number }) => void): this;
+  on(event: 'retry', listener: (err: Error, delayMs: number) => void): this;
+  on(event: 'saved', listener: (result: OnboardingResult) => void): this;
+}
+
+// Pagination (lib/paginate)
+export declare const MAX_PAGE_SIZE: number;
+/** Iterate over every entry of a list endpoint, fetching pages as needed */
+export declare function paginate<T = any>(
+  fetchPage: (page: { limit: number; offset: number }) => Promise<T[] | ApiResponse<T[]>>,
+  options?: TimedPageOptions & {
+    /** Entry field holding its time (needed for since) */
+    timeKey?: string;
+    /** Entry field identifying it, to skip repeats across pages */
+    key?: string;
+  }
+): AsyncGenerator<T>;
+/** Collect an async iterable into an array */
+export declare function fetchAll<T>(iterable: AsyncIterable<T>): Promise<T[]>;
+/** Milliseconds since the epoch from a Date, number or date string (NaN if none) */
+export declare function toTime(value: Date | number | string): number;